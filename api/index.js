@@ -7,11 +7,19 @@ const app = express();
 const healthRoutes = require("../src/routes/health.js");
 const excelRoutes = require("../src/routes/excel.js");
 const renameRoutes = require("../src/routes/rename.js");
+const auditRoutes = require("../src/routes/audit.js");
+const graphThrottleService = require("../src/services/graphThrottleService.js");
+const graphRecorderService = require("../src/services/graphRecorderService.js");
+const { globalErrorHandler } = require("../src/middleware/errorHandler.js");
+const { assignRequestId } = require("../src/middleware/requestId.js");
 
 // Basic middleware
 app.use(cors());
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+app.use(assignRequestId);
+app.use(graphThrottleService.middleware());
+app.use(graphRecorderService.middleware());
 
 // Root (lightweight heartbeat; optional to keep)
 app.get("/", (req, res) => {
@@ -28,6 +36,7 @@ app.get("/", (req, res) => {
 app.use("/health", healthRoutes);
 app.use("/api/excel", excelRoutes);
 app.use("/api/excel", renameRoutes);
+app.use("/api/audit", auditRoutes);
 
 // 404 (keep last)
 app.use("*", (req, res) => {
@@ -41,4 +50,7 @@ app.use("*", (req, res) => {
   });
 });
 
+// JSON errors (with the request id) rather than Express's HTML page
+app.use(globalErrorHandler);
+
 module.exports = app;
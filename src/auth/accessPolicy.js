@@ -0,0 +1,240 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../config/logger");
+const resolverService = require("../services/resolverService");
+
+const VERBS = [
+  "read",
+  "write",
+  "format",
+  "find-replace",
+  "rename",
+  "delete-file",
+  "delete-sheet",
+  "delete-table",
+  "audit",
+];
+
+/**
+ * Per-caller access policy (RBAC). Loaded from ACCESS_POLICY (inline JSON,
+ * handy on Vercel) or ACCESS_POLICY_FILE:
+ *
+ *   {
+ *     "callers": { "finance-gpt": [{ "verbs": ["read"], "drives": ["Finance"] }] },
+ *     "roles":   { "admin": [{ "verbs": ["*"] }] },
+ *     "default": []
+ *   }
+ *
+ * A grant allows its verbs on targets matching every constraint it declares:
+ * drives (names), paths (folder prefixes) and files (name globs). Omitted
+ * constraints match anything. No policy configured means everything is allowed.
+ */
+class AccessPolicyService {
+  constructor() {
+    this.policy = null;
+    this.loadPolicy();
+  }
+
+  loadPolicy() {
+    let raw = process.env.ACCESS_POLICY;
+    const file = process.env.ACCESS_POLICY_FILE;
+    try {
+      if (!raw && file) {
+        raw = fs.readFileSync(path.resolve(process.cwd(), file), "utf8");
+      }
+      if (!raw) {
+        logger.warn("No ACCESS_POLICY configured; all callers have full access");
+        return;
+      }
+      const parsed = JSON.parse(raw);
+      this.policy = {
+        callers: this.normalizeGrantMap(parsed.callers),
+        roles: this.normalizeGrantMap(parsed.roles),
+        default: this.normalizeGrants(parsed.default),
+      };
+      logger.info("Access policy loaded", {
+        callers: Object.keys(this.policy.callers).length,
+        roles: Object.keys(this.policy.roles).length,
+      });
+    } catch (error) {
+      // Fail closed: a broken policy must not silently grant full access
+      logger.error("Failed to load access policy; denying all requests", {
+        file,
+        error: error.message,
+      });
+      this.policy = { callers: {}, roles: {}, default: [] };
+    }
+  }
+
+  isEnabled() {
+    return !!this.policy;
+  }
+
+  normalizeGrantMap(map) {
+    const out = {};
+    Object.entries(map || {}).forEach(([key, grants]) => {
+      out[key] = this.normalizeGrants(grants);
+    });
+    return out;
+  }
+
+  normalizeGrants(grants) {
+    const list = Array.isArray(grants) ? grants : grants ? [grants] : [];
+    return list.map((g) => {
+      const verbs = (g.verbs || []).map((v) => String(v).toLowerCase());
+      const unknown = verbs.filter((v) => v !== "*" && !VERBS.includes(v));
+      if (unknown.length) {
+        logger.warn("Access policy grant has unknown verbs", { unknown });
+      }
+      return {
+        verbs,
+        drives: g.drives ? g.drives.map((d) => String(d).toLowerCase()) : null,
+        paths: g.paths ? g.paths.map((p) => this.normalizePath(p)) : null,
+        files: g.files ? g.files.map((f) => this.globToRegExp(f)) : null,
+      };
+    });
+  }
+
+  normalizePath(p) {
+    return resolverService.normalizePath(p).toLowerCase();
+  }
+
+  globToRegExp(glob) {
+    const escaped = String(glob)
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*")
+      .replace(/\?/g, ".");
+    return new RegExp(`^${escaped}$`, "i");
+  }
+
+  grantsFor(user) {
+    const callerId = user?.id || "anonymous";
+    const grants = [...(this.policy.callers[callerId] || [])];
+    (user?.roles || []).forEach((role) => {
+      grants.push(...(this.policy.roles[role] || []));
+    });
+    return grants.length ? grants : this.policy.default;
+  }
+
+  /**
+   * Folder path and file name of the target. A file is always looked up in
+   * Graph the way the controllers resolve it (by name, with itemPath only
+   * choosing between duplicates), so a claimed path cannot stand in for the
+   * file that is actually opened. Folder and parent paths are used as given:
+   * rename-folder and create-file act on exactly those paths.
+   */
+  async locate(accessToken, target) {
+    if (target.folderPath) {
+      return { folder: resolverService.normalizePath(target.folderPath), name: null };
+    }
+    const claimedPath = target.itemPath || target.fullPath;
+    const name =
+      target.itemName ||
+      target.fileName ||
+      (claimedPath ? resolverService.normalizePath(claimedPath).split("/").pop() : null);
+    const knownId = target.itemId || target.selectedItemId;
+    if (!knownId && !name && target.parentPath) {
+      return { folder: resolverService.normalizePath(target.parentPath), name: null };
+    }
+    if (!target.driveName || (!name && !knownId)) {
+      return { folder: null, name };
+    }
+
+    const driveId = await resolverService.resolveDriveIdByName(
+      accessToken,
+      target.driveName
+    );
+    const itemId = knownId || (await this.resolveItemId(accessToken, driveId, name, claimedPath));
+    const item = await resolverService
+      .createGraphClient(accessToken)
+      .api(`/drives/${driveId}/items/${itemId}`)
+      .select("name,parentReference")
+      .get();
+    // parentReference.path looks like "/drives/{id}/root:/Folder/Sub"
+    const parent = String(item.parentReference?.path || "").split("root:")[1];
+    return { folder: resolverService.normalizePath(parent || "/"), name: item.name, itemId };
+  }
+
+  // The file a controller would open: the only one with that name, else the one at itemPath
+  async resolveItemId(accessToken, driveId, name, itemPath) {
+    try {
+      return await resolverService.resolveItemIdByName(accessToken, driveId, name);
+    } catch (err) {
+      if (!err.isMultipleMatches || !itemPath) throw err;
+      return resolverService.resolveItemIdByPath(
+        accessToken,
+        driveId,
+        name,
+        resolverService.normalizePath(itemPath)
+      );
+    }
+  }
+
+  pathAllowed(grant, folder) {
+    if (!grant.paths) return true;
+    if (!folder) return false;
+    const lc = folder.toLowerCase();
+    return grant.paths.some((p) => p === "/" || lc === p || lc.startsWith(`${p}/`));
+  }
+
+  fileAllowed(grant, name, isFolder) {
+    if (!grant.files) return true;
+    if (isFolder || !name) return false;
+    return grant.files.some((re) => re.test(name));
+  }
+
+  /**
+   * Decide whether the caller may apply verb to target
+   * ({ driveName, itemName, itemPath, itemId, fileName, parentPath,
+   * folderPath }). Returns { granted, reason, itemId? }.
+   */
+  async evaluate(user, verb, target, accessToken) {
+    const grants = this.grantsFor(user).filter(
+      (g) => g.verbs.includes("*") || g.verbs.includes(verb)
+    );
+    if (!grants.length) {
+      return { granted: false, reason: `Caller is not permitted to ${verb}` };
+    }
+
+    const driveName = target.driveName ? String(target.driveName).toLowerCase() : null;
+    const onDrive = grants.filter((g) => !g.drives || (driveName && g.drives.includes(driveName)));
+    if (!onDrive.length) {
+      return {
+        granted: false,
+        reason: driveName
+          ? `Caller is not permitted to ${verb} in drive '${target.driveName}'`
+          : `driveName is required: caller is limited to specific drives for ${verb}`,
+      };
+    }
+
+    if (onDrive.some((g) => !g.paths && !g.files)) {
+      return { granted: true, reason: "Allowed by drive grant" };
+    }
+
+    let location;
+    try {
+      location = await this.locate(accessToken, target);
+    } catch (err) {
+      return {
+        granted: false,
+        reason: err.isMultipleMatches
+          ? "File location is ambiguous; provide itemPath so access can be checked"
+          : `Unable to verify file location: ${err.message}`,
+      };
+    }
+
+    const isFolder = !!target.folderPath;
+    const match = onDrive.find(
+      (g) => this.pathAllowed(g, location.folder) && this.fileAllowed(g, location.name, isFolder)
+    );
+    if (!match) {
+      const where = location.name
+        ? `${location.folder || "?"}/${location.name}`.replace("//", "/")
+        : location.folder || "the requested location";
+      return { granted: false, reason: `Caller is not permitted to ${verb} ${where}` };
+    }
+    return { granted: true, reason: "Allowed by path/file grant", itemId: location.itemId };
+  }
+}
+
+module.exports = new AccessPolicyService();
@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const logger = require("../config/logger");
+
+/**
+ * Verifies inbound callers (API keys and/or bearer JWTs) and returns the
+ * identity attached to req.user. This is separate from azureAuth, which only
+ * obtains the app's own Graph token.
+ */
+class CallerAuthService {
+  constructor() {
+    this.keys = [];
+    this.jwtConfig = null;
+    this.required = false;
+    this.loadConfig();
+  }
+
+  loadConfig() {
+    this.keys = [...this.loadEnvKeys(), ...this.loadKeyFile()];
+
+    const secret = process.env.AUTH_JWT_SECRET;
+    const publicKey = process.env.AUTH_JWT_PUBLIC_KEY?.replace(/\\n/g, "\n");
+    if (secret || publicKey) {
+      this.jwtConfig = {
+        key: publicKey || secret,
+        algorithms: publicKey ? ["RS256", "ES256"] : ["HS256"],
+        issuer: process.env.AUTH_JWT_ISSUER || undefined,
+        audience: process.env.AUTH_JWT_AUDIENCE || undefined,
+        idClaim: process.env.AUTH_JWT_ID_CLAIM || "sub",
+      };
+    }
+
+    // Enforced as soon as any credential is configured; CALLER_AUTH_REQUIRED
+    // makes a deployment without credentials reject everything instead.
+    this.required =
+      process.env.CALLER_AUTH_REQUIRED === "true" ||
+      this.keys.length > 0 ||
+      !!this.jwtConfig;
+
+    if (!this.required) {
+      logger.warn(
+        "Caller authentication is disabled: no API_KEYS, API_KEYS_FILE or AUTH_JWT_* configured"
+      );
+    } else {
+      logger.info("Caller authentication enabled", {
+        apiKeys: this.keys.length,
+        jwt: !!this.jwtConfig,
+      });
+    }
+  }
+
+  // API_KEYS="callerId:key,otherId:otherKey"
+  loadEnvKeys() {
+    const raw = process.env.API_KEYS;
+    if (!raw) return [];
+    return raw
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const sep = entry.indexOf(":");
+        if (sep <= 0) {
+          logger.warn("Ignoring API_KEYS entry without a caller id prefix");
+          return null;
+        }
+        return this.toKeyEntry({
+          id: entry.slice(0, sep),
+          key: entry.slice(sep + 1),
+        });
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * API_KEYS_FILE points to JSON: { "keys": [{ "id", "name"?, "roles"?,
+   * "key" | "keyHash" (sha256 hex) }] }. A bare array is accepted too.
+   */
+  loadKeyFile() {
+    const file = process.env.API_KEYS_FILE;
+    if (!file) return [];
+    try {
+      const parsed = JSON.parse(
+        fs.readFileSync(path.resolve(process.cwd(), file), "utf8")
+      );
+      const entries = Array.isArray(parsed) ? parsed : parsed.keys || [];
+      return entries.map((e) => this.toKeyEntry(e)).filter(Boolean);
+    } catch (error) {
+      logger.error("Failed to load API_KEYS_FILE", { file, error: error.message });
+      return [];
+    }
+  }
+
+  toKeyEntry(entry) {
+    if (!entry || !entry.id || (!entry.key && !entry.keyHash)) {
+      logger.warn("Ignoring API key entry without id and key/keyHash");
+      return null;
+    }
+    return {
+      id: String(entry.id),
+      name: entry.name || String(entry.id),
+      roles: Array.isArray(entry.roles) ? entry.roles : [],
+      hash: Buffer.from(
+        entry.keyHash ? String(entry.keyHash).toLowerCase() : this.hashKey(entry.key),
+        "hex"
+      ),
+    };
+  }
+
+  hashKey(key) {
+    return crypto.createHash("sha256").update(String(key)).digest("hex");
+  }
+
+  isRequired() {
+    return this.required;
+  }
+
+  verifyApiKey(key) {
+    const candidate = Buffer.from(this.hashKey(key), "hex");
+    const match = this.keys.find(
+      (k) => k.hash.length === candidate.length && crypto.timingSafeEqual(k.hash, candidate)
+    );
+    if (!match) return null;
+    return { id: match.id, name: match.name, roles: match.roles, authType: "apiKey" };
+  }
+
+  verifyJwt(token) {
+    const { key, algorithms, issuer, audience, idClaim } = this.jwtConfig;
+    const claims = jwt.verify(token, key, { algorithms, issuer, audience });
+    const id = claims[idClaim] || claims.sub;
+    if (!id) {
+      throw new Error(`Token has no '${idClaim}' claim`);
+    }
+    const roles = Array.isArray(claims.roles)
+      ? claims.roles
+      : typeof claims.scp === "string"
+        ? claims.scp.split(" ")
+        : [];
+    return { id: String(id), name: claims.name || String(id), roles, authType: "jwt" };
+  }
+
+  /**
+   * Resolve the caller from request headers. Accepts X-API-Key, or an
+   * Authorization bearer that is either a JWT or an API key (GPT Actions
+   * send API keys as bearer tokens). Returns null when nothing matches.
+   */
+  authenticate(headers = {}) {
+    const apiKey = headers["x-api-key"];
+    if (apiKey && this.keys.length) {
+      return this.verifyApiKey(apiKey);
+    }
+
+    const auth = headers.authorization || "";
+    const match = auth.match(/^Bearer\s+(.+)$/i);
+    if (!match) return null;
+    const token = match[1].trim();
+
+    if (this.jwtConfig && token.split(".").length === 3) {
+      return this.verifyJwt(token);
+    }
+    return this.keys.length ? this.verifyApiKey(token) : null;
+  }
+}
+
+module.exports = new CallerAuthService();
@@ -1,8 +1,72 @@
 const azureAuth = require("./azureAuth");
+const callerAuth = require("./callerAuth");
+const accessPolicy = require("./accessPolicy");
+const auditService = require("../services/auditService");
+const graphRecorderService = require("../services/graphRecorderService");
+const { AppError } = require("../middleware/errorHandler");
 const logger = require("../config/logger");
+
+// Who an open deployment's callers are; unverified headers never name them
+const ANONYMOUS = Object.freeze({
+  id: "anonymous",
+  name: "anonymous",
+  roles: Object.freeze([]),
+  authType: "none",
+});
+
+/**
+ * Identify the caller from X-API-Key or Authorization: Bearer and set
+ * req.user. Open (the anonymous principal) when no caller credentials are
+ * configured.
+ */
+const authenticateCaller = (req, res, next) => {
+  if (!callerAuth.isRequired()) {
+    req.user = ANONYMOUS;
+    return next();
+  }
+
+  let user = null;
+  let reason = "Missing API key or bearer token";
+  try {
+    user = callerAuth.authenticate(req.headers);
+    if (!user && (req.headers["x-api-key"] || req.headers.authorization)) {
+      reason = "Invalid API key or bearer token";
+    }
+  } catch (error) {
+    reason = `Invalid bearer token: ${error.message}`;
+  }
+
+  if (!user) {
+    auditService.logAuthEvent({
+      event: "CALLER_AUTH_FAILED",
+      success: false,
+      error: reason,
+      requestId: req.id || req.headers["x-request-id"],
+      ipAddress: req.ip,
+    });
+    logger.warn("Caller authentication failed", {
+      url: req.originalUrl,
+      ip: req.ip,
+      reason,
+    });
+    res.set("WWW-Authenticate", 'Bearer realm="excel-middleware"');
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: reason,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  req.user = user;
+  next();
+};
+
 const ensureAuthenticated = async (req, res, next) => {
   try {
-    const token = await azureAuth.getAccessToken();
+    // Replayed Graph calls are answered from a recording; no token needed
+    const token = graphRecorderService.replaying
+      ? "replay"
+      : await azureAuth.getAccessToken();
     req.accessToken = token;
     req.tokenInfo = azureAuth.getTokenInfo();
     logger.debug("Request authenticated successfully");
@@ -23,13 +87,68 @@ const logAuthenticatedRequest = (req, res, next) => {
       method: req.method,
       url: req.originalUrl,
       ip: req.ip,
+      caller: req.user?.id,
       tokenValid: req.tokenInfo?.isValid || false,
     });
   }
   next();
 };
 
+// Default target: the names-only fields most routes take, from body or query
+const requestTarget = (req) => [{ ...(req.query || {}), ...(req.body || {}) }];
+
+/**
+ * Enforce the access policy for a verb. getTargets(req) returns (or
+ * resolves to) the { driveName, itemName, itemPath, ... } objects the request touches;
+ * every target must be allowed. Decisions go to the audit log.
+ */
+const authorize = (verb, getTargets = requestTarget) => {
+  return async (req, res, next) => {
+    if (!accessPolicy.isEnabled()) return next();
+
+    try {
+      const targets = await getTargets(req);
+      for (const target of targets.length ? targets : [{}]) {
+        const decision = await accessPolicy.evaluate(
+          req.user,
+          target.verb || verb,
+          target,
+          req.accessToken
+        );
+        auditService.logPermissionCheck({
+          user: req.user?.id || "anonymous",
+          workbookId: decision.itemId || target.itemId,
+          worksheetId: target.sheetName || target.worksheetName,
+          range: target.range,
+          resource: [target.driveName, target.itemPath || target.folderPath || target.itemName || target.fileName]
+            .filter(Boolean)
+            .join(":"),
+          requestedPermission: target.verb || verb,
+          granted: decision.granted,
+          reason: decision.reason,
+          requestId: req.id,
+          ipAddress: req.ip,
+        });
+        if (!decision.granted) {
+          logger.warn("Access denied by policy", {
+            caller: req.user?.id,
+            verb: target.verb || verb,
+            url: req.originalUrl,
+            reason: decision.reason,
+          });
+          return next(new AppError(`Access denied: ${decision.reason}`, 403));
+        }
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 module.exports = {
+  authenticateCaller,
+  authorize,
   ensureAuthenticated,
   logAuthenticatedRequest,
 };
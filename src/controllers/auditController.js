@@ -1,39 +1,106 @@
 const auditLogger = require('../middleware/auditLogger');
-const { catchAsync } = require('../middleware/errorHandler');
+const auditStore = require('../services/auditStore');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
 
-class AuditController {
-    getAuditLogs = catchAsync(async (req, res) => {
-        const {
-            user,
-            operation,
-            fileName,
-            startDate,
-            endDate,
-            success,
-            limit = 50
-        } = req.query;
+// Columns for CSV export; value matrices are embedded as JSON text
+const CSV_COLUMNS = [
+    'seq', 'id', 'timestamp', 'user', 'operation', 'requestId', 'fileName',
+    'driveId', 'itemId', 'workbookId', 'worksheetId', 'sheetName', 'range',
+    'tableName', 'table', 'before', 'after', 'outcome', 'statusCode',
+    'success', 'error', 'duration', 'ipAddress', 'userAgent',
+    'oldValues', 'newValues', 'changes', 'prevHash', 'hash'
+];
 
-        const filters = {
+class AuditController {
+    buildFilters(query) {
+        const { user, operation, fileName, startDate, endDate, success } = query;
+        return {
             user,
             operation,
             fileName,
             startDate,
             endDate,
-            success: success !== undefined ? success === 'true' : undefined,
-            limit: Math.min(parseInt(limit) || 50, 100) // Max 100 entries
+            success: success !== undefined ? success === true || success === 'true' : undefined
         };
+    }
+
+    // List view leaves out the value matrices and per-cell changes; GET /audit/:id has them
+    summarize(entry) {
+        const { oldValues, oldFormulas, newValues, changes, ...rest } = entry;
+        return rest;
+    }
 
-        const entries = await auditLogger.getAuditEntries(filters);
+    csvCell(value) {
+        if (value === null || value === undefined) return '';
+        let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        // Spreadsheets run text starting with = + - @ or a tab as a formula; a leading ' keeps it text
+        if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    getAuditLogs = catchAsync(async (req, res) => {
+        const { limit = 50, cursor } = req.query;
+        const filters = this.buildFilters(req.query);
+
+        const page = await auditLogger.getAuditPage({ ...filters, limit, cursor });
+        if (!page) {
+            throw new AppError('Invalid cursor', 400);
+        }
 
         res.json({
             status: 'success',
             data: {
-                entries,
-                count: entries.length,
-                filters: filters
+                entries: page.entries.map((entry) => this.summarize(entry)),
+                count: page.entries.length,
+                total: page.total,
+                nextCursor: page.nextCursor,
+                filters: { ...filters, limit: parseInt(limit) }
             }
         });
     });
+
+    getAuditEntry = catchAsync(async (req, res) => {
+        const entry = await auditLogger.getAuditEntry(req.params.id);
+        if (!entry) {
+            throw new AppError(`Audit entry '${req.params.id}' not found`, 404);
+        }
+
+        res.json({
+            status: 'success',
+            data: entry
+        });
+    });
+
+    verifyAuditChain = catchAsync(async (req, res) => {
+        const result = await auditStore.verify();
+
+        res.json({
+            status: 'success',
+            data: result
+        });
+    });
+
+    exportAuditLogs = catchAsync(async (req, res) => {
+        const { format = 'jsonl' } = req.query;
+        const entries = await auditLogger.getAuditEntries(this.buildFilters(req.query));
+        const stamp = new Date().toISOString().slice(0, 10);
+
+        if (format === 'csv') {
+            const lines = [CSV_COLUMNS.join(',')];
+            entries.forEach((entry) => {
+                lines.push(CSV_COLUMNS.map((col) => this.csvCell(entry[col])).join(','));
+            });
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="audit-${stamp}.csv"`);
+            return res.send(lines.join('\r\n') + '\r\n');
+        }
+
+        res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="audit-${stamp}.jsonl"`);
+        res.send(entries.map((entry) => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : ''));
+    });
 }
 
 module.exports = new AuditController();
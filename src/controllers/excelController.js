@@ -1,7 +1,15 @@
 const excelService = require("../services/excelService");
+const recordService = require("../services/recordService");
+const rangeFormatService = require("../services/rangeFormatService");
+const typedValueService = require("../services/typedValueService");
+const rangeTextService = require("../services/rangeTextService");
+const readBudgetService = require("../services/readBudgetService");
+const describeService = require("../services/describeService");
+const batchService = require("../services/batchService");
 const resolverService = require("../services/resolverService");
 const nameResolutionMixin = require("../middleware/nameResolutionMixin");
 const auditService = require("../services/auditService");
+const auditLogger = require("../middleware/auditLogger");
 const logger = require("../config/logger");
 const { catchAsync } = require("../middleware/errorHandler");
 const { AppError } = require("../middleware/errorHandler");
@@ -54,7 +62,41 @@ class ExcelController {
       auditContext,
     });
 
-    res.json({ status: 'success', data: result, resolution: nameResolutionMixin.getResolutionSummary(resolution) });
+    const { oldValues, oldFormulas, address, ...data } = result;
+    auditLogger.annotate(req, {
+      driveId: resolution.driveId,
+      itemId: resolution.itemId,
+      worksheetId: result.worksheetId,
+      range: address || result.range,
+      oldValues,
+      oldFormulas,
+    });
+
+    res.json({ status: 'success', data, resolution: nameResolutionMixin.getResolutionSummary(resolution) });
+  });
+
+  // Compute formulas against hypothetical inputs without saving anything
+  whatIf = catchAsync(async (req, res) => {
+    const auditContext = auditService.createAuditContext(req);
+    const nameParams = nameResolutionMixin.extractNameParams(req);
+    nameResolutionMixin.validateNameInput(nameParams);
+
+    const resolution = await nameResolutionMixin.resolveNames(req, nameParams);
+    if (!resolution.itemId) {
+      throw new AppError("Could not resolve file. Please check the file name and path.", 404);
+    }
+
+    const data = await excelService.whatIf({
+      accessToken: req.accessToken,
+      driveId: resolution.driveId,
+      itemId: resolution.itemId,
+      sheetName: req.body.sheetName,
+      changes: req.body.changes,
+      reads: req.body.read,
+      auditContext,
+    });
+
+    res.json({ status: "success", data, resolution: nameResolutionMixin.getResolutionSummary(resolution) });
   });
 
   getWorksheets = catchAsync(async (req, res) => {
@@ -118,8 +160,12 @@ class ExcelController {
     const findReplaceService = require("../services/findReplaceService");
 
     try {
-      // Resolve names to IDs with backward compatibility
-      const resolution = await nameResolutionMixin.resolveNames(req, nameParams);
+      // Resolve names to IDs with backward compatibility. The sheet is matched
+      // below, so an unknown name gets the candidate list rather than a 404.
+      const resolution = await nameResolutionMixin.resolveNames(req, {
+        ...nameParams,
+        sheetName: undefined,
+      });
 
       if (!resolution.itemId) {
         throw new AppError(
@@ -138,10 +184,16 @@ class ExcelController {
       const explicitProjection = req.body.projection;
       const includeFormulas = req.body.includeFormulas === true;
       const includeText = req.body.includeText === true;
-      const includeFormats = req.body.includeFormats === true; // reserved for future use
+      const includeFormats = req.body.includeFormats === true;
+      const typed = req.body.typed === true;
       const valuesOnly = req.body.valuesOnly !== false; // default true
       const summary = req.body.summary === true;
       const paginate = req.body.paginate || {};
+      const limits = { maxCells: req.body.maxCells, maxBytes: req.body.maxBytes };
+      const continuation = req.body.continuationToken
+        ? readBudgetService.decodeToken(req.body.continuationToken)
+        : null;
+      const budgeted = limits.maxCells !== undefined || limits.maxBytes !== undefined || !!continuation;
 
       // Extract range parts if provided like Sheet1!A1:D10
       const rawRange = req.body.range;
@@ -157,8 +209,11 @@ class ExcelController {
         req.body.worksheetName || req.body.sheetName || parsedSheetFromRange || resolution.sheetName;
 
       // Backward compatibility: if request has sheet + range and no mode/projection → behave as before
-      const isLegacyRange =
-        !!(requestedSheetName && rawRange && !explicitMode && !explicitProjection);
+      // (flags the legacy response has no room for opt into the range mode instead)
+      const isLegacyRange = !!(
+        requestedSheetName && rawRange && !explicitMode && !explicitProjection &&
+        !includeFormats && !typed && !budgeted
+      );
       if (isLegacyRange) {
         let resolvedWorksheetId = resolution.sheetId;
         if (!resolvedWorksheetId && requestedSheetName) {
@@ -194,16 +249,19 @@ class ExcelController {
       }
 
       // Determine effective mode and projection
-      let mode = explicitMode;
+      let mode = explicitMode || continuation?.mode;
       if (!mode) {
         mode = rawRange ? "range" : requestedSheetName ? "sheet" : "workbook";
       }
       const projection = explicitProjection || "matrix";
+      if (continuation && continuation.mode !== mode) {
+        throw new AppError(`continuationToken was issued for mode '${continuation.mode}', not '${mode}'`, 400);
+      }
 
       const graphClient = excelService.createGraphClient(req.accessToken);
 
       // Utility: sheet map with normalization and 409 candidates if not found
-      const ensureWorksheet = async () => {
+      const ensureWorksheet = async (sheetName = requestedSheetName) => {
         const { byName, byId } = await findReplaceService.getWorksheetsMap(
           graphClient,
           resolution.driveId,
@@ -215,10 +273,10 @@ class ExcelController {
           normToActual.set(normalizeSheetName(name), name);
         }
         const candidates = Array.from(byName.keys());
-        if (!requestedSheetName) {
+        if (!sheetName) {
           return { worksheetId: null, worksheetName: candidates[0] || null, maps: { byName, byId } };
         }
-        const actual = normToActual.get(normalizeSheetName(requestedSheetName));
+        const actual = normToActual.get(normalizeSheetName(sheetName));
         if (!actual) {
           // 409 with candidates array
           return res.status(409).json({
@@ -230,17 +288,38 @@ class ExcelController {
       };
 
       // Utility: read a range from a sheet (sheet-scoped)
-      const readSheetRange = async (worksheetId, address) => {
+      const sheetRangeUrl = (worksheetId, address) => {
         // If caller passed a sheet-qualified address while we have worksheetId, strip the prefix
         const addr = typeof address === "string" ? resolverService.parseSheetAndAddress(address).address : undefined;
+        return addr
+          ? `/drives/${resolution.driveId}/items/${resolution.itemId}/workbook/worksheets('${worksheetId}')/range(address='${addr}')`
+          : `/drives/${resolution.driveId}/items/${resolution.itemId}/workbook/worksheets/${worksheetId}/usedRange(valuesOnly=${valuesOnly})`;
+      };
+
+      const readSheetRange = async (worksheetId, address) => {
         const select = ["address", "values"]; // always need values
         if (includeFormulas) select.push("formulas");
-        if (includeText) select.push("text");
+        if (includeText || typed) select.push("text");
+        const withFormats = includeFormats && (projection === "matrix" || projection === "cells");
+        if (withFormats || typed) select.push("numberFormat");
+        if (typed) select.push("valueTypes");
         const qs = select.length ? `?$select=${select.join(",")}` : "";
-        const url = addr
-          ? `/drives/${resolution.driveId}/items/${resolution.itemId}/workbook/worksheets('${worksheetId}')/range(address='${addr}')${qs}`
-          : `/drives/${resolution.driveId}/items/${resolution.itemId}/workbook/worksheets/${worksheetId}/usedRange(valuesOnly=${valuesOnly})${qs}`;
-        return await graphClient.api(url).get();
+        const resp = await graphClient.api(`${sheetRangeUrl(worksheetId, address)}${qs}`).get();
+        if (typed) {
+          // Every projection reads values, so typing them here covers all of them
+          resp.values = typedValueService.typeMatrix(resp);
+        }
+        if (withFormats) {
+          // Fonts, fills, alignment and merges are looked up per range, not per cell
+          resp.formatInfo = await rangeFormatService.readFormats(graphClient, {
+            driveId: resolution.driveId,
+            itemId: resolution.itemId,
+            worksheetId,
+            address: resp.address,
+            numberFormat: resp.numberFormat,
+          });
+        }
+        return resp;
       };
 
       // Build projections
@@ -251,6 +330,11 @@ class ExcelController {
         };
         if (includeFormulas) out.formulas = resp.formulas || [];
         if (includeText) out.text = resp.text || [];
+        if (resp.formatInfo) {
+          out.formats = resp.formatInfo.formats;
+          out.mergedAreas = resp.formatInfo.mergedAreas;
+          out.formatsComplete = resp.formatInfo.complete;
+        }
         return out;
       };
 
@@ -277,6 +361,10 @@ class ExcelController {
             } else {
               cell.text = null;
             }
+            if (resp.formatInfo) {
+              const { numberFormat, font, fill, alignment, mergedArea } = resp.formatInfo.formats[r]?.[c] || {};
+              Object.assign(cell, { numberFormat, font, fill, alignment, mergedArea });
+            }
             cells.push(cell);
           }
         }
@@ -286,35 +374,23 @@ class ExcelController {
         const slice = cells.slice(offset, offset + pageSize);
         const nextOffset = offset + pageSize;
         const hasMore = nextOffset < cells.length;
-        return { cells: slice, page: { hasMore, nextPageToken: hasMore ? String(nextOffset) : null } };
+        const out = { cells: slice, page: { hasMore, nextPageToken: hasMore ? String(nextOffset) : null } };
+        if (resp.formatInfo) {
+          out.mergedAreas = resp.formatInfo.mergedAreas;
+          out.formatsComplete = resp.formatInfo.complete;
+        }
+        return out;
       };
 
       const buildRecords = (resp) => {
         const values = (resp.values || []).slice();
         if (!values.length) return { records: [] };
-        // Find first non-empty row as header
-        let header = [];
-        let startIdx = 0;
-        for (let i = 0; i < values.length; i++) {
-          const row = values[i] || [];
-          const any = row.some((v) => v !== null && v !== undefined && String(v).trim() !== "");
-          if (any) {
-            header = row.map((k) => String(k || "").replace(/\s+/g, " ").trim());
-            startIdx = i + 1;
-            break;
-          }
-        }
-        const records = [];
-        for (let i = startIdx; i < values.length; i++) {
-          const row = values[i] || [];
-          const obj = {};
-          for (let j = 0; j < header.length; j++) {
-            const key = header[j] || `col_${j + 1}`;
-            obj[key] = row[j];
-          }
-          records.push(obj);
-        }
-        return { records };
+        // First non-empty row is the header (shared with record writes)
+        const headerIdx = recordService.findHeaderRow(values);
+        if (headerIdx === -1) return { records: [] };
+        return {
+          records: recordService.toRecords(values[headerIdx], values.slice(headerIdx + 1)),
+        };
       };
 
       const buildKv = (resp) => {
@@ -348,6 +424,171 @@ class ExcelController {
         return { kv };
       };
 
+      const buildColumns = (resp) => {
+        const values = resp.values || [];
+        const headerIdx = recordService.findHeaderRow(values);
+        if (headerIdx === -1) return { columns: {}, rowCount: 0 };
+        const rows = values.slice(headerIdx + 1);
+        return { columns: recordService.toColumns(values[headerIdx], rows), rowCount: rows.length };
+      };
+
+      const buildMarkdown = (resp) => {
+        const start = findReplaceService._parseStartFromAddress(resp.address);
+        return { markdown: rangeTextService.markdown(resp.values || [], start.startColIndex || 1) };
+      };
+
+      const buildCsv = (resp) => ({ csv: rangeTextService.csv(resp.values || []) });
+
+      const builders = {
+        matrix: buildMatrix,
+        cells: buildCells,
+        records: buildRecords,
+        kv: buildKv,
+        columns: buildColumns,
+        markdown: buildMarkdown,
+        csv: buildCsv,
+      };
+
+      // A single sheet or range read as csv can come back as the CSV itself
+      const sendCsv = (payload) => {
+        if (projection !== "csv" || req.accepts(["application/json", "text/csv"]) !== "text/csv") return false;
+        res.set("Content-Type", "text/csv; charset=utf-8");
+        if (payload.continuationToken) res.set("X-Continuation-Token", payload.continuationToken);
+        res.send(payload.csv);
+        return true;
+      };
+
+      // Projections keyed by a header row carry it into every continuation block
+      const headerBased = ["records", "columns", "markdown"].includes(projection);
+      const headerRowOf = (values) =>
+        projection === "markdown" ? rangeTextService.detectHeader(values) : recordService.findHeaderRow(values);
+
+      /**
+       * Read the next block of one sheet within the remaining budget.
+       * position: { range, row, header } of a continuation (range null to
+       * start the sheet or the requested range afresh). Returns the payload
+       * (null when not even one row fits and atLeastOne is off), the cells
+       * and bytes spent, and the position to resume at (null when done).
+       */
+      const readBlock = async (worksheetId, sheetName, position, budget, atLeastOne) => {
+        const resuming = !!position?.range;
+        let fullRange = position?.range;
+        if (!resuming) {
+          const located = await graphClient
+            .api(`${sheetRangeUrl(worksheetId, position?.address)}?$select=address`)
+            .get();
+          fullRange = String(located.address).split("!").pop();
+        }
+        const full = rangeFormatService.bounds(fullRange);
+        // Only the rows the budget can hold are read (and formatted), not the rest of the sheet
+        const startRow = resuming ? position.row : full.r1;
+        const windowRows = readBudgetService.windowRows(budget, full.c2 - full.c1 + 1);
+        const resp = await readSheetRange(
+          worksheetId,
+          readBudgetService.rowsAddress(fullRange, startRow, Math.min(full.r2, startRow + windowRows - 1))
+        );
+
+        let headerRow = resuming ? position.header : null;
+        let header = null;
+        if (headerBased && !resuming) {
+          const idx = headerRowOf(resp.values || []);
+          headerRow = idx === -1 ? null : startRow + idx;
+        } else if (headerBased && headerRow !== null && headerRow < startRow) {
+          header = await readSheetRange(worksheetId, readBudgetService.rowsAddress(fullRange, headerRow, headerRow));
+        }
+
+        const build = (block) => ({ sheet: sheetName, usedRange: block.address, ...builders[projection](block) });
+        const fitted = readBudgetService.fit(resp, build, budget, { header, atLeastOne });
+        const nextRow = startRow + fitted.rows;
+        const next = nextRow <= full.r2 ? { range: fullRange, row: nextRow, header: headerRow } : null;
+        const payload = fitted.payload && {
+          ...fitted.payload,
+          totalRows: full.r2 - full.r1 + 1,
+          totalColumns: full.c2 - full.c1 + 1,
+          truncated: !!next,
+        };
+        return { payload, cells: fitted.cells, bytes: fitted.bytes, next };
+      };
+
+      const tokenFor = (sheet, next) =>
+        readBudgetService.encodeToken({ mode, sheet, range: next.range, row: next.row, header: next.header });
+
+      if (budgeted && mode === "workbook") {
+        const { byName } = await findReplaceService.getWorksheetsMap(
+          graphClient,
+          resolution.driveId,
+          resolution.itemId
+        );
+        const names = Array.from(byName.keys());
+        const first = continuation ? names.indexOf(continuation.sheet) : 0;
+        if (first === -1) {
+          throw new AppError(`continuationToken refers to worksheet '${continuation.sheet}', which no longer exists`, 400);
+        }
+        // Workbook budgets are shared by the sheets in order
+        const remaining = { ...limits };
+        const spent = () =>
+          (remaining.maxCells !== undefined && remaining.maxCells <= 0) ||
+          (remaining.maxBytes !== undefined && remaining.maxBytes <= 0);
+        const sheets = [];
+        const workbookSummary = [];
+        let continuationToken = null;
+        for (let i = first; i < names.length; i++) {
+          const position = i === first && continuation ? continuation : null;
+          if (spent()) {
+            continuationToken = tokenFor(names[i], position || { range: null, row: 0, header: null });
+            break;
+          }
+          const block = await readBlock(byName.get(names[i]), names[i], position, remaining, !sheets.length);
+          if (block.payload) {
+            sheets.push(block.payload);
+            if (summary) {
+              workbookSummary.push({
+                sheet: names[i],
+                usedRange: block.payload.usedRange,
+                rows: block.payload.totalRows,
+                cols: block.payload.totalColumns,
+              });
+            }
+          }
+          if (remaining.maxCells !== undefined) remaining.maxCells -= block.cells;
+          if (remaining.maxBytes !== undefined) remaining.maxBytes -= block.bytes;
+          if (!block.payload) {
+            continuationToken = tokenFor(names[i], position || { range: null, row: 0, header: null });
+            break;
+          }
+          if (block.next) {
+            continuationToken = tokenFor(names[i], block.next);
+            break;
+          }
+        }
+        return res.json({
+          status: "success",
+          data: {
+            workbookSummary: summary ? workbookSummary : undefined,
+            sheets,
+            truncated: !!continuationToken,
+            continuationToken,
+          },
+        });
+      }
+
+      if (budgeted) {
+        const ensured = await ensureWorksheet(continuation ? continuation.sheet : requestedSheetName);
+        if (!ensured || ensured.status) return; // 409 already sent
+        const position = continuation || { range: null, address: mode === "range" ? addressFromRange : undefined };
+        const block = await readBlock(ensured.worksheetId, ensured.worksheetName, position, limits, true);
+        const payload = {
+          ...block.payload,
+          continuationToken: block.next ? tokenFor(ensured.worksheetName, block.next) : null,
+        };
+        if (sendCsv(payload)) return;
+        if (summary) {
+          payload.rows = payload.totalRows;
+          payload.cols = payload.totalColumns;
+        }
+        return res.json({ status: "success", data: payload });
+      }
+
       // Execute per mode
       if (mode === "workbook") {
         const { byName } = await findReplaceService.getWorksheetsMap(
@@ -365,12 +606,7 @@ class ExcelController {
             const cols = rows > 0 ? Math.max(...resp.values.map((r) => (r || []).length)) : 0;
             workbookSummary.push({ sheet: sheetActualName, usedRange: resp.address, rows, cols });
           }
-          if (projection === "matrix") sheets.push({ sheet: sheetActualName, usedRange: resp.address, ...buildMatrix(resp) });
-          else if (projection === "cells") {
-            const c = buildCells(resp);
-            sheets.push({ sheet: sheetActualName, usedRange: resp.address, ...c });
-          } else if (projection === "records") sheets.push({ sheet: sheetActualName, usedRange: resp.address, ...buildRecords(resp) });
-          else if (projection === "kv") sheets.push({ sheet: sheetActualName, usedRange: resp.address, ...buildKv(resp) });
+          sheets.push({ ...base, ...builders[projection](resp) });
         }
         return res.json({ status: "success", data: { workbookSummary: summary ? workbookSummary : undefined, sheets } });
       }
@@ -380,11 +616,8 @@ class ExcelController {
         if (!ensured || ensured.status) return; // response already sent (409)
         const resp = await readSheetRange(ensured.worksheetId, undefined);
         const base = { sheet: ensured.worksheetName, usedRange: resp.address };
-        let payload;
-        if (projection === "matrix") payload = { ...base, ...buildMatrix(resp) };
-        else if (projection === "cells") payload = { ...base, ...buildCells(resp) };
-        else if (projection === "records") payload = { ...base, ...buildRecords(resp) };
-        else if (projection === "kv") payload = { ...base, ...buildKv(resp) };
+        const payload = { ...base, ...builders[projection](resp) };
+        if (sendCsv(payload)) return;
         if (summary) {
           const rows = Array.isArray(resp.values) ? resp.values.length : 0;
           const cols = rows > 0 ? Math.max(...resp.values.map((r) => (r || []).length)) : 0;
@@ -400,11 +633,8 @@ class ExcelController {
         if (!ensured || ensured.status) return; // 409 already sent
         const resp = await readSheetRange(ensured.worksheetId, addressFromRange);
         const base = { sheet: ensured.worksheetName, usedRange: resp.address };
-        let payload;
-        if (projection === "matrix") payload = { ...base, ...buildMatrix(resp) };
-        else if (projection === "cells") payload = { ...base, ...buildCells(resp) };
-        else if (projection === "records") payload = { ...base, ...buildRecords(resp) };
-        else if (projection === "kv") payload = { ...base, ...buildKv(resp) };
+        const payload = { ...base, ...builders[projection](resp) };
+        if (sendCsv(payload)) return;
         if (summary) {
           const rows = Array.isArray(resp.values) ? resp.values.length : 0;
           const cols = rows > 0 ? Math.max(...resp.values.map((r) => (r || []).length)) : 0;
@@ -421,11 +651,133 @@ class ExcelController {
     }
   });
 
+  /**
+   * Header row and column profile of a table, range, sheet or every sheet
+   */
+  describe = catchAsync(async (req, res) => {
+    const nameParams = nameResolutionMixin.extractNameParams(req);
+    nameResolutionMixin.validateNameInput(nameParams);
+    const findReplaceService = require("../services/findReplaceService");
+    const normalizeSheetName = (s = "") =>
+      String(s)
+        .replace(/\s+/g, " ")
+        .replace(/\.+$/, "")
+        .trim()
+        .toLowerCase();
+
+    try {
+      const resolution = await nameResolutionMixin.resolveNames(req, {
+        ...nameParams,
+        sheetName: undefined,
+      });
+      if (!resolution.itemId) {
+        throw new AppError(
+          "Could not resolve file. Please check the file name and path.",
+          404
+        );
+      }
+      nameResolutionMixin.logNameResolution(resolution, "DESCRIBE", {
+        range: req.body.range,
+        tableName: req.body.tableName,
+        worksheetName: req.body.worksheetName || req.body.sheetName,
+      });
+
+      const sampleRows = req.body.sampleRows || 500;
+      const examples = req.body.examples ?? 3;
+      const { sheetName: sheetFromRange, address } = req.body.range
+        ? resolverService.parseSheetAndAddress(req.body.range)
+        : {};
+      const requestedSheetName =
+        req.body.worksheetName || req.body.sheetName || sheetFromRange || resolution.sheetName;
+      const mode =
+        req.body.mode ||
+        (req.body.tableName ? "table" : req.body.range ? "range" : requestedSheetName ? "sheet" : "workbook");
+      if (mode === "table" && !req.body.tableName) throw new AppError("mode 'table' requires tableName", 400);
+      if (mode === "range" && !req.body.range) throw new AppError("mode 'range' requires range", 400);
+
+      const graphClient = excelService.createGraphClient(req.accessToken);
+      const workbook = `/drives/${resolution.driveId}/items/${resolution.itemId}/workbook`;
+      const select = "$select=address,values,text,numberFormat,valueTypes";
+
+      // Only the top sampleRows rows below the header are profiled; rowCount covers them all
+      const profile = (resp, options = {}) => {
+        const rows = resp.values || [];
+        const sampled = rows.length > sampleRows + 1 ? readBudgetService.sliceRows(resp, 0, sampleRows + 1) : resp;
+        return describeService.describeBlock(typedValueService.typeMatrix(sampled), resp.address, {
+          totalRows: rows.length,
+          examples,
+          ...options,
+        });
+      };
+
+      // Reads only the sampled rows of a sheet's used range
+      const describeSheet = async (sheetName, worksheetId) => {
+        const sheetPath = `${workbook}/worksheets/${worksheetId}`;
+        const used = await graphClient.api(`${sheetPath}/usedRange(valuesOnly=true)?$select=address`).get();
+        const box = rangeFormatService.bounds(used.address);
+        const top = readBudgetService.rowsAddress(used.address, box.r1, Math.min(box.r2, box.r1 + sampleRows));
+        const resp = await graphClient.api(`${sheetPath}/range(address='${top}')?${select}`).get();
+        return {
+          sheet: sheetName,
+          usedRange: used.address,
+          ...profile(resp, { totalRows: box.r2 - box.r1 + 1 }),
+        };
+      };
+
+      if (mode === "table") {
+        const resp = await graphClient
+          .api(`${workbook}/tables/${encodeURIComponent(req.body.tableName)}/range?${select}`)
+          .get();
+        return res.json({
+          status: "success",
+          data: { table: req.body.tableName, address: resp.address, ...profile(resp, { headerIndex: 0 }) },
+        });
+      }
+
+      const { byName } = await findReplaceService.getWorksheetsMap(
+        graphClient,
+        resolution.driveId,
+        resolution.itemId
+      );
+      if (mode === "workbook") {
+        const sheets = [];
+        for (const [sheetName, worksheetId] of byName.entries()) {
+          sheets.push(await describeSheet(sheetName, worksheetId));
+        }
+        return res.json({ status: "success", data: { sheets } });
+      }
+
+      const candidates = Array.from(byName.keys());
+      const actual = requestedSheetName
+        ? candidates.find((name) => normalizeSheetName(name) === normalizeSheetName(requestedSheetName))
+        : candidates[0];
+      if (!actual) {
+        return res.status(409).json({ status: "multiple_matches", data: { candidates } });
+      }
+      if (mode === "sheet") {
+        return res.json({ status: "success", data: await describeSheet(actual, byName.get(actual)) });
+      }
+
+      const resp = await graphClient
+        .api(`${workbook}/worksheets/${byName.get(actual)}/range(address='${address}')?${select}`)
+        .get();
+      return res.json({
+        status: "success",
+        data: { sheet: actual, address: resp.address, ...profile(resp) },
+      });
+    } catch (err) {
+      if (err.isMultipleMatches) {
+        return nameResolutionMixin.handleMultipleMatches(res, err, "file");
+      }
+      throw err;
+    }
+  });
+
   /**
    * Write data to Excel range
    */
   writeRange = catchAsync(async (req, res) => {
-    const { driveName, itemName, itemPath, worksheetName, range, values } =
+    const { driveName, itemName, itemPath, worksheetName, range, values, mode } =
       req.body;
     const auditContext = auditService.createAuditContext(req);
 
@@ -457,7 +809,8 @@ class ExcelController {
     // Resolve worksheet and address
     const { sheetName, address } = resolverService.parseSheetAndAddress(range);
     let resolvedWorksheetId = null;
-    const effectiveWorksheetName = worksheetName || sheetName;
+    const effectiveWorksheetName =
+      worksheetName || req.body.sheetName || sheetName;
     if (effectiveWorksheetName) {
       resolvedWorksheetId = await resolverService.resolveWorksheetIdByName(
         req.accessToken,
@@ -467,6 +820,36 @@ class ExcelController {
       );
     }
 
+    // Records are mapped onto the header row of the sheet, range or table;
+    // upsert matches existing rows by keyColumn, append adds new rows.
+    if (req.body.records) {
+      const recordParams = {
+        accessToken: req.accessToken,
+        driveId: resolvedDriveId,
+        itemId: resolvedItemId,
+        worksheetId: resolvedWorksheetId,
+        range: address,
+        tableName: req.body.tableName,
+        records: req.body.records,
+        unknownColumns: req.body.unknownColumns,
+        auditContext,
+      };
+      const result =
+        mode === "upsert"
+          ? await recordService.upsertRecords({ ...recordParams, keyColumn: req.body.keyColumn })
+          : await recordService.appendRecords(recordParams);
+      // Upserts report each row they patched with its before/after values
+      const { writes, ...summary } = result;
+      auditLogger.annotate(req, {
+        driveId: resolvedDriveId,
+        itemId: resolvedItemId,
+        worksheetId: resolvedWorksheetId,
+        range: summary.range,
+        changes: writes,
+      });
+      return res.json({ status: "success", data: { mode: mode || "append", ...summary } });
+    }
+
     const data = await excelService.writeRange({
       accessToken: req.accessToken,
       driveId: resolvedDriveId,
@@ -477,6 +860,16 @@ class ExcelController {
       auditContext,
     });
 
+    auditLogger.annotate(req, {
+      driveId: resolvedDriveId,
+      itemId: resolvedItemId,
+      worksheetId: data.worksheetId,
+      range: data.address,
+      oldValues: data.oldValues,
+      oldFormulas: data.oldFormulas,
+      newValues: values,
+    });
+
     res.json({
       status: "success",
       data: {
@@ -490,8 +883,33 @@ class ExcelController {
     });
   });
 
+  // Before/after values of the cell changes a batch applied, for its audit entry
+  batchWriteChanges(results) {
+    return results.flatMap((r) => {
+      switch (r.operation) {
+        case "write_range":
+        case "clear":
+          return [
+            {
+              index: r.index,
+              worksheetId: r.data.worksheetId,
+              range: r.data.address,
+              oldValues: r.data.oldValues,
+              oldFormulas: r.data.oldFormulas,
+              newValues: r.operation === "clear" ? null : r.data.values,
+            },
+          ];
+        case "findReplace":
+          return r.data.changes.map((c) => ({ index: r.index, ...c }));
+        default:
+          return [];
+      }
+    });
+  }
+
   /**
-   * Batch operations - perform multiple Excel operations in sequence
+   * Batch operations - perform multiple Excel operations in sequence.
+   * With atomic: true the batch either fully commits or is rolled back.
    */
   batchOperations = catchAsync(async (req, res) => {
     const { operations } = req.body;
@@ -505,121 +923,49 @@ class ExcelController {
       });
     }
 
-    const results = [];
-    const errors = [];
-
-    for (let i = 0; i < operations.length; i++) {
-      const operation = operations[i];
-
-      try {
-        let result;
-        // Resolve names-only per operation
-        const opDriveName = operation.driveName;
-        const opItemName = operation.itemName;
-        const opItemPath = operation.itemPath;
-        const opWorksheetName = operation.worksheetName || operation.sheetName;
-        const opRange = operation.range;
-
-        if (!opDriveName || !opItemName) {
-          throw new AppError(
-            `Operation ${i} must include driveName and itemName`,
-            400
-          );
-        }
-        const opDriveId = await resolverService.resolveDriveIdByName(
-          req.accessToken,
-          opDriveName
-        );
-        let opItemId;
-        try {
-          opItemId = await resolverService.resolveItemIdByName(
-            req.accessToken,
-            opDriveId,
-            opItemName
-          );
-        } catch (err) {
-          if (err.isMultipleMatches && opItemPath) {
-            opItemId = await resolverService.resolveItemIdByPath(
-              req.accessToken,
-              opDriveId,
-              opItemName,
-              opItemPath
-            );
-          } else {
-            throw err;
-          }
-        }
-        let opWorksheetId = null;
-        let opAddress = opRange;
-        if (opRange) {
-          const parsed = resolverService.parseSheetAndAddress(opRange);
-          opAddress = parsed.address;
-          if (parsed.sheetName) {
-            opWorksheetId = await resolverService.resolveWorksheetIdByName(
-              req.accessToken,
-              opDriveId,
-              opItemId,
-              parsed.sheetName
-            );
-          }
-        }
-        if (!opWorksheetId && opWorksheetName) {
-          opWorksheetId = await resolverService.resolveWorksheetIdByName(
-            req.accessToken,
-            opDriveId,
-            opItemId,
-            opWorksheetName
-          );
-        }
-
-        switch (operation.type) {
-          case "READ_range":
-            result = await excelService.readRange({
-              accessToken: req.accessToken,
-              driveId: opDriveId,
-              itemId: opItemId,
-              worksheetId: opWorksheetId,
-              range: opAddress,
-              auditContext,
-            });
-            break;
-
-          case "write_range":
-            result = await excelService.writeRange({
-              accessToken: req.accessToken,
-              driveId: opDriveId,
-              itemId: opItemId,
-              worksheetId: opWorksheetId,
-              range: opAddress,
-              values: operation.values,
-              auditContext,
-            });
-            break;
+    // All-or-nothing: preflight everything, snapshot, apply, restore on failure
+    if (req.body.atomic === true) {
+      const outcome = await batchService.runAtomic({
+        accessToken: req.accessToken,
+        operations,
+        auditContext,
+      });
+      auditLogger.annotate(req, {
+        outcome: outcome.transaction === "committed" ? undefined : outcome.transaction,
+        changes: this.batchWriteChanges(outcome.results),
+      });
 
-          default:
-            throw new Error(`Unknown operation type: ${operation.type}`);
-        }
+      const committed = outcome.transaction === "committed";
+      const statusCode = committed
+        ? 200
+        : outcome.transaction === "rollback_failed"
+          ? 500
+          : outcome.statusCode >= 400 && outcome.statusCode < 500
+            ? outcome.statusCode
+            : 502;
+      return res.status(statusCode).json({
+        status: committed ? "success" : "error",
+        data: {
+          transaction: outcome.transaction,
+          results: outcome.results,
+          errors: outcome.failed ? [outcome.failed] : [],
+          rollback: outcome.rollback,
+          summary: {
+            total: operations.length,
+            successful: committed ? outcome.results.length : 0,
+            failed: committed ? 0 : operations.length,
+          },
+        },
+      });
+    }
 
-        results.push({
-          index: i,
-          operation: operation.type,
-          success: true,
-          data: result,
-        });
-      } catch (error) {
-        logger.error(`Batch operation ${i} failed:`, error);
-        errors.push({
-          index: i,
-          operation: operation.type,
-          error: error.message,
-        });
+    const { results, errors } = await batchService.run({
+      accessToken: req.accessToken,
+      operations,
+      auditContext,
+    });
 
-        // Continue with other operations unless it's a critical error
-        if (error.message.includes("Authentication")) {
-          break; // Stop if authentication fails
-        }
-      }
-    }
+    auditLogger.annotate(req, { changes: this.batchWriteChanges(results) });
 
     const response = {
       status: errors.length === 0 ? "success" : "partial_success",
@@ -783,6 +1129,7 @@ class ExcelController {
     if (!resolvedDriveId) {
       throw new AppError("driveId or driveName is required", 400);
     }
+    auditLogger.annotate(req, { driveId: resolvedDriveId });
 
     const graphClient = excelService.createGraphClient(req.accessToken);
 
@@ -797,6 +1144,13 @@ class ExcelController {
           "@microsoft.graph.conflictBehavior": "fail",
         });
 
+      auditLogger.annotate(req, {
+        itemId: resp.id,
+        fileName: resp.name,
+        before: null,
+        after: `${basePath}/${resp.name}`,
+      });
+
       auditService.logSystemEvent({
         event: "FILE_CREATED",
         details: {
@@ -885,6 +1239,7 @@ class ExcelController {
         400
       );
     }
+    auditLogger.annotate(req, { driveId: resolvedDriveId, itemId: resolvedItemId });
 
     const graphClient = excelService.createGraphClient(req.accessToken);
 
@@ -899,6 +1254,13 @@ class ExcelController {
         )
         .post(body);
 
+      auditLogger.annotate(req, {
+        worksheetId: resp.id,
+        sheetName: resp.name,
+        before: null,
+        after: resp.name,
+      });
+
       auditService.logSystemEvent({
         event: "SHEET_CREATED",
         details: {
@@ -986,6 +1348,7 @@ class ExcelController {
     if (!resolvedDriveId || !resolvedItemId) {
       throw new AppError("Unable to resolve file to delete", 400);
     }
+    auditLogger.annotate(req, { driveId: resolvedDriveId, itemId: resolvedItemId });
 
     const graphClient = excelService.createGraphClient(req.accessToken);
 
@@ -994,6 +1357,8 @@ class ExcelController {
         .api(`/drives/${resolvedDriveId}/items/${resolvedItemId}`)
         .delete();
 
+      auditLogger.annotate(req, { before: itemPath || itemName || resolvedItemId, after: null });
+
       auditService.logSystemEvent({
         event: "FILE_DELETED",
         details: {
@@ -1079,6 +1444,7 @@ class ExcelController {
     if (!resolvedDriveId || !resolvedItemId) {
       throw new AppError("Unable to resolve workbook for sheet deletion", 400);
     }
+    auditLogger.annotate(req, { driveId: resolvedDriveId, itemId: resolvedItemId });
 
     const graphClient = excelService.createGraphClient(req.accessToken);
 
@@ -1104,6 +1470,7 @@ class ExcelController {
         return res.status(409).json({ status: "multiple_matches", data: { candidates: Array.from(byName.keys()) } });
       }
       const targetWorksheetId = byName.get(targetActual);
+      auditLogger.annotate(req, { worksheetId: targetWorksheetId, sheetName: targetActual });
 
       // Create workbook session (persistChanges: true)
       const sess = await graphClient
@@ -1127,6 +1494,8 @@ class ExcelController {
         logger.warn("closeSession failed", { error: e.message });
       }
 
+      auditLogger.annotate(req, { before: targetActual, after: null });
+
       auditService.logSystemEvent({
         event: "SHEET_DELETED",
         details: { driveId: resolvedDriveId, itemId: resolvedItemId, sheetName: targetActual, requestedBy: auditContext.user },
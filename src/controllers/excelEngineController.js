@@ -1,6 +1,7 @@
 const excelEngineService = require('../services/excelEngineService');
 const resolverService = require('../services/resolverService');
 const auditService = require('../services/auditService');
+const auditLogger = require('../middleware/auditLogger');
 const logger = require('../config/logger');
 const { catchAsync } = require('../middleware/errorHandler');
 const { AppError } = require('../middleware/errorHandler');
@@ -76,6 +77,15 @@ class ExcelEngineController {
         auditContext
       );
 
+      auditLogger.annotate(req, {
+        driveId: resolvedDriveId,
+        itemId: resolvedItemId,
+        sheetName,
+        newValues: allOperations,
+        changes: result.results,
+        outcome: result.summary.failed > 0 ? 'partial' : undefined
+      });
+
       // Log the operation
       auditService.logSystemEvent({
         event: 'EXCEL_ENGINE_OPERATION_COMPLETED',
@@ -116,7 +126,9 @@ class ExcelEngineController {
       'highlight', 'backgroundColor', 'textStyle', 'font', 'borders',
       'resizeColumn', 'resizeRow', 'mergeCells', 'unmergeCells',
       'formula', 'conditionalFormatting', 'pivotTable', 'namedRange',
-      'dataValidation', 'sort', 'filter'
+      'dataValidation', 'sort', 'filter',
+      'createTable', 'renameTable', 'resizeTable', 'deleteTable',
+      'addTableColumn', 'renameTableColumn', 'deleteTableColumn', 'toggleTableTotals'
     ];
 
     operations.forEach((op, index) => {
@@ -180,6 +192,49 @@ class ExcelEngineController {
             throw new AppError(`Operation 'namedRange' at index ${index} requires 'name' and 'range' fields`, 400);
           }
           break;
+
+        case 'createTable':
+          if (!op.range) {
+            throw new AppError(`Operation 'createTable' at index ${index} requires 'range' field`, 400);
+          }
+          break;
+
+        case 'renameTable':
+          if (!op.tableName || !op.newName) {
+            throw new AppError(`Operation 'renameTable' at index ${index} requires 'tableName' and 'newName' fields`, 400);
+          }
+          break;
+
+        case 'resizeTable':
+          if (!op.tableName || !op.range) {
+            throw new AppError(`Operation 'resizeTable' at index ${index} requires 'tableName' and 'range' fields`, 400);
+          }
+          break;
+
+        case 'addTableColumn':
+          if (!op.tableName || (!op.name && !op.values)) {
+            throw new AppError(`Operation 'addTableColumn' at index ${index} requires 'tableName' and 'name' (or 'values') fields`, 400);
+          }
+          break;
+
+        case 'renameTableColumn':
+          if (!op.tableName || op.column === undefined || !op.newName) {
+            throw new AppError(`Operation 'renameTableColumn' at index ${index} requires 'tableName', 'column' and 'newName' fields`, 400);
+          }
+          break;
+
+        case 'deleteTable':
+        case 'toggleTableTotals':
+          if (!op.tableName) {
+            throw new AppError(`Operation '${op.type}' at index ${index} requires 'tableName' field`, 400);
+          }
+          break;
+
+        case 'deleteTableColumn':
+          if (!op.tableName || op.column === undefined) {
+            throw new AppError(`Operation 'deleteTableColumn' at index ${index} requires 'tableName' and 'column' fields`, 400);
+          }
+          break;
       }
     });
   }
@@ -1,6 +1,7 @@
 const findReplaceService = require("../services/findReplaceService");
 const resolverService = require("../services/resolverService");
 const auditService = require("../services/auditService");
+const auditLogger = require("../middleware/auditLogger");
 const logger = require("../config/logger");
 const { catchAsync } = require("../middleware/errorHandler");
 const { AppError } = require("../middleware/errorHandler");
@@ -21,7 +22,6 @@ class FindReplaceController {
       previewId,
       // New optional params for enhanced workflow
       mode, // "preview" | "apply"
-      strategy = "text", // "text" | "entityName" | "labelNeighbor"
       sheetScope, // "ALL" or specific sheetName
       selection, // array of matchId
       selectAll,
@@ -32,7 +32,6 @@ class FindReplaceController {
       replaceInside = true,
       replaceMode = "all",
       // labelNeighbor knobs
-      label,
       labelMode = "exact",
       caseSensitiveLabel = false,
       stripColons = true,
@@ -42,6 +41,11 @@ class FindReplaceController {
       maxRight = 3,
       valueSearchTerm,
     } = req.body;
+    // Reassigned below when the entityName alias is expanded
+    let {
+      strategy = "text", // "text" | "entityName" | "labelNeighbor"
+      label,
+    } = req.body;
 
     const auditContext = auditService.createAuditContext(req);
 
@@ -96,6 +100,8 @@ class FindReplaceController {
       }
     }
 
+    auditLogger.annotate(req, { driveId: resolvedDriveId, itemId: resolvedItemId });
+
     // Validate scope and range
     if (scope === "specific_range" && !rangeSpec) {
       throw new AppError(
@@ -178,6 +184,7 @@ class FindReplaceController {
 
       // If no matches found
       if (matches.length === 0) {
+        auditLogger.annotate(req, { outcome: "no_matches" });
         return res.json({
           status: "no_matches",
           message: `No occurrences of '${searchTerm}' found.`,
@@ -197,6 +204,7 @@ class FindReplaceController {
         const previewSessionId = `preview_${Date.now()}_${Math.random()
           .toString(36)
           .substr(2, 9)}`;
+        auditLogger.annotate(req, { outcome: "preview", previewId: previewSessionId });
         // Return selectable list with 409 to signal confirmation required
         return res.status(409).json({
           status: "confirmation_required",
@@ -258,6 +266,14 @@ class FindReplaceController {
         );
       }
 
+      // Cell-level before/after goes on the audit entry even when logChanges is off
+      auditLogger.annotate(req, {
+        sheetName: sheetScope,
+        range: rangeSpec,
+        changes: result.changes,
+        outcome: result.summary.failed > 0 ? "partial" : undefined,
+      });
+
       // Log the operation
       auditService.logSystemEvent({
         event: "FIND_REPLACE_COMPLETED",
@@ -1,6 +1,7 @@
 const renameService = require('../services/renameService');
 const resolverService = require('../services/resolverService');
 const auditService = require('../services/auditService');
+const auditLogger = require('../middleware/auditLogger');
 const logger = require('../config/logger');
 const { catchAsync } = require('../middleware/errorHandler');
 const { AppError } = require('../middleware/errorHandler');
@@ -130,6 +131,15 @@ class RenameController {
     const pathBefore = toDisplayPath(resolvedDriveName, result.path, result.oldName);
     const pathAfter = toDisplayPath(resolvedDriveName, result.path, result.newName);
 
+    auditLogger.annotate(req, {
+      driveName: resolvedDriveName,
+      driveId: resolvedDriveId,
+      itemId: resolvedItemId,
+      fileName: result.newName,
+      before: pathBefore,
+      after: pathAfter
+    });
+
     res.json({
       status: 'success',
       data: {
@@ -175,25 +185,24 @@ class RenameController {
         throw new AppError(`Folder '${effectiveFolderName}' not found`, 404);
       }
 
-      if (matches.length > 1) {
-        if (folderPath) {
-          const match = matches.find(m => m.path === folderPath);
-          if (!match) {
-            throw new AppError(`Folder '${effectiveFolderName}' not found at path '${folderPath}'`, 404);
-          }
-          resolvedFolderId = match.id;
-        } else {
-          return res.status(409).json({
-            status: 'multiple_matches',
-            message: 'Multiple folders found with the same name. Please specify folderPath or select from the list.',
-            matches: matches.map(match => ({
-              id: match.id,
-              name: match.name,
-              path: match.path,
-              parentId: match.parentId
-            }))
-          });
+      // folderPath is what the access policy checked, so it must name the folder renamed
+      if (folderPath) {
+        const match = matches.find(m => m.path === folderPath);
+        if (!match) {
+          throw new AppError(`Folder '${effectiveFolderName}' not found at path '${folderPath}'`, 404);
         }
+        resolvedFolderId = match.id;
+      } else if (matches.length > 1) {
+        return res.status(409).json({
+          status: 'multiple_matches',
+          message: 'Multiple folders found with the same name. Please specify folderPath or select from the list.',
+          matches: matches.map(match => ({
+            id: match.id,
+            name: match.name,
+            path: match.path,
+            parentId: match.parentId
+          }))
+        });
       } else {
         resolvedFolderId = matches[0].id;
       }
@@ -212,6 +221,14 @@ class RenameController {
       auditContext
     );
 
+    auditLogger.annotate(req, {
+      driveId: resolvedDriveId,
+      itemId: resolvedFolderId,
+      fileName: result.newName,
+      before: result.oldName,
+      after: result.newName
+    });
+
     res.json({
       status: 'success',
       data: {
@@ -267,6 +284,16 @@ class RenameController {
       auditContext
     );
 
+    auditLogger.annotate(req, {
+      driveId: resolvedDriveId,
+      itemId: resolvedItemId,
+      fileName: result.fileName,
+      worksheetId: result.worksheetId,
+      sheetName: result.newSheetName,
+      before: result.oldSheetName,
+      after: result.newSheetName
+    });
+
     res.json({
       status: 'success',
       data: {
@@ -339,10 +366,7 @@ class RenameController {
       throw new AppError('operations array is required and must not be empty', 400);
     }
 
-    let resolvedDriveId = driveId;
-    if (!resolvedDriveId && driveName) {
-      resolvedDriveId = await resolverService.resolveDriveIdByName(req.accessToken, driveName);
-    }
+    const resolvedDriveId = await resolverService.resolveDriveIdByName(req.accessToken, driveName);
 
     if (!resolvedDriveId) {
       throw new AppError('Could not resolve drive. Please provide valid drive identifier.', 400);
@@ -355,6 +379,18 @@ class RenameController {
       auditContext
     );
 
+    // One before/after pair per applied rename
+    auditLogger.annotate(req, {
+      driveId: resolvedDriveId,
+      changes: result.results.map(r => ({
+        index: r.index,
+        type: r.operation,
+        itemId: r.data.id || r.data.fileId,
+        before: r.data.oldName || r.data.oldSheetName,
+        after: r.data.newName || r.data.newSheetName
+      }))
+    });
+
     const statusCode = result.errors.length > 0 && result.results.length > 0
       ? 207 // Multi-Status
       : result.errors.length === 0
@@ -0,0 +1,70 @@
+const revertService = require("../services/revertService");
+const auditLogger = require("../middleware/auditLogger");
+const logger = require("../config/logger");
+const { catchAsync } = require("../middleware/errorHandler");
+const { AppError } = require("../middleware/errorHandler");
+
+class RevertController {
+  revert = catchAsync(async (req, res) => {
+    const { auditId, requestId } = req.body;
+
+    const entry = await revertService.findEntry({ auditId, requestId });
+    if (!entry) {
+      throw new AppError(
+        auditId
+          ? `Audit entry '${auditId}' not found`
+          : `No revertible audit entry found for request '${requestId}'`,
+        404
+      );
+    }
+
+    auditLogger.annotate(req, {
+      revertOf: entry.id,
+      driveName: entry.driveName,
+      driveId: entry.driveId,
+      itemId: entry.itemId,
+      fileName: entry.fileName,
+    });
+
+    const previous = await revertService.revertedBy(entry);
+    if (previous) {
+      throw new AppError(
+        `Audit entry '${entry.id}' was already reverted by '${previous.id}'`,
+        409
+      );
+    }
+
+    const result = await revertService.revert({ accessToken: req.accessToken, entry });
+
+    if (result.conflicts) {
+      auditLogger.annotate(req, { outcome: "conflict" });
+      return res.status(409).json({
+        status: "conflict",
+        message: `${result.conflicts.length} cell(s) changed since the audited write; nothing was reverted.`,
+        data: {
+          auditId: entry.id,
+          operation: entry.operation,
+          drifted: result.conflicts,
+        },
+      });
+    }
+
+    auditLogger.annotate(req, { changes: result.reverted });
+    logger.info("Revert applied", { auditId: entry.id, requestedBy: req.user?.id });
+
+    res.json({
+      status: "success",
+      data: {
+        auditId: entry.id,
+        operation: entry.operation,
+        reverted: result.reverted.map((r) => ({
+          sheet: r.sheet,
+          range: r.range,
+          values: r.newValues,
+        })),
+      },
+    });
+  });
+}
+
+module.exports = new RevertController();
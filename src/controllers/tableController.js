@@ -0,0 +1,297 @@
+const graphService = require("../services/graphService");
+const excelEngineService = require("../services/excelEngineService");
+const resolverService = require("../services/resolverService");
+const recordService = require("../services/recordService");
+const rangeProtectionService = require("../services/rangeProtectionService");
+const graphClientFactory = require("../services/graphClientFactory");
+const auditService = require("../services/auditService");
+const auditLogger = require("../middleware/auditLogger");
+const logger = require("../config/logger");
+const { catchAsync } = require("../middleware/errorHandler");
+const { AppError } = require("../middleware/errorHandler");
+
+class TableController {
+  /**
+   * Resolve driveName/itemName/itemPath (+ optional sheetName) to IDs.
+   * Returns null after sending a 409 when the file name is ambiguous.
+   */
+  async resolveTarget(req, res, params) {
+    const { driveName, itemName, itemPath, sheetName } = params;
+    const driveId = await resolverService.resolveDriveIdByName(
+      req.accessToken,
+      driveName
+    );
+    let itemId;
+    try {
+      itemId = await resolverService.resolveItemIdByName(
+        req.accessToken,
+        driveId,
+        itemName
+      );
+    } catch (err) {
+      if (!err.isMultipleMatches) throw err;
+      if (!itemPath) {
+        res.status(409).json({
+          status: "multiple_matches",
+          message:
+            "Multiple files found with the same name. Please specify itemPath or select from the list.",
+          matches: (err.matches || []).map((m) => ({
+            id: m.id,
+            name: m.name,
+            path: m.path,
+            parentId: m.parentId,
+          })),
+        });
+        return null;
+      }
+      itemId = await resolverService.resolveItemIdByPath(
+        req.accessToken,
+        driveId,
+        itemName,
+        itemPath
+      );
+    }
+
+    let worksheetId = null;
+    if (sheetName) {
+      worksheetId = await resolverService.resolveWorksheetIdByName(
+        req.accessToken,
+        driveId,
+        itemId,
+        sheetName
+      );
+    }
+    auditLogger.annotate(req, { driveId, itemId, worksheetId });
+    return { driveId, itemId, worksheetId };
+  }
+
+  /**
+   * Run table lifecycle operations through the Excel engine and fail the
+   * request on the first operation that did not succeed.
+   */
+  async runTableOperations(req, target, sheetName, operations) {
+    const auditContext = auditService.createAuditContext(req);
+    const result = await excelEngineService.applyFormatting(
+      req.accessToken,
+      target.driveId,
+      target.itemId,
+      sheetName,
+      operations,
+      auditContext
+    );
+
+    const failed = result.results.find((r) => r.status === "error");
+    if (failed || result.errors.length) {
+      const message = failed ? failed.error : result.errors[0].error;
+      const statusCode =
+        failed?.statusCode >= 400 && failed.statusCode < 500
+          ? failed.statusCode
+          : 502;
+      throw new AppError(`Table operation failed: ${message}`, statusCode);
+    }
+
+    auditService.logWriteOperation({
+      ...auditContext,
+      workbookId: target.itemId,
+      worksheetId: target.worksheetId,
+      table: result.results[0]?.tableName,
+      success: true,
+    });
+    auditLogger.annotate(req, { newValues: operations, changes: result.results });
+    return result.results;
+  }
+
+  listTables = catchAsync(async (req, res) => {
+    const { itemName, sheetName } = req.query;
+    const auditContext = auditService.createAuditContext(req);
+
+    const target = await this.resolveTarget(req, res, req.query);
+    if (!target) return;
+
+    let worksheets = await graphService.getWorksheets(
+      req.accessToken,
+      target.driveId,
+      target.itemId,
+      auditContext
+    );
+    if (target.worksheetId) {
+      worksheets = worksheets.filter((ws) => ws.id === target.worksheetId);
+    }
+
+    const tables = await graphService.listTables(
+      req.accessToken,
+      target.driveId,
+      target.itemId,
+      worksheets,
+      auditContext
+    );
+
+    res.json({
+      status: "success",
+      data: {
+        file: itemName,
+        sheetName: sheetName || undefined,
+        tables,
+        totalTables: tables.length,
+      },
+    });
+  });
+
+  readTable = catchAsync(async (req, res) => {
+    const { tableName } = req.body;
+    const auditContext = auditService.createAuditContext(req);
+
+    const target = await this.resolveTarget(req, res, req.body);
+    if (!target) return;
+
+    const table = await graphService.readTable(
+      req.accessToken,
+      target.driveId,
+      target.itemId,
+      target.worksheetId,
+      tableName,
+      auditContext
+    );
+
+    const headers = recordService.headerKeys(table.headers);
+    res.json({
+      status: "success",
+      data: {
+        table: { id: table.id, name: table.name, address: table.address },
+        headers,
+        records: recordService.toRecords(table.headers, table.rows),
+        rowCount: table.rows.length,
+      },
+    });
+  });
+
+  addTableRows = catchAsync(async (req, res) => {
+    const { tableName, records, values } = req.body;
+    const auditContext = auditService.createAuditContext(req);
+
+    const target = await this.resolveTarget(req, res, req.body);
+    if (!target) return;
+
+    const header = await graphService.getTableHeaders(
+      req.accessToken,
+      target.driveId,
+      target.itemId,
+      target.worksheetId,
+      tableName
+    );
+
+    let rows = values;
+    if (records) {
+      rows = recordService.toRows(header, records);
+    } else if (rows.some((row) => row.length !== header.length)) {
+      throw new AppError(
+        `Each row must have ${header.length} values to match the columns of table ${tableName}`,
+        400
+      );
+    }
+
+    await rangeProtectionService.assertTableWritable(
+      graphClientFactory.create(req.accessToken),
+      { driveId: target.driveId, itemId: target.itemId, tableName },
+      { part: "addRows", count: rows.length }
+    );
+
+    const added = await graphService.addTableRows(
+      req.accessToken,
+      target.driveId,
+      target.itemId,
+      target.worksheetId,
+      tableName,
+      rows,
+      auditContext
+    );
+
+    auditLogger.annotate(req, { newValues: added?.values || rows });
+
+    logger.info("Table rows appended", {
+      tableName,
+      rowCount: rows.length,
+      requestedBy: auditContext.user,
+    });
+
+    res.json({
+      status: "success",
+      data: {
+        table: tableName,
+        index: added?.index,
+        rowsAdded: rows.length,
+        headers: recordService.headerKeys(header),
+        records: recordService.toRecords(header, added?.values || rows),
+      },
+    });
+  });
+
+  createTable = catchAsync(async (req, res) => {
+    const { sheetName, range, tableName, hasHeaders, style } = req.body;
+
+    const target = await this.resolveTarget(req, res, req.body);
+    if (!target) return;
+
+    const [created] = await this.runTableOperations(req, target, sheetName, [
+      { type: "createTable", range, name: tableName, hasHeaders, style },
+    ]);
+
+    res.json({ status: "success", data: created });
+  });
+
+  updateTable = catchAsync(async (req, res) => {
+    const { tableName, newName, range, showTotals } = req.body;
+
+    const target = await this.resolveTarget(req, res, req.body);
+    if (!target) return;
+
+    // Resize first so the rename applies to the re-created table
+    const operations = [];
+    if (range) operations.push({ type: "resizeTable", tableName, range });
+    if (typeof showTotals === "boolean") {
+      operations.push({ type: "toggleTableTotals", tableName, showTotals });
+    }
+    if (newName) operations.push({ type: "renameTable", tableName, newName });
+    auditLogger.annotate(req, { before: tableName, after: newName || tableName });
+
+    const results = await this.runTableOperations(req, target, undefined, operations);
+
+    res.json({
+      status: "success",
+      data: { tableName: newName || tableName, results },
+    });
+  });
+
+  deleteTable = catchAsync(async (req, res) => {
+    const { tableName, keepData } = req.body;
+
+    const target = await this.resolveTarget(req, res, req.body);
+    if (!target) return;
+
+    const [deleted] = await this.runTableOperations(req, target, undefined, [
+      { type: "deleteTable", tableName, keepData },
+    ]);
+
+    res.json({ status: "success", data: { deleted: true, ...deleted } });
+  });
+
+  manageColumns = catchAsync(async (req, res) => {
+    const { tableName, action, column, name, newName, index, values } = req.body;
+
+    const target = await this.resolveTarget(req, res, req.body);
+    if (!target) return;
+
+    const operation =
+      action === "add"
+        ? { type: "addTableColumn", tableName, name, index, values }
+        : action === "rename"
+          ? { type: "renameTableColumn", tableName, column, newName }
+          : { type: "deleteTableColumn", tableName, column };
+
+    const [result] = await this.runTableOperations(req, target, undefined, [operation]);
+
+    res.json({ status: "success", data: result });
+  });
+}
+
+module.exports = new TableController();
@@ -1,58 +1,37 @@
-const fs = require("fs").promises;
-const path = require("path");
 const logger = require("../config/logger");
+const auditStore = require("../services/auditStore");
 const { v4: uuidv4 } = require("uuid");
 
-class AuditLogger {
-  constructor() {
-    this.auditLogPath = path.join(__dirname, "../../audit-log.json");
-    this.ensureAuditLogExists();
-  }
-
-  async ensureAuditLogExists() {
-    try {
-      await fs.access(this.auditLogPath);
-    } catch (error) {
-      // File doesn't exist, create it with empty array
-      await fs.writeFile(this.auditLogPath, "[]", "utf8");
-      logger.info("Created audit log file:", this.auditLogPath);
-    }
-  }
-
-  async readAuditLog() {
-    try {
-      const data = await fs.readFile(this.auditLogPath, "utf8");
-      return JSON.parse(data);
-    } catch (error) {
-      logger.error("Failed to read audit log:", error);
-      return [];
-    }
-  }
-
-  async writeAuditLog(entries) {
-    try {
-      await fs.writeFile(
-        this.auditLogPath,
-        JSON.stringify(entries, null, 2),
-        "utf8"
-      );
-    } catch (error) {
-      logger.error("Failed to write audit log:", error);
-      throw error;
-    }
-  }
+const MUTATING_METHODS = ["POST", "PATCH", "PUT", "DELETE"];
+
+// Full-path suffix -> audit operation for every audited route
+const MUTATING_ROUTES = [
+  ["/excel/write", "WRITE_RANGE"],
+  ["/excel/batch", "BATCH"],
+  ["/excel/add-table-rows", "ADD_TABLE_ROWS"],
+  ["/excel/table/rows", "ADD_TABLE_ROWS"],
+  ["/excel/table/create", "CREATE_TABLE"],
+  ["/excel/table/update", "UPDATE_TABLE"],
+  ["/excel/table/columns", "TABLE_COLUMNS"],
+  ["/excel/table", "DELETE_TABLE"],
+  ["/excel/find-replace", "FIND_REPLACE"],
+  ["/excel/format", "FORMAT"],
+  ["/excel/clear-data", "CLEAR_DATA"],
+  ["/excel/revert", "REVERT"],
+  ["/excel/create-file", "CREATE_FILE"],
+  ["/excel/create-sheet", "CREATE_SHEET"],
+  ["/excel/delete-file", "DELETE_FILE"],
+  ["/excel/delete-sheet", "DELETE_SHEET"],
+  ["/excel/rename-file", "RENAME_FILE"],
+  ["/excel/rename-folder", "RENAME_FOLDER"],
+  ["/excel/rename-sheet", "RENAME_SHEET"],
+  ["/excel/batch-rename", "BATCH_RENAME"],
+];
 
+class AuditLogger {
   async addAuditEntry(entry) {
     try {
-      const entries = await this.readAuditLog();
-      entries.push(entry);
-
-      // Keep only last 1000 entries to prevent file from growing too large
-      if (entries.length > 1000) {
-        entries.splice(0, entries.length - 1000);
-      }
-
-      await this.writeAuditLog(entries);
+      await auditStore.append(entry);
       logger.debug("Audit entry added", { entryId: entry.id });
     } catch (error) {
       logger.error("Failed to add audit entry:", error);
@@ -60,131 +39,93 @@ class AuditLogger {
     }
   }
 
-  async readCurrentValues(graphClient, driveId, itemId, worksheetId, range) {
-    try {
-      const response = await graphClient
-        .api(
-          `/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/range(address='${range}')`
-        )
-        .get();
-      return response.values;
-    } catch (error) {
-      logger.warn("Could not read current values for audit:", error.message);
-      return null;
-    }
+  /**
+   * Operation name for a mutating route, matched on the end of the full
+   * path. Order matters: "/excel/table" only matches DELETE /excel/table.
+   */
+  operationFor(req) {
+    const fullPath = `${req.baseUrl || ""}${req.path}`.replace(/\/+$/, "");
+    const match = MUTATING_ROUTES.find(([suffix]) => fullPath.endsWith(suffix));
+    return match ? match[1] : `${req.method} ${fullPath}`;
   }
 
-  async getFileName(graphClient, driveId, itemId) {
-    try {
-      const response = await graphClient
-        .api(`/drives/${driveId}/items/${itemId}`)
-        .select("name")
-        .get();
-      return response.name;
-    } catch (error) {
-      logger.warn("Could not get file name for audit:", error.message);
-      return itemId; // Fallback to itemId
-    }
+  /**
+   * Attach resolved details to the request's pending audit entry. Controllers
+   * call this once they know the drive/item/sheet and the before/after state;
+   * it is a no-op on routes without the audit middleware.
+   */
+  annotate(req, fields) {
+    if (!req.auditData) return;
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined) req.auditData[key] = value;
+    });
   }
 
   middleware() {
     return async (req, res, next) => {
-      // Only log write operations
-      if (req.method !== "POST" && req.method !== "PATCH") {
-        return next();
-      }
-
-      // Only log Excel write endpoints
-      if (
-        !req.path.includes("/excel/write") &&
-        !req.path.includes("/excel/add-table-rows")
-      ) {
+      // Only log mutating requests
+      if (!MUTATING_METHODS.includes(req.method)) {
         return next();
       }
 
       const startTime = Date.now();
-      const auditId = uuidv4();
+      const input = { ...(req.query || {}), ...(req.body || {}) };
 
       // Store original res.json to intercept response
       const originalJson = res.json;
       let responseData = null;
-      let statusCode = null;
 
       res.json = function (data) {
         responseData = data;
-        statusCode = res.statusCode;
         return originalJson.call(this, data);
       };
 
-      // Store request data for audit
+      // Seeded from the request; controllers fill in what they resolve
       const auditData = {
-        id: auditId,
+        id: uuidv4(),
         timestamp: new Date().toISOString(),
-        user: req.headers["x-user-id"] || "anonymous",
-        operation: req.path.includes("/add-table-rows")
-          ? "ADD_TABLE_ROWS"
-          : "WRITE_RANGE",
-        driveId: req.body.driveId,
-        itemId: req.body.itemId,
-        worksheetId: req.body.worksheetId,
-        range: req.body.range,
-        tableName: req.body.tableName,
-        newValues: req.body.values || req.body.rows,
+        requestId: req.id,
+        user: req.user?.id || "anonymous",
+        operation: this.operationFor(req),
+        driveName: input.driveName,
+        driveId: input.driveId,
+        itemId: input.itemId,
+        fileName: input.itemName || input.fileName || input.folderName || null,
+        worksheetId: input.worksheetId,
+        sheetName: input.worksheetName || input.sheetName,
+        range: input.range,
+        tableName: input.tableName,
+        newValues: input.values || input.rows || input.records,
         oldValues: null,
-        fileName: null,
         success: false,
         error: null,
         duration: 0,
         ipAddress: req.ip || req.connection.remoteAddress,
         userAgent: req.get("User-Agent"),
       };
-
-      // Try to get current values and file name before the operation
-      if (req.accessToken && req.body.driveId && req.body.itemId) {
-        try {
-          const { Client } = require("@microsoft/microsoft-graph-client");
-          const graphClient = Client.init({
-            authProvider: (done) => {
-              done(null, req.accessToken);
-            },
-          });
-
-          // Get file name
-          auditData.fileName = await this.getFileName(
-            graphClient,
-            req.body.driveId,
-            req.body.itemId
-          );
-
-          // Get current values for range operations
-          if (req.body.range && req.body.worksheetId) {
-            auditData.oldValues = await this.readCurrentValues(
-              graphClient,
-              req.body.driveId,
-              req.body.itemId,
-              req.body.worksheetId,
-              req.body.range
-            );
-          }
-        } catch (error) {
-          logger.warn(
-            "Could not fetch pre-operation data for audit:",
-            error.message
-          );
-        }
-      }
-
-      // Continue with the request
-      next();
+      req.auditData = auditData;
 
       // Log after response is sent
       res.on("finish", async () => {
         try {
           auditData.duration = Date.now() - startTime;
-          auditData.success = statusCode >= 200 && statusCode < 300;
+          auditData.statusCode = res.statusCode;
+          auditData.success = res.statusCode >= 200 && res.statusCode < 300;
+          if (!auditData.outcome) {
+            auditData.outcome = auditData.success
+              ? res.statusCode === 207
+                ? "partial"
+                : "success"
+              : "failed";
+          }
 
-          if (!auditData.success && responseData?.error) {
-            auditData.error = responseData.error.message || "Unknown error";
+          if (!auditData.success) {
+            const body = responseData || {};
+            auditData.error =
+              body.error?.message ||
+              body.message ||
+              (typeof body.error === "string" ? body.error : null) ||
+              `HTTP ${res.statusCode}`;
           }
 
           await this.addAuditEntry(auditData);
@@ -194,75 +135,86 @@ class AuditLogger {
             operation: auditData.operation,
             user: auditData.user,
             fileName: auditData.fileName,
-            success: auditData.success,
+            outcome: auditData.outcome,
             duration: auditData.duration,
           });
         } catch (error) {
           logger.error("Failed to complete audit logging:", error);
         }
       });
+
+      next();
     };
   }
+
   async getAuditEntries(filters = {}) {
     try {
-      const entries = await this.readAuditLog();
-      let filtered = entries;
-
-      // Apply filters
-      if (filters.user) {
-        filtered = filtered.filter((entry) => entry.user === filters.user);
-      }
-
-      if (filters.operation) {
-        filtered = filtered.filter(
-          (entry) => entry.operation === filters.operation
-        );
-      }
-
-      if (filters.fileName) {
-        filtered = filtered.filter(
-          (entry) =>
-            entry.fileName &&
-            entry.fileName
-              .toLowerCase()
-              .includes(filters.fileName.toLowerCase())
-        );
-      }
-
-      if (filters.startDate) {
-        const startDate = new Date(filters.startDate);
-        filtered = filtered.filter(
-          (entry) => new Date(entry.timestamp) >= startDate
-        );
-      }
-
-      if (filters.endDate) {
-        const endDate = new Date(filters.endDate);
-        filtered = filtered.filter(
-          (entry) => new Date(entry.timestamp) <= endDate
-        );
-      }
-
-      if (filters.success !== undefined) {
-        filtered = filtered.filter(
-          (entry) => entry.success === filters.success
-        );
-      }
-
-      // Sort by timestamp (newest first)
-      filtered.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      const filtered = await auditStore.query(filters);
 
       // Apply limit
       if (filters.limit) {
-        filtered = filtered.slice(0, parseInt(filters.limit));
+        return filtered.slice(0, parseInt(filters.limit));
       }
 
       return filtered;
     } catch (error) {
+      // An unreadable store must not pass for an empty audit trail
       logger.error("Failed to get audit entries:", error);
-      return [];
+      throw error;
     }
   }
+
+  encodeCursor(entry) {
+    return Buffer.from(
+      JSON.stringify({ t: entry.timestamp, id: entry.id })
+    ).toString("base64url");
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const { t, id } = JSON.parse(
+        Buffer.from(String(cursor), "base64url").toString("utf8")
+      );
+      if (!t || !id) throw new Error("incomplete cursor");
+      return { t, id };
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * One page of filtered entries (newest first) after the given cursor.
+   * Returns { entries, nextCursor } or null when the cursor is malformed.
+   */
+  async getAuditPage(filters = {}) {
+    const entries = await auditStore.query(filters);
+    const limit = parseInt(filters.limit) || 50;
+
+    let start = 0;
+    if (filters.cursor) {
+      const cursor = this.decodeCursor(filters.cursor);
+      if (!cursor) return null;
+      // First entry that sorts strictly after the cursor position
+      start = entries.findIndex(
+        (e) =>
+          String(e.timestamp) < cursor.t ||
+          (String(e.timestamp) === cursor.t && String(e.id) < String(cursor.id))
+      );
+      if (start === -1) start = entries.length;
+    }
+
+    const page = entries.slice(start, start + limit);
+    const hasMore = start + limit < entries.length;
+    return {
+      entries: page,
+      nextCursor: hasMore && page.length ? this.encodeCursor(page[page.length - 1]) : null,
+      total: entries.length,
+    };
+  }
+
+  async getAuditEntry(id) {
+    return auditStore.get(id);
+  }
 }
 
 module.exports = new AuditLogger();
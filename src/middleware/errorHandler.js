@@ -241,4 +241,5 @@ module.exports = {
   handleGraphError,
   handleValidationError,
   handleAuthError,
+  maskSecrets,
 };
@@ -166,7 +166,7 @@ class NameResolutionMixin {
       } catch (err) {
         throw new AppError(
           `Failed to resolve item path: ${err.message}`,
-          err.status || 500
+          err.statusCode || err.status || 500
         );
       }
     }
@@ -197,7 +197,7 @@ class NameResolutionMixin {
 
       throw new AppError(
         `Name resolution failed: ${err.message}`,
-        err.status || 500
+        err.statusCode || err.status || 500
       );
     }
   }
@@ -0,0 +1,18 @@
+const { v4: uuidv4 } = require("uuid");
+
+// Incoming ids are kept only when they are safe to log and use in file names
+const REQUEST_ID_PATTERN = /^[\w-]{1,128}$/;
+
+/**
+ * Request ID middleware: a caller's well-formed X-Request-ID is kept so its
+ * logs, audit entries and Graph recordings can be found by that id; other
+ * requests get a new UUID. The id is echoed in the X-Request-ID header.
+ */
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get("X-Request-ID");
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  res.setHeader("X-Request-ID", req.id);
+  next();
+};
+
+module.exports = { assignRequestId };
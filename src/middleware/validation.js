@@ -50,26 +50,47 @@ const requestSchemas = {
       // New optional fields (backward compatible)
       mode: Joi.string().valid("workbook", "sheet", "range").optional(),
       projection: Joi.string()
-        .valid("matrix", "cells", "records", "kv")
+        .valid("matrix", "cells", "records", "kv", "columns", "markdown", "csv")
         .optional(),
       summary: Joi.boolean().optional(),
       valuesOnly: Joi.boolean().optional(),
       includeFormulas: Joi.boolean().optional(),
       includeText: Joi.boolean().optional(),
       includeFormats: Joi.boolean().optional(),
+      typed: Joi.boolean().optional(),
       paginate: Joi.object({
         pageSize: Joi.number().integer().min(1).max(10000).optional(),
         pageToken: Joi.string().optional(),
       }).optional(),
+      // Response budgets; a truncated read returns a continuationToken
+      maxCells: Joi.number().integer().min(1).optional(),
+      maxBytes: Joi.number().integer().min(256).optional(),
+      continuationToken: Joi.string().max(4096).optional(),
     })
   ),
 
   writeRange: namesOnlyBase.concat(
     Joi.object({
       worksheetName: schemas.worksheetName.optional(),
+      sheetName: schemas.worksheetName.optional(),
       range: Joi.string().min(1).optional(),
-      values: schemas.values.required(),
-    })
+      values: schemas.values,
+      // Header-mapped writes: records are objects keyed by header name
+      records: Joi.array().items(Joi.object().unknown(true)).min(1),
+      mode: Joi.string()
+        .valid("append", "upsert")
+        .when("records", { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.forbidden() }),
+      keyColumn: Joi.string()
+        .min(1)
+        .when("mode", { is: "upsert", then: Joi.required(), otherwise: Joi.forbidden() }),
+      tableName: Joi.string()
+        .min(1)
+        .max(255)
+        .when("records", { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.forbidden() }),
+      unknownColumns: Joi.string()
+        .valid("fail", "ignore", "create")
+        .when("records", { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.forbidden() }),
+    }).xor("values", "records")
   ),
 
   getWorksheets: Joi.object({
@@ -229,6 +250,49 @@ const requestSchemas = {
     newName: Joi.string().min(1).required(),
     selectedItemId: Joi.string().min(1).optional(),
   }).or("itemName", "selectedItemId"),
+
+  renameFolder: Joi.object({
+    driveName: schemas.driveName.required(),
+    folderName: Joi.string().min(1).max(255).optional(),
+    folderPath: Joi.string().pattern(/^\//).optional(),
+    oldName: Joi.string().min(1).optional(),
+    newName: Joi.string().min(1).required(),
+  }).or("folderName", "folderPath"),
+
+  renameSheet: Joi.object({
+    driveName: schemas.driveName.required(),
+    itemName: schemas.itemName.required(),
+    itemPath: schemas.itemPath.optional(),
+    oldSheetName: schemas.worksheetName.required(),
+    newSheetName: schemas.worksheetName.required(),
+  }),
+
+  renameSuggestions: Joi.object({
+    driveName: schemas.driveName.required(),
+    oldTerm: Joi.string().min(1).required(),
+    newTerm: Joi.string().min(1).required(),
+  }),
+
+  // Items are addressed by id; sheet renames name the workbook as fileId
+  batchRename: Joi.object({
+    driveName: schemas.driveName.required(),
+    operations: Joi.array()
+      .items(
+        Joi.object({
+          type: Joi.string().valid("file", "folder", "sheet").required(),
+          itemId: Joi.string()
+            .min(1)
+            .when("type", { is: "sheet", then: Joi.optional(), otherwise: Joi.required() }),
+          fileId: Joi.string()
+            .min(1)
+            .when("type", { is: "sheet", then: Joi.required(), otherwise: Joi.optional() }),
+          oldName: Joi.string().min(1).optional(),
+          newName: Joi.string().min(1).required(),
+        })
+      )
+      .min(1)
+      .required(),
+  }),
 };
 
 // Clear data request: clear whole sheet (usedRange) or a specific range
@@ -241,6 +305,144 @@ requestSchemas.clearData = Joi.object({
   range: Joi.string().min(1).optional(),
 });
 
+// Excel tables (ListObjects): names-only, optionally scoped to a sheet
+const tableTargetBase = Joi.object({
+  driveName: schemas.driveName.required(),
+  itemName: schemas.itemName.required(),
+  itemPath: schemas.itemPath.optional(),
+  sheetName: schemas.worksheetName.optional(),
+});
+schemas.tableName = Joi.string().min(1).max(255);
+
+requestSchemas.listTables = tableTargetBase;
+
+requestSchemas.readTable = tableTargetBase.concat(
+  Joi.object({
+    tableName: schemas.tableName.required(),
+  })
+);
+
+requestSchemas.addTableRows = tableTargetBase
+  .concat(
+    Joi.object({
+      tableName: schemas.tableName.required(),
+      records: Joi.array().items(Joi.object().unknown(true)).min(1).optional(),
+      values: schemas.values.optional(),
+    })
+  )
+  .xor("records", "values");
+
+requestSchemas.createTable = tableTargetBase.concat(
+  Joi.object({
+    sheetName: schemas.worksheetName.required(),
+    range: Joi.string().min(1).required(),
+    tableName: schemas.tableName.optional(),
+    hasHeaders: Joi.boolean().default(true),
+    style: Joi.string().optional(),
+  })
+);
+
+requestSchemas.updateTable = tableTargetBase
+  .concat(
+    Joi.object({
+      tableName: schemas.tableName.required(),
+      newName: schemas.tableName.optional(),
+      range: Joi.string().min(1).optional(),
+      showTotals: Joi.boolean().optional(),
+    })
+  )
+  .or("newName", "range", "showTotals");
+
+requestSchemas.deleteTable = tableTargetBase.concat(
+  Joi.object({
+    tableName: schemas.tableName.required(),
+    keepData: Joi.boolean().default(false),
+  })
+);
+
+requestSchemas.tableColumns = tableTargetBase.concat(
+  Joi.object({
+    tableName: schemas.tableName.required(),
+    action: Joi.string().valid("add", "rename", "delete").required(),
+    column: Joi.alternatives()
+      .try(Joi.string().min(1), Joi.number().integer().min(0))
+      .when("action", { is: Joi.valid("rename", "delete"), then: Joi.required() }),
+    name: Joi.string().min(1).optional(),
+    newName: Joi.string()
+      .min(1)
+      .when("action", { is: "rename", then: Joi.required() }),
+    index: Joi.number().integer().min(0).optional(),
+    values: schemas.values.optional(),
+  }).when(Joi.object({ action: Joi.valid("add") }).unknown(), {
+    then: Joi.object().or("name", "values"),
+  })
+);
+
+// Audit log queries
+const auditFilterBase = Joi.object({
+  user: Joi.string().min(1).optional(),
+  operation: Joi.string().min(1).optional(),
+  fileName: Joi.string().min(1).optional(),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().optional(),
+  success: Joi.boolean().optional(),
+});
+
+requestSchemas.auditQuery = auditFilterBase.concat(
+  Joi.object({
+    limit: Joi.number().integer().min(1).max(1000).optional(),
+    cursor: Joi.string().min(1).optional(),
+  })
+);
+
+requestSchemas.auditExport = auditFilterBase.concat(
+  Joi.object({
+    format: Joi.string().valid("csv", "jsonl").optional(),
+  })
+);
+
+requestSchemas.auditEntry = Joi.object({
+  id: Joi.string().min(1).max(255).required(),
+});
+
+// Undo a recorded write by its audit entry or the request that made it
+requestSchemas.revert = Joi.object({
+  auditId: Joi.string().min(1).max(255),
+  requestId: Joi.string().min(1).max(255),
+}).xor("auditId", "requestId");
+
+// What-if: apply changes in a non-persistent session and read the results back
+requestSchemas.whatIf = Joi.object({
+  driveName: schemas.driveName.required(),
+  itemName: schemas.itemName.required(),
+  itemPath: schemas.itemPath.optional(),
+  sheetName: schemas.worksheetName.optional(),
+  changes: Joi.array()
+    .items(
+      Joi.object({
+        range: Joi.string().min(1).required(),
+        values: schemas.values,
+        formulas: schemas.values,
+      }).xor("values", "formulas")
+    )
+    .min(1)
+    .required(),
+  read: Joi.array().items(Joi.string().min(1)).min(1).required(),
+});
+
+// Describe: header row and per-column profile of a table, range, sheet or every sheet
+requestSchemas.describe = namesOnlyBase.concat(
+  Joi.object({
+    worksheetName: schemas.worksheetName.optional(),
+    sheetName: schemas.worksheetName.optional(),
+    range: Joi.string().min(1).optional(),
+    tableName: schemas.tableName.optional(),
+    mode: Joi.string().valid("workbook", "sheet", "range", "table").optional(),
+    sampleRows: Joi.number().integer().min(1).max(5000).optional(),
+    examples: Joi.number().integer().min(0).max(10).optional(),
+  })
+);
+
 const isValidRange = (range) => {
   const rangeRegex =
     /^[A-Z]+\d+:[A-Z]+\d+$|^[A-Z]+\d+$|^[A-Z]+:[A-Z]+$|^\d+:\d+$/;
@@ -282,7 +484,8 @@ const validateRangeValuesCompatibility = (req, res, next) => {
   }
 
   try {
-    const rangeParts = range.split(":");
+    // Sheet-qualified ranges (Sheet1!A1:B2) are checked by their address
+    const rangeParts = range.split("!").pop().split(":");
     if (rangeParts.length === 2) {
       const startCell = rangeParts[0];
       const endCell = rangeParts[1];
@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const auditController = require("../controllers/auditController");
+const { authenticateCaller, authorize } = require("../auth/middleware");
+const { validateRequest, sanitizeRequest } = require("../middleware/validation");
+
+// Audit queries read local logs only, so no Graph token is needed
+router.use(sanitizeRequest);
+router.use(authenticateCaller);
+router.use(authorize("audit", () => [{}]));
+
+router.get(
+  "/",
+  validateRequest("auditQuery", "query"),
+  auditController.getAuditLogs
+);
+
+router.get(
+  "/export",
+  validateRequest("auditExport", "query"),
+  auditController.exportAuditLogs
+);
+
+router.get("/verify", auditController.verifyAuditChain);
+
+router.get(
+  "/:id",
+  validateRequest("auditEntry", "params"),
+  auditController.getAuditEntry
+);
+
+module.exports = router;
@@ -3,7 +3,14 @@ const router = express.Router();
 const excelController = require("../controllers/excelController");
 const findReplaceController = require("../controllers/findReplaceController");
 const excelEngineController = require("../controllers/excelEngineController");
+const tableController = require("../controllers/tableController");
+const revertController = require("../controllers/revertController");
+const revertService = require("../services/revertService");
+const batchService = require("../services/batchService");
+const excelEngineService = require("../services/excelEngineService");
 const {
+  authenticateCaller,
+  authorize,
   ensureAuthenticated,
   logAuthenticatedRequest,
 } = require("../auth/middleware");
@@ -13,43 +20,88 @@ const {
   sanitizeRequest,
 } = require("../middleware/validation");
 const auditLogger = require("../middleware/auditLogger");
+const workbookSessionService = require("../services/workbookSessionService");
 
 // Apply common middleware to all routes
 router.use(sanitizeRequest);
+router.use(authenticateCaller);
 router.use(ensureAuthenticated);
 router.use(logAuthenticatedRequest);
 
+// Routes that make many workbook calls share one workbook session per file
+const workbookSessions = workbookSessionService.middleware();
+
+// Search and batch requests name their targets differently
+const searchTarget = (req) => [{ driveName: req.query.driveName }];
+const batchTargets = (req) =>
+  (Array.isArray(req.body?.operations) ? req.body.operations : []).flatMap((op) =>
+    batchService.verbsFor(op).map((verb) => ({ ...op, verb }))
+  );
+// Table lifecycle operations in /format need write, and delete-table to drop cells
+const formatTargets = (req) => {
+  const operations = Array.isArray(req.body?.operations) ? req.body.operations : [];
+  const verbs = new Set(operations.flatMap((op) => excelEngineService.verbsFor(op)));
+  return [...(verbs.size ? verbs : ["format"])].map((verb) => ({ ...req.body, verb }));
+};
+const tableTargets = (req) => {
+  const dropsCells = req.method === "DELETE" ? !req.body.keepData : req.body.action === "delete";
+  return dropsCells ? [req.body, { ...req.body, verb: "delete-table" }] : [req.body];
+};
+// A revert touches the workbook recorded on the audit entry it undoes
+const revertTargets = async (req) => {
+  const entry = await revertService.findEntry(req.body);
+  return entry
+    ? [{ driveName: entry.driveName, itemId: entry.itemId, fileName: entry.fileName }]
+    : [];
+};
+
 // All Routes
-router.get("/workbooks", excelController.getWorkbooks);
+router.get("/workbooks", authorize("read"), excelController.getWorkbooks);
 
 router.get(
   "/worksheets",
   validateRequest("getWorksheets", "query"),
+  authorize("read"),
   excelController.getWorksheets
 );
 
 router.post(
   "/read",
   validateRequest("readRange", "body"),
+  authorize("read"),
   excelController.readRange
 );
 
+// Column types and statistics without the data
+router.post(
+  "/describe",
+  validateRequest("describe", "body"),
+  authorize("read"),
+  excelController.describe
+);
+
 router.post(
   "/write",
   auditLogger.middleware(), // Log all write operations
   validateRequest("writeRange", "body"),
   validateRangeValuesCompatibility,
+  authorize("write"),
+  workbookSessions,
   excelController.writeRange
 );
 
 router.post(
   "/batch",
+  auditLogger.middleware(),
+  authorize("write", batchTargets),
+  workbookSessions,
   excelController.batchOperations
 );
 
 router.get(
   "/search",
   validateRequest("searchFiles", "query"),
+  authorize("read", searchTarget),
   excelController.searchFiles
 );
 
@@ -57,18 +109,22 @@ router.post(
   "/find-replace",
   auditLogger.middleware(), // Log all find-replace operations
   validateRequest("findReplace", "body"),
+  authorize("find-replace"),
+  workbookSessions,
   findReplaceController.findReplace
 );
 
 router.post(
   "/search-text",
   validateRequest("searchText", "body"),
+  authorize("read"),
   findReplaceController.searchText
 );
 
 router.get(
   "/analyze-scope",
   validateRequest("analyzeScope", "query"),
+  authorize("read"),
   findReplaceController.analyzeScope
 );
 
@@ -76,22 +132,99 @@ router.post(
   "/format",
   auditLogger.middleware(), // Log all formatting operations
   validateRequest("excelFormat", "body"),
+  authorize("format", formatTargets),
+  workbookSessions,
   excelEngineController.applyFormatting
 );
 
+// Excel tables
+router.get(
+  "/tables",
+  validateRequest("listTables", "query"),
+  authorize("read"),
+  tableController.listTables
+);
+
+router.post(
+  "/table/read",
+  validateRequest("readTable", "body"),
+  authorize("read"),
+  tableController.readTable
+);
+
+router.post(
+  "/table/rows",
+  auditLogger.middleware(), // Log table row appends
+  validateRequest("addTableRows", "body"),
+  authorize("write"),
+  tableController.addTableRows
+);
+
+router.post(
+  "/table/create",
+  auditLogger.middleware(),
+  validateRequest("createTable", "body"),
+  authorize("write"),
+  tableController.createTable
+);
+
+router.post(
+  "/table/update",
+  auditLogger.middleware(),
+  validateRequest("updateTable", "body"),
+  authorize("write"),
+  tableController.updateTable
+);
+
+router.delete(
+  "/table",
+  auditLogger.middleware(),
+  validateRequest("deleteTable", "body"),
+  authorize("write", tableTargets),
+  tableController.deleteTable
+);
+
+router.post(
+  "/table/columns",
+  auditLogger.middleware(),
+  validateRequest("tableColumns", "body"),
+  authorize("write", tableTargets),
+  tableController.manageColumns
+);
+
 // Clear data (range or whole sheet)
 router.post(
   "/clear-data",
   auditLogger.middleware(),
   validateRequest("clearData", "body"),
+  authorize("write"),
   excelController.clearData
 );
 
+// Undo an audited write
+router.post(
+  "/revert",
+  auditLogger.middleware(),
+  validateRequest("revert", "body"),
+  authorize("write", revertTargets),
+  workbookSessions,
+  revertController.revert
+);
+
+// Recalculate against hypothetical inputs in a session that is never saved
+router.post(
+  "/what-if",
+  validateRequest("whatIf", "body"),
+  authorize("read"),
+  excelController.whatIf
+);
+
 // File and worksheet management
 router.post(
   "/create-file",
   auditLogger.middleware(),
   validateRequest("createFile", "body"),
+  authorize("write"),
   excelController.createFile
 );
 
@@ -99,6 +232,7 @@ router.post(
   "/create-sheet",
   auditLogger.middleware(),
   validateRequest("createSheet", "body"),
+  authorize("write"),
   excelController.createSheet
 );
 
@@ -106,6 +240,7 @@ router.delete(
   "/delete-file",
   auditLogger.middleware(),
   validateRequest("deleteFile", "queryOrBody"),
+  authorize("delete-file"),
   excelController.deleteFile
 );
 
@@ -113,6 +248,7 @@ router.delete(
   "/delete-sheet",
   auditLogger.middleware(),
   validateRequest("deleteSheet", "body"),
+  authorize("delete-sheet"),
   excelController.deleteSheet
 );
 
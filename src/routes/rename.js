@@ -1,24 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const renameController = require('../controllers/renameController');
-const { ensureAuthenticated, logAuthenticatedRequest } = require('../auth/middleware');
+const { authenticateCaller, authorize, ensureAuthenticated, logAuthenticatedRequest } = require('../auth/middleware');
 const { validateRequest, sanitizeRequest } = require('../middleware/validation');
 const auditLogger = require('../middleware/auditLogger');
 
 // Apply common middleware to all routes
 router.use(sanitizeRequest);
+router.use(authenticateCaller);
 router.use(ensureAuthenticated);
 router.use(logAuthenticatedRequest);
 
+// Batch rename operations address items by id within the request's drive
+const batchRenameTargets = (req) =>
+    (req.body.operations || []).map(op => ({ driveName: req.body.driveName, itemId: op.itemId || op.fileId }));
+
 
 router.post('/rename-file',
     auditLogger.middleware(), // Log all rename operations
     validateRequest('renameFile', 'body'),
+    authorize('rename'),
     renameController.renameFile
 );
 router.post('/rename-folder',
     auditLogger.middleware(), // Log all rename operations
     validateRequest('renameFolder', 'body'),
+    authorize('rename'),
     renameController.renameFolder
 );
 
@@ -26,18 +33,21 @@ router.post('/rename-folder',
 router.post('/rename-sheet',
     auditLogger.middleware(), // Log all rename operations
     validateRequest('renameSheet', 'body'),
+    authorize('rename'),
     renameController.renameSheet
 );
 
 
 router.post('/rename-suggestions',
     validateRequest('renameSuggestions', 'body'),
+    authorize('read', (req) => [{ driveName: req.body.driveName }]),
     renameController.getRenameSuggestions
 );
 
 router.post('/batch-rename',
     auditLogger.middleware(), // Log all rename operations
     validateRequest('batchRename', 'body'),
+    authorize('rename', batchRenameTargets),
     renameController.batchRename
 );
 
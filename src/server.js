@@ -3,8 +3,8 @@ require("express-async-errors");
 
 const express = require("express");
 const helmet = require("helmet");
-const { v4: uuidv4 } = require("uuid");
 const cors = require("cors");
+const { assignRequestId } = require("./middleware/requestId");
 const {
   globalErrorHandler,
   handleNotFound,
@@ -12,9 +12,12 @@ const {
 } = require("./middleware/errorHandler");
 const excelRoutes = require("./routes/excel");
 const renameRoutes = require("./routes/rename");
+const auditRoutes = require("./routes/audit");
 const healthRoutes = require("./routes/health");
 const logger = require("./config/logger");
 const auditService = require("./services/auditService");
+const graphThrottleService = require("./services/graphThrottleService");
+const graphRecorderService = require("./services/graphRecorderService");
 
 // Handle unhandled rejections and exceptions
 handleUnhandledRejections();
@@ -65,6 +68,7 @@ class Server {
       ) || ["http://localhost:3000"],
       credentials: true,
       optionsSuccessStatus: 200,
+      exposedHeaders: ["X-Request-ID", "X-Graph-Retries", "X-Graph-Retry-Wait-Ms", "X-Continuation-Token"],
     };
     this.app.use(cors(corsOptions));
 
@@ -82,12 +86,14 @@ class Server {
       })
     );
 
-    // Request ID middleware
-    this.app.use((req, res, next) => {
-      req.id = uuidv4();
-      res.setHeader("X-Request-ID", req.id);
-      next();
-    });
+    // Request ID middleware (keeps a caller's well-formed X-Request-ID)
+    this.app.use(assignRequestId);
+
+    // Graph retry counters, reported as X-Graph-Retries / X-Graph-Retry-Wait-Ms
+    this.app.use(graphThrottleService.middleware());
+
+    // Graph record/replay by X-Request-ID (GRAPH_RECORD_DIR / GRAPH_REPLAY_DIR)
+    this.app.use(graphRecorderService.middleware());
 
     // Request logging middleware
     this.app.use((req, res, next) => {
@@ -119,6 +125,7 @@ class Server {
     // API routes
     this.app.use("/api/excel", excelRoutes);
     this.app.use("/api/excel", renameRoutes);
+    this.app.use("/api/audit", auditRoutes);
 
     // Root endpoint
     this.app.get("/", (req, res) => {
@@ -58,6 +58,7 @@ class AuditService {
             workbookId: params.workbookId,
             worksheetId: params.worksheetId,
             range: params.range,
+            resource: params.resource,
             requestedPermission: params.requestedPermission,
             granted: params.granted,
             reason: params.reason,
@@ -120,7 +121,7 @@ class AuditService {
             requestId: req.id || uuidv4(),
             ipAddress: req.ip || req.connection.remoteAddress,
             userAgent: req.get('User-Agent'),
-            user: req.user?.id || req.headers['x-user-id'] || 'anonymous',
+            user: req.user?.id || 'anonymous',
             timestamp: new Date().toISOString()
         };
     }
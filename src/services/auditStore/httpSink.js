@@ -0,0 +1,27 @@
+/**
+ * Forwards each audit entry to a remote collector (log drain, SIEM webhook).
+ * Used where the local disk is read-only, e.g. on Vercel.
+ */
+class HttpAuditSink {
+  constructor({ url, token, fetchImpl = globalThis.fetch } = {}) {
+    this.name = "http";
+    this.url = url;
+    this.token = token;
+    this.fetch = fetchImpl;
+  }
+
+  async send(entry) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+    const response = await this.fetch(this.url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(entry),
+    });
+    if (!response.ok) {
+      throw new Error(`Audit sink responded ${response.status}`);
+    }
+  }
+}
+
+module.exports = HttpAuditSink;
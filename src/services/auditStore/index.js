@@ -0,0 +1,203 @@
+const crypto = require("crypto");
+const path = require("path");
+const logger = require("../../config/logger");
+const MemoryAuditStore = require("./memoryStore");
+const JsonlAuditStore = require("./jsonlStore");
+const NedbAuditStore = require("./nedbStore");
+const HttpAuditSink = require("./httpSink");
+
+const ROOT = path.join(__dirname, "../../..");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Audit storage facade: one queryable backend (AUDIT_STORE = jsonl | nedb |
+ * memory) plus optional write-only sinks (AUDIT_SINK_URL, AUDIT_SINK_MODULE).
+ * AUDIT_RETENTION_DAYS prunes old entries; unset keeps everything.
+ *
+ * Entries are hash-chained: each gets a seq, the previous entry's hash
+ * (prevHash) and its own hash over every other field. With AUDIT_CHAIN_KEY
+ * set the hash is an HMAC, so a rewritten log cannot be re-chained without
+ * the key.
+ */
+class AuditStore {
+  constructor() {
+    this.backend = this.createBackend();
+    this.sinks = this.createSinks();
+    this.retentionDays = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 0;
+    this.chainKey = process.env.AUDIT_CHAIN_KEY || null;
+    // Appends are serialized so seq/prevHash follow write order
+    this.queue = Promise.resolve();
+    this.head = null;
+
+    if (this.backend.name === "memory" && !this.sinks.length) {
+      logger.warn("Audit entries are kept in memory only; set AUDIT_SINK_URL to retain them");
+    }
+
+    this.backend.ready
+      .then(() => logger.info("Audit store ready", { backend: this.backend.name }))
+      .catch((error) =>
+        logger.error("Audit store failed to load", { backend: this.backend.name, error: error.message })
+      );
+
+    if (this.retentionDays > 0) {
+      this.applyRetention();
+      setInterval(() => this.applyRetention(), DAY_MS).unref();
+    }
+  }
+
+  createBackend() {
+    // Vercel's filesystem is read-only, so default to memory + a sink there
+    const kind = (process.env.AUDIT_STORE || (process.env.VERCEL ? "memory" : "jsonl")).toLowerCase();
+    const resolve = (fallback) =>
+      path.resolve(ROOT, process.env.AUDIT_STORE_PATH || fallback);
+
+    switch (kind) {
+      case "memory":
+        return new MemoryAuditStore();
+      case "nedb":
+        return new NedbAuditStore({ filePath: resolve("audit-log.db") });
+      case "jsonl":
+        return new JsonlAuditStore({
+          filePath: resolve("audit-log.jsonl"),
+          legacyPath: path.join(ROOT, "audit-log.json"),
+        });
+      default:
+        throw new Error(`Unknown AUDIT_STORE '${kind}' (expected jsonl, nedb or memory)`);
+    }
+  }
+
+  createSinks() {
+    const sinks = [];
+    if (process.env.AUDIT_SINK_URL) {
+      sinks.push(
+        new HttpAuditSink({
+          url: process.env.AUDIT_SINK_URL,
+          token: process.env.AUDIT_SINK_TOKEN,
+        })
+      );
+    }
+    // A custom sink is any module exporting send(entry)
+    if (process.env.AUDIT_SINK_MODULE) {
+      const sink = require(path.resolve(process.cwd(), process.env.AUDIT_SINK_MODULE));
+      if (typeof sink?.send !== "function") {
+        throw new Error("AUDIT_SINK_MODULE must export a send(entry) function");
+      }
+      sinks.push(sink);
+    }
+    return sinks;
+  }
+
+  // JSON with sorted keys so the hash does not depend on property order
+  canonical(value) {
+    if (Array.isArray(value)) return `[${value.map((v) => this.canonical(v)).join(",")}]`;
+    if (value && typeof value === "object") {
+      return `{${Object.keys(value)
+        .filter((k) => value[k] !== undefined)
+        .sort()
+        .map((k) => `${JSON.stringify(k)}:${this.canonical(value[k])}`)
+        .join(",")}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  hashEntry(entry) {
+    const { hash, ...rest } = entry;
+    const payload = this.canonical(rest);
+    return this.chainKey
+      ? crypto.createHmac("sha256", this.chainKey).update(payload).digest("hex")
+      : crypto.createHash("sha256").update(payload).digest("hex");
+  }
+
+  async chain(entry) {
+    if (!this.head) {
+      const last = await this.backend.last();
+      this.head = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: null };
+    }
+    // Round-trip through JSON so the stored form is exactly what was hashed
+    const chained = JSON.parse(
+      JSON.stringify({ ...entry, seq: this.head.seq + 1, prevHash: this.head.hash })
+    );
+    chained.hash = this.hashEntry(chained);
+    await this.backend.append(chained);
+    this.head = { seq: chained.seq, hash: chained.hash };
+    return chained;
+  }
+
+  async append(entry) {
+    const run = this.queue.then(() => this.chain(entry));
+    this.queue = run.catch(() => {});
+    entry = await run;
+    await Promise.all(
+      this.sinks.map((sink) =>
+        Promise.resolve()
+          .then(() => sink.send(entry))
+          .catch((error) =>
+            logger.warn("Audit sink delivery failed", {
+              sink: sink.name || "custom",
+              entryId: entry.id,
+              error: error.message,
+            })
+          )
+      )
+    );
+  }
+
+  get(id) {
+    return this.backend.get(id);
+  }
+
+  query(filters) {
+    return this.backend.query(filters);
+  }
+
+  /**
+   * Walk the chain in seq order and report the first broken link: a changed
+   * entry (hash mismatch), a removed entry (seq gap) or a re-linked entry
+   * (prevHash mismatch). The first retained entry anchors the walk, since
+   * retention may have pruned its predecessor.
+   */
+  async verify() {
+    const entries = await this.backend.scan();
+    let prev = null;
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      let reason = null;
+      if (prev && entry.seq !== prev.seq + 1) {
+        reason = `sequence gap: expected ${prev.seq + 1}, found ${entry.seq}`;
+      } else if (prev && entry.prevHash !== prev.hash) {
+        reason = "prevHash does not match the previous entry";
+      } else if (this.hashEntry(entry) !== entry.hash) {
+        reason = "entry contents do not match its hash";
+      }
+      if (reason) {
+        return {
+          valid: false,
+          checked: i,
+          firstBroken: { seq: entry.seq, id: entry.id, timestamp: entry.timestamp, reason },
+        };
+      }
+      prev = entry;
+    }
+    return {
+      valid: true,
+      checked: entries.length,
+      firstSeq: entries[0]?.seq ?? null,
+      head: prev ? { seq: prev.seq, hash: prev.hash } : null,
+      keyed: !!this.chainKey,
+    };
+  }
+
+  async applyRetention() {
+    const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS).toISOString();
+    try {
+      const removed = await this.backend.prune(cutoff);
+      if (removed) {
+        logger.info("Pruned audit entries past retention", { removed, cutoff });
+      }
+    } catch (error) {
+      logger.error("Audit retention failed", { error: error.message });
+    }
+  }
+}
+
+module.exports = new AuditStore();
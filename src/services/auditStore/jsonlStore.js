@@ -0,0 +1,90 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../../config/logger");
+const MemoryAuditStore = require("./memoryStore");
+
+/**
+ * Append-only JSON Lines file. Each entry is one appended line, so a write
+ * never rewrites history; the in-memory indexes are rebuilt on startup.
+ * Retention compacts the file by writing a copy and renaming it over.
+ */
+class JsonlAuditStore extends MemoryAuditStore {
+  constructor({ filePath, legacyPath } = {}) {
+    super();
+    this.name = "jsonl";
+    this.filePath = filePath;
+    this.legacyPath = legacyPath;
+    // Appends and compaction run one at a time so no line is lost
+    this.queue = Promise.resolve();
+    this.ready = this.load();
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async load() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) {
+      await this.importLegacy();
+    }
+    if (!fs.existsSync(this.filePath)) return;
+
+    const text = await fs.promises.readFile(this.filePath, "utf8");
+    let skipped = 0;
+    text.split("\n").forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        this.index(JSON.parse(line));
+      } catch (_) {
+        skipped++; // a torn final line from a crash
+      }
+    });
+    if (skipped) {
+      logger.warn("Skipped unreadable audit log lines", { file: this.filePath, skipped });
+    }
+  }
+
+  // One-time move of the old audit-log.json array into the JSONL file
+  async importLegacy() {
+    if (!this.legacyPath || !fs.existsSync(this.legacyPath)) return;
+    try {
+      const entries = JSON.parse(await fs.promises.readFile(this.legacyPath, "utf8"));
+      if (!Array.isArray(entries) || !entries.length) return;
+      const lines = entries.map((e) => JSON.stringify(e)).join("\n") + "\n";
+      await fs.promises.writeFile(this.filePath, lines, "utf8");
+      logger.info("Imported legacy audit entries", {
+        from: this.legacyPath,
+        to: this.filePath,
+        count: entries.length,
+      });
+    } catch (error) {
+      logger.warn("Could not import legacy audit log", { error: error.message });
+    }
+  }
+
+  async append(entry) {
+    await this.ready;
+    await this.enqueue(async () => {
+      await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + "\n", "utf8");
+      this.index(entry);
+    });
+  }
+
+  async prune(cutoff) {
+    await this.ready;
+    return this.enqueue(async () => {
+      const removed = await super.prune(cutoff);
+      if (!removed) return 0;
+      const tmp = `${this.filePath}.${process.pid}.tmp`;
+      const lines = this.sorted.map((e) => JSON.stringify(e)).join("\n");
+      await fs.promises.writeFile(tmp, lines ? lines + "\n" : "", "utf8");
+      await fs.promises.rename(tmp, this.filePath);
+      return removed;
+    });
+  }
+}
+
+module.exports = JsonlAuditStore;
@@ -0,0 +1,174 @@
+/**
+ * In-memory audit store with indexes on timestamp, user, operation and file
+ * name. Also the base for the JSONL store, which adds persistence.
+ */
+class MemoryAuditStore {
+  constructor() {
+    this.name = "memory";
+    this.reset();
+    this.ready = Promise.resolve();
+  }
+
+  reset() {
+    this.byId = new Map();
+    this.sorted = []; // ascending by (timestamp, id)
+    this.byUser = new Map();
+    this.byOperation = new Map();
+    this.byFile = new Map(); // lowercased fileName -> Set(id)
+  }
+
+  static compare(a, b) {
+    const ta = String(a.timestamp);
+    const tb = String(b.timestamp);
+    if (ta !== tb) return ta < tb ? -1 : 1;
+    const ia = String(a.id);
+    const ib = String(b.id);
+    return ia === ib ? 0 : ia < ib ? -1 : 1;
+  }
+
+  // First index in sorted whose timestamp is >= ts (or > ts when after)
+  bound(ts, after = false) {
+    let lo = 0;
+    let hi = this.sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      const t = String(this.sorted[mid].timestamp);
+      if (t < ts || (after && t === ts)) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  addToIndex(map, key, id) {
+    if (key === undefined || key === null) return;
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(id);
+  }
+
+  removeFromIndex(map, key, id) {
+    const ids = map.get(key);
+    if (!ids) return;
+    ids.delete(id);
+    if (!ids.size) map.delete(key);
+  }
+
+  index(entry) {
+    if (this.byId.has(entry.id)) return;
+    this.byId.set(entry.id, entry);
+    const last = this.sorted[this.sorted.length - 1];
+    if (!last || MemoryAuditStore.compare(last, entry) <= 0) {
+      this.sorted.push(entry);
+    } else {
+      let lo = 0;
+      let hi = this.sorted.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (MemoryAuditStore.compare(this.sorted[mid], entry) < 0) lo = mid + 1;
+        else hi = mid;
+      }
+      this.sorted.splice(lo, 0, entry);
+    }
+    this.addToIndex(this.byUser, entry.user, entry.id);
+    this.addToIndex(this.byOperation, entry.operation, entry.id);
+    this.addToIndex(this.byFile, entry.fileName ? String(entry.fileName).toLowerCase() : null, entry.id);
+  }
+
+  unindex(entry) {
+    this.byId.delete(entry.id);
+    this.removeFromIndex(this.byUser, entry.user, entry.id);
+    this.removeFromIndex(this.byOperation, entry.operation, entry.id);
+    this.removeFromIndex(
+      this.byFile,
+      entry.fileName ? String(entry.fileName).toLowerCase() : null,
+      entry.id
+    );
+  }
+
+  async append(entry) {
+    await this.ready;
+    this.index(entry);
+  }
+
+  async get(id) {
+    await this.ready;
+    return this.byId.get(id) || null;
+  }
+
+  /**
+   * Entries matching the filters, newest first. Exact user/operation filters
+   * and the fileName substring use their indexes; dates bound a slice of the
+   * timestamp-ordered list.
+   */
+  async query(filters = {}) {
+    await this.ready;
+    const start = filters.startDate ? this.bound(new Date(filters.startDate).toISOString()) : 0;
+    const end = filters.endDate
+      ? this.bound(new Date(filters.endDate).toISOString(), true)
+      : this.sorted.length;
+
+    const candidateSets = [];
+    if (filters.user) candidateSets.push(this.byUser.get(filters.user) || new Set());
+    if (filters.operation) {
+      candidateSets.push(this.byOperation.get(filters.operation) || new Set());
+    }
+    if (filters.fileName) {
+      const needle = String(filters.fileName).toLowerCase();
+      const ids = new Set();
+      for (const [name, set] of this.byFile.entries()) {
+        if (name.includes(needle)) set.forEach((id) => ids.add(id));
+      }
+      candidateSets.push(ids);
+    }
+
+    const inSets = (entry) => candidateSets.every((set) => set.has(entry.id));
+    const successOk = (entry) =>
+      filters.success === undefined || entry.success === filters.success;
+
+    let results;
+    const smallest = candidateSets.sort((a, b) => a.size - b.size)[0];
+    if (smallest && smallest.size < end - start) {
+      const from = start < this.sorted.length ? this.sorted[start] : null;
+      const to = end > 0 ? this.sorted[end - 1] : null;
+      results = [...smallest]
+        .map((id) => this.byId.get(id))
+        .filter(
+          (e) =>
+            from &&
+            to &&
+            MemoryAuditStore.compare(e, from) >= 0 &&
+            MemoryAuditStore.compare(e, to) <= 0
+        )
+        .sort(MemoryAuditStore.compare);
+    } else {
+      results = this.sorted.slice(start, end);
+    }
+    return results.filter((e) => inSets(e) && successOk(e)).reverse();
+  }
+
+  // Hash-chained entries in chain order
+  async scan() {
+    await this.ready;
+    return [...this.byId.values()]
+      .filter((e) => Number.isInteger(e.seq))
+      .sort((a, b) => a.seq - b.seq);
+  }
+
+  async last() {
+    await this.ready;
+    let last = null;
+    for (const entry of this.byId.values()) {
+      if (Number.isInteger(entry.seq) && (!last || entry.seq > last.seq)) last = entry;
+    }
+    return last;
+  }
+
+  async prune(cutoff) {
+    await this.ready;
+    const keepFrom = this.bound(cutoff);
+    const removed = this.sorted.splice(0, keepFrom);
+    removed.forEach((entry) => this.unindex(entry));
+    return removed.length;
+  }
+}
+
+module.exports = MemoryAuditStore;
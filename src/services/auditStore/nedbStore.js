@@ -0,0 +1,81 @@
+const Datastore = require("@seald-io/nedb");
+
+/**
+ * Embedded database backend (NeDB). Persists as an append-only datafile that
+ * NeDB compacts itself; indexes cover timestamp, user, fileName and operation
+ * (plus seq for walking the hash chain).
+ */
+class NedbAuditStore {
+  constructor({ filePath } = {}) {
+    this.name = "nedb";
+    this.db = new Datastore({ filename: filePath });
+    this.ready = this.init();
+  }
+
+  async init() {
+    await this.db.loadDatabaseAsync();
+    await Promise.all(
+      ["timestamp", "user", "fileName", "operation", "seq"].map((fieldName) =>
+        this.db.ensureIndexAsync({ fieldName })
+      )
+    );
+  }
+
+  strip(doc) {
+    if (!doc) return null;
+    const { _id, ...entry } = doc;
+    return entry;
+  }
+
+  async append(entry) {
+    await this.ready;
+    await this.db.insertAsync({ ...entry, _id: entry.id });
+  }
+
+  async get(id) {
+    await this.ready;
+    return this.strip(await this.db.findOneAsync({ _id: id }));
+  }
+
+  async query(filters = {}) {
+    await this.ready;
+    const q = {};
+    if (filters.user) q.user = filters.user;
+    if (filters.operation) q.operation = filters.operation;
+    if (filters.fileName) {
+      const escaped = String(filters.fileName).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      q.fileName = { $regex: new RegExp(escaped, "i") };
+    }
+    if (filters.startDate || filters.endDate) {
+      q.timestamp = {};
+      if (filters.startDate) q.timestamp.$gte = new Date(filters.startDate).toISOString();
+      if (filters.endDate) q.timestamp.$lte = new Date(filters.endDate).toISOString();
+    }
+    if (filters.success !== undefined) q.success = filters.success;
+
+    const docs = await this.db.findAsync(q).sort({ timestamp: -1, _id: -1 });
+    return docs.map((doc) => this.strip(doc));
+  }
+
+  async scan() {
+    await this.ready;
+    const docs = await this.db.findAsync({ seq: { $exists: true } }).sort({ seq: 1 });
+    return docs.map((doc) => this.strip(doc));
+  }
+
+  async last() {
+    await this.ready;
+    const [doc] = await this.db
+      .findAsync({ seq: { $exists: true } })
+      .sort({ seq: -1 })
+      .limit(1);
+    return this.strip(doc);
+  }
+
+  async prune(cutoff) {
+    await this.ready;
+    return this.db.removeAsync({ timestamp: { $lt: cutoff } }, { multi: true });
+  }
+}
+
+module.exports = NedbAuditStore;
@@ -0,0 +1,802 @@
+const excelService = require("./excelService");
+const excelEngineService = require("./excelEngineService");
+const findReplaceService = require("./findReplaceService");
+const graphService = require("./graphService");
+const graphBatchService = require("./graphBatchService");
+const auditService = require("./auditService");
+const recordService = require("./recordService");
+const renameService = require("./renameService");
+const resolverService = require("./resolverService");
+const rangeProtectionService = require("./rangeProtectionService");
+const logger = require("../config/logger");
+const { AppError } = require("../middleware/errorHandler");
+
+/**
+ * Operation types accepted by /batch.
+ *   verb:  access policy verb the operation needs
+ *   sheet: resolve worksheetName/sheetName to an ID before running (other
+ *          types pass the name on, or treat it as the sheet to create)
+ *   undo:  how an atomic batch rolls it back; types without one are refused
+ *          in atomic batches
+ */
+const OPERATIONS = {
+  READ_range: { verb: "read", sheet: true, undo: "none" },
+  write_range: { verb: "write", sheet: true, undo: "snapshot" },
+  clear: { verb: "write", sheet: true, undo: "snapshot" },
+  format: { verb: "format", sheet: false },
+  findReplace: { verb: "find-replace", sheet: false, undo: "cells" },
+  createSheet: { verb: "write", sheet: false, undo: "deleteSheet" },
+  deleteSheet: { verb: "delete-sheet", sheet: true },
+  renameSheet: { verb: "rename", sheet: false, undo: "renameSheet" },
+  addTableRows: { verb: "write", sheet: true, undo: "deleteRows" },
+};
+
+// Call of a grid operation whose response is the operation's result
+const GRID_CALL = { READ_range: "read", write_range: "write", clear: "clear" };
+
+/**
+ * Runs /batch operations. Operations address workbooks by name; each one is
+ * resolved to drive/item/worksheet IDs before it runs. Atomic batches resolve
+ * and check everything up front, snapshot or record what each step changes
+ * and undo the applied steps if any operation fails.
+ */
+class BatchService {
+  verbFor(operation) {
+    return OPERATIONS[operation.type]?.verb || "write";
+  }
+
+  // Every verb an operation needs; a format operation needs those of its engine operations
+  verbsFor(operation) {
+    if (operation.type !== "format") return [this.verbFor(operation)];
+    const verbs = (operation.operations || []).flatMap((op) => excelEngineService.verbsFor(op));
+    return verbs.length ? [...new Set(verbs)] : ["format"];
+  }
+
+  isGrid(values) {
+    return Array.isArray(values) && values.length > 0 && values.every(Array.isArray);
+  }
+
+  sheetNameOf(operation) {
+    return operation.worksheetName || operation.sheetName;
+  }
+
+  /**
+   * Checks that need no Graph calls. Atomic batches run them for every
+   * operation before anything is written.
+   */
+  validateOperation(operation, index, atomic = false) {
+    const spec = OPERATIONS[operation.type];
+    if (!spec) {
+      throw new AppError(
+        `Operation ${index} has unknown type '${operation.type}'. Valid types: ${Object.keys(OPERATIONS).join(", ")}`,
+        400
+      );
+    }
+    const need = (ok, what) => {
+      if (!ok) throw new AppError(`Operation ${index} (${operation.type}) needs ${what}`, 400);
+    };
+    switch (operation.type) {
+      case "write_range":
+        need(this.isGrid(operation.values), "values as a non-empty 2D array");
+        need(!atomic || operation.range, "an explicit range in an atomic batch");
+        break;
+      case "format":
+        need(Array.isArray(operation.operations) && operation.operations.length, "an operations array");
+        break;
+      case "findReplace":
+        need(operation.searchTerm, "searchTerm");
+        need(typeof operation.replaceTerm === "string", "replaceTerm");
+        break;
+      case "createSheet":
+      case "deleteSheet":
+        need(this.sheetNameOf(operation), "sheetName");
+        break;
+      case "renameSheet":
+        need(operation.oldSheetName && operation.newSheetName, "oldSheetName and newSheetName");
+        break;
+      case "addTableRows":
+        need(operation.tableName, "tableName");
+        need(this.isGrid(operation.values) || Array.isArray(operation.records), "values or records");
+        break;
+    }
+    if (atomic && !spec.undo) {
+      throw new AppError(
+        `Operation ${index} (${operation.type}) cannot be rolled back; run it outside an atomic batch`,
+        400
+      );
+    }
+  }
+
+  /**
+   * Resolve an operation's names to { driveId, itemId, worksheetId, address }.
+   * Sheet names listed in deferSheets (created earlier in the same atomic
+   * batch) are left for resolveSheet at run time.
+   */
+  async resolveOperation(accessToken, operation, index, deferSheets = null) {
+    const { driveName, itemName, itemPath, range } = operation;
+    const worksheetName = this.sheetNameOf(operation);
+
+    if (!driveName || !itemName) {
+      throw new AppError(
+        `Operation ${index} must include driveName and itemName`,
+        400
+      );
+    }
+    const driveId = await resolverService.resolveDriveIdByName(accessToken, driveName);
+    let itemId;
+    try {
+      itemId = await resolverService.resolveItemIdByName(accessToken, driveId, itemName);
+    } catch (err) {
+      if (err.isMultipleMatches && itemPath) {
+        itemId = await resolverService.resolveItemIdByPath(
+          accessToken,
+          driveId,
+          itemName,
+          itemPath
+        );
+      } else {
+        throw err;
+      }
+    }
+
+    const target = { driveId, itemId, worksheetId: null, address: range, worksheetName };
+    if (!OPERATIONS[operation.type]?.sheet) return target;
+
+    if (range) {
+      const parsed = resolverService.parseSheetAndAddress(range);
+      target.address = parsed.address;
+      target.worksheetName = parsed.sheetName || worksheetName;
+    }
+    if (target.worksheetName && !deferSheets?.has(`${itemId}:${target.worksheetName}`)) {
+      await this.resolveSheet(accessToken, target);
+    }
+    return target;
+  }
+
+  async resolveSheet(accessToken, target) {
+    if (target.worksheetId || !target.worksheetName) return target;
+    target.worksheetId = await resolverService.resolveWorksheetIdByName(
+      accessToken,
+      target.driveId,
+      target.itemId,
+      target.worksheetName
+    );
+    return target;
+  }
+
+  async executeOperation(accessToken, operation, target, auditContext) {
+    const graphClient = excelService.createGraphClient(accessToken);
+    const workbook = `/drives/${target.driveId}/items/${target.itemId}/workbook`;
+
+    switch (operation.type) {
+      case "READ_range":
+        return excelService.readRange({
+          accessToken,
+          driveId: target.driveId,
+          itemId: target.itemId,
+          worksheetId: target.worksheetId,
+          range: target.address,
+          auditContext,
+        });
+
+      case "write_range":
+        return excelService.writeRange({
+          accessToken,
+          driveId: target.driveId,
+          itemId: target.itemId,
+          worksheetId: target.worksheetId,
+          range: target.address,
+          values: operation.values,
+          auditContext,
+        });
+
+      case "clear":
+        return excelService.clearData({
+          accessToken,
+          driveId: target.driveId,
+          itemId: target.itemId,
+          worksheetId: target.worksheetId,
+          range: target.address,
+          auditContext,
+        });
+
+      case "format": {
+        const result = await excelEngineService.applyFormatting(
+          accessToken,
+          target.driveId,
+          target.itemId,
+          target.worksheetName,
+          operation.operations,
+          auditContext
+        );
+        const failed = result.results.find((r) => r.status === "error") || result.errors[0];
+        if (failed) {
+          throw new AppError(`Format operation failed: ${failed.error}`, 400);
+        }
+        return result;
+      }
+
+      case "findReplace": {
+        const scope = operation.range
+          ? "specific_range"
+          : target.worksheetName
+            ? "entire_sheet"
+            : "all_sheets";
+        // Earlier steps may have changed the cells; never reuse cached matches
+        findReplaceService.forgetSearches(target.driveId, target.itemId);
+        const matches = await findReplaceService.findOccurrences(
+          accessToken,
+          target.driveId,
+          target.itemId,
+          operation.searchTerm,
+          scope,
+          operation.range || null,
+          target.worksheetName || null
+        );
+        if (!matches.length) {
+          return { changes: [], errors: [], summary: { totalMatches: 0, successful: 0, failed: 0 } };
+        }
+        const result = await findReplaceService.performReplace(
+          accessToken,
+          target.driveId,
+          target.itemId,
+          operation.searchTerm,
+          operation.replaceTerm,
+          matches,
+          {
+            caseSensitive: operation.caseSensitive,
+            wholeWord: operation.wholeWord,
+            replaceInside: operation.replaceInside,
+            replaceMode: operation.replaceMode,
+          }
+        );
+        // Like format: a partly applied replace fails the step, carrying what it changed
+        if (result.summary.failed > 0 || result.errors.length) {
+          const first = result.errors[0];
+          const error = new AppError(
+            `Find/replace failed for ${result.errors.length} of ${result.summary.totalMatches} matches` +
+              (first ? ` (${[first.sheet, first.cell].filter(Boolean).join("!")}: ${first.error})` : ""),
+            502
+          );
+          error.result = result;
+          throw error;
+        }
+        return result;
+      }
+
+      case "createSheet": {
+        const name = target.worksheetName;
+        const body =
+          operation.position === undefined ? { name } : { name, position: operation.position };
+        const ws = await graphClient.api(`${workbook}/worksheets/add`).post(body);
+        return { worksheetId: ws.id, name: ws.name, position: ws.position };
+      }
+
+      case "deleteSheet":
+        await excelService.deleteWorksheet({
+          accessToken,
+          driveId: target.driveId,
+          itemId: target.itemId,
+          worksheetId: target.worksheetId,
+        });
+        resolverService.forgetWorksheet(target.itemId, target.worksheetName);
+        return { deleted: true, sheetName: target.worksheetName };
+
+      case "renameSheet": {
+        const result = await renameService.renameSheet(
+          accessToken,
+          target.driveId,
+          target.itemId,
+          operation.oldSheetName,
+          operation.newSheetName,
+          auditContext
+        );
+        resolverService.forgetWorksheet(target.itemId, operation.oldSheetName);
+        return result;
+      }
+
+      case "addTableRows": {
+        const header = await graphService.getTableHeaders(
+          accessToken,
+          target.driveId,
+          target.itemId,
+          target.worksheetId,
+          operation.tableName
+        );
+        const rows = operation.records
+          ? recordService.toRows(header, operation.records)
+          : operation.values;
+        if (rows.some((row) => row.length !== header.length)) {
+          throw new AppError(
+            `Each row must have ${header.length} values to match the columns of table ${operation.tableName}`,
+            400
+          );
+        }
+        await rangeProtectionService.assertTableWritable(
+          excelService.createGraphClient(accessToken),
+          { driveId: target.driveId, itemId: target.itemId, tableName: operation.tableName },
+          { part: "addRows", count: rows.length }
+        );
+        const added = await graphService.addTableRows(
+          accessToken,
+          target.driveId,
+          target.itemId,
+          target.worksheetId,
+          operation.tableName,
+          rows,
+          auditContext
+        );
+        return { table: operation.tableName, index: added?.index, rowsAdded: rows.length };
+      }
+
+      default:
+        throw new Error(`Unknown operation type: ${operation.type}`);
+    }
+  }
+
+  sheetPath(workbook, sheetName) {
+    return `${workbook}/worksheets('${String(sheetName).replace(/'/g, "''")}')`;
+  }
+
+  rangePath(target, worksheetId, address) {
+    return `/drives/${target.driveId}/items/${target.itemId}/workbook/worksheets/${worksheetId}/range(address='${address}')`;
+  }
+
+  // Range a snapshot step writes: the values block, the given range, or the used range
+  writeTarget(operation, target) {
+    if (operation.type === "write_range") {
+      const block = rangeProtectionService.extend(
+        rangeProtectionService.parseRange(target.address),
+        operation.values.length,
+        Math.max(...operation.values.map((row) => row.length))
+      );
+      return { worksheetId: target.worksheetId, address: block.address };
+    }
+    return { worksheetId: target.worksheetId, address: target.address || null };
+  }
+
+  // Formulas (constants included) so restoring keeps formulas intact
+  async snapshot(graphClient, step) {
+    const write = this.writeTarget(step.operation, step.target);
+    const path = write.address
+      ? this.rangePath(step.target, write.worksheetId, write.address)
+      : `/drives/${step.target.driveId}/items/${step.target.itemId}/workbook/worksheets/${write.worksheetId}/usedRange`;
+    const current = await graphClient.api(path).select("address,formulas").get();
+    const address = write.address || String(current.address || "").split("!").pop();
+    return { worksheetId: write.worksheetId, address, formulas: current.formulas };
+  }
+
+  // Reads, writes to an explicit range and clears can share one Graph $batch
+  isGridOperation(operation) {
+    return (
+      operation.type === "READ_range" ||
+      operation.type === "clear" ||
+      (operation.type === "write_range" && !!operation.range)
+    );
+  }
+
+  // Operations without a sheet use the workbook's first worksheet
+  async pinDefaultSheet(graphClient, target) {
+    if (target.worksheetId) return target;
+    const wsList = await graphClient
+      .api(`/drives/${target.driveId}/items/${target.itemId}/workbook/worksheets`)
+      .get();
+    target.worksheetId = wsList?.value?.[0]?.id;
+    return target;
+  }
+
+  /**
+   * Run a batch where each operation succeeds or fails on its own. Runs of
+   * consecutive read, write and clear operations go to Graph through $batch
+   * (20 calls per round trip, in order per workbook); every other type runs
+   * on its own once the pending run is flushed. Returns { results, errors }.
+   */
+  async run({ accessToken, operations, auditContext }) {
+    const graphClient = excelService.createGraphClient(accessToken);
+    const results = [];
+    const errors = [];
+    let pending = [];
+
+    const flush = async () => {
+      if (!pending.length) return;
+      const outcome = await this.runGrid(graphClient, pending, auditContext);
+      results.push(...outcome.results);
+      errors.push(...outcome.errors);
+      pending = [];
+    };
+
+    for (let i = 0; i < operations.length; i++) {
+      const operation = operations[i];
+
+      try {
+        // Resolve names-only per operation
+        this.validateOperation(operation, i);
+        const target = await this.resolveOperation(accessToken, operation, i);
+        if (this.isGridOperation(operation)) {
+          pending.push({ index: i, operation, target });
+          continue;
+        }
+
+        await flush();
+        const result = await this.executeOperation(accessToken, operation, target, auditContext);
+        results.push({
+          index: i,
+          operation: operation.type,
+          success: true,
+          data: result,
+        });
+      } catch (error) {
+        logger.error(`Batch operation ${i} failed:`, error);
+        errors.push({
+          index: i,
+          operation: operation.type,
+          error: error.message,
+        });
+
+        // Continue with other operations unless it's a critical error
+        if (error.message.includes("Authentication")) {
+          break; // Stop if authentication fails
+        }
+      }
+    }
+    await flush();
+
+    const byIndex = (a, b) => a.index - b.index;
+    return { results: results.sort(byIndex), errors: errors.sort(byIndex) };
+  }
+
+  // Graph calls of one grid step, keyed by role
+  async gridCalls(graphClient, step) {
+    const { operation, target } = step;
+    await this.pinDefaultSheet(graphClient, target);
+    const path = target.address
+      ? this.rangePath(target, target.worksheetId, target.address)
+      : `/drives/${target.driveId}/items/${target.itemId}/workbook/worksheets/${target.worksheetId}/usedRange`;
+
+    switch (operation.type) {
+      case "READ_range":
+        return { read: { method: "GET", url: path } };
+
+      case "write_range": {
+        const block = this.writeTarget(operation, target);
+        await rangeProtectionService.assertWritable(graphClient, {
+          driveId: target.driveId,
+          itemId: target.itemId,
+          targets: [block],
+        });
+        return {
+          old: {
+            method: "GET",
+            url: `${this.rangePath(target, block.worksheetId, block.address)}?$select=values,formulas`,
+          },
+          write: { method: "PATCH", url: path, body: { values: operation.values } },
+        };
+      }
+
+      case "clear":
+        await rangeProtectionService.assertWritable(graphClient, {
+          driveId: target.driveId,
+          itemId: target.itemId,
+          targets: [{ worksheetId: target.worksheetId, address: target.address }],
+        });
+        return {
+          old: { method: "GET", url: `${path}?$select=address,values,formulas` },
+          clear: { method: "POST", url: `${path}/clear`, body: { applyTo: "All" } },
+        };
+
+      default:
+        throw new Error(`Unknown operation type: ${operation.type}`);
+    }
+  }
+
+  // Same messages excelService gives for failed range calls
+  gridError(step, response) {
+    const range = step.operation.range;
+    if (response.code === "InvalidArgument") {
+      return new AppError(`Invalid range format: ${range}`, response.status);
+    }
+    if (response.code === "itemNotFound") {
+      return new AppError("Worksheet or range not found", response.status);
+    }
+    return graphBatchService.errorFor(response);
+  }
+
+  /**
+   * Run read/write/clear steps through Graph $batch. A write's old values
+   * are read just before it, so the audit trail matches what it replaced.
+   */
+  async runGrid(graphClient, steps, auditContext) {
+    const results = [];
+    const errors = [];
+    const requests = [];
+
+    for (const step of steps) {
+      try {
+        step.calls = await this.gridCalls(graphClient, step);
+        Object.entries(step.calls).forEach(([role, request]) => {
+          requests.push({ ...request, id: `${step.index}-${role}` });
+        });
+      } catch (error) {
+        step.error = error;
+      }
+    }
+
+    const responses = await graphBatchService.execute(graphClient, requests);
+    const byId = new Map(responses.map((r) => [r.id, r]));
+
+    for (const step of steps) {
+      const { index, operation, target } = step;
+      const response = (role) => byId.get(`${index}-${role}`);
+      try {
+        if (step.error) throw step.error;
+        const main = response(GRID_CALL[operation.type]);
+        if (!main.ok) throw this.gridError(step, main);
+
+        const old = response("old");
+        if (old && !old.ok) {
+          logger.warn("Could not read current values for audit trail:", old.error);
+        }
+        const oldValues = old?.ok ? old.body?.values ?? null : null;
+        const oldFormulas = old?.ok ? old.body?.formulas ?? null : null;
+        results.push({
+          index,
+          operation: operation.type,
+          success: true,
+          data: this.gridResult(step, main.body || {}, { oldValues, oldFormulas }, old?.body, auditContext),
+        });
+      } catch (error) {
+        logger.error(`Batch operation ${index} failed:`, error);
+        errors.push({ index, operation: operation.type, error: error.message });
+      }
+    }
+    return { results, errors };
+  }
+
+  // Result shapes and audit events match excelService.readRange/writeRange/clearData
+  gridResult(step, body, { oldValues, oldFormulas }, oldBody, auditContext) {
+    const { operation, target } = step;
+    switch (operation.type) {
+      case "READ_range": {
+        const rangeData = {
+          address: body.address,
+          values: body.values,
+          formulas: body.formulas,
+          text: body.text,
+          rowCount: body.rowCount,
+          columnCount: body.columnCount,
+        };
+        auditService.logReadOperation({
+          ...auditContext,
+          workbookId: target.itemId,
+          worksheetId: target.worksheetId,
+          range: target.address,
+          cellCount: rangeData.rowCount * rangeData.columnCount,
+          success: true,
+        });
+        return rangeData;
+      }
+
+      case "write_range": {
+        const updatedData = {
+          address: body.address,
+          values: body.values,
+          rowCount: body.rowCount,
+          columnCount: body.columnCount,
+          worksheetId: target.worksheetId,
+          oldValues,
+          oldFormulas,
+        };
+        auditService.logWriteOperation({
+          ...auditContext,
+          workbookId: target.itemId,
+          worksheetId: target.worksheetId,
+          range: body.address || target.address,
+          oldValues,
+          newValues: operation.values,
+          cellsModified: updatedData.rowCount * updatedData.columnCount,
+          success: true,
+        });
+        return updatedData;
+      }
+
+      default: {
+        const range = target.address || "usedRange";
+        auditService.logSystemEvent({
+          event: "EXCEL_CLEAR",
+          details: {
+            driveId: target.driveId,
+            itemId: target.itemId,
+            worksheetId: target.worksheetId,
+            range,
+            user: auditContext?.user,
+          },
+        });
+        return {
+          cleared: true,
+          worksheetId: target.worksheetId,
+          range,
+          address: oldBody?.address || target.address,
+          oldValues,
+          oldFormulas,
+        };
+      }
+    }
+  }
+
+  /**
+   * Validate, resolve and protection-check every operation, then apply them
+   * in order and undo the applied steps newest first on failure. Returns
+   * { transaction: "committed" | "rolled_back" | "rollback_failed", results,
+   * failed?, rollback? }.
+   */
+  async runAtomic({ accessToken, operations, auditContext }) {
+    const graphClient = excelService.createGraphClient(accessToken);
+
+    // Preflight: nothing is written unless every operation resolves
+    operations.forEach((op, i) => this.validateOperation(op, i, true));
+    const plan = [];
+    const created = new Set(); // `${itemId}:${sheet}` made by earlier steps
+    for (let i = 0; i < operations.length; i++) {
+      const operation = operations[i];
+      try {
+        const target = await this.resolveOperation(accessToken, operation, i, created);
+        const deferred = !!target.worksheetName && !target.worksheetId && OPERATIONS[operation.type].sheet;
+        if (OPERATIONS[operation.type].undo === "snapshot" && !target.worksheetName) {
+          // Pin the default sheet so the snapshot and the write agree
+          await this.pinDefaultSheet(graphClient, target);
+        }
+        if (OPERATIONS[operation.type].undo === "snapshot" && !deferred) {
+          await rangeProtectionService.assertWritable(graphClient, {
+            driveId: target.driveId,
+            itemId: target.itemId,
+            targets: [this.writeTarget(operation, target)],
+          });
+        }
+        if (operation.type === "addTableRows") {
+          await rangeProtectionService.assertTableWritable(
+            graphClient,
+            { driveId: target.driveId, itemId: target.itemId, tableName: operation.tableName },
+            { part: "addRows", count: (operation.records || operation.values).length }
+          );
+        }
+        if (operation.type === "createSheet") {
+          created.add(`${target.itemId}:${target.worksheetName}`);
+        } else if (operation.type === "renameSheet") {
+          created.add(`${target.itemId}:${operation.newSheetName}`);
+        }
+        plan.push({ index: i, operation, target, deferred });
+      } catch (error) {
+        throw new AppError(
+          `Preflight failed for operation ${i}: ${error.message}`,
+          error.statusCode || 400
+        );
+      }
+    }
+
+    const applied = [];
+    const results = [];
+    for (const step of plan) {
+      try {
+        if (step.deferred) await this.resolveSheet(accessToken, step.target);
+        if (OPERATIONS[step.operation.type].undo === "snapshot") {
+          step.snapshot = await this.snapshot(graphClient, step);
+        }
+        applied.push(step);
+        try {
+          step.data = await this.executeOperation(accessToken, step.operation, step.target, auditContext);
+        } catch (error) {
+          // A partly applied step still has changes to undo
+          step.data = error.result;
+          throw error;
+        }
+        results.push({ index: step.index, operation: step.operation.type, success: true, data: step.data });
+      } catch (error) {
+        logger.error(`Atomic batch operation ${step.index} failed; rolling back`, {
+          error: error.message,
+        });
+        const rollback = await this.rollback(accessToken, graphClient, applied, auditContext);
+        return {
+          transaction: rollback.failed.length ? "rollback_failed" : "rolled_back",
+          results,
+          failed: { index: step.index, operation: step.operation.type, error: error.message },
+          statusCode: error.statusCode,
+          rollback,
+        };
+      }
+    }
+    return { transaction: "committed", results };
+  }
+
+  // Undo applied steps newest first so overlapping changes unwind in order
+  async rollback(accessToken, graphClient, applied, auditContext) {
+    const restored = [];
+    const failed = [];
+    for (const step of [...applied].reverse()) {
+      const entry = { index: step.index, operation: step.operation.type };
+      try {
+        const undone = await this.undo(accessToken, graphClient, step, auditContext);
+        if (undone) restored.push({ ...entry, ...undone });
+      } catch (error) {
+        logger.error("Failed to undo batch operation", { ...entry, error: error.message });
+        failed.push({ ...entry, error: error.message });
+      }
+    }
+    return { restored, failed };
+  }
+
+  /**
+   * Undo one applied step. Steps that failed before changing anything have
+   * no data and nothing to undo, except snapshots, which are always put back.
+   */
+  async undo(accessToken, graphClient, step, auditContext) {
+    const { operation, target, data } = step;
+    const workbook = `/drives/${target.driveId}/items/${target.itemId}/workbook`;
+
+    switch (OPERATIONS[operation.type].undo) {
+      case "snapshot": {
+        const snap = step.snapshot;
+        await graphClient
+          .api(this.rangePath(target, snap.worksheetId, snap.address))
+          .patch({ formulas: snap.formulas });
+        return { range: snap.address };
+      }
+
+      case "cells": {
+        if (!data?.changes?.length) return null;
+        const responses = await graphBatchService.execute(
+          graphClient,
+          [...data.changes].reverse().map((change) => ({
+            method: "PATCH",
+            url: `${this.sheetPath(workbook, change.sheet)}/range(address='${change.cell}')`,
+            body: { formulas: [[change.oldFormula ?? change.oldValue]] },
+          }))
+        );
+        const failed = responses.find((r) => !r.ok);
+        if (failed) throw graphBatchService.errorFor(failed);
+        return { cells: data.changes.length };
+      }
+
+      case "deleteSheet":
+        if (!data) return null;
+        await graphClient.api(`${workbook}/worksheets/${data.worksheetId}`).delete();
+        resolverService.forgetWorksheet(target.itemId, data.name);
+        return { sheet: data.name };
+
+      case "renameSheet":
+        if (!data) return null;
+        await renameService.renameSheet(
+          accessToken,
+          target.driveId,
+          target.itemId,
+          data.newSheetName,
+          data.oldSheetName,
+          auditContext
+        );
+        resolverService.forgetWorksheet(target.itemId, data.newSheetName);
+        return { sheet: data.oldSheetName };
+
+      case "deleteRows": {
+        if (!data || data.index === undefined) return null;
+        const tablePath = graphService.getTablePath(
+          target.driveId,
+          target.itemId,
+          target.worksheetId,
+          operation.tableName
+        );
+        const requests = [];
+        for (let i = data.index + data.rowsAdded - 1; i >= data.index; i--) {
+          requests.push({ method: "DELETE", url: `${tablePath}/rows/itemAt(index=${i})` });
+        }
+        const responses = await graphBatchService.execute(graphClient, requests);
+        const failed = responses.find((r) => !r.ok);
+        if (failed) throw graphBatchService.errorFor(failed);
+        return { table: operation.tableName, rows: data.rowsAdded };
+      }
+
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = new BatchService();
@@ -0,0 +1,159 @@
+const recordService = require("./recordService");
+const findReplaceService = require("./findReplaceService");
+
+// Rows searched for a header before the block is taken to have none
+const HEADER_SCAN_ROWS = 10;
+// Header names that suggest an identifier column
+const KEY_NAME = /(^|[^a-z])(id|key|code|no|nr|number|ref|sku|uuid)([^a-z]|$)/i;
+
+/**
+ * Profiles a block of typed cell values (see typedValueService) for the
+ * describe endpoint: finds the header row and infers, per column, a type
+ * (number, date, text, boolean, mixed or empty), null ratio, distinct count,
+ * min/max, example values and whether it looks like a key.
+ */
+class DescribeService {
+  isEmpty(value) {
+    return value === null || value === undefined || (typeof value === "string" && value.trim() === "");
+  }
+
+  /**
+   * Index of the header row in values, or -1. Rows with fewer than half the
+   * block's columns filled (titles, notes) are skipped; the first fuller row
+   * is the header when its cells are distinct text and data follows it.
+   */
+  detectHeaderRow(values) {
+    const rows = (values || []).map((row) => row || []);
+    const used = new Set();
+    rows.forEach((row) => row.forEach((v, j) => !this.isEmpty(v) && used.add(j)));
+    if (!used.size) return -1;
+
+    let scanned = 0;
+    for (let i = 0; i < rows.length && scanned < HEADER_SCAN_ROWS; i++) {
+      const filled = rows[i].filter((v) => !this.isEmpty(v));
+      if (!filled.length) continue;
+      scanned++;
+      if (filled.length < Math.ceil(used.size / 2)) continue;
+      const texts = filled.map((v) => (typeof v === "string" ? recordService.normalizeHeader(v).toLowerCase() : null));
+      const hasData = rows.slice(i + 1).some((row) => row.some((v) => !this.isEmpty(v)));
+      return texts.every((t) => t) && new Set(texts).size === texts.length && hasData ? i : -1;
+    }
+    return -1;
+  }
+
+  // number, date, text, boolean or error for a typed value; null when empty
+  kindOf(value) {
+    if (this.isEmpty(value)) return null;
+    if (typeof value === "boolean") return "boolean";
+    if (typeof value === "number") return "number";
+    if (typeof value === "object") {
+      if (["date", "datetime", "time"].includes(value.type)) return "date";
+      if (value.type === "error") return "error";
+      return "number";
+    }
+    return "text";
+  }
+
+  /**
+   * Describe a block of typed values read at address. totalRows is the
+   * number of rows in the whole range when only its top was sampled;
+   * headerIndex skips detection when the header row is known (tables).
+   */
+  describeBlock(values, address, { totalRows, examples = 3, headerIndex } = {}) {
+    const start = findReplaceService._parseStartFromAddress(address);
+    const startRow = start.startRowIndex || 1;
+    const startCol = start.startColIndex || 1;
+    const rows = (values || []).map((row) => row || []);
+    const headerIdx = headerIndex ?? this.detectHeaderRow(rows);
+    const width = Math.max(0, ...rows.map((row) => row.length));
+    const names = recordService.headerKeys(headerIdx === -1 ? [] : rows[headerIdx]);
+    const dataRows = rows.slice(headerIdx + 1).filter((row) => row.some((v) => !this.isEmpty(v)));
+
+    const columns = [];
+    for (let j = 0; j < width; j++) {
+      const name = names[j] || `col_${j + 1}`;
+      columns.push({
+        name,
+        column: findReplaceService.getColumnLetter(startCol + j),
+        ...this.describeColumn(name, dataRows.map((row) => row[j]), examples),
+      });
+    }
+    const keyColumns = columns
+      .filter((c) => c.likelyKey)
+      .sort((a, b) => Number(KEY_NAME.test(b.name)) - Number(KEY_NAME.test(a.name)))
+      .map((c) => c.name);
+
+    const total = totalRows ?? rows.length;
+    return {
+      headerRow: headerIdx === -1 ? null : startRow + headerIdx,
+      rowCount: Math.max(0, total - (headerIdx + 1)),
+      sampledRows: dataRows.length,
+      columns,
+      keyColumns,
+    };
+  }
+
+  describeColumn(name, cells, examples) {
+    const kinds = {};
+    const distinct = new Map();
+    const formats = {};
+    let nulls = 0;
+    let errors = 0;
+    let integers = true;
+    let min;
+    let max;
+
+    cells.forEach((cell) => {
+      const kind = this.kindOf(cell);
+      if (!kind) {
+        nulls++;
+        return;
+      }
+      if (kind === "error") {
+        errors++;
+        return;
+      }
+      kinds[kind] = (kinds[kind] || 0) + 1;
+      const value = typeof cell === "object" ? cell.value : cell;
+      if (typeof cell === "object" && cell.type !== "error") {
+        const format = cell.type === "currency" ? `currency${cell.currency ? `:${cell.currency}` : ""}` : cell.type;
+        formats[format] = (formats[format] || 0) + 1;
+      }
+      const key = `${kind}:${value}`;
+      if (!distinct.has(key)) distinct.set(key, value);
+      if (kind === "number" && !Number.isInteger(value)) integers = false;
+      if (kind === "number" || kind === "date") {
+        if (min === undefined || value < min) min = value;
+        if (max === undefined || value > max) max = value;
+      }
+    });
+
+    const present = Object.keys(kinds);
+    const type = !present.length ? "empty" : present.length === 1 ? present[0] : "mixed";
+    const filled = cells.length - nulls;
+    const out = {
+      type,
+      nullRatio: cells.length ? Math.round((nulls / cells.length) * 1000) / 1000 : 0,
+      distinct: distinct.size,
+      examples: Array.from(distinct.values()).slice(0, examples),
+    };
+    if (type === "mixed") out.types = kinds;
+    const [format] = Object.entries(formats).sort((a, b) => b[1] - a[1])[0] || [];
+    if (format) out.format = format;
+    if (type === "number" || type === "date") {
+      out.min = min;
+      out.max = max;
+    }
+    if (errors) out.errors = errors;
+    // Unique in every row; unique amounts are common, so numbers also need an id-like name
+    out.likelyKey =
+      filled >= 2 &&
+      !nulls &&
+      !errors &&
+      distinct.size === filled &&
+      (type === "text" || (type === "number" && integers && !format && KEY_NAME.test(name)));
+    return out;
+  }
+}
+
+module.exports = new DescribeService();
@@ -1,9 +1,17 @@
-const { Client } = require("@microsoft/microsoft-graph-client");
+const graphClientFactory = require("./graphClientFactory");
 const logger = require("../config/logger");
 const resolverService = require("./resolverService");
 const auditService = require("./auditService");
+const rangeProtectionService = require("./rangeProtectionService");
+const graphBatchService = require("./graphBatchService");
 const { AppError } = require("../middleware/errorHandler");
 
+// Table lifecycle operations change cells, so they need write rather than format
+const TABLE_OPERATIONS = [
+  "createTable", "renameTable", "resizeTable", "deleteTable",
+  "addTableColumn", "renameTableColumn", "deleteTableColumn", "toggleTableTotals",
+];
+
 class ExcelEngineService {
   constructor() {
     // Cache for workbook sessions and formula validation
@@ -13,9 +21,52 @@ class ExcelEngineService {
   }
 
   createGraphClient(accessToken) {
-    return Client.init({
-      authProvider: (done) => done(null, accessToken),
-    });
+    return graphClientFactory.create(accessToken);
+  }
+
+  /**
+   * Every address an operation names, for the protected-range check: its
+   * range or formula cell, both ends of a pivot table, and the whole columns
+   * or rows a resize changes.
+   */
+  addressesOf(op) {
+    const addresses = [op.range, op.targetCell, op.sourceRange, op.destinationRange];
+    if (op.type === "resizeColumn" && op.column) addresses.push(String(op.column));
+    if (op.type === "resizeRow" && op.row) addresses.push(String(op.row));
+    return addresses.filter(Boolean);
+  }
+
+  /**
+   * The cells a table operation changes, as a rangeProtectionService
+   * tableTargets change, or null when it changes none or names its range.
+   */
+  tableChangeOf(op) {
+    switch (op.type) {
+      case "deleteTable":
+        return op.keepData ? null : { part: "table" };
+      case "deleteTableColumn":
+        return { part: "column", column: op.column };
+      case "renameTableColumn":
+        return { part: "header", column: op.column };
+      case "addTableColumn":
+        return { part: "addColumn" };
+      case "toggleTableTotals":
+        return { part: "totals" };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Access policy verbs an operation needs: format for formatting, write for
+   * table lifecycle changes, plus delete-table when table cells are dropped
+   * (deleting a table without keepData, or a table column).
+   */
+  verbsFor(operation) {
+    if (!TABLE_OPERATIONS.includes(operation?.type)) return ["format"];
+    const drops =
+      operation.type === "deleteTableColumn" || (operation.type === "deleteTable" && !operation.keepData);
+    return drops ? ["write", "delete-table"] : ["write"];
   }
 
   async applyFormatting(
@@ -48,6 +99,25 @@ class ExcelEngineService {
           )
         : null;
 
+      // Refuse the whole request if any operation touches a locked range;
+      // table operations name only the table, so its cells are looked up
+      const targets = operations.flatMap((op) =>
+        this.addressesOf(op).map((address) => ({ sheet: sheetName, worksheetId, address }))
+      );
+      for (const op of operations) {
+        const change = op.tableName && this.tableChangeOf(op);
+        if (change) {
+          targets.push(
+            ...(await rangeProtectionService.tableTargets(
+              graphClient,
+              { driveId, itemId, tableName: op.tableName },
+              change
+            ))
+          );
+        }
+      }
+      await rangeProtectionService.assertWritable(graphClient, { driveId, itemId, targets });
+
       // Process operations in batches for performance
       const batches = this.groupOperationsByType(operations);
 
@@ -305,6 +375,26 @@ class ExcelEngineService {
         results.push(...filterResults);
         break;
 
+      case "createTable":
+      case "renameTable":
+      case "resizeTable":
+      case "deleteTable":
+      case "addTableColumn":
+      case "renameTableColumn":
+      case "deleteTableColumn":
+      case "toggleTableTotals":
+        const tableResults = await this.manageTables(
+          graphClient,
+          driveId,
+          itemId,
+          worksheetId,
+          sheetName,
+          operationType,
+          operations
+        );
+        results.push(...tableResults);
+        break;
+
       default:
         logger.warn(`Unknown operation type: ${operationType}`);
         break;
@@ -313,6 +403,46 @@ class ExcelEngineService {
     return results;
   }
 
+  // Base URL of the worksheet the formatting operations target
+  sheetPath(driveId, itemId, worksheetId, sheetName) {
+    return `/drives/${driveId}/items/${itemId}/workbook/worksheets/${
+      worksheetId || `'${sheetName}'`
+    }`;
+  }
+
+  /**
+   * Send the Graph call of each planned operation through $batch and map the
+   * per-item statuses back to results. A plan is { op, request, result,
+   * failure }: plans without a request (invalid or nothing to send) report
+   * their result as is; a failed request reports failure with its error.
+   */
+  async runPlanned(graphClient, plans, failureMessage) {
+    const sent = plans.filter((plan) => plan.request);
+    const responses = await graphBatchService.execute(
+      graphClient,
+      sent.map((plan) => plan.request)
+    );
+    sent.forEach((plan, i) => {
+      const response = responses[i];
+      if (response.ok) return;
+      logger.error(failureMessage, {
+        operation: plan.op,
+        error: response.error,
+      });
+      plan.result = { ...plan.failure, error: response.error };
+    });
+    return plans.map((plan) => plan.result);
+  }
+
+  // Plan for an operation that failed validation
+  invalidPlan(op, failure, err, failureMessage) {
+    logger.error(failureMessage, {
+      operation: op,
+      error: err.message,
+    });
+    return { op, result: { ...failure, error: err.message } };
+  }
+
   async applyBackgroundColor(
     graphClient,
     driveId,
@@ -321,9 +451,11 @@ class ExcelEngineService {
     sheetName,
     operations
   ) {
-    const results = [];
+    const failureMessage = "Failed to apply background color";
+    const sheet = this.sheetPath(driveId, itemId, worksheetId, sheetName);
 
-    for (const op of operations) {
+    const plans = operations.map((op) => {
+      const failure = { type: "highlight", range: op.range, status: "error" };
       try {
         const { range, color } = op;
         if (!range || !color) {
@@ -335,37 +467,27 @@ class ExcelEngineService {
         const colorCode = this.normalizeColor(color);
         const rangeAddress = this.normalizeRange(range);
 
-        await graphClient
-          .api(
-            `/drives/${driveId}/items/${itemId}/workbook/worksheets/${
-              worksheetId || `'${sheetName}'`
-            }/range(address='${rangeAddress}')/format/fill`
-          )
-          .patch({
+        return {
+          op,
+          failure,
+          request: {
+            method: "PATCH",
+            url: `${sheet}/range(address='${rangeAddress}')/format/fill`,
+            body: { color: colorCode },
+          },
+          result: {
+            type: "highlight",
+            range: rangeAddress,
             color: colorCode,
-          });
-
-        results.push({
-          type: "highlight",
-          range: rangeAddress,
-          color: colorCode,
-          status: "success",
-        });
+            status: "success",
+          },
+        };
       } catch (err) {
-        logger.error("Failed to apply background color", {
-          operation: op,
-          error: err.message,
-        });
-        results.push({
-          type: "highlight",
-          range: op.range,
-          status: "error",
-          error: err.message,
-        });
+        return this.invalidPlan(op, failure, err, failureMessage);
       }
-    }
+    });
 
-    return results;
+    return this.runPlanned(graphClient, plans, failureMessage);
   }
 
   async applyTextFormatting(
@@ -376,9 +498,11 @@ class ExcelEngineService {
     sheetName,
     operations
   ) {
-    const results = [];
+    const failureMessage = "Failed to apply text formatting";
+    const sheet = this.sheetPath(driveId, itemId, worksheetId, sheetName);
 
-    for (const op of operations) {
+    const plans = operations.map((op) => {
+      const failure = { type: "textStyle", range: op.range, status: "error" };
       try {
         const { range, style, fontSize, fontColor, fontName } = op;
         if (!range) {
@@ -400,35 +524,27 @@ class ExcelEngineService {
         if (fontColor) formatUpdates.color = this.normalizeColor(fontColor);
         if (fontName) formatUpdates.name = fontName;
 
-        await graphClient
-          .api(
-            `/drives/${driveId}/items/${itemId}/workbook/worksheets/${
-              worksheetId || `'${sheetName}'`
-            }/range(address='${rangeAddress}')/format/font`
-          )
-          .patch(formatUpdates);
-
-        results.push({
-          type: "textStyle",
-          range: rangeAddress,
-          formatting: formatUpdates,
-          status: "success",
-        });
+        return {
+          op,
+          failure,
+          request: {
+            method: "PATCH",
+            url: `${sheet}/range(address='${rangeAddress}')/format/font`,
+            body: formatUpdates,
+          },
+          result: {
+            type: "textStyle",
+            range: rangeAddress,
+            formatting: formatUpdates,
+            status: "success",
+          },
+        };
       } catch (err) {
-        logger.error("Failed to apply text formatting", {
-          operation: op,
-          error: err.message,
-        });
-        results.push({
-          type: "textStyle",
-          range: op.range,
-          status: "error",
-          error: err.message,
-        });
+        return this.invalidPlan(op, failure, err, failureMessage);
       }
-    }
+    });
 
-    return results;
+    return this.runPlanned(graphClient, plans, failureMessage);
   }
 
   async applyBorders(
@@ -439,9 +555,11 @@ class ExcelEngineService {
     sheetName,
     operations
   ) {
-    const results = [];
+    const failureMessage = "Failed to apply borders";
+    const sheet = this.sheetPath(driveId, itemId, worksheetId, sheetName);
 
-    for (const op of operations) {
+    const plans = operations.map((op) => {
+      const failure = { type: "borders", range: op.range, status: "error" };
       try {
         const { range, borderStyle, borderColor, sides } = op;
         if (!range) {
@@ -463,35 +581,27 @@ class ExcelEngineService {
           };
         });
 
-        await graphClient
-          .api(
-            `/drives/${driveId}/items/${itemId}/workbook/worksheets/${
-              worksheetId || `'${sheetName}'`
-            }/range(address='${rangeAddress}')/format/borders`
-          )
-          .patch(borderUpdates);
-
-        results.push({
-          type: "borders",
-          range: rangeAddress,
-          borders: borderUpdates,
-          status: "success",
-        });
+        return {
+          op,
+          failure,
+          request: {
+            method: "PATCH",
+            url: `${sheet}/range(address='${rangeAddress}')/format/borders`,
+            body: borderUpdates,
+          },
+          result: {
+            type: "borders",
+            range: rangeAddress,
+            borders: borderUpdates,
+            status: "success",
+          },
+        };
       } catch (err) {
-        logger.error("Failed to apply borders", {
-          operation: op,
-          error: err.message,
-        });
-        results.push({
-          type: "borders",
-          range: op.range,
-          status: "error",
-          error: err.message,
-        });
+        return this.invalidPlan(op, failure, err, failureMessage);
       }
-    }
+    });
 
-    return results;
+    return this.runPlanned(graphClient, plans, failureMessage);
   }
 
   async resizeColumns(
@@ -502,58 +612,51 @@ class ExcelEngineService {
     sheetName,
     operations
   ) {
-    const results = [];
+    const failureMessage = "Failed to resize column";
+    const sheet = this.sheetPath(driveId, itemId, worksheetId, sheetName);
 
-    for (const op of operations) {
+    const plans = operations.map((op) => {
+      const failure = { type: "resizeColumn", column: op.column, status: "error" };
       try {
         const { column, width, autoFit } = op;
         if (!column) {
           throw new Error("column is required for resize operation");
         }
 
+        let request = null;
         if (autoFit) {
           // Auto-fit column
-          await graphClient
-            .api(
-              `/drives/${driveId}/items/${itemId}/workbook/worksheets/${
-                worksheetId || `'${sheetName}'`
-              }/columns('${column}')/resizeToFit`
-            )
-            .post({});
+          request = {
+            method: "POST",
+            url: `${sheet}/columns('${column}')/resizeToFit`,
+            body: {},
+          };
         } else if (width) {
           // Set specific width
-          await graphClient
-            .api(
-              `/drives/${driveId}/items/${itemId}/workbook/worksheets/${
-                worksheetId || `'${sheetName}'`
-              }/columns('${column}')`
-            )
-            .patch({
-              columnWidth: width,
-            });
+          request = {
+            method: "PATCH",
+            url: `${sheet}/columns('${column}')`,
+            body: { columnWidth: width },
+          };
         }
 
-        results.push({
-          type: "resizeColumn",
-          column: column,
-          width: autoFit ? "auto-fit" : width,
-          status: "success",
-        });
+        return {
+          op,
+          failure,
+          request,
+          result: {
+            type: "resizeColumn",
+            column: column,
+            width: autoFit ? "auto-fit" : width,
+            status: "success",
+          },
+        };
       } catch (err) {
-        logger.error("Failed to resize column", {
-          operation: op,
-          error: err.message,
-        });
-        results.push({
-          type: "resizeColumn",
-          column: op.column,
-          status: "error",
-          error: err.message,
-        });
+        return this.invalidPlan(op, failure, err, failureMessage);
       }
-    }
+    });
 
-    return results;
+    return this.runPlanned(graphClient, plans, failureMessage);
   }
 
   async resizeRows(
@@ -564,58 +667,51 @@ class ExcelEngineService {
     sheetName,
     operations
   ) {
-    const results = [];
+    const failureMessage = "Failed to resize row";
+    const sheet = this.sheetPath(driveId, itemId, worksheetId, sheetName);
 
-    for (const op of operations) {
+    const plans = operations.map((op) => {
+      const failure = { type: "resizeRow", row: op.row, status: "error" };
       try {
         const { row, height, autoFit } = op;
         if (!row) {
           throw new Error("row is required for resize operation");
         }
 
+        let request = null;
         if (autoFit) {
           // Auto-fit row
-          await graphClient
-            .api(
-              `/drives/${driveId}/items/${itemId}/workbook/worksheets/${
-                worksheetId || `'${sheetName}'`
-              }/rows('${row}')/resizeToFit`
-            )
-            .post({});
+          request = {
+            method: "POST",
+            url: `${sheet}/rows('${row}')/resizeToFit`,
+            body: {},
+          };
         } else if (height) {
           // Set specific height
-          await graphClient
-            .api(
-              `/drives/${driveId}/items/${itemId}/workbook/worksheets/${
-                worksheetId || `'${sheetName}'`
-              }/rows('${row}')`
-            )
-            .patch({
-              rowHeight: height,
-            });
+          request = {
+            method: "PATCH",
+            url: `${sheet}/rows('${row}')`,
+            body: { rowHeight: height },
+          };
         }
 
-        results.push({
-          type: "resizeRow",
-          row: row,
-          height: autoFit ? "auto-fit" : height,
-          status: "success",
-        });
+        return {
+          op,
+          failure,
+          request,
+          result: {
+            type: "resizeRow",
+            row: row,
+            height: autoFit ? "auto-fit" : height,
+            status: "success",
+          },
+        };
       } catch (err) {
-        logger.error("Failed to resize row", {
-          operation: op,
-          error: err.message,
-        });
-        results.push({
-          type: "resizeRow",
-          row: op.row,
-          status: "error",
-          error: err.message,
-        });
+        return this.invalidPlan(op, failure, err, failureMessage);
       }
-    }
+    });
 
-    return results;
+    return this.runPlanned(graphClient, plans, failureMessage);
   }
 
   async mergeCells(
@@ -626,9 +722,11 @@ class ExcelEngineService {
     sheetName,
     operations
   ) {
-    const results = [];
+    const failureMessage = "Failed to merge cells";
+    const sheet = this.sheetPath(driveId, itemId, worksheetId, sheetName);
 
-    for (const op of operations) {
+    const plans = operations.map((op) => {
+      const failure = { type: "mergeCells", range: op.range, status: "error" };
       try {
         const { range, across } = op;
         if (!range) {
@@ -637,37 +735,27 @@ class ExcelEngineService {
 
         const rangeAddress = this.normalizeRange(range);
 
-        await graphClient
-          .api(
-            `/drives/${driveId}/items/${itemId}/workbook/worksheets/${
-              worksheetId || `'${sheetName}'`
-            }/range(address='${rangeAddress}')/merge`
-          )
-          .post({
+        return {
+          op,
+          failure,
+          request: {
+            method: "POST",
+            url: `${sheet}/range(address='${rangeAddress}')/merge`,
+            body: { across: across || false },
+          },
+          result: {
+            type: "mergeCells",
+            range: rangeAddress,
             across: across || false,
-          });
-
-        results.push({
-          type: "mergeCells",
-          range: rangeAddress,
-          across: across || false,
-          status: "success",
-        });
+            status: "success",
+          },
+        };
       } catch (err) {
-        logger.error("Failed to merge cells", {
-          operation: op,
-          error: err.message,
-        });
-        results.push({
-          type: "mergeCells",
-          range: op.range,
-          status: "error",
-          error: err.message,
-        });
+        return this.invalidPlan(op, failure, err, failureMessage);
       }
-    }
+    });
 
-    return results;
+    return this.runPlanned(graphClient, plans, failureMessage);
   }
 
   async unmergeCells(
@@ -678,9 +766,11 @@ class ExcelEngineService {
     sheetName,
     operations
   ) {
-    const results = [];
+    const failureMessage = "Failed to unmerge cells";
+    const sheet = this.sheetPath(driveId, itemId, worksheetId, sheetName);
 
-    for (const op of operations) {
+    const plans = operations.map((op) => {
+      const failure = { type: "unmergeCells", range: op.range, status: "error" };
       try {
         const { range } = op;
         if (!range) {
@@ -689,34 +779,26 @@ class ExcelEngineService {
 
         const rangeAddress = this.normalizeRange(range);
 
-        await graphClient
-          .api(
-            `/drives/${driveId}/items/${itemId}/workbook/worksheets/${
-              worksheetId || `'${sheetName}'`
-            }/range(address='${rangeAddress}')/unmerge`
-          )
-          .post({});
-
-        results.push({
-          type: "unmergeCells",
-          range: rangeAddress,
-          status: "success",
-        });
+        return {
+          op,
+          failure,
+          request: {
+            method: "POST",
+            url: `${sheet}/range(address='${rangeAddress}')/unmerge`,
+            body: {},
+          },
+          result: {
+            type: "unmergeCells",
+            range: rangeAddress,
+            status: "success",
+          },
+        };
       } catch (err) {
-        logger.error("Failed to unmerge cells", {
-          operation: op,
-          error: err.message,
-        });
-        results.push({
-          type: "unmergeCells",
-          range: op.range,
-          status: "error",
-          error: err.message,
-        });
+        return this.invalidPlan(op, failure, err, failureMessage);
       }
-    }
+    });
 
-    return results;
+    return this.runPlanned(graphClient, plans, failureMessage);
   }
 
   async insertFormulas(
@@ -883,9 +965,15 @@ class ExcelEngineService {
     sheetName,
     operations
   ) {
-    const results = [];
-
-    for (const op of operations) {
+    const failureMessage = "Failed to apply conditional formatting";
+    const sheet = this.sheetPath(driveId, itemId, worksheetId, sheetName);
+
+    const plans = operations.map((op) => {
+      const failure = {
+        type: "conditionalFormatting",
+        range: op.range,
+        status: "error",
+      };
       try {
         const { range, rule, format } = op;
         if (!range || !rule) {
@@ -914,35 +1002,27 @@ class ExcelEngineService {
           },
         };
 
-        await graphClient
-          .api(
-            `/drives/${driveId}/items/${itemId}/workbook/worksheets/${
-              worksheetId || `'${sheetName}'`
-            }/range(address='${rangeAddress}')/conditionalFormats`
-          )
-          .post(conditionalFormat);
-
-        results.push({
-          type: "conditionalFormatting",
-          range: rangeAddress,
-          rule: rule,
-          status: "success",
-        });
+        return {
+          op,
+          failure,
+          request: {
+            method: "POST",
+            url: `${sheet}/range(address='${rangeAddress}')/conditionalFormats`,
+            body: conditionalFormat,
+          },
+          result: {
+            type: "conditionalFormatting",
+            range: rangeAddress,
+            rule: rule,
+            status: "success",
+          },
+        };
       } catch (err) {
-        logger.error("Failed to apply conditional formatting", {
-          operation: op,
-          error: err.message,
-        });
-        results.push({
-          type: "conditionalFormatting",
-          range: op.range,
-          status: "error",
-          error: err.message,
-        });
+        return this.invalidPlan(op, failure, err, failureMessage);
       }
-    }
+    });
 
-    return results;
+    return this.runPlanned(graphClient, plans, failureMessage);
   }
 
   async createPivotTable(
@@ -1243,6 +1323,186 @@ class ExcelEngineService {
     return results;
   }
 
+  /**
+   * Table (ListObject) lifecycle. Tables are addressed workbook-wide by
+   * name, so only createTable needs the worksheet.
+   */
+  async manageTables(
+    graphClient,
+    driveId,
+    itemId,
+    worksheetId,
+    sheetName,
+    operationType,
+    operations
+  ) {
+    const results = [];
+    const workbookPath = `/drives/${driveId}/items/${itemId}/workbook`;
+    const tablePath = (name) =>
+      `${workbookPath}/tables/${encodeURIComponent(name)}`;
+    // Columns are addressed by name/id, or by zero-based position when numeric
+    const columnPath = (table, column) =>
+      typeof column === "number"
+        ? `${tablePath(table)}/columns/itemAt(index=${column})`
+        : `${tablePath(table)}/columns/${encodeURIComponent(column)}`;
+
+    for (const op of operations) {
+      try {
+        let detail;
+        switch (operationType) {
+          case "createTable": {
+            const { range, name, hasHeaders, style } = op;
+            if (!range) {
+              throw new Error("range is required for createTable operation");
+            }
+            if (!worksheetId && !sheetName) {
+              throw new Error("sheetName is required for createTable operation");
+            }
+            const rangeAddress = this.normalizeRange(range);
+            const created = await graphClient
+              .api(
+                `${workbookPath}/worksheets/${
+                  worksheetId || `'${sheetName}'`
+                }/tables/add`
+              )
+              .post({ address: rangeAddress, hasHeaders: hasHeaders !== false });
+
+            const updates = {};
+            if (name) updates.name = name;
+            if (style) updates.style = style;
+            const table = Object.keys(updates).length
+              ? await graphClient.api(tablePath(created.id)).patch(updates)
+              : created;
+            detail = {
+              tableName: table?.name || name || created.name,
+              tableId: created.id,
+              range: rangeAddress,
+              hasHeaders: hasHeaders !== false,
+            };
+            break;
+          }
+
+          case "renameTable": {
+            const { tableName, newName } = op;
+            if (!tableName || !newName) {
+              throw new Error("tableName and newName are required for renameTable operation");
+            }
+            await graphClient.api(tablePath(tableName)).patch({ name: newName });
+            detail = { tableName: newName, previousName: tableName };
+            break;
+          }
+
+          case "resizeTable": {
+            const { tableName, range } = op;
+            if (!tableName || !range) {
+              throw new Error("tableName and range are required for resizeTable operation");
+            }
+            detail = await this.resizeTable(graphClient, workbookPath, tablePath, tableName, range);
+            break;
+          }
+
+          case "deleteTable": {
+            // keepData converts the table back to a plain range
+            const { tableName, keepData } = op;
+            if (!tableName) {
+              throw new Error("tableName is required for deleteTable operation");
+            }
+            if (keepData) {
+              await graphClient
+                .api(`${tablePath(tableName)}/convertToRange`)
+                .post({});
+            } else {
+              await graphClient.api(tablePath(tableName)).delete();
+            }
+            detail = { tableName, keepData: !!keepData };
+            break;
+          }
+
+          case "addTableColumn": {
+            const { tableName, name, index, values } = op;
+            if (!tableName || (!name && !values)) {
+              throw new Error("tableName and name (or values) are required for addTableColumn operation");
+            }
+            const body = { index: Number.isInteger(index) ? index : null };
+            if (Array.isArray(values)) body.values = values;
+            const column = await graphClient
+              .api(`${tablePath(tableName)}/columns/add`)
+              .post(body);
+            if (name && !Array.isArray(values)) {
+              await graphClient
+                .api(`${columnPath(tableName, column.id)}/headerRowRange`)
+                .patch({ values: [[name]] });
+            }
+            detail = {
+              tableName,
+              column: name || column.name,
+              index: column.index,
+            };
+            break;
+          }
+
+          case "renameTableColumn": {
+            const { tableName, column, newName } = op;
+            if (!tableName || column === undefined || !newName) {
+              throw new Error("tableName, column and newName are required for renameTableColumn operation");
+            }
+            // The column name is the header cell, so rename by rewriting it
+            await graphClient
+              .api(`${columnPath(tableName, column)}/headerRowRange`)
+              .patch({ values: [[newName]] });
+            detail = { tableName, column: newName, previousName: column };
+            break;
+          }
+
+          case "deleteTableColumn": {
+            const { tableName, column } = op;
+            if (!tableName || column === undefined) {
+              throw new Error("tableName and column are required for deleteTableColumn operation");
+            }
+            await graphClient.api(columnPath(tableName, column)).delete();
+            detail = { tableName, column };
+            break;
+          }
+
+          case "toggleTableTotals": {
+            // Without showTotals the current state is flipped
+            const { tableName, showTotals } = op;
+            if (!tableName) {
+              throw new Error("tableName is required for toggleTableTotals operation");
+            }
+            let target = showTotals;
+            if (typeof target !== "boolean") {
+              const current = await graphClient
+                .api(tablePath(tableName))
+                .select("showTotals")
+                .get();
+              target = !current.showTotals;
+            }
+            await graphClient.api(tablePath(tableName)).patch({ showTotals: target });
+            detail = { tableName, showTotals: target };
+            break;
+          }
+        }
+
+        results.push({ type: operationType, ...detail, status: "success" });
+      } catch (err) {
+        logger.error(`Failed to run ${operationType}`, {
+          operation: op,
+          error: err.message,
+        });
+        results.push({
+          type: operationType,
+          tableName: op.tableName || op.name,
+          status: "error",
+          statusCode: err.statusCode,
+          error: err.message,
+        });
+      }
+    }
+
+    return results;
+  }
+
   normalizeColor(color) {
     if (!color) return "#000000";
 
@@ -1276,6 +1536,91 @@ class ExcelEngineService {
     return "#000000";
   }
 
+  /**
+   * Resize a table in place with Graph's table resize where the service
+   * offers it. Otherwise the table is converted to a range and re-created
+   * over the new address with its name, style and totals; if that fails the
+   * table is put back over its original address before the error is raised.
+   */
+  async resizeTable(graphClient, workbookPath, tablePath, tableName, range) {
+    const existing = await graphClient.api(tablePath(tableName)).get();
+    const worksheet = await graphClient
+      .api(`${tablePath(tableName)}/worksheet`)
+      .select("id,name")
+      .get();
+    const current = await graphClient.api(`${tablePath(tableName)}/range`).select("address").get();
+    const original = rangeProtectionService.parseRange(current.address);
+    const target = rangeProtectionService.parseRange(this.normalizeRange(range));
+
+    // Excel's own rules: same sheet, header row stays put, overlaps the table
+    if (target.sheet && target.sheet.toLowerCase() !== worksheet.name.toLowerCase()) {
+      throw new AppError(`range must be on the table's worksheet '${worksheet.name}'`, 400);
+    }
+    if (existing.showHeaders !== false && target.r1 !== original.r1) {
+      throw new AppError(`range must keep the header row at row ${original.r1}`, 400);
+    }
+    if (!rangeProtectionService.overlaps(original, target)) {
+      throw new AppError(`range ${target.address} does not overlap the table at ${original.address}`, 400);
+    }
+    const detail = {
+      tableName: existing.name,
+      tableId: existing.id,
+      sheetName: worksheet.name,
+      range: target.address,
+      previousRange: original.address,
+    };
+
+    try {
+      await graphClient.api(`${tablePath(tableName)}/resize`).post({ newRange: target.address });
+      return detail;
+    } catch (err) {
+      // Only an endpoint the service lacks falls through to re-creating the table
+      if (![404, 405, 501].includes(err.statusCode)) throw err;
+      logger.info("Table resize unavailable; re-creating the table", { tableName });
+    }
+
+    const add = (address) =>
+      graphClient
+        .api(`${workbookPath}/worksheets/${worksheet.id}/tables/add`)
+        .post({ address, hasHeaders: existing.showHeaders !== false });
+    const carryOver = (table) =>
+      graphClient.api(tablePath(table.id)).patch({
+        name: existing.name,
+        style: existing.style,
+        showTotals: !!existing.showTotals,
+      });
+
+    await graphClient.api(`${tablePath(tableName)}/convertToRange`).post({});
+    let added = null;
+    try {
+      added = await add(target.address);
+      await carryOver(added);
+      return { ...detail, tableId: added.id };
+    } catch (err) {
+      logger.error("Table resize failed; restoring the original table", {
+        tableName,
+        range: target.address,
+        error: err.message,
+      });
+      try {
+        // A table added before the carry-over failed still covers the new range
+        if (added) {
+          await graphClient.api(`${tablePath(added.id)}/convertToRange`).post({});
+        }
+        await carryOver(await add(original.address));
+      } catch (restoreErr) {
+        throw new Error(
+          `Resizing table '${existing.name}' failed (${err.message}) and it could not be restored ` +
+            `(${restoreErr.message}); its data is a plain range at ${worksheet.name}!${original.address}`
+        );
+      }
+      throw new Error(
+        `Resizing table '${existing.name}' to ${target.address} failed (${err.message}); ` +
+          `the table was restored at ${original.address}`
+      );
+    }
+  }
+
   normalizeRange(range) {
     if (!range) return "A1";
 
@@ -1,6 +1,10 @@
-const { Client } = require("@microsoft/microsoft-graph-client");
+const graphClientFactory = require("./graphClientFactory");
 const auditService = require("./auditService");
+const rangeProtectionService = require("./rangeProtectionService");
+const graphBatchService = require("./graphBatchService");
+const workbookSessionService = require("./workbookSessionService");
 const logger = require("../config/logger");
+const { AppError } = require("../middleware/errorHandler");
 
 
 class ExcelService {
@@ -63,9 +67,28 @@ class ExcelService {
         wsId = wsList?.value?.[0]?.id;
       }
 
+      await rangeProtectionService.assertWritable(graphClient, {
+        driveId,
+        itemId,
+        targets: [{ worksheetId: wsId, address: range }],
+      });
+
       const apiBase = `/drives/${driveId}/items/${itemId}/workbook/worksheets/${wsId}`;
       const target = range ? `${apiBase}/range(address='${range}')` : `${apiBase}/usedRange`;
 
+      // Keep what is about to be cleared for the audit trail; formulas let a revert restore them
+      let oldValues = null;
+      let oldFormulas = null;
+      let address = range;
+      try {
+        const current = await graphClient.api(target).select('address,values,formulas').get();
+        oldValues = current.values;
+        oldFormulas = current.formulas || null;
+        address = current.address || range;
+      } catch (readError) {
+        logger.warn('Could not read current values for audit trail:', readError.message);
+      }
+
       await graphClient.api(`${target}/clear`).post({ applyTo: 'All' });
 
       auditService.logSystemEvent({
@@ -73,54 +96,73 @@ class ExcelService {
         details: { driveId, itemId, worksheetId: wsId, range: range || 'usedRange', user: auditContext?.user },
       });
 
-      return { cleared: true, worksheetId: wsId, range: range || 'usedRange' };
+      return { cleared: true, worksheetId: wsId, range: range || 'usedRange', address, oldValues, oldFormulas };
     } catch (error) {
       logger.error('❌ Excel service - failed to clear data:', error);
       throw error;
     }
   }
 
+  /**
+   * Delete a worksheet inside a persistent workbook session. Refuses to
+   * delete the last remaining sheet.
+   */
+  async deleteWorksheet({ accessToken, driveId, itemId, worksheetId }) {
+    const graphClient = this.createGraphClient(accessToken);
+    const workbook = `/drives/${driveId}/items/${itemId}/workbook`;
+
+    const wsList = await graphClient.api(`${workbook}/worksheets`).get();
+    if ((wsList.value || []).length <= 1) {
+      throw new AppError('Cannot delete the last remaining worksheet in a workbook.', 400);
+    }
+
+    const sess = await graphClient.api(`${workbook}/createSession`).post({ persistChanges: true });
+    const sessionId = sess && (sess.id || sess.sessionId);
+    await graphClient
+      .api(`${workbook}/worksheets('${worksheetId}')/delete`)
+      .header('workbook-session-id', sessionId)
+      .post({});
+
+    // Best-effort close session
+    try {
+      await graphClient
+        .api(`${workbook}/closeSession`)
+        .header('workbook-session-id', sessionId)
+        .post({});
+    } catch (e) {
+      logger.warn('closeSession failed', { error: e.message });
+    }
+    return { deleted: true, worksheetId };
+  }
+
   buildFullPath(parentPath, name) {
     const base = parentPath && parentPath !== '/' ? parentPath.replace(/\/$/, '') : '';
     return `${base}/${name}`.replace(/\/+/g, '/');
   }
 
   async getParentPathsBatch(graphClient, driveId, parentIds) {
-    // Use Graph $batch to fetch parentReference for multiple parentIds efficiently (max 20 per batch)
+    // Use Graph $batch to fetch parentReference for multiple parentIds efficiently
     const result = new Map();
-    const chunks = [];
-    for (let i = 0; i < parentIds.length; i += 20) {
-      chunks.push(parentIds.slice(i, i + 20));
-    }
-    for (const chunk of chunks) {
-      const requests = chunk.map((pid, idx) => ({
-        id: `${pid}-${idx}`,
+    const responses = await graphBatchService.execute(
+      graphClient,
+      parentIds.map((pid) => ({
         method: 'GET',
         url: `/drives/${driveId}/items/${pid}?$select=parentReference`
-      }));
-      try {
-        const batchResp = await graphClient.api('/$batch').post({ requests });
-        for (const resp of batchResp.responses || []) {
-          const idParts = resp.id.split('-');
-          const pid = idParts[0];
-          if (resp.status === 200 && resp.body && resp.body.parentReference) {
-            const ppath = this.normalizeGraphParentPath(resp.body.parentReference.path);
-            result.set(pid, ppath);
-          }
-        }
-      } catch (e) {
-        logger.warn('Batch parent path lookup failed', { error: e.message });
+      }))
+    );
+    responses.forEach((resp, i) => {
+      if (resp.ok && resp.body && resp.body.parentReference) {
+        const ppath = this.normalizeGraphParentPath(resp.body.parentReference.path);
+        result.set(parentIds[i], ppath);
+      } else if (!resp.ok) {
+        logger.warn('Batch parent path lookup failed', { parentId: parentIds[i], error: resp.error });
       }
-    }
+    });
     return result; // Map of parentId -> normalized parent path
   }
 
   createGraphClient(accessToken) {
-    return Client.init({
-      authProvider: (done) => {
-        done(null, accessToken);
-      },
-    });
+    return graphClientFactory.create(accessToken);
   }
 
   async getSiteId(graphClient) {
@@ -490,8 +532,6 @@ class ExcelService {
         throw new Error("Values must be a non-empty array");
       }
 
-      // No app-level permission checks for write; rely on SharePoint/Graph
-
       const graphClient = this.createGraphClient(accessToken);
 
       // Determine worksheet: if not provided, use first worksheet
@@ -510,22 +550,6 @@ class ExcelService {
         range,
       });
 
-      // Read current values for audit trail
-      let oldValues = null;
-      try {
-        const currentResponse = await graphClient
-          .api(
-            `/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/range(address='${range}')`
-          )
-          .get();
-        oldValues = currentResponse.values;
-      } catch (readError) {
-        logger.warn(
-          "Could not read current values for audit trail:",
-          readError.message
-        );
-      }
-
       // Determine target range: if not provided, append below usedRange
       let targetAddress = range;
       if (!targetAddress) {
@@ -554,6 +578,42 @@ class ExcelService {
         targetAddress = `${startCol}${nextRow}`;
       }
 
+      await rangeProtectionService.assertWritable(graphClient, {
+        driveId,
+        itemId,
+        targets: [
+          {
+            worksheetId: wsId,
+            address: targetAddress,
+            rows: values.length,
+            cols: Math.max(...values.map((row) => row.length)),
+          },
+        ],
+      });
+
+      // Read the values about to be overwritten for the audit trail
+      const blockAddress = rangeProtectionService.extend(
+        rangeProtectionService.parseRange(targetAddress),
+        values.length,
+        Math.max(...values.map((row) => row.length))
+      ).address;
+      let oldValues = null;
+      let oldFormulas = null;
+      try {
+        const currentResponse = await graphClient
+          .api(
+            `/drives/${driveId}/items/${itemId}/workbook/worksheets/${wsId}/range(address='${blockAddress}')`
+          )
+          .get();
+        oldValues = currentResponse.values;
+        oldFormulas = currentResponse.formulas || null;
+      } catch (readError) {
+        logger.warn(
+          "Could not read current values for audit trail:",
+          readError.message
+        );
+      }
+
       // Write new values
       const response = await graphClient
         .api(
@@ -566,15 +626,17 @@ class ExcelService {
         values: response.values,
         rowCount: response.rowCount,
         columnCount: response.columnCount,
+        worksheetId: wsId,
+        oldValues,
+        oldFormulas,
       };
 
-      // Log write operation (without app-level permission enforcement)
 
       auditService.logWriteOperation({
         ...auditContext,
         workbookId: itemId,
-        worksheetId: worksheetId,
-        range: range,
+        worksheetId: wsId,
+        range: response.address || targetAddress,
         oldValues: oldValues,
         newValues: values,
         cellsModified: updatedData.rowCount * updatedData.columnCount,
@@ -600,6 +662,63 @@ class ExcelService {
       throw error;
     }
   }
+
+  /**
+   * Apply changes in a non-persistent workbook session, recalculate and read
+   * ranges back. Nothing is saved: the session is discarded when this returns.
+   * Ranges may name their sheet ("Sheet1!A1:B2"); others use sheetName or the
+   * first worksheet.
+   */
+  async whatIf({ accessToken, driveId, itemId, sheetName, changes, reads, auditContext }) {
+    return workbookSessionService.run(
+      async () => {
+        const graphClient = this.createGraphClient(accessToken);
+        const workbook = `/drives/${driveId}/items/${itemId}/workbook`;
+        // Open the session first so a refusal surfaces as its own 503
+        await workbookSessionService.sessionIdFor(accessToken, `${workbook}/worksheets`);
+
+        let defaultSheet = sheetName;
+        if (!defaultSheet) {
+          const wsList = await graphClient.api(`${workbook}/worksheets`).get();
+          defaultSheet = wsList?.value?.[0]?.name;
+        }
+        const rangePath = (spec) => {
+          const bang = spec.lastIndexOf('!');
+          const sheet = bang >= 0 ? spec.slice(0, bang).replace(/^'|'$/g, '').replace(/''/g, "'") : defaultSheet;
+          const address = bang >= 0 ? spec.slice(bang + 1) : spec;
+          return `${workbook}/worksheets('${sheet.replace(/'/g, "''")}')/range(address='${address}')`;
+        };
+
+        for (const change of changes) {
+          await graphClient
+            .api(rangePath(change.range))
+            .patch(change.formulas ? { formulas: change.formulas } : { values: change.values });
+        }
+        await graphClient
+          .api(`${workbook}/application/calculate`)
+          .post({ calculationType: 'Recalculate' });
+
+        const results = [];
+        for (const spec of reads) {
+          const response = await graphClient.api(rangePath(spec)).select('address,values,formulas').get();
+          results.push({
+            range: spec,
+            address: response.address,
+            values: response.values,
+            formulas: response.formulas,
+          });
+        }
+
+        auditService.logSystemEvent({
+          event: 'EXCEL_WHAT_IF',
+          details: { driveId, itemId, changes: changes.length, reads: reads.length, user: auditContext?.user },
+        });
+
+        return { persisted: false, changed: changes.length, results };
+      },
+      { persistChanges: false }
+    );
+  }
 }
 
 module.exports = new ExcelService();
@@ -1,7 +1,9 @@
-const { Client } = require("@microsoft/microsoft-graph-client");
+const graphClientFactory = require("./graphClientFactory");
 const logger = require("../config/logger");
 const resolverService = require("./resolverService");
 const auditService = require("./auditService");
+const rangeProtectionService = require("./rangeProtectionService");
+const graphBatchService = require("./graphBatchService");
 const { AppError } = require("../middleware/errorHandler");
 
 class FindReplaceService {
@@ -121,10 +123,8 @@ class FindReplaceService {
       .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/usedRange(valuesOnly=true)`) // values only
       .get();
     const values = used.values || [];
-    const startRow = used.address?.match(/:([A-Z]+)(\d+)/)?.[2] || used.address?.match(/([A-Z]+)(\d+)/)?.[2] || 1;
-    const startCol = used.address?.match(/([A-Z]+)(\d+)/)?.[1] || "A";
-    const startColIndex = this.getColumnIndex(startCol);
-    const startRowIndex = parseInt(startRow);
+    // Offsets come from the top-left cell, after any Sheet! prefix
+    const { startColIndex, startRowIndex } = this._parseStartFromAddress(used.address);
     return { values, startColIndex, startRowIndex, address: used.address };
   }
 
@@ -228,58 +228,92 @@ class FindReplaceService {
     return matches;
   }
 
-  async performLabelNeighborUpdate(accessToken, driveId, itemId, matches, newValue, options = {}) {
-    const { highlightChanges = false } = options;
-    const graphClient = this.createGraphClient(accessToken);
-    const changes = [];
-    const errors = [];
+  // Matched cells are checked up front so a locked cell rejects the whole replace
+  async assertMatchesWritable(graphClient, driveId, itemId, matches) {
+    await rangeProtectionService.assertWritable(graphClient, {
+      driveId,
+      itemId,
+      targets: matches.map((m) => ({ sheet: m.sheet, address: m.cell })),
+    });
+  }
 
-    // Build $batch requests in chunks of 20
-    const chunkSize = 20;
-    for (let i = 0; i < matches.length; i += chunkSize) {
-      const batchChunk = matches.slice(i, i + chunkSize);
-      const requests = batchChunk.map((m, idx) => ({
-        id: String(idx + 1),
+  /**
+   * Write one new value per cell through Graph $batch, highlighting each
+   * written cell when asked. updates: [{ sheet, cell, oldValue, newValue }].
+   * Returns { changes, errors } with one entry per update.
+   */
+  async writeCells(graphClient, driveId, itemId, updates, highlightChanges = false) {
+    if (!updates.length) return { changes: [], errors: [] };
+    const workbook = `/drives/${driveId}/items/${itemId}/workbook`;
+    const rangeOf = (u) =>
+      `${workbook}/worksheets('${String(u.sheet).replace(/'/g, "''")}')/range(address='${u.cell}')`;
+
+    // Formulas the cells held, so an undo or revert puts them back rather than their values
+    const before = await graphBatchService.execute(
+      graphClient,
+      updates.map((u) => ({ method: "GET", url: `${rangeOf(u)}?$select=formulas` }))
+    );
+
+    // A cell whose formulas could not be read is reported and left unwritten
+    const requests = [];
+    updates.forEach((u, idx) => {
+      if (!before[idx].ok) return;
+      const range = rangeOf(u);
+      requests.push({
+        id: `w${idx}`,
         method: "PATCH",
-        url: `/drives/${driveId}/items/${itemId}/workbook/worksheets('${m.sheet}')/range(address='${m.cell}')`,
-        headers: { "Content-Type": "application/json" },
-        body: { values: [[newValue]] },
-      }));
-      try {
-        const resp = await graphClient.api("/$batch").post({ requests });
-        // Record changes; Graph returns responses array in same order
-        const responses = resp?.responses || [];
-        responses.forEach((r, idx) => {
-          const m = batchChunk[idx];
-          if (r.status >= 200 && r.status < 300) {
-            changes.push({ sheet: m.sheet, cell: m.cell, oldValue: m.oldValue, newValue });
-          } else {
-            errors.push({ sheet: m.sheet, cell: m.cell, error: r.body?.error?.message || `HTTP ${r.status}` });
-          }
+        url: range,
+        body: { values: [[u.newValue]] },
+      });
+      if (highlightChanges) {
+        requests.push({
+          id: `h${idx}`,
+          method: "PATCH",
+          url: `${range}/format/fill`,
+          body: { color: "#FFFF00" }, // Yellow background
+          dependsOn: [`w${idx}`],
         });
-      } catch (err) {
-        // If batch fails altogether, attempt individual updates to salvage some
-        for (const m of batchChunk) {
-          try {
-            await graphClient
-              .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets('${m.sheet}')/range(address='${m.cell}')`)
-              .patch({ values: [[newValue]] });
-            changes.push({ sheet: m.sheet, cell: m.cell, oldValue: m.oldValue, newValue });
-          } catch (e) {
-            errors.push({ sheet: m.sheet, cell: m.cell, error: e.message });
-          }
-        }
       }
-    }
+    });
 
-    // Optional highlighting (non-batched)
-    if (highlightChanges && changes.length > 0) {
-      for (const ch of changes) {
-        try {
-          await this.highlightCell(graphClient, driveId, itemId, ch.sheet, ch.cell);
-        } catch (_) {}
+    const responses = requests.length ? await graphBatchService.execute(graphClient, requests) : [];
+    const byId = new Map(responses.map((r) => [r.id, r]));
+    const changes = [];
+    const errors = [];
+    updates.forEach((u, idx) => {
+      const written = before[idx].ok ? byId.get(`w${idx}`) : before[idx];
+      if (!written.ok) {
+        errors.push({ sheet: u.sheet, cell: u.cell, error: written.error });
+        return;
       }
-    }
+      const highlighted = byId.get(`h${idx}`);
+      if (highlighted && !highlighted.ok) {
+        logger.warn(`Failed to highlight cell ${u.cell}`, { error: highlighted.error });
+      }
+      const formula = before[idx].body?.formulas?.[0]?.[0];
+      changes.push({
+        sheet: u.sheet,
+        cell: u.cell,
+        oldValue: u.oldValue,
+        ...(typeof formula === "string" && formula.startsWith("=") ? { oldFormula: formula } : {}),
+        newValue: u.newValue,
+      });
+    });
+    return { changes, errors };
+  }
+
+  async performLabelNeighborUpdate(accessToken, driveId, itemId, matches, newValue, options = {}) {
+    const { highlightChanges = false } = options;
+    const graphClient = this.createGraphClient(accessToken);
+    await this.assertMatchesWritable(graphClient, driveId, itemId, matches);
+
+    const { changes, errors } = await this.writeCells(
+      graphClient,
+      driveId,
+      itemId,
+      matches.map((m) => ({ sheet: m.sheet, cell: m.cell, oldValue: m.oldValue, newValue })),
+      highlightChanges
+    );
 
     return {
       changes,
@@ -293,9 +327,15 @@ class FindReplaceService {
   }
 
   createGraphClient(accessToken) {
-    return Client.init({
-      authProvider: (done) => done(null, accessToken),
-    });
+    return graphClientFactory.create(accessToken);
+  }
+
+  // Drop cached search results for a workbook whose cells just changed
+  forgetSearches(driveId, itemId) {
+    const prefix = `${driveId}:${itemId}:`;
+    for (const key of this.searchCache.keys()) {
+      if (key.startsWith(prefix)) this.searchCache.delete(key);
+    }
   }
 
   async findOccurrences(
@@ -735,21 +775,14 @@ class FindReplaceService {
   async performEntityValueUpdate(accessToken, driveId, itemId, matches, newValue, options = {}) {
     const { highlightChanges = false } = options;
     const graphClient = this.createGraphClient(accessToken);
-    const changes = [];
-    const errors = [];
-    for (const m of matches) {
-      try {
-        await graphClient
-          .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets('${m.sheet}')/range(address='${m.cell}')`)
-          .patch({ values: [[newValue]] });
-        if (highlightChanges) {
-          await this.highlightCell(graphClient, driveId, itemId, m.sheet, m.cell);
-        }
-        changes.push({ sheet: m.sheet, cell: m.cell, oldValue: m.oldValue, newValue });
-      } catch (err) {
-        errors.push({ sheet: m.sheet, cell: m.cell, error: err.message });
-      }
-    }
+    await this.assertMatchesWritable(graphClient, driveId, itemId, matches);
+    const { changes, errors } = await this.writeCells(
+      graphClient,
+      driveId,
+      itemId,
+      matches.map((m) => ({ sheet: m.sheet, cell: m.cell, oldValue: m.oldValue, newValue })),
+      highlightChanges
+    );
     return {
       changes,
       errors,
@@ -776,13 +809,14 @@ class FindReplaceService {
 
     try {
       const graphClient = this.createGraphClient(accessToken);
+      await this.assertMatchesWritable(graphClient, driveId, itemId, matches);
 
       // Group matches by sheet for batch operations
       const matchesBySheet = this.groupMatchesBySheet(matches);
 
       for (const [sheetName, sheetMatches] of matchesBySheet.entries()) {
         try {
-          const sheetChanges = await this.replaceInSheet(
+          const sheetResult = await this.replaceInSheet(
             graphClient,
             driveId,
             itemId,
@@ -794,7 +828,8 @@ class FindReplaceService {
             options
           );
 
-          changes.push(...sheetChanges);
+          changes.push(...sheetResult.changes);
+          errors.push(...sheetResult.errors);
         } catch (sheetErr) {
           logger.error(`Failed to replace in sheet ${sheetName}`, {
             error: sheetErr.message,
@@ -854,8 +889,6 @@ class FindReplaceService {
     highlightChanges,
     options = {}
   ) {
-    const changes = [];
-
     const {
       caseSensitive = false,
       wholeWord = false,
@@ -888,48 +921,21 @@ class FindReplaceService {
       };
     });
 
-    // Update cell values in batches
-    for (let i = 0; i < updates.length; i += 10) {
-      // Process 10 cells at a time
-      const batch = updates.slice(i, i + 10);
-
-      for (const update of batch) {
-        try {
-          // Update cell value
-          await graphClient
-            .api(
-              `/drives/${driveId}/items/${itemId}/workbook/worksheets('${sheetName}')/range(address='${update.cell}')`
-            )
-            .patch({
-              values: [[update.newValue]],
-            });
-
-          // Apply highlighting if requested
-          if (highlightChanges) {
-            await this.highlightCell(
-              graphClient,
-              driveId,
-              itemId,
-              sheetName,
-              update.cell
-            );
-          }
-
-          changes.push({
-            sheet: sheetName,
-            cell: update.cell,
-            oldValue: update.oldValue,
-            newValue: update.newValue,
-          });
-        } catch (cellErr) {
-          logger.warn(`Failed to update cell ${update.cell}`, {
-            error: cellErr.message,
-          });
-        }
-      }
-    }
+    // Update cell values through Graph $batch
+    const { changes, errors } = await this.writeCells(
+      graphClient,
+      driveId,
+      itemId,
+      updates.map((update) => ({ sheet: sheetName, ...update })),
+      highlightChanges
+    );
+    errors.forEach((cellErr) => {
+      logger.warn(`Failed to update cell ${cellErr.cell}`, {
+        error: cellErr.error,
+      });
+    });
 
-    return changes;
+    return { changes, errors };
   }
 
   async highlightCell(graphClient, driveId, itemId, sheetName, cellAddress) {
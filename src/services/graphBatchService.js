@@ -0,0 +1,227 @@
+const graphThrottleService = require("./graphThrottleService");
+const logger = require("../config/logger");
+const { AppError } = require("../middleware/errorHandler");
+
+// Graph accepts at most 20 sub-requests per /$batch call
+const MAX_BATCH_SIZE = 20;
+
+/**
+ * Runs many Graph calls through JSON $batch. Requests keep their input order:
+ * calls against the same workbook are chained with dependsOn so Excel applies
+ * them one after another. A failed call does not sink the rest of its chain;
+ * the requests Graph skipped (424) are sent again without it. Only failures of
+ * a request's own dependsOn are reported as failed dependencies. Throttled
+ * sub-requests are resent under the central retry policy (POSTs on 429 only).
+ */
+class GraphBatchService {
+  // "drives/{id}/items/{id}" for workbook URLs, else null
+  workbookOf(url) {
+    const match = /^\/?(drives\/[^/]+\/items\/[^/]+)\/workbook\//i.exec(url || "");
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Execute requests ({ id?, method, url, body?, headers?, dependsOn? }).
+   * dependsOn lists ids of earlier requests. Returns one response per request,
+   * in input order: { id, status, ok, body, headers, error, code }.
+   */
+  async execute(graphClient, requests, { sequential = true } = {}) {
+    const ids = requests.map((r, i) => (r.id === undefined ? String(i) : String(r.id)));
+    const position = new Map(ids.map((id, i) => [id, i]));
+    if (position.size !== ids.length) {
+      throw new AppError("Batch request ids must be unique", 500);
+    }
+    const deps = requests.map((r, i) =>
+      (r.dependsOn || []).map((d) => {
+        const at = position.get(String(d));
+        if (at === undefined || at >= i) {
+          throw new AppError(`Batch request '${ids[i]}' depends on unknown or later request '${d}'`, 500);
+        }
+        return at;
+      })
+    );
+
+    const responses = new Array(requests.length);
+    const attempts = new Array(requests.length).fill(0);
+    let queue = requests.map((_, i) => i);
+
+    while (queue.length) {
+      const chunk = [];
+      let next = 0;
+      for (; next < queue.length && chunk.length < MAX_BATCH_SIZE; next++) {
+        const i = queue[next];
+        const failed = deps[i].find((d) => responses[d] && !responses[d].ok);
+        if (failed !== undefined) {
+          responses[i] = this.failedDependency(ids[i], ids[failed]);
+        } else {
+          chunk.push(i);
+        }
+      }
+      if (!chunk.length) {
+        queue = queue.slice(next);
+        continue;
+      }
+
+      const { skipped, throttled } = await this.send(
+        graphClient,
+        requests,
+        ids,
+        deps,
+        chunk,
+        responses,
+        sequential,
+        attempts
+      );
+      if (!throttled.length && skipped.length === chunk.length) {
+        // Nothing ran; settle rather than resend forever
+        skipped.forEach((i) => {
+          responses[i] = this.failedDependency(ids[i], null);
+        });
+        queue = queue.slice(next);
+        continue;
+      }
+      if (throttled.length) {
+        await this.backoff(throttled, attempts);
+      }
+      const resend = [...skipped, ...throttled.map((t) => t.index)].sort((a, b) => a - b);
+      queue = [...resend, ...queue.slice(next)];
+    }
+    return responses;
+  }
+
+  // Wait out the longest delay any throttled sub-request asks for
+  async backoff(throttled, attempts) {
+    const waitMs = Math.max(
+      ...throttled.map((t) => graphThrottleService.delayFor(attempts[t.index], t.retryAfter))
+    );
+    throttled.forEach((t) => {
+      attempts[t.index]++;
+    });
+    logger.warn("Graph $batch requests throttled; retrying", {
+      requests: throttled.length,
+      waitMs,
+    });
+    graphThrottleService.recordRetry(waitMs, throttled.length);
+    await graphThrottleService.sleep(waitMs);
+  }
+
+  headerOf(response, name) {
+    const key = Object.keys(response.headers || {}).find((k) => k.toLowerCase() === name);
+    return key ? response.headers[key] : undefined;
+  }
+
+  /**
+   * Post one /$batch call. Returns the positions Graph skipped because a
+   * chained call failed, and the throttled ones that still have retries left.
+   */
+  async send(graphClient, requests, ids, deps, chunk, responses, sequential, attempts) {
+    const inChunk = new Set(chunk);
+    const lastOf = new Map();
+    const payload = chunk.map((i) => {
+      const request = requests[i];
+      const dependsOn = new Set(deps[i].filter((d) => inChunk.has(d)).map((d) => ids[d]));
+      const workbook = sequential ? this.workbookOf(request.url) : null;
+      if (workbook && lastOf.has(workbook)) dependsOn.add(lastOf.get(workbook));
+      if (workbook) lastOf.set(workbook, ids[i]);
+
+      const item = { id: ids[i], method: request.method || "GET", url: request.url };
+      if (request.body !== undefined) {
+        item.body = request.body;
+        item.headers = { "Content-Type": "application/json", ...request.headers };
+      } else if (request.headers) {
+        item.headers = request.headers;
+      }
+      if (dependsOn.size) item.dependsOn = [...dependsOn];
+      return item;
+    });
+
+    let result;
+    try {
+      logger.debug("Sending Graph $batch", { requests: payload.length });
+      result = await graphClient.api("/$batch").post({ requests: payload });
+    } catch (err) {
+      logger.warn("Graph $batch call failed", { requests: payload.length, error: err.message });
+      chunk.forEach((i) => {
+        responses[i] = {
+          id: ids[i],
+          status: err.statusCode || 502,
+          ok: false,
+          body: null,
+          headers: {},
+          error: err.message,
+          code: err.code,
+        };
+      });
+      return { skipped: [], throttled: [] };
+    }
+
+    const byId = new Map((result?.responses || []).map((r) => [String(r.id), r]));
+    const skipped = [];
+    const throttled = [];
+    chunk.forEach((i) => {
+      const r = byId.get(ids[i]);
+      if (!r) {
+        responses[i] = {
+          id: ids[i],
+          status: 502,
+          ok: false,
+          body: null,
+          headers: {},
+          error: "No response for batch request",
+        };
+        return;
+      }
+      if (r.status === 424) {
+        const failed = deps[i].find((d) => responses[d] && !responses[d].ok);
+        if (failed === undefined) {
+          skipped.push(i);
+        } else {
+          responses[i] = this.failedDependency(ids[i], ids[failed]);
+        }
+        return;
+      }
+      if (
+        graphThrottleService.isRetryable(r.status, requests[i].method) &&
+        attempts[i] < graphThrottleService.maxRetries
+      ) {
+        throttled.push({ index: i, retryAfter: this.headerOf(r, "retry-after") });
+        return;
+      }
+      responses[i] = this.toResponse(r);
+    });
+    return { skipped, throttled };
+  }
+
+  toResponse(r) {
+    const ok = r.status >= 200 && r.status < 300;
+    return {
+      id: String(r.id),
+      status: r.status,
+      ok,
+      body: r.body ?? null,
+      headers: r.headers || {},
+      error: ok ? null : r.body?.error?.message || `HTTP ${r.status}`,
+      code: ok ? undefined : r.body?.error?.code,
+    };
+  }
+
+  failedDependency(id, dependency) {
+    return {
+      id,
+      status: 424,
+      ok: false,
+      body: null,
+      headers: {},
+      error: dependency ? `Skipped: request '${dependency}' failed` : "Skipped: a preceding request failed",
+    };
+  }
+
+  // Error for a failed response, for callers that throw
+  errorFor(response) {
+    const error = new AppError(response.error, response.status);
+    error.code = response.code;
+    return error;
+  }
+}
+
+module.exports = new GraphBatchService();
@@ -0,0 +1,119 @@
+const { Client } = require("@microsoft/microsoft-graph-client");
+const workbookSessionService = require("./workbookSessionService");
+const graphThrottleService = require("./graphThrottleService");
+
+const DEFAULT_BASE_URL = "https://graph.microsoft.com/v1.0";
+
+/**
+ * The one place Graph clients are built. Every service goes through create(),
+ * so the base URL (GRAPH_API_BASE_URL, e.g. a local Graph stand-in), the fetch
+ * implementation and request/response hooks apply to all Graph traffic. The
+ * chain is: bearer token, workbook session, throttling policy, hooks, fetch.
+ */
+class GraphClientFactory {
+  constructor() {
+    this.reset();
+  }
+
+  // Back to the environment's settings: no injected fetch, no hooks
+  reset() {
+    this.baseUrl = (process.env.GRAPH_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+    this.fetchImpl = null;
+    this.hooks = [];
+  }
+
+  /**
+   * Override the base URL and/or the fetch implementation (fetch(url,
+   * options) => Response). Unset options are left alone.
+   */
+  configure({ baseUrl, fetch } = {}) {
+    if (baseUrl !== undefined) this.baseUrl = String(baseUrl).replace(/\/+$/, "");
+    if (fetch !== undefined) this.fetchImpl = fetch;
+  }
+
+  /**
+   * Register hooks run around every HTTP attempt (retries included):
+   * onRequest(request) sees { method, url, headers, body } and may edit it or
+   * return a Response to answer without calling Graph; onResponse(request,
+   * response) may return a replacement Response. Hooks that read a body must
+   * read a clone. Returns a function that removes the hooks.
+   */
+  use(hook) {
+    this.hooks.push(hook);
+    return () => {
+      this.hooks = this.hooks.filter((h) => h !== hook);
+    };
+  }
+
+  /**
+   * SDK client for accessToken. sessions: false leaves workbook calls out of
+   * the request's workbook session (used for the session calls themselves).
+   */
+  create(accessToken, { sessions = true } = {}) {
+    const middleware = [this.authMiddleware(accessToken)];
+    if (sessions) middleware.push(workbookSessionService.graphMiddleware(accessToken));
+    middleware.push(graphThrottleService.graphMiddleware(), this.fetchMiddleware());
+    // The version is part of the base URL, so the SDK must not add its own
+    return Client.initWithMiddleware({
+      middleware,
+      baseUrl: this.baseUrl,
+      defaultVersion: "",
+    });
+  }
+
+  // Unlike the SDK's handler, this sends the token to any base URL, not just graph.microsoft.com
+  authMiddleware(accessToken) {
+    return {
+      next: null,
+      setNext(next) {
+        this.next = next;
+      },
+      async execute(context) {
+        const headers = context.options.headers || (context.options.headers = {});
+        headers.Authorization = `Bearer ${accessToken}`;
+        return this.next.execute(context);
+      },
+    };
+  }
+
+  // Last link in the chain: run the hooks and send the request
+  fetchMiddleware() {
+    const factory = this;
+    return {
+      async execute(context) {
+        const request = {
+          method: context.options.method || "GET",
+          url: typeof context.request === "string" ? context.request : context.request.url,
+          headers: context.options.headers || (context.options.headers = {}),
+          body: context.options.body,
+        };
+        context.response = await factory.send(request, context.options);
+      },
+    };
+  }
+
+  async send(request, options) {
+    const hooks = [...this.hooks];
+    let response;
+    for (const hook of hooks) {
+      response = hook.onRequest ? await hook.onRequest(request) : undefined;
+      if (response) break;
+    }
+    if (!response) {
+      const fetchImpl = this.fetchImpl || fetch;
+      response = await fetchImpl(request.url, {
+        ...options,
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+      });
+    }
+    for (const hook of hooks) {
+      const replacement = hook.onResponse ? await hook.onResponse(request, response) : undefined;
+      if (replacement) response = replacement;
+    }
+    return response;
+  }
+}
+
+module.exports = new GraphClientFactory();
@@ -0,0 +1,227 @@
+const fs = require("fs");
+const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+const graphClientFactory = require("./graphClientFactory");
+const logger = require("../config/logger");
+const { maskSecrets } = require("../middleware/errorHandler");
+
+// Headers that describe the recorded bytes rather than the content
+const TRANSPORT_HEADERS = ["content-length", "content-encoding", "transfer-encoding", "connection", "keep-alive"];
+const SAVE_TIMEOUT_MS = 10000;
+
+/**
+ * Record and replay of Graph traffic, keyed by X-Request-ID.
+ *
+ * GRAPH_RECORD_DIR: an API request that opts in (X-Graph-Record: 1, or an
+ * X-Request-ID listed in GRAPH_RECORD_REQUEST_IDS) and calls Graph leaves
+ * {dir}/{requestId}.json with the API request and response and each Graph
+ * exchange, passed through maskSecrets. Other requests are not recorded, so
+ * a debugging session does not capture every caller's workbook data.
+ * GRAPH_REPLAY_DIR: a request sent with
+ * X-Request-ID of a recording is answered from it instead of Graph (no Azure
+ * AD token either), so the flow can be rerun offline. Replayed calls are
+ * matched by method, URL and body, in recorded order; a call with no match
+ * gets a 501 replayMiss error.
+ */
+class GraphRecorderService {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+    this.recordDir = null;
+    this.recordIds = new Set();
+    this.replayDir = null;
+    this.removeHook = null;
+    this.configure({
+      recordDir: process.env.GRAPH_RECORD_DIR || null,
+      recordIds: (process.env.GRAPH_RECORD_REQUEST_IDS || "").split(","),
+      replayDir: process.env.GRAPH_REPLAY_DIR || null,
+    });
+  }
+
+  get replaying() {
+    return !!this.replayDir;
+  }
+
+  /**
+   * Switch modes; a null directory turns that mode off. Replay wins when
+   * both are set. recordIds lists the request ids to record without the
+   * opt-in header.
+   */
+  configure({ recordDir, recordIds, replayDir } = {}) {
+    if (recordDir !== undefined) this.recordDir = recordDir;
+    if (recordIds !== undefined) {
+      this.recordIds = new Set(recordIds.map((id) => String(id).trim()).filter(Boolean));
+    }
+    if (replayDir !== undefined) this.replayDir = replayDir;
+    if (this.recordDir && this.replayDir) {
+      logger.warn("GRAPH_RECORD_DIR and GRAPH_REPLAY_DIR are both set; replaying only");
+    }
+    if (this.removeHook) this.removeHook();
+    this.removeHook =
+      this.recordDir || this.replayDir
+        ? graphClientFactory.use({
+            onRequest: (request) => this.onRequest(request),
+            onResponse: (request, response) => this.onResponse(request, response),
+          })
+        : null;
+  }
+
+  // Opted in by header, or by an X-Request-ID the operator listed
+  shouldRecord(req) {
+    return /^(1|true|yes)$/i.test(req.get("X-Graph-Record") || "") || this.recordIds.has(req.id);
+  }
+
+  fixturePath(dir, requestId) {
+    return path.join(dir, `${String(requestId).replace(/[^\w-]/g, "_")}.json`);
+  }
+
+  // Graph URLs are kept relative to the base URL so recordings replay anywhere
+  relativeUrl(url) {
+    const base = graphClientFactory.baseUrl;
+    return url.startsWith(base) ? url.slice(base.length) : url;
+  }
+
+  parseBody(text) {
+    if (text === undefined || text === null || text === "") return null;
+    try {
+      return JSON.parse(text);
+    } catch (_) {
+      return text;
+    }
+  }
+
+  sanitizeHeaders(headers) {
+    const plain = typeof headers?.entries === "function" ? Object.fromEntries(headers.entries()) : { ...headers };
+    TRANSPORT_HEADERS.forEach((name) => {
+      Object.keys(plain)
+        .filter((key) => key.toLowerCase() === name)
+        .forEach((key) => delete plain[key]);
+    });
+    return maskSecrets(plain);
+  }
+
+  loadFixture(requestId) {
+    const file = this.fixturePath(this.replayDir, requestId);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  // Express middleware: opens the request's recording or loads its fixture
+  middleware() {
+    return (req, res, next) => {
+      if (this.replaying) {
+        const requestId = req.get("X-Request-ID");
+        const fixture = requestId ? this.loadFixture(requestId) : null;
+        if (!fixture) {
+          logger.warn("No Graph recording to replay for request", { requestId });
+          return this.storage.run({ replay: [], requestId }, next);
+        }
+        // Log and audit under the recorded id
+        req.id = requestId;
+        res.setHeader("X-Request-ID", requestId);
+        return this.storage.run({ replay: fixture.graph.map((x) => ({ ...x, used: false })), requestId }, next);
+      }
+      if (!this.recordDir || !this.shouldRecord(req)) return next();
+
+      const recording = { graph: [], pending: 0, idle: [], response: null };
+      const json = res.json;
+      res.json = function (body) {
+        recording.response = { status: res.statusCode, body };
+        return json.call(this, body);
+      };
+      res.on("finish", () => {
+        // Session closes start as the response finishes; wait for them too
+        setImmediate(() => this.save(req, res, recording));
+      });
+      this.storage.run(recording, next);
+    };
+  }
+
+  async save(req, res, recording) {
+    if (recording.pending) {
+      // A call that failed without a response never settles; do not wait forever
+      await new Promise((resolve) => {
+        recording.idle.push(resolve);
+        setTimeout(resolve, SAVE_TIMEOUT_MS).unref();
+      });
+    }
+    if (!recording.graph.length) return;
+    const fixture = {
+      requestId: req.id,
+      recordedAt: new Date().toISOString(),
+      request: { method: req.method, url: req.originalUrl, body: maskSecrets(req.body) },
+      response: {
+        status: res.statusCode,
+        body: recording.response ? maskSecrets(recording.response.body) : null,
+      },
+      graph: recording.graph,
+    };
+    try {
+      await fs.promises.mkdir(this.recordDir, { recursive: true });
+      const file = this.fixturePath(this.recordDir, req.id);
+      await fs.promises.writeFile(file, JSON.stringify(fixture, null, 2));
+      logger.info("Graph recording saved", { requestId: req.id, file, calls: fixture.graph.length });
+    } catch (err) {
+      logger.error("Failed to save Graph recording", { requestId: req.id, error: err.message });
+    }
+  }
+
+  async onRequest(request) {
+    const store = this.storage.getStore();
+    if (!store) return undefined;
+    if (store.replay) return this.replay(store, request);
+    store.pending++;
+    return undefined;
+  }
+
+  async onResponse(request, response) {
+    const store = this.storage.getStore();
+    if (!store || store.replay) return undefined;
+    try {
+      store.graph.push({
+        method: request.method,
+        url: this.relativeUrl(request.url),
+        headers: this.sanitizeHeaders(request.headers),
+        body: maskSecrets(this.parseBody(request.body)),
+        response: {
+          status: response.status,
+          headers: this.sanitizeHeaders(response.headers),
+          body: maskSecrets(this.parseBody(await response.clone().text())),
+        },
+      });
+    } finally {
+      store.pending--;
+      if (!store.pending) store.idle.splice(0).forEach((resolve) => resolve());
+    }
+    return undefined;
+  }
+
+  replay(store, request) {
+    const url = this.relativeUrl(request.url);
+    const body = JSON.stringify(this.parseBody(request.body));
+    const candidates = store.replay.filter((x) => !x.used && x.method === request.method && x.url === url);
+    const exchange = candidates.find((x) => JSON.stringify(x.body) === body) || candidates[0];
+    if (!exchange) {
+      logger.warn("Graph call missing from recording", { requestId: store.requestId, method: request.method, url });
+      return new Response(
+        JSON.stringify({
+          error: { code: "replayMiss", message: `No recorded response for ${request.method} ${url}` },
+        }),
+        { status: 501, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    if (JSON.stringify(exchange.body) !== body) {
+      logger.warn("Replayed Graph call has a different body than recorded", {
+        requestId: store.requestId,
+        method: request.method,
+        url,
+      });
+    }
+    exchange.used = true;
+    const { status, headers, body: recorded } = exchange.response;
+    const payload = recorded === null ? null : typeof recorded === "string" ? recorded : JSON.stringify(recorded);
+    // 204 and friends must not carry a body
+    return new Response([101, 204, 205, 304].includes(status) ? null : payload, { status, headers });
+  }
+}
+
+module.exports = new GraphRecorderService();
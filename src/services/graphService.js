@@ -1,35 +1,22 @@
-const axios = require("axios");
+const graphClientFactory = require("./graphClientFactory");
 const logger = require("../config/logger");
 const auditService = require("./auditService");
 
 class GraphService {
-  constructor() {
-    this.baseURL =
-      process.env.GRAPH_API_BASE_URL || "https://graph.microsoft.com/v1.0";
-    this.timeout = 15000; // Reduced to 15 seconds
-    this.retryAttempts = 2;
-  }
-  createAuthenticatedClient(accessToken) {
-    return axios.create({
-      baseURL: this.baseURL,
-      timeout: this.timeout,
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/json",
-      },
-    });
+  createGraphClient(accessToken) {
+    return graphClientFactory.create(accessToken);
   }
 
   async getWorkbooks(accessToken, auditContext) {
     try {
-      const client = this.createAuthenticatedClient(accessToken);
+      const client = this.createGraphClient(accessToken);
 
       // Optimized: Get workbooks from OneDrive only initially
-      const response = await client.get(
-        "/me/drive/root/search(q='.xlsx')?$filter=file ne null&$top=50"
-      );
+      const response = await client
+        .api("/me/drive/root/search(q='.xlsx')?$filter=file ne null&$top=50")
+        .get();
 
-      const workbooks = response.data.value.map((item) => ({
+      const workbooks = response.value.map((item) => ({
         id: item.id,
         name: item.name,
         webUrl: item.webUrl,
@@ -56,12 +43,12 @@ class GraphService {
 
   async getWorksheets(accessToken, driveId, itemId, auditContext) {
     try {
-      const client = this.createAuthenticatedClient(accessToken);
-      const response = await client.get(
-        `/drives/${driveId}/items/${itemId}/workbook/worksheets`
-      );
+      const client = this.createGraphClient(accessToken);
+      const response = await client
+        .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets`)
+        .get();
 
-      const worksheets = response.data.value.map((sheet) => ({
+      const worksheets = response.value.map((sheet) => ({
         id: sheet.id,
         name: sheet.name,
         position: sheet.position,
@@ -87,18 +74,18 @@ class GraphService {
     auditContext
   ) {
     try {
-      const client = this.createAuthenticatedClient(accessToken);
-      const response = await client.get(
-        `/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/range(address='${range}')`
-      );
+      const client = this.createGraphClient(accessToken);
+      const response = await client
+        .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/range(address='${range}')`)
+        .get();
 
       const rangeData = {
-        address: response.data.address,
-        values: response.data.values,
-        formulas: response.data.formulas,
-        text: response.data.text,
-        rowCount: response.data.rowCount,
-        columnCount: response.data.columnCount,
+        address: response.address,
+        values: response.values,
+        formulas: response.formulas,
+        text: response.text,
+        rowCount: response.rowCount,
+        columnCount: response.columnCount,
       };
 
       // Log audit entry
@@ -143,7 +130,7 @@ class GraphService {
     let oldValues = null;
 
     try {
-      const client = this.createAuthenticatedClient(accessToken);
+      const client = this.createGraphClient(accessToken);
 
       // First, read the current values for audit trail
       try {
@@ -164,16 +151,15 @@ class GraphService {
       }
 
       // Write new values
-      const response = await client.patch(
-        `/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/range(address='${range}')`,
-        { values: values }
-      );
+      const response = await client
+        .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/range(address='${range}')`)
+        .patch({ values: values });
 
       const updatedData = {
-        address: response.data.address,
-        values: response.data.values,
-        rowCount: response.data.rowCount,
-        columnCount: response.data.columnCount,
+        address: response.address,
+        values: response.values,
+        rowCount: response.rowCount,
+        columnCount: response.columnCount,
       };
 
       // Log audit entry
@@ -219,27 +205,30 @@ class GraphService {
     auditContext
   ) {
     try {
-      const client = this.createAuthenticatedClient(accessToken);
+      const client = this.createGraphClient(accessToken);
 
-      // Get table info
-      const tableResponse = await client.get(
-        `/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/tables/${tableName}`
+      const tablePath = this.getTablePath(
+        driveId,
+        itemId,
+        worksheetId,
+        tableName
       );
 
+      // Get table info
+      const tableResponse = await client.api(tablePath).get();
+
       // Get table data
-      const dataResponse = await client.get(
-        `/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/tables/${tableName}/range`
-      );
+      const dataResponse = await client.api(`${tablePath}/range`).get();
 
       const tableData = {
-        id: tableResponse.data.id,
-        name: tableResponse.data.name,
-        address: dataResponse.data.address,
-        values: dataResponse.data.values,
-        headers: dataResponse.data.values[0], // First row is typically headers
-        rows: dataResponse.data.values.slice(1), // Data rows
-        rowCount: dataResponse.data.rowCount,
-        columnCount: dataResponse.data.columnCount,
+        id: tableResponse.id,
+        name: tableResponse.name,
+        address: dataResponse.address,
+        values: dataResponse.values,
+        headers: dataResponse.values[0], // First row is typically headers
+        rows: dataResponse.values.slice(1), // Data rows
+        rowCount: dataResponse.rowCount,
+        columnCount: dataResponse.columnCount,
       };
 
       // Log audit entry
@@ -268,7 +257,10 @@ class GraphService {
       });
 
       logger.error("Failed to read table:", error);
-      throw new Error(`Failed to read table ${tableName}: ${error.message}`);
+      throw this.wrapError(
+        `Failed to read table ${tableName}: ${error.message}`,
+        error
+      );
     }
   }
 
@@ -282,12 +274,11 @@ class GraphService {
     auditContext
   ) {
     try {
-      const client = this.createAuthenticatedClient(accessToken);
+      const client = this.createGraphClient(accessToken);
 
-      const response = await client.post(
-        `/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/tables/${tableName}/rows`,
-        { values: rows }
-      );
+      const response = await client
+        .api(`${this.getTablePath(driveId, itemId, worksheetId, tableName)}/rows`)
+        .post({ values: rows });
 
       // Log audit entry
       auditService.logWriteOperation({
@@ -303,7 +294,7 @@ class GraphService {
       logger.info(
         `Successfully added ${rows.length} rows to table ${tableName}`
       );
-      return response.data;
+      return response;
     } catch (error) {
       // Log failed audit entry
       auditService.logWriteOperation({
@@ -317,11 +308,92 @@ class GraphService {
       });
 
       logger.error("Failed to add table rows:", error);
-      throw new Error(
-        `Failed to add rows to table ${tableName}: ${error.message}`
+      throw this.wrapError(
+        `Failed to add rows to table ${tableName}: ${error.message}`,
+        error
       );
     }
   }
+
+  async listTables(accessToken, driveId, itemId, worksheets, auditContext) {
+    try {
+      const client = this.createGraphClient(accessToken);
+      const tables = [];
+
+      // Tables are listed per worksheet so each entry carries its sheet name
+      for (const sheet of worksheets) {
+        const response = await client
+          .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/${sheet.id}/tables`)
+          .get();
+        for (const table of response.value || []) {
+          tables.push({
+            id: table.id,
+            name: table.name,
+            sheetName: sheet.name,
+            showHeaders: table.showHeaders,
+            showTotals: table.showTotals,
+            style: table.style,
+          });
+        }
+      }
+
+      auditService.logReadOperation({
+        ...auditContext,
+        workbookId: itemId,
+        operation: "LIST_TABLES",
+        tableCount: tables.length,
+        success: true,
+      });
+
+      logger.info(`Retrieved ${tables.length} tables from workbook ${itemId}`);
+      return tables;
+    } catch (error) {
+      logger.error("Failed to list tables:", error);
+      throw this.wrapError(
+        `Failed to list tables: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  async getTableHeaders(accessToken, driveId, itemId, worksheetId, tableName) {
+    try {
+      const client = this.createGraphClient(accessToken);
+      const response = await client
+        .api(`${this.getTablePath(driveId, itemId, worksheetId, tableName)}/headerRowRange`)
+        .get();
+      return (response.values?.[0] || []).map((h) => String(h ?? ""));
+    } catch (error) {
+      logger.error("Failed to read table headers:", error);
+      throw this.wrapError(
+        `Failed to read headers of table ${tableName}: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  // Table names are unique per workbook, so the worksheet segment is optional
+  getTablePath(driveId, itemId, worksheetId, tableName) {
+    const base = `/drives/${driveId}/items/${itemId}/workbook`;
+    const table = encodeURIComponent(tableName);
+    return worksheetId
+      ? `${base}/worksheets/${worksheetId}/tables/${table}`
+      : `${base}/tables/${table}`;
+  }
+
+  // Keep the Graph response attached so the error handler can map the status
+  wrapError(message, error) {
+    const wrapped = new Error(message);
+    // SDK errors carry the Graph status, error code and response headers
+    if (error.statusCode > 0) {
+      wrapped.response = {
+        status: error.statusCode,
+        data: { error: { code: error.code, message: error.message } },
+        headers: Object.fromEntries(error.headers?.entries?.() || []),
+      };
+    }
+    return wrapped;
+  }
 }
 
 module.exports = new GraphService();
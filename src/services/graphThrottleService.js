@@ -0,0 +1,185 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const logger = require("../config/logger");
+
+// Statuses Graph uses for throttling and transient outages
+const RETRYABLE_STATUSES = [429, 503, 504];
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Central Graph throttling policy. Every Graph call made through the shared
+ * client (and every $batch sub-request) is retried on 429/503/504, waiting
+ * for Retry-After when Graph sends it and for a jittered exponential backoff
+ * otherwise. POSTs (rows/add, tables/add, createSession, $batch itself) are
+ * not idempotent and may have been applied before a 503/504, so they are
+ * only resent after a 429. Concurrent calls are capped per drive so one large
+ * job cannot exhaust the tenant's budget; a $batch call counts against the
+ * drives its sub-requests address. Retries are counted per request and
+ * reported in the X-Graph-Retries and X-Graph-Retry-Wait-Ms response headers.
+ */
+class GraphThrottleService {
+  constructor() {
+    this.maxRetries = intFromEnv("GRAPH_MAX_RETRIES", 4);
+    this.baseDelayMs = intFromEnv("GRAPH_RETRY_BASE_MS", 500);
+    this.maxDelayMs = intFromEnv("GRAPH_RETRY_MAX_MS", 30000);
+    this.maxConcurrentPerDrive = Math.max(1, intFromEnv("GRAPH_MAX_CONCURRENCY_PER_DRIVE", 4));
+    this.limiters = new Map();
+    this.storage = new AsyncLocalStorage();
+  }
+
+  // A POST or DELETE was refused outright only when Graph answered 429; after
+  // a 503/504 it may have been applied, and index-addressed deletes
+  // (rows/itemAt, columns/itemAt) would remove the next row or column
+  isRetryable(status, method = "GET") {
+    if (["POST", "DELETE"].includes(String(method).toUpperCase())) return status === 429;
+    return RETRYABLE_STATUSES.includes(status);
+  }
+
+  // Calls against one drive share a limiter; everything else shares the tenant's
+  limiterKey(url) {
+    const match = /\/drives\/([^/?]+)/i.exec(url || "");
+    return match ? `drive:${match[1]}` : "tenant";
+  }
+
+  /**
+   * Limiters a call holds: its drive's, or for $batch those of the drives
+   * its sub-requests address, sorted so concurrent batches cannot deadlock.
+   */
+  limiterKeys(url, body) {
+    if (!/\/\$batch(\?|$)/.test(url || "")) return [this.limiterKey(url)];
+    let requests = [];
+    try {
+      requests = (typeof body === "string" ? JSON.parse(body) : body)?.requests || [];
+    } catch (_) {
+      // Not JSON we can read; fall back to the tenant limiter
+    }
+    const keys = [...new Set(requests.map((r) => this.limiterKey(r.url)))].sort();
+    return keys.length ? keys : ["tenant"];
+  }
+
+  async acquire(key) {
+    let limiter = this.limiters.get(key);
+    if (!limiter) {
+      limiter = { active: 0, waiting: [] };
+      this.limiters.set(key, limiter);
+    }
+    if (limiter.active < this.maxConcurrentPerDrive) {
+      limiter.active++;
+      return;
+    }
+    // The releasing call hands its slot straight to the next waiter
+    await new Promise((resolve) => limiter.waiting.push(resolve));
+  }
+
+  release(key) {
+    const limiter = this.limiters.get(key);
+    if (!limiter) return;
+    const next = limiter.waiting.shift();
+    if (next) {
+      next();
+      return;
+    }
+    limiter.active--;
+    if (limiter.active === 0) this.limiters.delete(key);
+  }
+
+  /**
+   * Milliseconds to wait before retry number attempt (0-based). Retry-After
+   * may be delta-seconds or an HTTP date.
+   */
+  delayFor(attempt, retryAfter) {
+    if (retryAfter !== undefined && retryAfter !== null && retryAfter !== "") {
+      const seconds = Number(retryAfter);
+      const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+      if (Number.isFinite(ms)) return Math.min(Math.max(ms, 0), this.maxDelayMs);
+    }
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  // Count retries against the current request, if any
+  recordRetry(waitMs, count = 1) {
+    const stats = this.storage.getStore();
+    if (!stats) return;
+    stats.retries += count;
+    stats.waitMs += waitMs;
+  }
+
+  currentStats() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * Wait before another attempt at a throttled call. Returns false when the
+   * retry budget is spent.
+   */
+  async backoff(attempt, status, retryAfter, details = {}) {
+    if (!this.isRetryable(status, details.method) || attempt >= this.maxRetries) return false;
+    const waitMs = this.delayFor(attempt, retryAfter);
+    logger.warn("Graph call throttled; retrying", {
+      ...details,
+      status,
+      attempt: attempt + 1,
+      waitMs,
+    });
+    this.recordRetry(waitMs);
+    await this.sleep(waitMs);
+    return true;
+  }
+
+  /**
+   * Graph client middleware: holds its drive slots for each attempt and
+   * retries retryable statuses. Replaces the SDK's own RetryHandler.
+   */
+  graphMiddleware() {
+    const service = this;
+    return {
+      next: null,
+      setNext(next) {
+        this.next = next;
+      },
+      async execute(context) {
+        const url = typeof context.request === "string" ? context.request : context.request.url;
+        const method = context.options?.method || "GET";
+        const keys = service.limiterKeys(url, context.options?.body);
+        for (let attempt = 0; ; attempt++) {
+          for (const key of keys) await service.acquire(key);
+          try {
+            await this.next.execute(context);
+          } finally {
+            keys.forEach((key) => service.release(key));
+          }
+          const status = context.response?.status;
+          const retryAfter = context.response?.headers?.get?.("retry-after");
+          if (!(await service.backoff(attempt, status, retryAfter, { url, method }))) return;
+          context.response = undefined;
+        }
+      },
+    };
+  }
+
+  // Express middleware: counts the request's retries and reports them as headers
+  middleware() {
+    return (req, res, next) => {
+      const stats = { retries: 0, waitMs: 0 };
+      const writeHead = res.writeHead;
+      res.writeHead = function (...args) {
+        if (!res.headersSent) {
+          res.setHeader("X-Graph-Retries", String(stats.retries));
+          res.setHeader("X-Graph-Retry-Wait-Ms", String(stats.waitMs));
+        }
+        return writeHead.apply(this, args);
+      };
+      this.storage.run(stats, next);
+    };
+  }
+}
+
+module.exports = new GraphThrottleService();
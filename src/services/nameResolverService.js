@@ -1,4 +1,4 @@
-const { Client } = require("@microsoft/microsoft-graph-client");
+const graphClientFactory = require("./graphClientFactory");
 const logger = require("../config/logger");
 const excelService = require("./excelService");
 const auditService = require("./auditService");
@@ -16,9 +16,7 @@ class NameResolverService {
   }
 
   createGraphClient(accessToken) {
-    return Client.init({
-      authProvider: (done) => done(null, accessToken),
-    });
+    return graphClientFactory.create(accessToken);
   }
 
   async resolveIdByName(
@@ -141,7 +139,7 @@ class NameResolverService {
     } catch (err) {
       throw new AppError(
         `Failed to resolve drive '${driveName}': ${err.message}`,
-        err.status || 500
+        err.statusCode || err.status || 500
       );
     }
   }
@@ -186,9 +184,11 @@ class NameResolverService {
       error.isMultipleMatches = true;
       throw error;
     } catch (err) {
+      // Callers list the candidates, so keep the matches
+      if (err.isMultipleMatches) throw err;
       throw new AppError(
         `Failed to resolve folder '${folderName}': ${err.message}`,
-        err.status || 500
+        err.statusCode || err.status || 500
       );
     }
   }
@@ -265,9 +265,11 @@ class NameResolverService {
       error.isMultipleMatches = true;
       throw error;
     } catch (err) {
+      // Callers list the candidates, so keep the matches
+      if (err.isMultipleMatches) throw err;
       throw new AppError(
         `Failed to resolve file '${fileName}': ${err.message}`,
-        err.status || 500
+        err.statusCode || err.status || 500
       );
     }
   }
@@ -305,7 +307,7 @@ class NameResolverService {
     } catch (err) {
       throw new AppError(
         `Failed to resolve sheet '${sheetName}': ${err.message}`,
-        err.status || 500
+        err.statusCode || err.status || 500
       );
     }
   }
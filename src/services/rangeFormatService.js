@@ -0,0 +1,226 @@
+const graphBatchService = require("./graphBatchService");
+const findReplaceService = require("./findReplaceService");
+const logger = require("../config/logger");
+
+// Row and cell format lookups allowed for one range once it turns out mixed
+const MAX_CELL_LOOKUPS = 600;
+
+// The format parts Graph serves separately; each can come back mixed (null)
+const PARTS = {
+  format: ["horizontalAlignment", "verticalAlignment", "wrapText"],
+  font: ["bold", "italic", "color", "size"],
+  fill: ["color"],
+};
+
+/**
+ * Per-cell formats for the read endpoint: number format, font, fill,
+ * alignment and merged-area membership.
+ *
+ * Number formats come with the range itself ($select=numberFormat). Graph only
+ * reports font, fill and alignment for a whole range, with null for any
+ * property that varies inside it, so they are fetched for the range first,
+ * then per row for the parts that were mixed, then per cell for the parts
+ * still mixed in a row, all through $batch. Rows and cells share
+ * MAX_CELL_LOOKUPS; past it the remaining mixed properties stay null and the
+ * result is marked incomplete.
+ */
+class RangeFormatService {
+  // { r1, c1, r2, c2 } (1-based) of "Sheet!A1:C4" or "A1"
+  bounds(address) {
+    const local = String(address).split("!").pop().replace(/\$/g, "");
+    const [from, to = from] = local.split(":");
+    const a = findReplaceService._parseStartFromAddress(from);
+    const b = findReplaceService._parseStartFromAddress(to);
+    return { r1: a.startRowIndex, c1: a.startColIndex, r2: b.startRowIndex, c2: b.startColIndex };
+  }
+
+  a1(row, col) {
+    return `${findReplaceService.getColumnLetter(col)}${row}`;
+  }
+
+  rangeAddress({ r1, c1, r2, c2 }) {
+    const start = this.a1(r1, c1);
+    return r1 === r2 && c1 === c2 ? start : `${start}:${this.a1(r2, c2)}`;
+  }
+
+  /**
+   * Formats of the range at address ({ values, numberFormat } as read from
+   * Graph). Returns { formats, mergedAreas, complete }: formats is a matrix
+   * shaped like values, mergedAreas the local addresses of merged areas that
+   * touch the range (null when Graph would not say).
+   */
+  async readFormats(graphClient, { driveId, itemId, worksheetId, address, numberFormat }) {
+    const sheet = `/drives/${driveId}/items/${itemId}/workbook/worksheets('${worksheetId}')`;
+    const box = this.bounds(address);
+    const rows = box.r2 - box.r1 + 1;
+    const cols = box.c2 - box.c1 + 1;
+    const rangeUrl = (b) => `${sheet}/range(address='${this.rangeAddress(b)}')`;
+
+    // Whole range first, with the merged areas in the same $batch
+    const whole = await this.fetchParts(graphClient, [{ key: "range", url: rangeUrl(box), parts: Object.keys(PARTS) }], [
+      { id: "merged", method: "GET", url: `${rangeUrl(box)}/mergedAreasOrNullObject?$select=address` },
+    ]);
+    const mergedAreas = this.mergedAreas(whole.extra.merged, box);
+
+    // Each cell starts from the range-wide values; mixed properties are null
+    const styles = Array.from({ length: rows }, () =>
+      Array.from({ length: cols }, () => this.cloneParts(whole.parts.range))
+    );
+    let lookups = 0;
+    let complete = true;
+
+    const rowTargets = [];
+    const mixedRange = this.mixedParts(whole.parts.range);
+    if (mixedRange.length && rows > 1) {
+      for (let r = 0; r < rows; r++) {
+        if (lookups >= MAX_CELL_LOOKUPS) {
+          complete = false;
+          break;
+        }
+        lookups++;
+        rowTargets.push({ key: `r${r}`, r, url: rangeUrl({ ...box, r1: box.r1 + r, r2: box.r1 + r }), parts: mixedRange });
+      }
+    }
+    const byRow = rowTargets.length ? (await this.fetchParts(graphClient, rowTargets)).parts : {};
+
+    const cellTargets = [];
+    for (let r = 0; r < rows; r++) {
+      const rowParts = rows > 1 ? byRow[`r${r}`] : whole.parts.range;
+      if (rowParts) styles[r].forEach((style) => this.mergeParts(style, rowParts));
+      const mixed = rowParts ? this.mixedParts(rowParts, mixedRange) : mixedRange;
+      if (!mixed.length || cols === 1) continue;
+      for (let c = 0; c < cols; c++) {
+        if (lookups >= MAX_CELL_LOOKUPS) {
+          complete = false;
+          break;
+        }
+        lookups++;
+        const cell = { r1: box.r1 + r, c1: box.c1 + c, r2: box.r1 + r, c2: box.c1 + c };
+        cellTargets.push({ key: `c${r}_${c}`, r, c, url: rangeUrl(cell), parts: mixed });
+      }
+    }
+    if (!complete) {
+      logger.warn("Too many mixed cell formats; leaving the rest unresolved", { address, limit: MAX_CELL_LOOKUPS });
+    }
+    if (cellTargets.length) {
+      const byCell = (await this.fetchParts(graphClient, cellTargets)).parts;
+      cellTargets.forEach((t) => {
+        if (byCell[t.key]) this.mergeParts(styles[t.r][t.c], byCell[t.key]);
+      });
+    }
+
+    const formats = styles.map((row, r) =>
+      row.map((style, c) =>
+        this.toCellFormat(style, numberFormat?.[r]?.[c] ?? null, this.mergedAreaOf(mergedAreas, box.r1 + r, box.c1 + c))
+      )
+    );
+    return { formats, mergedAreas: mergedAreas && mergedAreas.map((m) => m.address), complete };
+  }
+
+  /**
+   * GET the given format parts of each target ({ key, url, parts }) plus any
+   * extra requests in one $batch run. Failed parts are left out, so their
+   * properties stay unknown (null).
+   */
+  async fetchParts(graphClient, targets, extra = []) {
+    const paths = { format: "format", font: "format/font", fill: "format/fill" };
+    const requests = [...extra];
+    targets.forEach((t) =>
+      t.parts.forEach((part) => requests.push({ id: `${t.key}.${part}`, method: "GET", url: `${t.url}/${paths[part]}` }))
+    );
+    const responses = await graphBatchService.execute(graphClient, requests, { sequential: false });
+    const byId = new Map(responses.map((r) => [r.id, r]));
+
+    const parts = {};
+    targets.forEach((t) => {
+      parts[t.key] = {};
+      t.parts.forEach((part) => {
+        const response = byId.get(`${t.key}.${part}`);
+        if (response?.ok) {
+          parts[t.key][part] = this.pick(response.body, PARTS[part]);
+        } else {
+          logger.warn("Failed to read range format", { url: t.url, part, error: response?.error });
+        }
+      });
+    });
+    const extras = {};
+    extra.forEach((r) => {
+      extras[r.id] = byId.get(r.id);
+    });
+    return { parts, extra: extras };
+  }
+
+  pick(body, keys) {
+    const out = {};
+    keys.forEach((k) => {
+      out[k] = body?.[k] ?? null;
+    });
+    return out;
+  }
+
+  cloneParts(parts) {
+    const out = {};
+    Object.keys(PARTS).forEach((part) => {
+      out[part] = { ...this.pick(null, PARTS[part]), ...(parts?.[part] || {}) };
+    });
+    return out;
+  }
+
+  // Fill in properties a narrower lookup could resolve
+  mergeParts(style, parts) {
+    Object.entries(parts || {}).forEach(([part, values]) => {
+      Object.entries(values).forEach(([k, v]) => {
+        if (v !== null) style[part][k] = v;
+      });
+    });
+  }
+
+  // Parts (of those looked up) with a property Graph reported as mixed
+  mixedParts(parts, among = Object.keys(PARTS)) {
+    return among.filter(
+      (part) => !parts?.[part] || PARTS[part].some((k) => parts[part][k] === null)
+    );
+  }
+
+  // Merged areas of a "Sheet!A1:B1, Sheet!C3:D3" address; [] when none, null if unknown
+  mergedAreas(response, box) {
+    if (!response) return null;
+    if (response.status === 404) return [];
+    if (!response.ok) {
+      logger.warn("Failed to read merged areas", { error: response.error });
+      return null;
+    }
+    const address = response.body?.address;
+    if (!address) return [];
+    return address
+      .split(",")
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .map((part) => {
+        const b = this.bounds(part);
+        return { ...b, address: this.rangeAddress(b) };
+      })
+      .filter((b) => b.r1 <= box.r2 && b.r2 >= box.r1 && b.c1 <= box.c2 && b.c2 >= box.c1);
+  }
+
+  mergedAreaOf(mergedAreas, row, col) {
+    const area = (mergedAreas || []).find((m) => row >= m.r1 && row <= m.r2 && col >= m.c1 && col <= m.c2);
+    return area ? area.address : null;
+  }
+
+  toCellFormat(style, numberFormat, mergedArea) {
+    return {
+      numberFormat,
+      font: { ...style.font },
+      fill: style.fill.color,
+      alignment: {
+        horizontal: style.format.horizontalAlignment,
+        vertical: style.format.verticalAlignment,
+        wrapText: style.format.wrapText,
+      },
+      mergedArea,
+    };
+  }
+}
+
+module.exports = new RangeFormatService();
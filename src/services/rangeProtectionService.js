@@ -0,0 +1,313 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../config/logger");
+const { AppError } = require("../middleware/errorHandler");
+
+const MAX_ROW = 1048576;
+const MAX_COL = 16384;
+
+/**
+ * Declarative protected ranges, checked before any cell mutation.
+ * Configured with PROTECTED_RANGES (inline JSON) or PROTECTED_RANGES_FILE:
+ *
+ *   { "rules": [
+ *     { "workbook": "Budget*.xlsx", "sheet": "Model", "deny": ["B2:F40"] },
+ *     { "workbook": "Intake.xlsx", "allow": ["A2:H500"] }
+ *   ] }
+ *
+ * "deny" ranges are locked. When a sheet has "allow" ranges, everything
+ * outside them is locked. workbook and sheet accept * wildcards; sheet
+ * defaults to every sheet.
+ */
+class RangeProtectionService {
+  constructor() {
+    this.rules = [];
+    this.nameCache = new Map(); // key: itemId -> { name, sheets: Map(id -> name), ts }
+    this.ttlMs = 10 * 60 * 1000;
+    this.loadRules();
+  }
+
+  loadRules() {
+    let raw = process.env.PROTECTED_RANGES;
+    const file = process.env.PROTECTED_RANGES_FILE;
+    try {
+      if (!raw && file) {
+        raw = fs.readFileSync(path.resolve(process.cwd(), file), "utf8");
+      }
+      if (!raw) return;
+      const parsed = JSON.parse(raw);
+      const rules = Array.isArray(parsed) ? parsed : parsed.rules || [];
+      this.rules = rules.map((rule, i) => {
+        if (!rule.workbook) {
+          throw new Error(`rule ${i} is missing 'workbook'`);
+        }
+        return {
+          workbook: this.globToRegExp(rule.workbook),
+          sheet: this.globToRegExp(rule.sheet || "*"),
+          deny: (rule.deny || []).map((a) => this.parseRange(a)),
+          allow: (rule.allow || []).map((a) => this.parseRange(a)),
+        };
+      });
+      logger.info("Protected ranges loaded", { rules: this.rules.length });
+    } catch (error) {
+      // Fail closed: a broken policy locks every workbook
+      logger.error("Failed to load protected ranges; locking all workbooks", {
+        file,
+        error: error.message,
+      });
+      this.rules = [
+        {
+          workbook: /^/,
+          sheet: /^/,
+          deny: [this.parseRange("A1:XFD1048576")],
+          allow: [],
+        },
+      ];
+    }
+  }
+
+  isEnabled() {
+    return this.rules.length > 0;
+  }
+
+  globToRegExp(glob) {
+    const escaped = String(glob)
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*")
+      .replace(/\?/g, ".");
+    return new RegExp(`^${escaped}$`, "i");
+  }
+
+  columnIndex(letters) {
+    let result = 0;
+    for (const ch of letters.toUpperCase()) {
+      result = result * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return result;
+  }
+
+  /**
+   * Parse an A1 reference (A1, A1:C5, A:C, 2:4, optional $ and Sheet!
+   * prefix) into 1-based bounds. Whole rows/columns extend to the sheet edge.
+   */
+  parseRange(address) {
+    const text = String(address).trim();
+    const bang = text.lastIndexOf("!");
+    const sheet = bang >= 0 ? text.slice(0, bang).replace(/^'|'$/g, "").replace(/''/g, "'") : null;
+    const ref = (bang >= 0 ? text.slice(bang + 1) : text).replace(/\$/g, "").toUpperCase();
+    const [a, b = a] = ref.split(":");
+    const part = (p) => {
+      const m = p.match(/^([A-Z]*)(\d*)$/);
+      if (!m || (!m[1] && !m[2])) {
+        throw new AppError(`Invalid range address '${address}'`, 400);
+      }
+      return { col: m[1] ? this.columnIndex(m[1]) : null, row: m[2] ? parseInt(m[2], 10) : null };
+    };
+    const start = part(a);
+    const end = part(b);
+    return {
+      sheet,
+      address: ref,
+      r1: start.row ?? 1,
+      c1: start.col ?? 1,
+      r2: end.row ?? MAX_ROW,
+      c2: end.col ?? MAX_COL,
+    };
+  }
+
+  columnLetter(index) {
+    let result = "";
+    while (index > 0) {
+      index--;
+      result = String.fromCharCode(65 + (index % 26)) + result;
+      index = Math.floor(index / 26);
+    }
+    return result;
+  }
+
+  // Grow a range to fit a rows x cols block written from its top-left cell
+  extend(range, rows, cols) {
+    const r2 = Math.max(range.r2, range.r1 + (rows || 1) - 1);
+    const c2 = Math.max(range.c2, range.c1 + (cols || 1) - 1);
+    const address = `${this.columnLetter(range.c1)}${range.r1}:${this.columnLetter(c2)}${r2}`;
+    return { ...range, r2, c2, address };
+  }
+
+  overlaps(a, b) {
+    return a.r1 <= b.r2 && b.r1 <= a.r2 && a.c1 <= b.c2 && b.c1 <= a.c2;
+  }
+
+  // True when every cell of target lies in at least one of the ranges
+  covered(target, ranges) {
+    const relevant = ranges.filter((r) => this.overlaps(r, target));
+    if (!relevant.length) return false;
+    // Row bands between range edges have a fixed set of column intervals
+    const edges = new Set([target.r1, target.r2 + 1]);
+    relevant.forEach((r) => {
+      if (r.r1 > target.r1 && r.r1 <= target.r2) edges.add(r.r1);
+      if (r.r2 + 1 > target.r1 && r.r2 + 1 <= target.r2) edges.add(r.r2 + 1);
+    });
+    const rows = [...edges].sort((x, y) => x - y);
+    for (let i = 0; i < rows.length - 1; i++) {
+      const row = rows[i];
+      const spans = relevant
+        .filter((r) => r.r1 <= row && row <= r.r2)
+        .map((r) => [r.c1, r.c2])
+        .sort((x, y) => x[0] - y[0]);
+      let next = target.c1;
+      for (const [c1, c2] of spans) {
+        if (c1 > next) break;
+        next = Math.max(next, c2 + 1);
+      }
+      if (next <= target.c2) return false;
+    }
+    return true;
+  }
+
+  async getNames(graphClient, driveId, itemId) {
+    const cached = this.nameCache.get(itemId);
+    if (cached && Date.now() - cached.ts < this.ttlMs) return cached;
+
+    const item = await graphClient
+      .api(`/drives/${driveId}/items/${itemId}`)
+      .select("name")
+      .get();
+    const wsList = await graphClient
+      .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets`)
+      .select("id,name")
+      .get();
+    const entry = {
+      name: item.name,
+      sheets: new Map((wsList.value || []).map((ws) => [ws.id, ws.name])),
+      ts: Date.now(),
+    };
+    this.nameCache.set(itemId, entry);
+    return entry;
+  }
+
+  /**
+   * Throw a 403 if any target touches a locked range. Targets are
+   * { sheet?, worksheetId?, address?, rows?, cols? } where address may carry
+   * a Sheet! prefix and rows/cols give the size of the block written from its
+   * top-left cell. A missing address means the whole sheet, and an unknown
+   * sheet is checked against the rules of every sheet.
+   */
+  async assertWritable(graphClient, { driveId, itemId, targets }) {
+    if (!this.isEnabled() || !targets?.length) return;
+
+    const names = await this.getNames(graphClient, driveId, itemId);
+    const rules = this.rules.filter((r) => r.workbook.test(names.name || ""));
+    if (!rules.length) return;
+
+    for (const target of targets) {
+      let range = this.parseRange(target.address || "A1:XFD1048576");
+      if (target.rows || target.cols) {
+        range = this.extend(range, target.rows, target.cols);
+      }
+      const sheet =
+        range.sheet ||
+        target.sheet ||
+        (target.worksheetId && names.sheets.get(target.worksheetId)) ||
+        null;
+      const sheetRules = rules.filter((r) => sheet === null || r.sheet.test(sheet));
+
+      for (const rule of sheetRules) {
+        const locked = rule.deny.find((d) => this.overlaps(d, range));
+        if (locked) {
+          this.reject(names.name, sheet, range, `locked range ${this.label(sheet, locked)}`);
+        }
+      }
+
+      const allowed = sheetRules.flatMap((r) => r.allow);
+      if (allowed.length && !this.covered(range, allowed)) {
+        this.reject(
+          names.name,
+          sheet,
+          range,
+          `the locked area outside allowed ranges ${allowed
+            .map((a) => this.label(sheet, a))
+            .join(", ")}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Protected-range targets for a change to a table, which requests name by
+   * tableName only. change.part is one of:
+   *   "table"      the whole table (deleting it with its data)
+   *   "column"     a column and the columns right of it, which shift left
+   *                when it is deleted
+   *   "header"     one header cell (renaming a column)
+   *   "addColumn"  the table plus the column it grows by
+   *   "addRows"    the table plus the change.count rows it grows by
+   *   "totals"     the table plus the row below, which a totals row takes
+   * Columns are named, or given by zero-based index when numeric. The table
+   * is only looked up when protected ranges are configured.
+   */
+  async tableTargets(graphClient, { driveId, itemId, tableName }, change) {
+    if (!this.isEnabled()) return [];
+
+    const tablePath = `/drives/${driveId}/items/${itemId}/workbook/tables/${encodeURIComponent(tableName)}`;
+    const range = await graphClient.api(`${tablePath}/range`).select("address").get();
+    const { sheet, r1, c1, r2, c2 } = this.parseRange(range.address);
+    const block = (top, left, bottom, right) => ({
+      sheet,
+      address: `${this.columnLetter(left)}${top}:${this.columnLetter(right)}${bottom}`,
+    });
+    // An unknown column fails in Graph; until then the whole width is checked
+    const columnAt = async (column) => {
+      if (typeof column === "number") return [c1 + column, c1 + column];
+      const { value = [] } = await graphClient.api(`${tablePath}/columns`).select("id,name,index").get();
+      const wanted = String(column).toLowerCase();
+      const found = value.find(
+        (c) => String(c.id).toLowerCase() === wanted || String(c.name).toLowerCase() === wanted
+      );
+      return found ? [c1 + found.index, c1 + found.index] : [c1, c2];
+    };
+
+    switch (change.part) {
+      case "column":
+        return [block(r1, (await columnAt(change.column))[0], r2, c2)];
+      case "header": {
+        const [left, right] = await columnAt(change.column);
+        return [block(r1, left, r1, right)];
+      }
+      case "addColumn":
+        return [block(r1, c1, r2, c2 + 1)];
+      case "addRows":
+        return [block(r1, c1, r2 + change.count, c2)];
+      case "totals":
+        return [block(r1, c1, r2 + 1, c2)];
+      default:
+        return [block(r1, c1, r2, c2)];
+    }
+  }
+
+  // Throw a 403 if a table change (see tableTargets) touches a locked range
+  async assertTableWritable(graphClient, table, change) {
+    const targets = await this.tableTargets(graphClient, table, change);
+    await this.assertWritable(graphClient, { driveId: table.driveId, itemId: table.itemId, targets });
+  }
+
+  label(sheet, range) {
+    return sheet ? `'${sheet}'!${range.address}` : range.address;
+  }
+
+  reject(workbookName, sheet, range, what) {
+    logger.warn("Write blocked by protected range", {
+      workbook: workbookName,
+      sheet,
+      range: range.address,
+      what,
+    });
+    const err = new AppError(
+      `Range ${this.label(sheet, range)} in '${workbookName}' overlaps ${what}`,
+      403
+    );
+    err.isProtectedRange = true;
+    throw err;
+  }
+}
+
+module.exports = new RangeProtectionService();
@@ -0,0 +1,70 @@
+const findReplaceService = require("./findReplaceService");
+
+/**
+ * Renders read results as text for the markdown and csv projections.
+ * Typed values ({ type, value }) are written as their value, empty cells as
+ * blanks.
+ */
+class RangeTextService {
+  cellText(value) {
+    if (value === null || value === undefined) return "";
+    if (typeof value === "object") return String(value.value ?? value.text ?? JSON.stringify(value));
+    return String(value);
+  }
+
+  isBlank(value) {
+    return this.cellText(value).trim() === "";
+  }
+
+  /**
+   * Index of the header row, or -1 when the block has none: the first
+   * non-empty row heads the table when it is followed by data and every
+   * filled cell in it is text.
+   */
+  detectHeader(values) {
+    const first = (values || []).findIndex((row) => (row || []).some((v) => !this.isBlank(v)));
+    if (first === -1 || first === values.length - 1) return -1;
+    const filled = values[first].filter((v) => !this.isBlank(v));
+    return filled.every((v) => typeof v === "string") ? first : -1;
+  }
+
+  /**
+   * GitHub table of a block of values starting at column startCol (1-based).
+   * Without a detected header the columns are headed by their letters.
+   */
+  markdown(values, startCol = 1) {
+    const rows = (values || []).map((row) => row || []);
+    const width = Math.max(0, ...rows.map((row) => row.length));
+    if (!width) return "";
+    const headerIdx = this.detectHeader(rows);
+    const header =
+      headerIdx === -1
+        ? Array.from({ length: width }, (_, j) => findReplaceService.getColumnLetter(startCol + j))
+        : Array.from({ length: width }, (_, j) => this.cellText(rows[headerIdx][j]));
+    const body = rows.slice(headerIdx + 1);
+    const line = (cells) =>
+      `| ${Array.from({ length: width }, (_, j) => this.markdownCell(cells[j])).join(" | ")} |`;
+    return [line(header), `|${" --- |".repeat(width)}`, ...body.map(line)].join("\n");
+  }
+
+  markdownCell(value) {
+    return this.cellText(value).replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+  }
+
+  // RFC 4180: CRLF line ends; fields with commas, quotes or line breaks are quoted
+  csv(values) {
+    const rows = (values || []).map((row) => row || []);
+    const width = Math.max(0, ...rows.map((row) => row.length));
+    return rows
+      .map((row) => Array.from({ length: width }, (_, j) => this.csvCell(row[j])).join(","))
+      .map((line) => `${line}\r\n`)
+      .join("");
+  }
+
+  csvCell(value) {
+    const text = this.cellText(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = new RangeTextService();
@@ -0,0 +1,110 @@
+const rangeFormatService = require("./rangeFormatService");
+const { AppError } = require("../middleware/errorHandler");
+
+// Per-row matrices of a Graph range read that are sliced along with values
+const ROW_MATRICES = ["values", "formulas", "text", "numberFormat", "valueTypes"];
+
+// Fewest bytes a cell takes in a JSON payload ("1,"), to bound rows by maxBytes
+const MIN_CELL_BYTES = 2;
+
+/**
+ * Cell and byte budgets for /read. A read block is cut after the last whole
+ * row that fits; the continuation token records where the next block starts
+ * (and which row heads the table) so a follow-up call picks up from there.
+ */
+class ReadBudgetService {
+  encodeToken(position) {
+    return Buffer.from(JSON.stringify({ v: 1, ...position })).toString("base64url");
+  }
+
+  // { mode, sheet, range, row, header } of a token; range is null for a sheet not read yet
+  decodeToken(token) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(String(token), "base64url").toString("utf8"));
+    } catch (_) {
+      position = null;
+    }
+    if (!position || position.v !== 1 || typeof position.sheet !== "string" || !Number.isInteger(position.row)) {
+      throw new AppError("Invalid continuationToken", 400);
+    }
+    return position;
+  }
+
+  // Local address of rows [fromRow, toRow] within a range address
+  rowsAddress(address, fromRow, toRow) {
+    const box = rangeFormatService.bounds(address);
+    return rangeFormatService.rangeAddress({ ...box, r1: fromRow, r2: toRow ?? box.r2 });
+  }
+
+  /**
+   * Most rows of a range cols wide that can fit the budget, plus one extra
+   * row so the block read always shows whether data goes on past it.
+   * Infinity when there is no budget.
+   */
+  windowRows({ maxCells, maxBytes } = {}, cols) {
+    const limits = [];
+    if (maxCells !== undefined) limits.push(Math.floor(maxCells / cols));
+    if (maxBytes !== undefined) limits.push(Math.floor(maxBytes / (cols * MIN_CELL_BYTES)));
+    return limits.length ? Math.max(1, Math.min(...limits)) + 1 : Infinity;
+  }
+
+  /**
+   * Rows [from, from + count) of a range read, as a read of its own. With
+   * header (a row read of the table's header), that row is put on top so
+   * header-keyed projections still find it.
+   */
+  sliceRows(resp, from, count, header = null) {
+    const box = rangeFormatService.bounds(resp.address);
+    const sheet = String(resp.address).includes("!") ? `${String(resp.address).split("!")[0]}!` : "";
+    const out = { ...resp };
+    ROW_MATRICES.forEach((key) => {
+      if (!Array.isArray(resp[key])) return;
+      const rows = resp[key].slice(from, from + count);
+      out[key] = header && Array.isArray(header[key]) ? [...header[key], ...rows] : rows;
+    });
+    if (resp.formatInfo) {
+      out.formatInfo = { ...resp.formatInfo, formats: resp.formatInfo.formats.slice(from, from + count) };
+    }
+    const r1 = box.r1 + from;
+    out.address = `${sheet}${rangeFormatService.rangeAddress({ ...box, r1, r2: r1 + Math.max(count, 1) - 1 })}`;
+    return out;
+  }
+
+  /**
+   * Largest number of leading rows of resp whose projection fits the budget
+   * ({ maxCells, maxBytes }, either optional). build turns a sliced read into
+   * the payload that will be sent. At least one row is returned when
+   * atLeastOne is set, so a caller always makes progress.
+   * Returns { rows, payload, cells, bytes }.
+   */
+  fit(resp, build, { maxCells, maxBytes }, { header = null, atLeastOne = true } = {}) {
+    const total = (resp.values || []).length;
+    const cols = Math.max(1, ...(resp.values || []).map((row) => (row || []).length));
+    const measure = (rows) => {
+      const payload = build(this.sliceRows(resp, 0, rows, header));
+      const cells = (rows + (header ? 1 : 0)) * cols;
+      return { rows, payload, cells, bytes: Buffer.byteLength(JSON.stringify(payload)) };
+    };
+    const fits = (m) =>
+      (maxCells === undefined || m.cells <= maxCells) && (maxBytes === undefined || m.bytes <= maxBytes);
+
+    let best = null;
+    let lo = 1;
+    let hi = maxCells === undefined ? total : Math.min(total, Math.floor(maxCells / cols) - (header ? 1 : 0));
+    while (lo <= hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      const m = measure(mid);
+      if (fits(m)) {
+        best = m;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    if (best) return best;
+    return atLeastOne ? measure(Math.min(1, total)) : { rows: 0, payload: null, cells: 0, bytes: 0 };
+  }
+}
+
+module.exports = new ReadBudgetService();
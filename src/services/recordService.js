@@ -0,0 +1,549 @@
+const excelService = require("./excelService");
+const findReplaceService = require("./findReplaceService");
+const auditService = require("./auditService");
+const rangeProtectionService = require("./rangeProtectionService");
+const logger = require("../config/logger");
+const { AppError } = require("../middleware/errorHandler");
+
+/**
+ * Maps between header-keyed records and positional rows.
+ * Header text is normalized the same way the read "records" projection
+ * does it so keys round-trip between reads and writes.
+ */
+class RecordService {
+  normalizeHeader(value) {
+    return String(value ?? "").replace(/\s+/g, " ").trim();
+  }
+
+  // The first non-empty row of a block is its header row
+  findHeaderRow(values) {
+    return (values || []).findIndex((row) =>
+      (row || []).some(
+        (v) => v !== null && v !== undefined && String(v).trim() !== ""
+      )
+    );
+  }
+
+  headerKeys(header) {
+    return (header || []).map(
+      (h, j) => this.normalizeHeader(h) || `col_${j + 1}`
+    );
+  }
+
+  toRecords(header, rows) {
+    const keys = this.headerKeys(header);
+    return (rows || []).map((row) => {
+      const obj = {};
+      for (let j = 0; j < keys.length; j++) {
+        obj[keys[j]] = (row || [])[j];
+      }
+      return obj;
+    });
+  }
+
+  // { key: [values...] } per header column; repeated keys get a _2, _3 suffix
+  toColumns(header, rows) {
+    const seen = new Map();
+    const keys = this.headerKeys(header).map((k) => {
+      const n = (seen.get(k) || 0) + 1;
+      seen.set(k, n);
+      return n > 1 ? `${k}_${n}` : k;
+    });
+    const columns = {};
+    keys.forEach((k, j) => {
+      columns[k] = (rows || []).map((row) => (row || [])[j] ?? null);
+    });
+    return columns;
+  }
+
+  /**
+   * Resolve each record key to a header column index. Exact (normalized)
+   * matches win; otherwise a case-insensitive match is accepted.
+   */
+  mapKeysToColumns(header, records) {
+    const keys = this.headerKeys(header);
+    const exact = new Map(keys.map((k, j) => [k, j]));
+    const folded = new Map();
+    keys.forEach((k, j) => {
+      const f = k.toLowerCase();
+      if (!folded.has(f)) folded.set(f, j);
+    });
+
+    const columns = new Map();
+    const unknownKeys = [];
+    for (const record of records || []) {
+      for (const key of Object.keys(record || {})) {
+        if (columns.has(key) || unknownKeys.includes(key)) continue;
+        const norm = this.normalizeHeader(key);
+        const idx = exact.has(norm) ? exact.get(norm) : folded.get(norm.toLowerCase());
+        if (idx === undefined) unknownKeys.push(key);
+        else columns.set(key, idx);
+      }
+    }
+    return { columns, unknownKeys };
+  }
+
+  /**
+   * Convert records into rows aligned with the header. Keys missing from a
+   * record leave the cell blank. Unknown keys are rejected.
+   */
+  toRows(header, records) {
+    const { columns, unknownKeys } = this.mapKeysToColumns(header, records);
+    if (unknownKeys.length) {
+      throw new AppError(
+        `Unknown column(s): ${unknownKeys.join(", ")}. Available columns: ${this.headerKeys(header).join(", ")}`,
+        400
+      );
+    }
+    const width = (header || []).length;
+    return (records || []).map((record) => {
+      const row = new Array(width).fill("");
+      for (const [key, idx] of columns.entries()) {
+        const v = record[key];
+        if (v !== undefined && v !== null) row[idx] = v;
+      }
+      return row;
+    });
+  }
+
+  // Key comparison is textual so 42 and "42" identify the same row
+  keyOf(value) {
+    if (value === null || value === undefined) return "";
+    return String(value).trim();
+  }
+
+  sameValue(a, b) {
+    return this.keyOf(a) === this.keyOf(b);
+  }
+
+  addressOf(startCol, startRow, rows, cols) {
+    const first = findReplaceService.getColumnLetter(startCol);
+    const last = findReplaceService.getColumnLetter(startCol + cols - 1);
+    return `${first}${startRow}:${last}${startRow + rows - 1}`;
+  }
+
+  sheetOf(address) {
+    const bang = String(address || "").lastIndexOf("!");
+    return bang > 0 ? address.slice(0, bang).replace(/^'|'$/g, "") : undefined;
+  }
+
+  assertWritable(graphClient, target, addresses) {
+    return rangeProtectionService.assertWritable(graphClient, {
+      driveId: target.driveId,
+      itemId: target.itemId,
+      targets: addresses.map((address) => ({ sheet: target.sheetName, address })),
+    });
+  }
+
+  /**
+   * Load the header/data block records apply to: an Excel table, an explicit
+   * range, or the sheet's usedRange. Positions are 1-based sheet coordinates.
+   * Formulas are loaded alongside values so row updates can keep them.
+   */
+  async loadTarget(graphClient, driveId, itemId, worksheetId, { range, tableName }) {
+    const workbook = `/drives/${driveId}/items/${itemId}/workbook`;
+
+    if (tableName) {
+      const tablePath = `${workbook}/tables/${encodeURIComponent(tableName)}`;
+      const headerRange = await graphClient
+        .api(`${tablePath}/headerRowRange?$select=address,values`)
+        .get();
+      const body = await graphClient
+        .api(`${tablePath}/dataBodyRange?$select=address,values,formulas`)
+        .get();
+      const start = findReplaceService._parseStartFromAddress(headerRange.address);
+      const sheetName = this.sheetOf(headerRange.address);
+      return {
+        kind: "table",
+        driveId,
+        itemId,
+        sheetName,
+        sheetPath: `${workbook}/worksheets('${String(sheetName).replace(/'/g, "''")}')`,
+        tableName,
+        tablePath,
+        startCol: start.startColIndex,
+        headerRow: start.startRowIndex,
+        header: headerRange.values?.[0] || [],
+        rows: body.values || [],
+        formulas: body.formulas || [],
+      };
+    }
+
+    const sheetPath = `${workbook}/worksheets/${worksheetId}`;
+    const url = range
+      ? `${sheetPath}/range(address='${range}')?$select=address,values,formulas`
+      : `${sheetPath}/usedRange?$select=address,values,formulas`;
+    const block = await graphClient.api(url).get();
+    const values = block.values || [];
+    const start = findReplaceService._parseStartFromAddress(block.address);
+    const headerIndex = this.findHeaderRow(values);
+    if (headerIndex === -1) {
+      throw new AppError(
+        "No header row found. Write a header row first or pass a range that includes it.",
+        400
+      );
+    }
+    // Trailing blank rows inside an explicit range are free space, not data
+    const rows = values.slice(headerIndex + 1);
+    while (rows.length && this.findHeaderRow([rows[rows.length - 1]]) === -1) {
+      rows.pop();
+    }
+    return {
+      kind: "sheet",
+      driveId,
+      itemId,
+      sheetName: this.sheetOf(block.address),
+      sheetPath,
+      startCol: start.startColIndex,
+      headerRow: start.startRowIndex + headerIndex,
+      header: values[headerIndex],
+      rows,
+      formulas: (block.formulas || []).slice(headerIndex + 1, headerIndex + 1 + rows.length),
+    };
+  }
+
+  /**
+   * Map record keys to header columns, applying the unknownColumns policy:
+   * "fail" rejects unknown keys, "ignore" drops them, "create" adds header
+   * columns for them (to the right of the header, or as new table columns).
+   */
+  async resolveColumns(graphClient, target, records, unknownColumns = "fail") {
+    const { columns, unknownKeys } = this.mapKeysToColumns(target.header, records);
+    if (!unknownKeys.length) return { columns, created: [], ignored: [] };
+
+    if (unknownColumns === "ignore") {
+      return { columns, created: [], ignored: unknownKeys };
+    }
+    if (unknownColumns !== "create") {
+      throw new AppError(
+        `Unknown column(s): ${unknownKeys.join(", ")}. Available columns: ${this.headerKeys(target.header).join(", ")}. Set unknownColumns to "ignore" or "create" to accept them.`,
+        400
+      );
+    }
+
+    // Different spellings of one new header become a single column
+    const created = [];
+    const byFolded = new Map();
+    for (const key of unknownKeys) {
+      const name = this.normalizeHeader(key);
+      const folded = name.toLowerCase();
+      if (!byFolded.has(folded)) {
+        byFolded.set(folded, target.header.length + created.length);
+        created.push(name);
+      }
+      columns.set(key, byFolded.get(folded));
+    }
+
+    // New columns take the header cell and every row beneath it
+    await this.assertWritable(graphClient, target, [
+      this.addressOf(
+        target.startCol + target.header.length,
+        target.headerRow,
+        target.rows.length + 1,
+        created.length
+      ),
+    ]);
+
+    if (target.kind === "table") {
+      for (const name of created) {
+        const column = await graphClient
+          .api(`${target.tablePath}/columns/add`)
+          .post({ index: null });
+        await graphClient
+          .api(`${target.tablePath}/columns/${encodeURIComponent(column.id)}/headerRowRange`)
+          .patch({ values: [[name]] });
+      }
+    } else {
+      const address = this.addressOf(
+        target.startCol + target.header.length,
+        target.headerRow,
+        1,
+        created.length
+      );
+      await graphClient
+        .api(`${target.sheetPath}/range(address='${address}')`)
+        .patch({ values: [created] });
+    }
+
+    target.header = [...target.header, ...created];
+    target.rows = target.rows.map((row) => [
+      ...row,
+      ...new Array(created.length).fill(""),
+    ]);
+    return { columns, created, ignored: [] };
+  }
+
+  /**
+   * Append positional rows under the block. Tables grow through rows/add so
+   * the table range expands; sheets are written directly below the data.
+   */
+  async appendRows(graphClient, target, rows) {
+    if (target.kind === "table") {
+      const added = await graphClient
+        .api(`${target.tablePath}/rows/add`)
+        .post({ index: null, values: rows });
+      const index = added?.index ?? target.rows.length;
+      return this.addressOf(
+        target.startCol,
+        target.headerRow + 1 + index,
+        rows.length,
+        target.header.length
+      );
+    }
+
+    const address = this.addressOf(
+      target.startCol,
+      target.headerRow + 1 + target.rows.length,
+      rows.length,
+      target.header.length
+    );
+    await graphClient
+      .api(`${target.sheetPath}/range(address='${address}')`)
+      .patch({ values: rows });
+    return address;
+  }
+
+  async resolveWorksheet(graphClient, driveId, itemId, worksheetId) {
+    if (worksheetId) return worksheetId;
+    const wsList = await graphClient
+      .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets`)
+      .get();
+    return wsList?.value?.[0]?.id;
+  }
+
+  /**
+   * Append records under their matching header columns. Keys missing from a
+   * record leave the cell blank.
+   */
+  async appendRecords(params) {
+    const {
+      accessToken,
+      driveId,
+      itemId,
+      worksheetId,
+      range,
+      tableName,
+      records,
+      unknownColumns,
+      auditContext,
+    } = params;
+
+    const graphClient = excelService.createGraphClient(accessToken);
+    const wsId = tableName
+      ? worksheetId
+      : await this.resolveWorksheet(graphClient, driveId, itemId, worksheetId);
+    const target = await this.loadTarget(graphClient, driveId, itemId, wsId, {
+      range,
+      tableName,
+    });
+    const { columns, created, ignored } = await this.resolveColumns(
+      graphClient,
+      target,
+      records,
+      unknownColumns
+    );
+
+    const width = target.header.length;
+    const rows = records.map((record) => {
+      const row = new Array(width).fill("");
+      for (const [key, idx] of columns.entries()) {
+        const v = record[key];
+        if (v !== undefined && v !== null) row[idx] = v;
+      }
+      return row;
+    });
+
+    await this.assertWritable(graphClient, target, [
+      this.addressOf(target.startCol, target.headerRow + 1 + target.rows.length, rows.length, width),
+    ]);
+    const address = await this.appendRows(graphClient, target, rows);
+
+    auditService.logWriteOperation({
+      ...auditContext,
+      workbookId: itemId,
+      worksheetId: wsId,
+      table: tableName,
+      range: address,
+      oldValues: null,
+      newValues: rows,
+      cellsModified: rows.length * width,
+      success: true,
+    });
+
+    return {
+      range: address,
+      table: tableName,
+      rowsAppended: rows.length,
+      headers: this.headerKeys(target.header),
+      createdColumns: created.length ? created : undefined,
+      ignoredColumns: ignored.length ? ignored : undefined,
+    };
+  }
+
+  /**
+   * Update rows whose keyColumn value matches a record and append the rest.
+   * Fields absent from a record keep their current cell value on update.
+   */
+  async upsertRecords(params) {
+    const {
+      accessToken,
+      driveId,
+      itemId,
+      worksheetId,
+      range,
+      tableName,
+      records,
+      keyColumn,
+      unknownColumns,
+      auditContext,
+    } = params;
+
+    const graphClient = excelService.createGraphClient(accessToken);
+    const wsId = tableName
+      ? worksheetId
+      : await this.resolveWorksheet(graphClient, driveId, itemId, worksheetId);
+    const target = await this.loadTarget(graphClient, driveId, itemId, wsId, {
+      range,
+      tableName,
+    });
+
+    const keyIdx = this.mapKeysToColumns(target.header, [{ [keyColumn]: true }])
+      .columns.get(keyColumn);
+    if (keyIdx === undefined) {
+      throw new AppError(
+        `keyColumn '${keyColumn}' not found. Available columns: ${this.headerKeys(target.header).join(", ")}`,
+        400
+      );
+    }
+
+    const { columns, created, ignored } = await this.resolveColumns(
+      graphClient,
+      target,
+      records,
+      unknownColumns
+    );
+    const width = target.header.length;
+
+    // Index existing rows by key; the first occurrence wins
+    const rowByKey = new Map();
+    const duplicateKeys = new Set();
+    target.rows.forEach((row, i) => {
+      const key = this.keyOf((row || [])[keyIdx]);
+      if (!key) return;
+      if (rowByKey.has(key)) duplicateKeys.add(key);
+      else rowByKey.set(key, i);
+    });
+
+    const current = target.rows.map((row) =>
+      Array.from({ length: width }, (_, j) => (row || [])[j] ?? "")
+    );
+    const touched = new Map(); // row index -> columns the records changed
+    const matched = new Set();
+    const appended = [];
+    const appendedByKey = new Map();
+
+    records.forEach((record, n) => {
+      const keyField = [...columns.keys()].find(
+        (k) => columns.get(k) === keyIdx && k in record
+      );
+      const key = this.keyOf(keyField !== undefined ? record[keyField] : undefined);
+      if (!key) {
+        throw new AppError(`Record ${n} has no value for keyColumn '${keyColumn}'`, 400);
+      }
+
+      let row;
+      if (rowByKey.has(key)) {
+        row = current[rowByKey.get(key)];
+        matched.add(rowByKey.get(key));
+      } else if (appendedByKey.has(key)) {
+        row = appended[appendedByKey.get(key)];
+      } else {
+        row = new Array(width).fill("");
+        appendedByKey.set(key, appended.length);
+        appended.push(row);
+      }
+
+      const changed = [];
+      for (const [field, idx] of columns.entries()) {
+        if (!(field in record)) continue;
+        const v = record[field] ?? "";
+        if (!this.sameValue(row[idx], v)) {
+          row[idx] = v;
+          changed.push(idx);
+        }
+      }
+      if (changed.length && rowByKey.has(key)) {
+        const i = rowByKey.get(key);
+        touched.set(i, new Set([...(touched.get(i) || []), ...changed]));
+      }
+    });
+
+    const updates = [...touched.keys()].sort((a, b) => a - b);
+    const planned = updates.map((i) =>
+      this.addressOf(target.startCol, target.headerRow + 1 + i, 1, width)
+    );
+    if (appended.length) {
+      planned.push(
+        this.addressOf(target.startCol, target.headerRow + 1 + target.rows.length, appended.length, width)
+      );
+    }
+    await this.assertWritable(graphClient, target, planned);
+
+    const changes = [];
+    for (const i of updates) {
+      const address = this.addressOf(target.startCol, target.headerRow + 1 + i, 1, width);
+      // Cells the records left alone are written back as their formulas
+      const oldFormulas = current[i].map((v, j) => target.formulas[i]?.[j] ?? v);
+      const formulas = current[i].map((v, j) => (touched.get(i).has(j) ? v : oldFormulas[j]));
+      await graphClient
+        .api(`${target.sheetPath}/range(address='${address}')`)
+        .patch({ formulas: [formulas] });
+      changes.push({
+        range: address,
+        oldValues: [target.rows[i]],
+        oldFormulas: [oldFormulas],
+        newValues: [current[i]],
+      });
+    }
+
+    if (appended.length) {
+      const address = await this.appendRows(graphClient, target, appended);
+      changes.push({ range: address, oldValues: null, newValues: appended });
+    }
+
+    for (const change of changes) {
+      auditService.logWriteOperation({
+        ...auditContext,
+        workbookId: itemId,
+        worksheetId: wsId,
+        table: tableName,
+        range: change.range,
+        oldValues: change.oldValues,
+        newValues: change.newValues,
+        cellsModified: change.newValues.length * width,
+        success: true,
+      });
+    }
+
+    const summary = {
+      inserted: appended.length,
+      updated: touched.size,
+      unchanged: [...matched].filter((i) => !touched.has(i)).length,
+    };
+    logger.debug("Upsert completed", { driveId, itemId, worksheetId: wsId, ...summary });
+
+    return {
+      ...summary,
+      keyColumn,
+      table: tableName,
+      headerRow: target.headerRow,
+      changes: changes.map((c) => c.range),
+      writes: changes.map((c) => ({ ...c, sheet: target.sheetName })),
+      createdColumns: created.length ? created : undefined,
+      ignoredColumns: ignored.length ? ignored : undefined,
+      duplicateKeys: duplicateKeys.size ? [...duplicateKeys] : undefined,
+    };
+  }
+}
+
+module.exports = new RecordService();
@@ -1,4 +1,4 @@
-const { Client } = require("@microsoft/microsoft-graph-client");
+const graphClientFactory = require("./graphClientFactory");
 const logger = require("../config/logger");
 const resolverService = require("./resolverService");
 const auditService = require("./auditService");
@@ -12,9 +12,7 @@ class RenameService {
   }
 
   createGraphClient(accessToken) {
-    return Client.init({
-      authProvider: (done) => done(null, accessToken),
-    });
+    return graphClientFactory.create(accessToken);
   }
   async renameFile(
     accessToken,
@@ -1,4 +1,4 @@
-const { Client } = require("@microsoft/microsoft-graph-client");
+const graphClientFactory = require("./graphClientFactory");
 const logger = require("../config/logger");
 const excelService = require("./excelService");
 const { AppError } = require("../middleware/errorHandler");
@@ -16,9 +16,7 @@ class ResolverService {
   }
 
   createGraphClient(accessToken) {
-    return Client.init({
-      authProvider: (done) => done(null, accessToken),
-    });
+    return graphClientFactory.create(accessToken);
   }
 
   async resolveDriveIdByName(accessToken, driveName) {
@@ -339,6 +337,11 @@ class ResolverService {
     }
   }
 
+  // Drop a cached worksheet ID after the sheet is renamed or deleted
+  forgetWorksheet(itemId, worksheetName) {
+    this.worksheetCache.delete(`${itemId}:${worksheetName}`);
+  }
+
   async resolveWorksheetIdByName(accessToken, driveId, itemId, worksheetName) {
     if (!worksheetName) {
       const msg = "worksheetName is required to resolve worksheetId";
@@ -0,0 +1,196 @@
+const excelService = require("./excelService");
+const rangeProtectionService = require("./rangeProtectionService");
+const auditStore = require("./auditStore");
+const logger = require("../config/logger");
+const { AppError } = require("../middleware/errorHandler");
+
+// Audit operations that record enough before/after state to be undone
+const REVERTIBLE = ["WRITE_RANGE", "CLEAR_DATA", "FIND_REPLACE", "REVERT"];
+
+/**
+ * Undo a recorded write from its audit entry. The recorded old formulas
+ * (old values for entries that predate them) are only restored when every
+ * affected cell still holds the recorded new value; otherwise nothing is
+ * written and the drifted cells are reported.
+ */
+class RevertService {
+  /**
+   * Audit entry by id, or the newest revertible entry of a request.
+   */
+  async findEntry({ auditId, requestId }) {
+    if (auditId) {
+      return auditStore.get(auditId);
+    }
+    for (const operation of REVERTIBLE) {
+      const entries = await auditStore.query({ operation });
+      const match = entries.find((e) => e.requestId === requestId);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  // Successful revert that already undid this entry, if any
+  async revertedBy(entry) {
+    const reverts = await auditStore.query({ operation: "REVERT", success: true });
+    return reverts.find((e) => e.revertOf === entry.id) || null;
+  }
+
+  isGrid(values) {
+    return Array.isArray(values) && values.length > 0 && values.every(Array.isArray);
+  }
+
+  blank(values) {
+    return values.map((row) => row.map(() => ""));
+  }
+
+  /**
+   * Blocks to restore: { sheet, worksheetId, address, expected, restore }.
+   * expected is what the entry left behind, restore what it replaced.
+   */
+  planFor(entry) {
+    if (!REVERTIBLE.includes(entry.operation)) {
+      throw new AppError(`Audit entry '${entry.id}' (${entry.operation}) cannot be reverted`, 422);
+    }
+    if (!entry.success) {
+      throw new AppError(`Audit entry '${entry.id}' did not succeed; nothing to revert`, 422);
+    }
+    if (!entry.driveId || !entry.itemId) {
+      throw new AppError(`Audit entry '${entry.id}' does not record the workbook it changed`, 422);
+    }
+
+    let blocks;
+    if (Array.isArray(entry.changes)) {
+      // Find-replace records single cells; upserts and reverts record ranges
+      blocks = entry.changes.map((c) =>
+        c.cell
+          ? { sheet: c.sheet, address: c.cell, expected: [[c.newValue]], restore: [[c.oldFormula ?? c.oldValue]] }
+          : {
+              sheet: c.sheet,
+              worksheetId: c.worksheetId || entry.worksheetId,
+              address: c.range,
+              expected: c.newValues,
+              restore:
+                c.oldFormulas || c.oldValues || (this.isGrid(c.newValues) ? this.blank(c.newValues) : null),
+            }
+      );
+    } else {
+      const restore = entry.oldFormulas || entry.oldValues;
+      blocks = [
+        {
+          worksheetId: entry.worksheetId,
+          address: entry.range,
+          expected:
+            entry.operation === "CLEAR_DATA" && this.isGrid(restore) ? this.blank(restore) : entry.newValues,
+          restore,
+        },
+      ];
+    }
+
+    blocks.forEach((block) => {
+      if (!block.address || !this.isGrid(block.expected) || !this.isGrid(block.restore)) {
+        throw new AppError(
+          `Audit entry '${entry.id}' does not record before and after values for every range`,
+          422
+        );
+      }
+      const parsed = rangeProtectionService.parseRange(block.address);
+      block.sheet = parsed.sheet || block.sheet;
+      block.address = parsed.address;
+      block.bounds = parsed;
+      if (!block.sheet && !block.worksheetId) {
+        throw new AppError(`Audit entry '${entry.id}' does not record the worksheet it changed`, 422);
+      }
+    });
+    return blocks;
+  }
+
+  rangePath(entry, block) {
+    const sheet = block.sheet
+      ? `worksheets('${block.sheet.replace(/'/g, "''")}')`
+      : `worksheets/${block.worksheetId}`;
+    return `/drives/${entry.driveId}/items/${entry.itemId}/workbook/${sheet}/range(address='${block.address}')`;
+  }
+
+  sameValue(actual, expected) {
+    const norm = (v) => (v === null || v === undefined ? "" : v);
+    const a = norm(actual);
+    const e = norm(expected);
+    if (a === e) return true;
+    if (typeof a === "number" || typeof e === "number") {
+      return String(a).trim() !== "" && Number(a) === Number(e);
+    }
+    return String(a) === String(e);
+  }
+
+  // Cells whose current value (or formula) no longer matches what the entry wrote
+  drift(block, current) {
+    const drifted = [];
+    block.expected.forEach((row, i) => {
+      row.forEach((expected, j) => {
+        const value = current.values?.[i]?.[j];
+        const formula = current.formulas?.[i]?.[j];
+        if (this.sameValue(value, expected) || this.sameValue(formula, expected)) return;
+        drifted.push({
+          sheet: block.sheet || block.worksheetId,
+          cell: `${rangeProtectionService.columnLetter(block.bounds.c1 + j)}${block.bounds.r1 + i}`,
+          expected,
+          actual: value ?? null,
+        });
+      });
+    });
+    return drifted;
+  }
+
+  /**
+   * Revert the entry. Returns { conflicts } without writing when cells
+   * drifted, else { reverted: [{ sheet, worksheetId, range, oldValues, newValues }] }
+   * where oldValues/newValues describe the revert itself (newValues as formulas).
+   */
+  async revert({ accessToken, entry }) {
+    const blocks = this.planFor(entry);
+    const graphClient = excelService.createGraphClient(accessToken);
+
+    const conflicts = [];
+    for (const block of blocks) {
+      const current = await graphClient
+        .api(this.rangePath(entry, block))
+        .select("address,values,formulas")
+        .get();
+      conflicts.push(...this.drift(block, current));
+    }
+    if (conflicts.length) {
+      logger.warn("Revert refused: cells changed since the audited write", {
+        auditId: entry.id,
+        drifted: conflicts.length,
+      });
+      return { conflicts };
+    }
+
+    await rangeProtectionService.assertWritable(graphClient, {
+      driveId: entry.driveId,
+      itemId: entry.itemId,
+      targets: blocks.map((b) => ({
+        sheet: b.sheet,
+        worksheetId: b.worksheetId,
+        address: b.address,
+      })),
+    });
+
+    const reverted = [];
+    for (const block of blocks) {
+      await graphClient.api(this.rangePath(entry, block)).patch({ formulas: block.restore });
+      reverted.push({
+        sheet: block.sheet,
+        worksheetId: block.worksheetId,
+        range: block.address,
+        oldValues: block.expected,
+        newValues: block.restore,
+      });
+    }
+
+    logger.info("Audited write reverted", { auditId: entry.id, ranges: reverted.length });
+    return { reverted };
+  }
+}
+
+module.exports = new RevertService();
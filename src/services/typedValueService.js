@@ -0,0 +1,124 @@
+// Excel error values as Graph returns them in values
+const ERROR_CODES = [
+  "#NULL!", "#DIV/0!", "#VALUE!", "#REF!", "#NAME?", "#NUM!", "#N/A", "#GETTING_DATA",
+  "#SPILL!", "#CALC!", "#FIELD!", "#BLOCKED!", "#CONNECT!", "#BUSY!", "#UNKNOWN!",
+];
+
+// Currency symbols that appear bare in number formats
+const SYMBOLS = { $: "USD", "€": "EUR", "£": "GBP", "¥": "JPY", "₹": "INR", "₩": "KRW", "₽": "RUB", "₺": "TRY", "₪": "ILS", "R$": "BRL" };
+
+// Day zero of the 1900 date system, as seen from serials 61 (1 Mar 1900) and later
+const EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turns raw Graph cell values into JSON a caller can use without knowing
+ * Excel's storage: dates come back as serial numbers, percentages as
+ * fractions and errors as strings. The value, its text and its number
+ * format are combined to emit:
+ *
+ *   { type: "date", value: "2024-01-01", text }         (also "datetime", "time")
+ *   { type: "percent", value: 0.15, text }
+ *   { type: "currency", value: 1200, currency: "USD", symbol: "$", text }
+ *   { type: "error", value: "#N/A", text }
+ *
+ * Booleans, plain numbers and strings stay as they are; empty cells become
+ * null. Workbooks on the 1904 date system are not detected.
+ */
+class TypedValueService {
+  /**
+   * Typed matrix for a Graph range read with values, text, numberFormat and
+   * (when available) valueTypes.
+   */
+  typeMatrix({ values = [], text = [], numberFormat = [], valueTypes = [] }) {
+    return values.map((row, r) =>
+      (row || []).map((value, c) =>
+        this.typeValue(value, text?.[r]?.[c], numberFormat?.[r]?.[c], valueTypes?.[r]?.[c])
+      )
+    );
+  }
+
+  typeValue(value, text, numberFormat, valueType) {
+    if (valueType === "Empty" || value === "" || value === null || value === undefined) return null;
+    if (valueType === "Error" || (!valueType && typeof value === "string" && ERROR_CODES.includes(value))) {
+      return { type: "error", value: String(value), text: text ?? String(value) };
+    }
+    if (typeof value !== "number") return value;
+
+    const kind = this.formatKind(numberFormat);
+    const shown = text ?? String(value);
+    if (kind.date || kind.time) {
+      const iso = this.serialToIso(value, kind);
+      if (iso) return { type: iso.type, value: iso.value, text: shown };
+    }
+    if (kind.percent) return { type: "percent", value, text: shown };
+    const currency = this.currencyOf(numberFormat);
+    if (currency) return { type: "currency", value, ...currency, text: shown };
+    return value;
+  }
+
+  /**
+   * What a number format shows: { date, time, percent }. Quoted literals,
+   * escaped characters and bracketed codes ([Red], [$€-x-euro2]) are ignored,
+   * except elapsed-time codes such as [h].
+   */
+  formatKind(numberFormat) {
+    const kind = { date: false, time: false, percent: false };
+    if (!numberFormat || typeof numberFormat !== "string" || /^general$/i.test(numberFormat)) return kind;
+    // Only the section for positive numbers decides
+    const section = numberFormat.split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/)[0];
+    const bare = section
+      .replace(/"[^"]*"/g, "")
+      .replace(/\\./g, "")
+      .replace(/\[(h+|m+|s+)\]/gi, "$1")
+      .replace(/\[[^\]]*\]/g, "")
+      .replace(/_.|\*./g, "");
+    kind.percent = bare.includes("%");
+    const letters = bare.replace(/am\/pm|a\/p/gi, "h");
+    const hasDay = /[dy]/i.test(letters);
+    const hasTime = /[hs]/i.test(letters);
+    // m is minutes next to h or s, else months
+    const hasMonth = /m/i.test(letters) && !hasTime;
+    kind.date = hasDay || hasMonth;
+    kind.time = hasTime;
+    return kind;
+  }
+
+  serialToIso(serial, { date, time }) {
+    if (!Number.isFinite(serial) || serial < 0) return null;
+    // Earlier serials are a day behind: Excel counts a 29 Feb 1900 that never was
+    const shifted = serial > 0 && serial < 61 ? serial + 1 : serial;
+    const stamp = new Date(EPOCH_MS + Math.round(shifted * DAY_MS / 1000) * 1000);
+    if (Number.isNaN(stamp.getTime())) return null;
+    const iso = stamp.toISOString();
+    if (date && time) return { type: "datetime", value: iso.slice(0, 19) };
+    if (date) return { type: "date", value: iso.slice(0, 10) };
+    return { type: "time", value: iso.slice(11, 19) };
+  }
+
+  /**
+   * { currency, symbol } of a currency or accounting format; currency is the
+   * ISO code when the format or symbol pins it down, else null.
+   */
+  currencyOf(numberFormat) {
+    if (!numberFormat || typeof numberFormat !== "string") return null;
+    // [$€-x-euro2], [$USD], [$$-409]
+    const tagged = /\[\$([^\]-]*)(?:-[^\]]*)?\]/.exec(numberFormat);
+    if (tagged && tagged[1]) {
+      const symbol = tagged[1];
+      const code = /^[A-Z]{3}$/.test(symbol) ? symbol : SYMBOLS[symbol] || null;
+      return { currency: code, symbol };
+    }
+    const literals = [...numberFormat.matchAll(/"([^"]*)"/g)].map((m) => m[1]).join(" ");
+    const bare = numberFormat.replace(/"[^"]*"/g, "").replace(/\[[^\]]*\]/g, "");
+    // Longest first so R$ wins over $
+    const symbol = Object.keys(SYMBOLS)
+      .sort((a, b) => b.length - a.length)
+      .find((s) => bare.includes(s) || literals.includes(s));
+    if (symbol && /[0#?]/.test(bare)) return { currency: SYMBOLS[symbol], symbol };
+    const code = /\b([A-Z]{3})\b/.exec(literals);
+    return code ? { currency: code[1], symbol: code[1] } : null;
+  }
+}
+
+module.exports = new TypedValueService();
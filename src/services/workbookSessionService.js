@@ -0,0 +1,200 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const logger = require("../config/logger");
+const { AppError } = require("../middleware/errorHandler");
+
+// Excel Online drops idle sessions after about five minutes; refresh sooner
+const REFRESH_AFTER_MS = 4 * 60 * 1000;
+const SESSION_HEADER = "workbook-session-id";
+const WORKBOOK_URL = /\/drives\/([^/]+)\/items\/([^/]+)\/workbook\/(\w+)?/i;
+const SESSION_CALLS = ["createSession", "closeSession", "refreshSession"];
+
+/**
+ * Workbook sessions scoped to a request (or any block passed to run). Graph
+ * calls made inside a scope against /drives/{id}/items/{id}/workbook/... share
+ * one session per workbook, created on first use, refreshed when idle and
+ * closed when the scope ends. Sessions are persistent unless the scope asks
+ * for persistChanges: false, in which case nothing the scope writes is saved.
+ */
+class WorkbookSessionService {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  newScope(persistChanges) {
+    return { persistChanges, sessions: new Map(), closed: false };
+  }
+
+  currentScope() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * Run fn in its own session scope and close the scope's sessions once it
+   * settles.
+   */
+  async run(fn, { persistChanges = true } = {}) {
+    const scope = this.newScope(persistChanges);
+    try {
+      return await this.storage.run(scope, fn);
+    } finally {
+      await this.closeScope(scope);
+    }
+  }
+
+  // Express middleware: one persistent scope per request, closed when the response ends
+  middleware() {
+    return (req, res, next) => {
+      const scope = this.newScope(true);
+      const close = () => {
+        this.closeScope(scope);
+      };
+      res.on("finish", close);
+      res.on("close", close);
+      this.storage.run(scope, next);
+    };
+  }
+
+  // { driveId, itemId } of a workbook URL that should carry a session, else null
+  workbookOf(url) {
+    const match = WORKBOOK_URL.exec(url || "");
+    if (!match || SESSION_CALLS.includes(match[3])) return null;
+    return { driveId: match[1], itemId: match[2] };
+  }
+
+  /**
+   * Session id for the workbook a URL targets, creating or refreshing the
+   * scope's session as needed. Null outside a scope, for non-workbook URLs
+   * and when Graph refuses a session (calls then run sessionless). A
+   * non-persistent scope never runs sessionless: that would save its changes.
+   */
+  async sessionIdFor(accessToken, url) {
+    const scope = this.currentScope();
+    const workbook = this.workbookOf(url);
+    if (!scope || scope.closed || !workbook || !accessToken) return null;
+
+    const key = `${workbook.driveId}:${workbook.itemId}`;
+    let session = scope.sessions.get(key);
+    if (!session) {
+      session = { ...workbook, accessToken, id: null, lastUsed: 0 };
+      session.ready = this.createSession(session, scope.persistChanges);
+      scope.sessions.set(key, session);
+    }
+    await session.ready;
+
+    if (session.id && Date.now() - session.lastUsed > REFRESH_AFTER_MS) {
+      session.ready = this.refreshSession(session);
+      await session.ready;
+    }
+    if (!session.id) {
+      if (scope.persistChanges) return null;
+      throw new AppError("Could not keep a non-persistent workbook session open; the call was not sent", 503);
+    }
+    session.lastUsed = Date.now();
+    return session.id;
+  }
+
+  // Client for session calls, kept out of sessions so they never try to join one themselves
+  sessionClient(accessToken) {
+    // Required here: the factory itself depends on this service
+    const graphClientFactory = require("./graphClientFactory");
+    return graphClientFactory.create(accessToken, { sessions: false });
+  }
+
+  workbookPath(session) {
+    return `/drives/${session.driveId}/items/${session.itemId}/workbook`;
+  }
+
+  async createSession(session, persistChanges) {
+    try {
+      const created = await this.sessionClient(session.accessToken)
+        .api(`${this.workbookPath(session)}/createSession`)
+        .post({ persistChanges });
+      session.id = created?.id || null;
+      session.lastUsed = Date.now();
+      logger.debug("Workbook session created", {
+        itemId: session.itemId,
+        persistChanges,
+      });
+    } catch (err) {
+      logger.warn("Could not create workbook session; continuing without one", {
+        itemId: session.itemId,
+        error: err.message,
+      });
+    }
+  }
+
+  async refreshSession(session) {
+    try {
+      await this.sessionClient(session.accessToken)
+        .api(`${this.workbookPath(session)}/refreshSession`)
+        .header(SESSION_HEADER, session.id)
+        .post({});
+      session.lastUsed = Date.now();
+    } catch (err) {
+      logger.warn("Workbook session refresh failed; continuing without one", {
+        itemId: session.itemId,
+        error: err.message,
+      });
+      session.id = null;
+    }
+  }
+
+  // Best effort: a session Graph already expired is gone either way
+  async closeScope(scope) {
+    if (scope.closed) return;
+    scope.closed = true;
+    for (const session of scope.sessions.values()) {
+      await session.ready;
+      if (!session.id) continue;
+      try {
+        await this.sessionClient(session.accessToken)
+          .api(`${this.workbookPath(session)}/closeSession`)
+          .header(SESSION_HEADER, session.id)
+          .post({});
+      } catch (err) {
+        logger.warn("closeSession failed", { itemId: session.itemId, error: err.message });
+      }
+    }
+  }
+
+  /**
+   * Graph client middleware that adds the scope's session header to workbook
+   * calls, including the workbook sub-requests of a JSON $batch.
+   */
+  graphMiddleware(accessToken) {
+    const service = this;
+    return {
+      next: null,
+      setNext(next) {
+        this.next = next;
+      },
+      async execute(context) {
+        await service.applySession(accessToken, context);
+        return this.next.execute(context);
+      },
+    };
+  }
+
+  async applySession(accessToken, context) {
+    if (!this.currentScope()) return;
+    const url = typeof context.request === "string" ? context.request : context.request.url;
+    const headers = context.options.headers || (context.options.headers = {});
+
+    if (/\/\$batch(\?|$)/.test(url) && typeof context.options.body === "string") {
+      const payload = JSON.parse(context.options.body);
+      for (const request of payload.requests || []) {
+        if (request.headers?.[SESSION_HEADER]) continue;
+        const id = await this.sessionIdFor(accessToken, request.url);
+        if (id) request.headers = { ...request.headers, [SESSION_HEADER]: id };
+      }
+      context.options.body = JSON.stringify(payload);
+      return;
+    }
+
+    if (headers[SESSION_HEADER]) return;
+    const id = await this.sessionIdFor(accessToken, url);
+    if (id) headers[SESSION_HEADER] = id;
+  }
+}
+
+module.exports = new WorkbookSessionService();
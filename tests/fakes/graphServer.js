@@ -0,0 +1,845 @@
+const http = require("http");
+
+const MAX_BATCH_SIZE = 20;
+
+// Strings the fake reports as Excel error values
+const ERROR_VALUES = ["#NULL!", "#DIV/0!", "#VALUE!", "#REF!", "#NAME?", "#NUM!", "#N/A", "#SPILL!", "#CALC!"];
+
+// What Graph reports for a cell nobody formatted
+const DEFAULT_FORMAT = {
+  numberFormat: "General",
+  format: { horizontalAlignment: "General", verticalAlignment: "Bottom", wrapText: false },
+  font: { bold: false, italic: false, color: "#000000", size: 11, name: "Calibri" },
+  fill: { color: "#FFFFFF" },
+};
+
+// "AB" -> 28 and back
+const columnIndex = (letters) =>
+  letters.toUpperCase().split("").reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+const columnLetters = (index) => {
+  let letters = "";
+  for (let n = index; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+// Sheet names with anything but letters, digits and underscores are quoted in addresses
+const qualify = (sheetName) =>
+  /^[A-Za-z_][A-Za-z0-9_]*$/.test(sheetName) ? sheetName : `'${sheetName.replace(/'/g, "''")}'`;
+
+class GraphFault extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * In-process stand-in for the Microsoft Graph drive and workbook endpoints
+ * this middleware calls: sites and drives, children, search and items,
+ * worksheets, range(address=), usedRange, format, tables, names, workbook
+ * sessions and JSON $batch. Workbooks live in memory, seeded from a JSON
+ * fixture (see tests/fixtures/workbooks.json), and are restored by reset().
+ *
+ * Cells hold a value and an optional formula; formulas are stored, not
+ * evaluated. Formats and merged areas seeded by the fixture can be read back
+ * (mixed properties come back null, as in Graph); format writes are
+ * acknowledged but not applied. Whole-column and whole-row addresses are clipped to the used
+ * range. Endpoints it does not know answer 501 so gaps show up clearly.
+ */
+class FakeGraphServer {
+  constructor(fixture, { accessToken = "fake-graph-token" } = {}) {
+    this.fixture = fixture;
+    this.accessToken = accessToken;
+    this.requests = [];
+    this.reset();
+  }
+
+  // Reload the fixture, dropping every change, session and recorded request
+  reset() {
+    this.ids = 0;
+    this.sites = new Map();
+    this.drives = new Map();
+    this.items = new Map();
+    this.sessions = new Map();
+    this.faults = [];
+    this.requests.length = 0;
+    // Milliseconds each HTTP call is held, and the most calls seen in flight at once
+    this.latencyMs = 0;
+    this.inFlight = 0;
+    this.peakInFlight = 0;
+
+    const site = { id: "site-1", ...this.fixture.site };
+    this.sites.set(site.id, { ...site, driveIds: [] });
+    for (const drive of this.fixture.drives || []) {
+      const id = drive.id || this.nextId("drive");
+      const root = { id: `${id}-root`, name: "root", driveId: id, parentId: null, folder: true };
+      this.items.set(root.id, root);
+      this.drives.set(id, { id, name: drive.name, driveType: drive.driveType || "documentLibrary", rootId: root.id });
+      this.sites.get(site.id).driveIds.push(id);
+      (drive.items || []).forEach((item) => this.addItem(id, root.id, item));
+    }
+  }
+
+  /**
+   * Fail the next `times` calls (default 1) matching method and path (a
+   * RegExp tested against the decoded path): { method, path, status, code,
+   * message, headers }. Used for throttling and partial-failure tests.
+   */
+  fail(fault) {
+    this.faults.push({ times: 1, status: 500, code: "generalException", message: "Injected failure", ...fault });
+  }
+
+  takeFault(method, path) {
+    const fault = this.faults.find(
+      (f) => f.times > 0 && (!f.method || f.method === method) && (!f.path || f.path.test(path))
+    );
+    if (!fault) return null;
+    fault.times -= 1;
+    return fault;
+  }
+
+  nextId(prefix) {
+    this.ids += 1;
+    return `${prefix}-${this.ids}`;
+  }
+
+  addItem(driveId, parentId, spec) {
+    const item = {
+      id: spec.id || this.nextId("item"),
+      name: spec.name,
+      driveId,
+      parentId,
+      folder: Array.isArray(spec.children),
+      lastModifiedDateTime: "2024-01-01T00:00:00Z",
+    };
+    this.items.set(item.id, item);
+    if (item.folder) {
+      spec.children.forEach((child) => this.addItem(driveId, item.id, child));
+    } else if (spec.worksheets) {
+      item.workbook = this.buildWorkbook(spec);
+    }
+    return item;
+  }
+
+  buildWorkbook(spec) {
+    const workbook = { worksheets: [], tables: [], names: (spec.names || []).map((n) => ({ ...n })) };
+    spec.worksheets.forEach((sheet, position) => {
+      const worksheet = {
+        id: `{00000000-0001-0000-${String(position).padStart(4, "0")}-000000000000}`,
+        name: sheet.name,
+        position,
+        visibility: sheet.visibility || "Visible",
+        cells: new Map(),
+        formats: new Map(),
+        merges: (sheet.merges || []).map((address) => this.parseAddress(address)),
+      };
+      (sheet.formats || []).forEach(({ address, ...spec }) => this.seedFormat(worksheet, address, spec));
+      (sheet.values || []).forEach((row, r) =>
+        row.forEach((value, c) => this.setCell(worksheet, r + 1, c + 1, { value }))
+      );
+      Object.entries(sheet.formulas || {}).forEach(([address, formula]) => {
+        const { r1, c1 } = this.parseAddress(address);
+        const cell = worksheet.cells.get(`${r1}:${c1}`);
+        this.setCell(worksheet, r1, c1, { value: cell ? cell.value : "", formula });
+      });
+      workbook.worksheets.push(worksheet);
+      (sheet.tables || []).forEach((table) =>
+        workbook.tables.push({
+          id: this.nextId("table"),
+          name: table.name,
+          worksheetId: worksheet.id,
+          address: table.address,
+          showHeaders: true,
+          showTotals: false,
+          style: "TableStyleMedium2",
+        })
+      );
+    });
+    return workbook;
+  }
+
+  // Fixture formats: { address, numberFormat, font: {...}, fill: "#hex", horizontalAlignment, ... }
+  seedFormat(worksheet, address, spec) {
+    const { r1, c1, r2 = r1, c2 = c1 } = this.parseAddress(address);
+    const { numberFormat, font, fill, ...format } = spec;
+    for (let r = r1; r <= r2; r++) {
+      for (let c = c1; c <= c2; c++) {
+        const current = this.cellFormat(worksheet, r, c);
+        worksheet.formats.set(`${r}:${c}`, {
+          numberFormat: numberFormat ?? current.numberFormat,
+          format: { ...current.format, ...format },
+          font: { ...current.font, ...font },
+          fill: fill ? { color: fill } : current.fill,
+        });
+      }
+    }
+  }
+
+  cellFormat(worksheet, row, col) {
+    return worksheet.formats.get(`${row}:${col}`) || DEFAULT_FORMAT;
+  }
+
+  // One format part over a range; properties that differ between cells are null
+  formatJson(worksheet, { r1, c1, r2, c2 }, part) {
+    let out = null;
+    for (let r = r1; r <= r2; r++) {
+      for (let c = c1; c <= c2; c++) {
+        const props = this.cellFormat(worksheet, r, c)[part];
+        if (!out) {
+          out = { ...props };
+          continue;
+        }
+        Object.keys(out).forEach((k) => {
+          if (out[k] !== props[k]) out[k] = null;
+        });
+      }
+    }
+    return out;
+  }
+
+  mergedAreasJson(worksheet, { r1, c1, r2, c2 }) {
+    const areas = worksheet.merges.filter((m) => m.r1 <= r2 && m.r2 >= r1 && m.c1 <= c2 && m.c2 >= c1);
+    if (!areas.length) throw new GraphFault(404, "ItemNotFound", "The requested resource doesn't exist.");
+    const address = areas
+      .map((m) => `${qualify(worksheet.name)}!${columnLetters(m.c1)}${m.r1}:${columnLetters(m.c2)}${m.r2}`)
+      .join(", ");
+    return { address, areaCount: areas.length, cellCount: areas.reduce((n, m) => n + (m.r2 - m.r1 + 1) * (m.c2 - m.c1 + 1), 0) };
+  }
+
+  setCell(worksheet, row, col, cell) {
+    const key = `${row}:${col}`;
+    if ((cell.value === "" || cell.value === null || cell.value === undefined) && !cell.formula) {
+      worksheet.cells.delete(key);
+    } else {
+      worksheet.cells.set(key, { value: cell.value ?? "", formula: cell.formula || null });
+    }
+  }
+
+  workbook(driveId, itemId) {
+    const item = this.items.get(itemId);
+    if (!item || item.driveId !== driveId || !item.workbook) throw new Error(`No workbook ${driveId}/${itemId}`);
+    return item.workbook;
+  }
+
+  // Direct access for assertions: the cell's value, or its formula when formula is true
+  cell(driveId, itemId, sheetName, address, { formula = false } = {}) {
+    const worksheet = this.worksheet(this.workbook(driveId, itemId), sheetName);
+    const { r1, c1 } = this.parseAddress(address);
+    const cell = worksheet.cells.get(`${r1}:${c1}`);
+    if (!cell) return "";
+    return formula ? cell.formula || cell.value : cell.value;
+  }
+
+  findItem(driveName, path) {
+    const drive = [...this.drives.values()].find((d) => d.name === driveName);
+    let current = this.items.get(drive.rootId);
+    for (const part of path.split("/").filter(Boolean)) {
+      current = this.children(current.id).find((c) => c.name === part);
+      if (!current) return null;
+    }
+    return current;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.onRequest(req, res));
+    return new Promise((resolve) => {
+      this.server.listen(0, "127.0.0.1", () => {
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}/v1.0`;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  onRequest(req, res) {
+    let raw = "";
+    this.inFlight += 1;
+    this.peakInFlight = Math.max(this.peakInFlight, this.inFlight);
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", async () => {
+      const send = (status, body, headers = {}) => {
+        this.inFlight -= 1;
+        res.writeHead(status, body === undefined ? headers : { "Content-Type": "application/json", ...headers });
+        res.end(body === undefined ? undefined : JSON.stringify(body));
+      };
+      if (this.latencyMs) await new Promise((resolve) => setTimeout(resolve, this.latencyMs));
+      if (req.headers.authorization !== `Bearer ${this.accessToken}`) {
+        return send(401, this.errorBody("InvalidAuthenticationToken", "Access token is missing or invalid."));
+      }
+      let body;
+      try {
+        body = raw ? JSON.parse(raw) : undefined;
+      } catch (err) {
+        return send(400, this.errorBody("BadRequest", "Invalid JSON body."));
+      }
+      const url = req.url.replace(/^\/v1\.0/, "");
+      const result = this.dispatch(req.method, url, body, req.headers);
+      send(result.status, result.body, result.headers);
+    });
+  }
+
+  errorBody(code, message) {
+    return { error: { code, message } };
+  }
+
+  // Route one call (top-level or from a $batch) and turn faults into Graph error bodies
+  dispatch(method, url, body, headers = {}) {
+    const [rawPath, query = ""] = url.split("?");
+    const path = decodeURIComponent(rawPath).replace(/^\/?/, "/");
+    this.requests.push({ method, path, query, body, sessionId: headers["workbook-session-id"] || null });
+    const fault = this.takeFault(method, path);
+    if (fault) {
+      return { status: fault.status, body: this.errorBody(fault.code, fault.message), headers: fault.headers };
+    }
+    try {
+      const result = this.route(method, path, body, new URLSearchParams(query));
+      return result.status ? result : { status: 200, body: result };
+    } catch (err) {
+      if (err instanceof GraphFault) {
+        return { status: err.status, body: this.errorBody(err.code, err.message) };
+      }
+      return { status: 500, body: this.errorBody("generalException", err.message) };
+    }
+  }
+
+  route(method, path, body, query) {
+    if (path === "/$batch" && method === "POST") return this.batch(body);
+
+    let m = /^\/sites\/([^/]+?)(\/drives)?$/.exec(path);
+    if (m && method === "GET") {
+      const site = this.sites.get(m[1]) || [...this.sites.values()][0];
+      if (!m[2]) return { id: site.id, name: site.name || "Site" };
+      return { value: site.driveIds.map((id) => this.driveJson(this.drives.get(id))) };
+    }
+
+    m = /^\/drives\/([^/]+)(\/.*)?$/.exec(path);
+    if (!m) throw new GraphFault(501, "notImplemented", `Fake Graph does not implement ${method} ${path}`);
+    const drive = this.drives.get(m[1]);
+    if (!drive) throw new GraphFault(404, "itemNotFound", "The drive does not exist.");
+    const rest = m[2] || "";
+    if (!rest && method === "GET") return this.driveJson(drive);
+
+    m = /^\/root\/search\(q='(.*)'\)$/.exec(rest);
+    if (m && method === "GET") return { value: this.search(drive, m[1]) };
+
+    m = /^\/(?:root|items\/([^/]+))(\/.*)?$/.exec(rest);
+    if (!m) throw new GraphFault(501, "notImplemented", `Fake Graph does not implement ${method} ${path}`);
+    const itemId = !m[1] || m[1] === "root" ? drive.rootId : m[1];
+    const item = this.items.get(itemId);
+    if (!item || item.driveId !== drive.id) throw new GraphFault(404, "itemNotFound", "The resource could not be found.");
+    const sub = m[2] || "";
+
+    if (!sub) return this.itemRoute(method, item, body);
+    if (sub === "/children" && method === "GET") {
+      return { value: this.children(item.id).map((child) => this.itemJson(child)) };
+    }
+    m = /^\/workbook(\/.*)$/.exec(sub);
+    if (m) {
+      if (!item.workbook) throw new GraphFault(400, "invalidRequest", "The item is not a workbook.");
+      return this.workbookRoute(method, item.workbook, m[1], body, query);
+    }
+    throw new GraphFault(501, "notImplemented", `Fake Graph does not implement ${method} ${path}`);
+  }
+
+  batch(body) {
+    const requests = body?.requests || [];
+    if (requests.length > MAX_BATCH_SIZE) {
+      throw new GraphFault(400, "BadRequest", `A batch may hold at most ${MAX_BATCH_SIZE} requests.`);
+    }
+    const statusById = new Map();
+    const responses = requests.map((request) => {
+      const failed = (request.dependsOn || []).some((id) => !(statusById.get(id) < 400));
+      const result = failed
+        ? { status: 424, body: this.errorBody("FailedDependency", "A dependency failed.") }
+        : this.dispatch(request.method, request.url, request.body, request.headers || {});
+      statusById.set(request.id, result.status);
+      return { id: request.id, status: result.status, headers: result.headers || {}, body: result.body };
+    });
+    return { responses };
+  }
+
+  driveJson(drive) {
+    return { id: drive.id, name: drive.name, driveType: drive.driveType, webUrl: `https://fake.sharepoint.com/${drive.name}` };
+  }
+
+  children(parentId) {
+    return [...this.items.values()].filter((item) => item.parentId === parentId);
+  }
+
+  pathOf(item) {
+    const parts = [];
+    for (let current = item; current && current.parentId; current = this.items.get(current.parentId)) {
+      parts.unshift(current.name);
+    }
+    return parts;
+  }
+
+  itemJson(item) {
+    const drive = this.drives.get(item.driveId);
+    const parent = this.items.get(item.parentId);
+    const json = {
+      id: item.id,
+      name: item.name,
+      webUrl: `https://fake.sharepoint.com/${drive.name}/${this.pathOf(item).join("/")}`,
+      lastModifiedDateTime: item.lastModifiedDateTime,
+      size: item.workbook ? 8192 : 0,
+    };
+    if (parent) {
+      const parentPath = this.pathOf(parent);
+      json.parentReference = {
+        driveId: drive.id,
+        id: parent.id,
+        path: `/drives/${drive.id}/root:${parentPath.length ? `/${parentPath.join("/")}` : ""}`,
+      };
+    }
+    if (item.folder) json.folder = { childCount: this.children(item.id).length };
+    else json.file = { mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" };
+    return json;
+  }
+
+  search(drive, term) {
+    const needle = term.toLowerCase();
+    return [...this.items.values()]
+      .filter((item) => item.driveId === drive.id && item.parentId && item.name.toLowerCase().includes(needle))
+      .map((item) => this.itemJson(item));
+  }
+
+  itemRoute(method, item, body) {
+    if (method === "GET") return this.itemJson(item);
+    if (method === "PATCH") {
+      if (body?.name && body.name !== item.name) {
+        const clash = this.children(item.parentId).some(
+          (sibling) => sibling.id !== item.id && sibling.name.toLowerCase() === body.name.toLowerCase()
+        );
+        if (clash) throw new GraphFault(409, "nameAlreadyExists", "An item with the same name already exists.");
+        item.name = body.name;
+        item.lastModifiedDateTime = new Date().toISOString();
+      }
+      return this.itemJson(item);
+    }
+    if (method === "DELETE") {
+      const remove = (id) => {
+        this.children(id).forEach((child) => remove(child.id));
+        this.items.delete(id);
+      };
+      remove(item.id);
+      return { status: 204 };
+    }
+    throw new GraphFault(405, "methodNotAllowed", `${method} is not supported on items.`);
+  }
+
+  workbookRoute(method, workbook, path, body, query) {
+    if (path === "/createSession" && method === "POST") {
+      const id = this.nextId("session");
+      const persistChanges = body?.persistChanges !== false;
+      // Non-persistent sessions hand back the workbook as it was when they close
+      this.sessions.set(id, { workbook, snapshot: persistChanges ? null : this.snapshot(workbook) });
+      return { status: 201, body: { id, persistChanges } };
+    }
+    if (path === "/closeSession" || path === "/refreshSession") {
+      if (path === "/closeSession") this.closeSessions(workbook);
+      return { status: 204 };
+    }
+    if (path === "/application/calculate" && method === "POST") return { status: 200, body: {} };
+    if (path === "/names" && method === "GET") return { value: workbook.names };
+
+    let m = /^\/worksheets(?:\/add)?$/.exec(path);
+    if (m) {
+      if (method === "GET" && path === "/worksheets") {
+        return { value: workbook.worksheets.map((ws) => this.worksheetJson(ws)) };
+      }
+      if (method === "POST") return this.addWorksheet(workbook, body?.name);
+    }
+
+    m = /^\/tables(?:\/([^/]+))?(\/.*)?$/.exec(path);
+    if (m) return this.tableRoute(method, workbook, null, m[1], m[2] || "", body);
+
+    m = /^\/worksheets(?:\('((?:[^']|'')*)'\)|\/'((?:[^']|'')*)'|\/([^/]+))(\/.*)?$/.exec(path);
+    if (!m) throw new GraphFault(501, "notImplemented", `Fake Graph does not implement ${method} workbook${path}`);
+    const worksheet = this.worksheet(workbook, (m[1] ?? m[2] ?? m[3]).replace(/''/g, "'"));
+    const sub = m[4] || "";
+
+    if (!sub) return this.worksheetRoute(method, workbook, worksheet, body);
+    if (sub === "/delete" && method === "POST") return this.deleteWorksheet(workbook, worksheet);
+    if (/^\/usedRange(\(valuesOnly=\w+\))?$/.test(sub) && method === "GET") {
+      return this.rangeJson(worksheet, this.usedBounds(worksheet));
+    }
+    m = /^\/tables(?:\/([^/]+))?(\/.*)?$/.exec(sub);
+    if (m) return this.tableRoute(method, workbook, worksheet, m[1], m[2] || "", body);
+
+    m = /^\/range\(address='([^']*)'\)(\/.*)?$/.exec(sub);
+    if (m) return this.rangeRoute(method, worksheet, this.bounds(worksheet, m[1]), m[2] || "", body);
+    throw new GraphFault(501, "notImplemented", `Fake Graph does not implement ${method} worksheet${sub}`);
+  }
+
+  snapshot(workbook) {
+    return workbook.worksheets.map((ws) => ({ ...ws, cells: new Map(ws.cells) }));
+  }
+
+  closeSessions(workbook) {
+    for (const [id, session] of this.sessions) {
+      if (session.workbook !== workbook) continue;
+      if (session.snapshot) workbook.worksheets = session.snapshot;
+      this.sessions.delete(id);
+    }
+  }
+
+  worksheet(workbook, ref) {
+    const wanted = String(ref).toLowerCase();
+    const worksheet = workbook.worksheets.find(
+      (ws) => ws.id.toLowerCase() === wanted || ws.name.toLowerCase() === wanted
+    );
+    if (!worksheet) throw new GraphFault(404, "ItemNotFound", `The requested resource doesn't exist: worksheet '${ref}'.`);
+    return worksheet;
+  }
+
+  worksheetJson(ws) {
+    return { id: ws.id, name: ws.name, position: ws.position, visibility: ws.visibility };
+  }
+
+  addWorksheet(workbook, name) {
+    const sheetName = name || `Sheet${workbook.worksheets.length + 1}`;
+    if (workbook.worksheets.some((ws) => ws.name.toLowerCase() === sheetName.toLowerCase())) {
+      throw new GraphFault(409, "ItemAlreadyExists", "A worksheet with the same name already exists.");
+    }
+    const worksheet = {
+      id: `{00000000-0001-0000-${String(this.ids++).padStart(4, "0")}-ffffffffffff}`,
+      name: sheetName,
+      position: workbook.worksheets.length,
+      visibility: "Visible",
+      cells: new Map(),
+      formats: new Map(),
+      merges: [],
+    };
+    workbook.worksheets.push(worksheet);
+    return { status: 201, body: this.worksheetJson(worksheet) };
+  }
+
+  worksheetRoute(method, workbook, worksheet, body) {
+    if (method === "GET") return this.worksheetJson(worksheet);
+    if (method === "PATCH") {
+      if (body?.name && body.name.toLowerCase() !== worksheet.name.toLowerCase()) {
+        if (workbook.worksheets.some((ws) => ws.name.toLowerCase() === body.name.toLowerCase())) {
+          throw new GraphFault(409, "ItemAlreadyExists", "A worksheet with the same name already exists.");
+        }
+      }
+      if (body?.name) worksheet.name = body.name;
+      if (body?.visibility) worksheet.visibility = body.visibility;
+      return this.worksheetJson(worksheet);
+    }
+    if (method === "DELETE") return this.deleteWorksheet(workbook, worksheet);
+    throw new GraphFault(405, "MethodNotAllowed", `${method} is not supported on worksheets.`);
+  }
+
+  deleteWorksheet(workbook, worksheet) {
+    if (workbook.worksheets.length === 1) {
+      throw new GraphFault(400, "InvalidOperation", "A workbook must contain at least one visible worksheet.");
+    }
+    workbook.worksheets = workbook.worksheets.filter((ws) => ws !== worksheet);
+    workbook.tables = workbook.tables.filter((t) => t.worksheetId !== worksheet.id);
+    workbook.worksheets.forEach((ws, position) => (ws.position = position));
+    return { status: 204 };
+  }
+
+  // { r1, c1, r2, c2 } of an A1 address; whole columns/rows leave r2/c2 open
+  parseAddress(address) {
+    const local = String(address).includes("!") ? String(address).split("!").pop() : String(address);
+    const [from, to = from] = local.replace(/\$/g, "").toUpperCase().split(":");
+    const part = (ref) => {
+      const m = /^([A-Z]*)(\d*)$/.exec(ref);
+      if (!m || (!m[1] && !m[2])) {
+        throw new GraphFault(400, "InvalidArgument", `The argument is invalid or missing or has an incorrect format: ${address}`);
+      }
+      return { col: m[1] ? columnIndex(m[1]) : null, row: m[2] ? Number(m[2]) : null };
+    };
+    const a = part(from);
+    const b = part(to);
+    return { r1: a.row || 1, c1: a.col || 1, r2: b.row, c2: b.col };
+  }
+
+  bounds(worksheet, address) {
+    const parsed = this.parseAddress(address);
+    const used = this.usedBounds(worksheet);
+    return {
+      r1: parsed.r1,
+      c1: parsed.c1,
+      r2: parsed.r2 ?? Math.max(used.r2, parsed.r1),
+      c2: parsed.c2 ?? Math.max(used.c2, parsed.c1),
+    };
+  }
+
+  usedBounds(worksheet) {
+    if (!worksheet.cells.size) return { r1: 1, c1: 1, r2: 1, c2: 1 };
+    const keys = [...worksheet.cells.keys()].map((k) => k.split(":").map(Number));
+    return {
+      r1: Math.min(...keys.map(([r]) => r)),
+      c1: Math.min(...keys.map(([, c]) => c)),
+      r2: Math.max(...keys.map(([r]) => r)),
+      c2: Math.max(...keys.map(([, c]) => c)),
+    };
+  }
+
+  rangeJson(worksheet, { r1, c1, r2, c2 }) {
+    const values = [];
+    const formulas = [];
+    const text = [];
+    for (let r = r1; r <= r2; r++) {
+      const vRow = [];
+      const fRow = [];
+      const tRow = [];
+      for (let c = c1; c <= c2; c++) {
+        const cell = worksheet.cells.get(`${r}:${c}`);
+        vRow.push(cell ? cell.value : "");
+        fRow.push(cell ? cell.formula || cell.value : "");
+        tRow.push(cell ? String(cell.value) : "");
+      }
+      values.push(vRow);
+      formulas.push(fRow);
+      text.push(tRow);
+    }
+    const local = r1 === r2 && c1 === c2
+      ? `${columnLetters(c1)}${r1}`
+      : `${columnLetters(c1)}${r1}:${columnLetters(c2)}${r2}`;
+    return {
+      address: `${qualify(worksheet.name)}!${local}`,
+      addressLocal: `${qualify(worksheet.name)}!${local}`,
+      rowIndex: r1 - 1,
+      columnIndex: c1 - 1,
+      rowCount: r2 - r1 + 1,
+      columnCount: c2 - c1 + 1,
+      cellCount: (r2 - r1 + 1) * (c2 - c1 + 1),
+      values,
+      formulas,
+      text,
+      numberFormat: values.map((row, r) => row.map((_, c) => this.cellFormat(worksheet, r1 + r, c1 + c).numberFormat)),
+      valueTypes: values.map((row) => row.map((value) => this.valueType(value))),
+    };
+  }
+
+  valueType(value) {
+    if (value === "") return "Empty";
+    if (typeof value === "boolean") return "Boolean";
+    if (typeof value === "number") return Number.isInteger(value) ? "Integer" : "Double";
+    return ERROR_VALUES.includes(value) ? "Error" : "String";
+  }
+
+  rangeRoute(method, worksheet, bounds, sub, body) {
+    if (!sub) {
+      if (method === "GET") return this.rangeJson(worksheet, bounds);
+      if (method === "PATCH") {
+        this.writeRange(worksheet, bounds, body || {});
+        return this.rangeJson(worksheet, bounds);
+      }
+    }
+    if (sub === "/clear" && method === "POST") {
+      if (body?.applyTo !== "Formats") {
+        for (let r = bounds.r1; r <= bounds.r2; r++) {
+          for (let c = bounds.c1; c <= bounds.c2; c++) worksheet.cells.delete(`${r}:${c}`);
+        }
+      }
+      return { status: 204 };
+    }
+    if (method === "GET") {
+      const parts = { "/format": "format", "/format/font": "font", "/format/fill": "fill" };
+      if (parts[sub]) return this.formatJson(worksheet, bounds, parts[sub]);
+      if (sub === "/mergedAreasOrNullObject") return this.mergedAreasJson(worksheet, bounds);
+    }
+    // Formatting is accepted and acknowledged, not modelled
+    if (/^\/(format|merge|unmerge|conditionalFormats)/.test(sub)) {
+      return method === "GET" ? {} : { status: 200, body: {} };
+    }
+    throw new GraphFault(501, "notImplemented", `Fake Graph does not implement ${method} range${sub}`);
+  }
+
+  writeRange(worksheet, { r1, c1, r2, c2 }, body) {
+    const rows = r2 - r1 + 1;
+    const cols = c2 - c1 + 1;
+    for (const key of ["values", "formulas"]) {
+      const grid = body[key];
+      if (grid === undefined) continue;
+      if (!Array.isArray(grid) || grid.length !== rows || grid.some((row) => !Array.isArray(row) || row.length !== cols)) {
+        throw new GraphFault(400, "InvalidArgument", `The number of rows or columns in the input array doesn't match the size or dimensions of the range.`);
+      }
+      grid.forEach((row, r) =>
+        row.forEach((input, c) => {
+          // null leaves a cell as it is, like Graph
+          if (input === null) return;
+          const formula = typeof input === "string" && input.startsWith("=") ? input : null;
+          const existing = worksheet.cells.get(`${r1 + r}:${c1 + c}`);
+          this.setCell(worksheet, r1 + r, c1 + c, {
+            value: formula ? (existing?.formula === formula ? existing.value : "") : input,
+            formula,
+          });
+        })
+      );
+    }
+  }
+
+  // Rows inserted into a table push the cells below it down, within its columns
+  shiftDown(worksheet, fromRow, c1, c2, count) {
+    const moved = [...worksheet.cells.entries()]
+      .map(([key, cell]) => [...key.split(":").map(Number), cell])
+      .filter(([r, c]) => r >= fromRow && c >= c1 && c <= c2)
+      .sort((a, b) => b[0] - a[0]);
+    for (const [r, c, cell] of moved) {
+      worksheet.cells.delete(`${r}:${c}`);
+      worksheet.cells.set(`${r + count}:${c}`, cell);
+    }
+  }
+
+  // Columns inserted into or deleted from a table move the cells right of them, within its rows
+  shiftColumns(worksheet, fromCol, r1, r2, count) {
+    const moved = [...worksheet.cells.entries()]
+      .map(([key, cell]) => [...key.split(":").map(Number), cell])
+      .filter(([r, c]) => r >= r1 && r <= r2 && c >= fromCol)
+      .sort((a, b) => (count > 0 ? b[1] - a[1] : a[1] - b[1]));
+    for (const [r, c, cell] of moved) {
+      worksheet.cells.delete(`${r}:${c}`);
+      worksheet.cells.set(`${r}:${c + count}`, cell);
+    }
+  }
+
+  // A table column by id (its 1-based position here), name or itemAt(index=n)
+  tableColumn(worksheet, bounds, ref) {
+    const header = this.rangeJson(worksheet, { ...bounds, r2: bounds.r1 }).values[0];
+    const at = /^itemAt\(index=(\d+)\)$/.exec(ref);
+    const wanted = String(ref).toLowerCase();
+    const index = at
+      ? Number(at[1])
+      : header.findIndex((name, i) => String(i + 1) === ref || String(name).toLowerCase() === wanted);
+    if (index < 0 || index >= header.length) {
+      throw new GraphFault(404, "ItemNotFound", `The requested resource doesn't exist: column '${ref}'.`);
+    }
+    return { id: String(index + 1), name: String(header[index]), index, col: bounds.c1 + index };
+  }
+
+  table(workbook, worksheet, ref) {
+    const wanted = String(ref).replace(/^'|'$/g, "").toLowerCase();
+    const table = workbook.tables.find(
+      (t) => (t.id.toLowerCase() === wanted || t.name.toLowerCase() === wanted) && (!worksheet || t.worksheetId === worksheet.id)
+    );
+    if (!table) throw new GraphFault(404, "ItemNotFound", `The requested resource doesn't exist: table '${ref}'.`);
+    return table;
+  }
+
+  tableJson(table) {
+    const { worksheetId, address, ...json } = table;
+    return json;
+  }
+
+  tableRoute(method, workbook, worksheet, ref, sub, body) {
+    if (!ref) {
+      if (method === "GET") {
+        return { value: workbook.tables.filter((t) => !worksheet || t.worksheetId === worksheet.id).map((t) => this.tableJson(t)) };
+      }
+      throw new GraphFault(405, "MethodNotAllowed", `${method} is not supported on tables.`);
+    }
+    if (ref === "add" && method === "POST") {
+      const sheet = worksheet || this.worksheet(workbook, String(body.address).split("!")[0].replace(/^'|'$/g, ""));
+      const table = {
+        id: this.nextId("table"),
+        name: `Table${workbook.tables.length + 1}`,
+        worksheetId: sheet.id,
+        address: String(body.address).split("!").pop(),
+        showHeaders: body.hasHeaders !== false,
+        showTotals: false,
+        style: "TableStyleMedium2",
+      };
+      workbook.tables.push(table);
+      return { status: 201, body: this.tableJson(table) };
+    }
+
+    const table = this.table(workbook, worksheet, ref);
+    const sheet = workbook.worksheets.find((ws) => ws.id === table.worksheetId);
+    const bounds = this.parseAddress(table.address);
+    if (!sub) {
+      if (method === "GET") return this.tableJson(table);
+      if (method === "PATCH") {
+        ["name", "showTotals", "showHeaders", "style"].forEach((key) => {
+          if (body?.[key] !== undefined) table[key] = body[key];
+        });
+        return this.tableJson(table);
+      }
+      if (method === "DELETE") {
+        workbook.tables = workbook.tables.filter((t) => t !== table);
+        return { status: 204 };
+      }
+    }
+    if (sub === "/range" && method === "GET") return this.rangeJson(sheet, bounds);
+    if (sub === "/headerRowRange" && method === "GET") return this.rangeJson(sheet, { ...bounds, r2: bounds.r1 });
+    if (sub === "/dataBodyRange" && method === "GET") {
+      return this.rangeJson(sheet, { ...bounds, r1: Math.min(bounds.r1 + 1, bounds.r2) });
+    }
+    if (sub === "/worksheet" && method === "GET") return this.worksheetJson(sheet);
+    if (sub === "/resize" && method === "POST") {
+      const next = this.parseAddress(String(body?.newRange).split("!").pop());
+      if (next.r1 !== bounds.r1 || next.r2 < bounds.r1 || next.c2 < bounds.c1 || next.c1 > bounds.c2) {
+        throw new GraphFault(400, "InvalidArgument", "The table cannot be resized to that range.");
+      }
+      table.address = `${columnLetters(next.c1)}${next.r1}:${columnLetters(next.c2)}${next.r2}`;
+      return { status: 204 };
+    }
+    if (sub === "/convertToRange" && method === "POST") {
+      workbook.tables = workbook.tables.filter((t) => t !== table);
+      return this.rangeJson(sheet, bounds);
+    }
+    if (sub === "/columns" && method === "GET") {
+      const header = this.rangeJson(sheet, { ...bounds, r2: bounds.r1 }).values[0];
+      return { value: header.map((name, index) => ({ id: String(index + 1), name: String(name), index })) };
+    }
+    if (sub === "/columns/add" && method === "POST") {
+      const width = bounds.c2 - bounds.c1 + 1;
+      const index = Number.isInteger(body?.index) ? Math.min(body.index, width) : width;
+      const col = bounds.c1 + index;
+      this.shiftColumns(sheet, col, bounds.r1, bounds.r2, 1);
+      const values = body?.values || [[`Column${width + 1}`]];
+      this.writeRange(sheet, { r1: bounds.r1, c1: col, r2: bounds.r1 + values.length - 1, c2: col }, { values });
+      table.address = `${columnLetters(bounds.c1)}${bounds.r1}:${columnLetters(bounds.c2 + 1)}${bounds.r2}`;
+      const name = sheet.cells.get(`${bounds.r1}:${col}`)?.value ?? "";
+      return { status: 201, body: { id: String(index + 1), name: String(name), index } };
+    }
+    const columnRef = /^\/columns\/([^/]+)(\/headerRowRange)?$/.exec(sub);
+    if (columnRef) {
+      const column = this.tableColumn(sheet, bounds, columnRef[1]);
+      if (columnRef[2]) {
+        const header = { r1: bounds.r1, c1: column.col, r2: bounds.r1, c2: column.col };
+        if (method === "GET") return this.rangeJson(sheet, header);
+        if (method === "PATCH") {
+          this.writeRange(sheet, header, body || {});
+          return this.rangeJson(sheet, header);
+        }
+      } else if (method === "GET") {
+        return { id: column.id, name: column.name, index: column.index };
+      } else if (method === "DELETE") {
+        if (bounds.c1 === bounds.c2) {
+          throw new GraphFault(400, "InvalidArgument", "A table must keep at least one column.");
+        }
+        for (let r = bounds.r1; r <= bounds.r2; r++) sheet.cells.delete(`${r}:${column.col}`);
+        this.shiftColumns(sheet, column.col + 1, bounds.r1, bounds.r2, -1);
+        table.address = `${columnLetters(bounds.c1)}${bounds.r1}:${columnLetters(bounds.c2 - 1)}${bounds.r2}`;
+        return { status: 204 };
+      }
+    }
+    if (sub === "/rows" && method === "GET") {
+      const data = this.rangeJson(sheet, { ...bounds, r1: bounds.r1 + 1 }).values;
+      return { value: bounds.r2 > bounds.r1 ? data.map((values, index) => ({ index, values: [values] })) : [] };
+    }
+    if ((sub === "/rows" || sub === "/rows/add") && method === "POST") {
+      const rows = body?.values || [];
+      const start = bounds.r2 + 1;
+      this.shiftDown(sheet, start, bounds.c1, bounds.c2, rows.length);
+      this.writeRange(sheet, { r1: start, c1: bounds.c1, r2: start + rows.length - 1, c2: bounds.c2 }, { values: rows });
+      table.address = `${columnLetters(bounds.c1)}${bounds.r1}:${columnLetters(bounds.c2)}${bounds.r2 + rows.length}`;
+      return { status: 201, body: { index: bounds.r2 - bounds.r1, values: rows } };
+    }
+    throw new GraphFault(501, "notImplemented", `Fake Graph does not implement ${method} table${sub}`);
+  }
+}
+
+module.exports = { FakeGraphServer, columnIndex, columnLetters };
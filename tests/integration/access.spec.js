@@ -0,0 +1,150 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+const accessPolicy = require("../../src/auth/accessPolicy");
+const callerAuth = require("../../src/auth/callerAuth");
+const auditStore = require("../../src/services/auditStore");
+
+describe("access policy", () => {
+  const harness = new Harness();
+  const documents = { driveName: "Documents" };
+  // Grants for callers the policy does not name (every caller here)
+  const grant = (...grants) => {
+    process.env.ACCESS_POLICY = JSON.stringify({ default: grants });
+    accessPolicy.loadPolicy();
+  };
+
+  before(() => harness.start());
+  after(async () => {
+    delete process.env.ACCESS_POLICY;
+    accessPolicy.policy = null;
+    await harness.stop();
+  });
+  beforeEach(() => harness.reset());
+
+  describe("path grants", () => {
+    it("allows a file inside a granted folder, disambiguated by itemPath", async () => {
+      grant({ verbs: ["read"], drives: ["Documents"], paths: ["/Reports"] });
+      const res = await harness.post("/api/excel/read", {
+        ...documents,
+        itemName: "Report.xlsx",
+        itemPath: "/Reports/Archive/Report.xlsx",
+        sheetName: "Sheet1",
+        range: "A1:B1",
+      });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.values, [["Year", 2023]]);
+    });
+
+    it("checks where the file really is, not the itemPath the caller claims", async () => {
+      grant({ verbs: ["read"], drives: ["Documents"], paths: ["/Reports"] });
+      const res = await harness.post("/api/excel/read", {
+        ...documents,
+        itemName: "Budget.xlsx",
+        itemPath: "/Reports/Budget.xlsx",
+        sheetName: "Summary",
+        range: "A1:B2",
+      });
+      assert.equal(res.status, 403);
+      assert.match(res.body.error.message, /not permitted to read \/Budget\.xlsx/);
+      assert.equal(harness.graphCalls().some((c) => /workbook\/worksheets.*range/.test(c.path)), false);
+    });
+
+    it("renames only the folder at the folderPath the policy checked", async () => {
+      grant({ verbs: ["rename"], drives: ["Documents"], paths: ["/Reports"] });
+      const res = await harness.post("/api/excel/rename-folder", {
+        ...documents,
+        folderName: "Project Alpha",
+        folderPath: "/Reports/Project Alpha",
+        newName: "Project Beta",
+      });
+      assert.equal(res.status, 404);
+      assert.equal(harness.graph.items.get("folder-alpha").name, "Project Alpha");
+    });
+  });
+
+  describe("table verbs", () => {
+    const budget = { ...documents, itemName: "Budget.xlsx" };
+
+    it("needs write, not format, to create a table", async () => {
+      grant({ verbs: ["format"] });
+      const res = await harness.post("/api/excel/table/create", { ...budget, sheetName: "Q1 Plan", range: "A1:B4" });
+      assert.equal(res.status, 403);
+      assert.match(res.body.error.message, /not permitted to write/);
+    });
+
+    it("needs delete-table to drop a table with its data", async () => {
+      grant({ verbs: ["write"] });
+      const denied = await harness.request("DELETE", "/api/excel/table", { ...budget, tableName: "Costs" });
+      assert.equal(denied.status, 403);
+      assert.match(denied.body.error.message, /not permitted to delete-table/);
+
+      grant({ verbs: ["write", "delete-table"] });
+      const res = await harness.request("DELETE", "/api/excel/table", { ...budget, tableName: "Costs" });
+      assert.equal(res.status, 200);
+      assert.equal(harness.graph.workbook("drive-docs", "item-budget").tables.length, 0);
+    });
+
+    it("needs delete-table for table deletes sent through /format", async () => {
+      grant({ verbs: ["format", "write"] });
+      const res = await harness.post("/api/excel/format", {
+        ...budget,
+        sheetName: "Summary",
+        operations: [{ type: "deleteTableColumn", tableName: "Costs", column: "Owner" }],
+      });
+      assert.equal(res.status, 403);
+      assert.match(res.body.error.message, /delete-table/);
+    });
+  });
+
+  describe("caller identity", () => {
+    const write = (headers) =>
+      harness.post(
+        "/api/excel/write",
+        { ...documents, itemName: "Budget.xlsx", sheetName: "Q1 Plan", range: "B2", values: [[11]] },
+        headers
+      );
+    const auditUser = async (res) => {
+      const requestId = res.headers.get("x-request-id");
+      for (let i = 0; i < 50; i++) {
+        const entry = (await auditStore.query({})).find((e) => e.requestId === requestId);
+        if (entry) return entry.user;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      throw new Error(`No audit entry for request ${requestId}`);
+    };
+
+    beforeEach(() => {
+      process.env.ACCESS_POLICY = JSON.stringify({ callers: { mallory: [{ verbs: ["*"] }] }, default: [] });
+      accessPolicy.loadPolicy();
+    });
+
+    it("treats an unverified X-User-ID as the anonymous caller when auth is off", async () => {
+      const res = await write({ "X-User-ID": "mallory" });
+      assert.equal(res.status, 403);
+      assert.equal(await auditUser(res), "anonymous");
+    });
+
+    describe("with API keys", () => {
+      before(() => {
+        process.env.API_KEYS = "mallory:mallory-key";
+        callerAuth.loadConfig();
+      });
+      after(() => {
+        delete process.env.API_KEYS;
+        callerAuth.loadConfig();
+      });
+
+      it("grants and audits the caller the key belongs to", async () => {
+        const res = await write({ "X-API-Key": "mallory-key" });
+        assert.equal(res.status, 200);
+        assert.equal(await auditUser(res), "mallory");
+      });
+
+      it("refuses a request without a key", async () => {
+        const res = await write({ "X-User-ID": "mallory" });
+        assert.equal(res.status, 401);
+      });
+    });
+  });
+});
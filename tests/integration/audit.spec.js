@@ -0,0 +1,136 @@
+const { describe, it, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+const auditStore = require("../../src/services/auditStore");
+const auditController = require("../../src/controllers/auditController");
+
+describe("audit API", () => {
+  const harness = new Harness();
+  const write = (headers) =>
+    harness.post(
+      "/api/excel/write",
+      { driveName: "Documents", itemName: "Budget.xlsx", sheetName: "Q1 Plan", range: "B2", values: [[11]] },
+      headers
+    );
+
+  // Entries are stored once the response has finished
+  const stored = async (res) => {
+    const requestId = res.headers.get("x-request-id");
+    for (let i = 0; i < 50; i++) {
+      const entries = await auditStore.query({});
+      const entry = entries.find((e) => e.requestId === requestId);
+      if (entry) return entry;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    throw new Error(`No audit entry for request ${requestId}`);
+  };
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => harness.reset());
+
+  describe("entries", () => {
+    it("lists a stored write without its cell values and returns it in full by id", async () => {
+      const entry = await stored(await write());
+
+      const list = await harness.get("/api/audit?limit=5");
+      assert.equal(list.status, 200);
+      const listed = list.body.data.entries.find((e) => e.id === entry.id);
+      assert.equal(listed.operation, entry.operation);
+      assert.equal(listed.newValues, undefined);
+
+      const res = await harness.get(`/api/audit/${entry.id}`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.newValues, [[11]]);
+    });
+
+    it("answers 404 for an unknown entry", async () => {
+      const res = await harness.get("/api/audit/no-such-entry");
+      assert.equal(res.status, 404);
+      assert.match(res.body.error.message, /not found/);
+    });
+
+    it("rejects a cursor it did not issue", async () => {
+      const res = await harness.get("/api/audit?cursor=bogus");
+      assert.equal(res.status, 400);
+    });
+  });
+
+  it("stores one entry per write request, however many rows it changes", async () => {
+    const res = await harness.post("/api/excel/write", {
+      driveName: "Documents",
+      itemName: "Contacts.xlsx",
+      sheetName: "People",
+      records: [
+        { Name: "Ana", Team: "Sales" },
+        { Name: "Ben", Team: "Sales" },
+      ],
+      mode: "upsert",
+      keyColumn: "Name",
+    });
+    const entry = await stored(res);
+    assert.equal(entry.operation, "WRITE_RANGE");
+    assert.equal(entry.changes.length, 2);
+    const entries = (await auditStore.query({})).filter((e) => e.requestId === entry.requestId);
+    assert.deepEqual(entries.map((e) => e.id), [entry.id]);
+  });
+
+  describe("chain verification", () => {
+    it("reports an intact chain as valid", async () => {
+      await stored(await write());
+      const res = await harness.get("/api/audit/verify");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.valid, true);
+      assert.ok(res.body.data.checked >= 1);
+    });
+
+    it("names the first entry whose contents were altered", async () => {
+      const entry = auditStore.backend.byId.get((await stored(await write())).id);
+      const user = entry.user;
+      entry.user = "someone-else";
+      try {
+        const res = await harness.get("/api/audit/verify");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.valid, false);
+        assert.equal(res.body.data.firstBroken.id, entry.id);
+        assert.match(res.body.data.firstBroken.reason, /do not match its hash/);
+      } finally {
+        entry.user = user;
+      }
+    });
+  });
+
+  describe("CSV export", () => {
+    it("keeps cells that would run as formulas as text", async () => {
+      await stored(await write({ "User-Agent": "=HYPERLINK(\"http://evil.example\",\"x\")" }));
+      await stored(await write({ "User-Agent": "@SUM(1+1)" }));
+
+      const res = await harness.get("/api/audit/export?format=csv");
+      assert.equal(res.status, 200);
+      const agents = res.body.split("\r\n").filter((line) => /HYPERLINK|SUM\(/.test(line));
+      assert.ok(agents.length >= 2);
+      assert.equal(agents.some((line) => /(^|,)"?[=@]/.test(line)), false);
+      assert.ok(agents.some((line) => line.includes(`"'=HYPERLINK(""http://evil.example"",""x"")"`)));
+      assert.ok(agents.some((line) => line.includes(",'@SUM(1+1),")));
+    });
+
+    it("guards formula-like text but leaves negative numbers alone", async () => {
+      assert.equal(auditController.csvCell(-5), "-5");
+      assert.equal(auditController.csvCell("-5+A1"), "'-5+A1");
+      assert.equal(auditController.csvCell("\tcmd"), "'\tcmd");
+    });
+  });
+
+  it("answers with an error, not an empty export, when the store cannot be read", async () => {
+    const failing = mock.method(auditStore.backend, "query", async () => {
+      throw new Error("audit log unreadable");
+    });
+    try {
+      const res = await harness.get("/api/audit/export?format=jsonl");
+      assert.equal(res.status, 500);
+      assert.equal(res.body.status, "error");
+    } finally {
+      failing.mock.restore();
+    }
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// The shared store stays in memory; each test opens its own over a temp dir
+process.env.AUDIT_STORE = "memory";
+const auditStore = require("../../src/services/auditStore");
+const JsonlAuditStore = require("../../src/services/auditStore/jsonlStore");
+
+// The facade is a singleton; its class opens more stores, as a restart would
+const AuditStore = auditStore.constructor;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const entry = (id, daysAgo = 0) => ({
+  id,
+  timestamp: new Date(Date.now() - daysAgo * DAY_MS).toISOString(),
+  user: "anonymous",
+  operation: "WRITE_RANGE",
+  fileName: "Budget.xlsx",
+  success: true,
+});
+
+for (const kind of ["jsonl", "nedb"]) {
+  describe(`${kind} audit store`, () => {
+    const saved = { AUDIT_STORE: process.env.AUDIT_STORE, AUDIT_STORE_PATH: process.env.AUDIT_STORE_PATH };
+    let dir;
+    // A store as the app opens it on startup
+    const open = async () => {
+      const store = new AuditStore();
+      await store.backend.ready;
+      return store;
+    };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-store-"));
+      process.env.AUDIT_STORE = kind;
+      process.env.AUDIT_STORE_PATH = path.join(dir, `audit-log.${kind}`);
+    });
+    afterEach(() => {
+      Object.entries(saved).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      });
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("reads back what was appended after a restart", async () => {
+      const store = await open();
+      await store.append(entry("a"));
+      await store.append(entry("b"));
+
+      const reopened = await open();
+      assert.deepEqual((await reopened.query({})).map((e) => e.id), ["b", "a"]);
+      assert.equal((await reopened.get("a")).operation, "WRITE_RANGE");
+    });
+
+    it("continues the hash chain across a restart", async () => {
+      const store = await open();
+      await store.append(entry("a"));
+      const first = await store.get("a");
+
+      const reopened = await open();
+      await reopened.append(entry("b"));
+      const second = await reopened.get("b");
+      assert.equal(second.seq, first.seq + 1);
+      assert.equal(second.prevHash, first.hash);
+      const result = await reopened.verify();
+      assert.equal(result.valid, true);
+      assert.equal(result.checked, 2);
+    });
+
+    it("prunes entries past retention for good, leaving a chain that still verifies", async () => {
+      const store = await open();
+      await store.append(entry("old", 40));
+      await store.append(entry("new"));
+      store.retentionDays = 30;
+      await store.applyRetention();
+      assert.deepEqual((await store.query({})).map((e) => e.id), ["new"]);
+
+      const reopened = await open();
+      assert.deepEqual((await reopened.query({})).map((e) => e.id), ["new"]);
+      assert.equal((await reopened.verify()).valid, true);
+    });
+  });
+}
+
+describe("legacy audit-log.json import", () => {
+  let dir;
+  let filePath;
+  let legacyPath;
+  const open = async () => {
+    const store = new JsonlAuditStore({ filePath, legacyPath });
+    await store.ready;
+    return store;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-legacy-"));
+    filePath = path.join(dir, "audit-log.jsonl");
+    legacyPath = path.join(dir, "audit-log.json");
+    fs.writeFileSync(legacyPath, JSON.stringify([entry("legacy-1", 2), entry("legacy-2", 1)]));
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("imports the old array into the JSONL file once", async () => {
+    const store = await open();
+    assert.deepEqual((await store.query({})).map((e) => e.id), ["legacy-2", "legacy-1"]);
+    await store.append(entry("after"));
+
+    const reopened = await open();
+    assert.deepEqual((await reopened.query({})).map((e) => e.id), ["after", "legacy-2", "legacy-1"]);
+    assert.equal(fs.readFileSync(filePath, "utf8").trim().split("\n").length, 3);
+  });
+
+  it("starts empty when there is no legacy log", async () => {
+    fs.rmSync(legacyPath);
+    const store = await open();
+    assert.deepEqual(await store.query({}), []);
+    assert.equal(fs.existsSync(filePath), false);
+  });
+});
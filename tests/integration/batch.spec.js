@@ -0,0 +1,76 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+
+describe("POST /api/excel/batch", () => {
+  const harness = new Harness();
+  const budget = { driveName: "Documents", itemName: "Budget.xlsx" };
+  const contacts = { driveName: "Documents", itemName: "Contacts.xlsx" };
+  const cell = (itemId, sheet, address, options) => harness.graph.cell("drive-docs", itemId, sheet, address, options);
+  const batch = (operations, atomic = true) => harness.post("/api/excel/batch", { operations, atomic });
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => harness.reset());
+
+  describe("atomic", () => {
+    it("commits every operation", async () => {
+      const res = await batch([
+        { type: "write_range", ...budget, sheetName: "Q1 Plan", range: "B2:B3", values: [[11], [13]] },
+        { type: "clear", ...budget, sheetName: "Q1 Plan", range: "B4" },
+        { type: "findReplace", ...contacts, sheetName: "People", searchTerm: "Finance", replaceTerm: "Treasury" },
+      ]);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.transaction, "committed");
+      assert.equal(res.body.data.results.length, 3);
+      assert.equal(cell("item-budget", "Q1 Plan", "B3"), 13);
+      assert.equal(cell("item-budget", "Q1 Plan", "B4"), "");
+      assert.equal(cell("item-contacts", "People", "C3"), "Treasury");
+    });
+
+    it("rolls back earlier steps when a later one fails", async () => {
+      harness.graph.fail({ method: "PATCH", path: /range\(address='A2'\)$/ });
+      const res = await batch([
+        { type: "write_range", ...budget, sheetName: "Summary", range: "B2", values: [[999]] },
+        { type: "write_range", ...budget, sheetName: "Q1 Plan", range: "A2", values: [["June"]] },
+      ]);
+      assert.equal(res.status, 502);
+      assert.equal(res.body.data.transaction, "rolled_back");
+      assert.equal(res.body.data.errors[0].index, 1);
+      assert.equal(cell("item-budget", "Summary", "B2"), 1200);
+      assert.equal(cell("item-budget", "Q1 Plan", "A2"), "Jan");
+    });
+
+    it("treats a partly applied find/replace as failed and undoes the cells it changed", async () => {
+      harness.graph.fail({ method: "PATCH", path: /'People'\)\/range\(address='B3'\)$/ });
+      const res = await batch([
+        { type: "findReplace", ...contacts, sheetName: "People", searchTerm: "example.com", replaceTerm: "example.org" },
+      ]);
+      assert.equal(res.status, 502);
+      assert.equal(res.body.data.transaction, "rolled_back");
+      assert.match(res.body.data.errors[0].error, /1 of 2 matches/);
+      assert.deepEqual(res.body.data.rollback.restored, [{ index: 0, operation: "findReplace", cells: 1 }]);
+      assert.equal(cell("item-contacts", "People", "B2"), "ana@example.com");
+    });
+
+    it("restores formulas, not their values, when undoing a replace", async () => {
+      harness.graph.fail({ method: "PATCH", path: /range\(address='A2'\)$/ });
+      const res = await batch([
+        { type: "findReplace", ...budget, sheetName: "Summary", searchTerm: "1500", replaceTerm: "1600" },
+        { type: "write_range", ...budget, sheetName: "Q1 Plan", range: "A2", values: [["June"]] },
+      ]);
+      assert.equal(res.body.data.transaction, "rolled_back");
+      assert.equal(cell("item-budget", "Summary", "B4", { formula: true }), "=SUM(B2:B3)");
+    });
+
+    it("refuses the whole batch when an operation does not resolve", async () => {
+      const res = await batch([
+        { type: "write_range", ...budget, sheetName: "Summary", range: "B2", values: [[999]] },
+        { type: "write_range", ...budget, sheetName: "Nope", range: "A1", values: [[1]] },
+      ]);
+      assert.equal(res.status, 404);
+      assert.equal(cell("item-budget", "Summary", "B2"), 1200);
+      assert.equal(harness.graphCalls("PATCH").length, 0);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+
+describe("POST /api/excel/describe", () => {
+  const harness = new Harness();
+  const describeBook = (body) =>
+    harness.post("/api/excel/describe", { driveName: "Documents", itemName: "Budget.xlsx", ...body });
+  const column = (data, name) => data.columns.find((c) => c.name === name);
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => harness.reset());
+
+  it("infers column types, formats and keys from typed values", async () => {
+    const res = await describeBook({ itemName: "Invoices.xlsx", sheetName: "Invoices" });
+    assert.equal(res.status, 200);
+    const data = res.body.data;
+    assert.equal(data.sheet, "Invoices");
+    assert.equal(data.headerRow, 1);
+    assert.equal(data.rowCount, 2);
+    assert.deepEqual(
+      data.columns.map((c) => [c.name, c.column, c.type]),
+      [
+        ["Invoice", "A", "text"],
+        ["Date", "B", "date"],
+        ["Amount", "C", "number"],
+        ["Discount", "D", "number"],
+        ["Paid", "E", "boolean"],
+        ["Check", "F", "number"],
+      ]
+    );
+    const amount = column(data, "Amount");
+    assert.equal(amount.format, "currency:EUR");
+    assert.equal(amount.min, 980.5);
+    assert.equal(amount.max, 1200);
+    assert.equal(column(data, "Discount").format, "percent");
+    assert.equal(column(data, "Date").min, "2024-01-01");
+    assert.equal(column(data, "Check").errors, 1);
+    assert.deepEqual(data.keyColumns, ["Invoice"]);
+    assert.equal(column(data, "Amount").likelyKey, false);
+  });
+
+  it("reports null ratios, distinct counts and examples", async () => {
+    const res = await describeBook({ sheetName: "Summary", examples: 2 });
+    assert.equal(res.status, 200);
+    const owner = column(res.body.data, "Owner");
+    assert.equal(owner.nullRatio, 0.333);
+    assert.equal(owner.distinct, 2);
+    assert.deepEqual(owner.examples, ["Ana", "Ben"]);
+    assert.equal(owner.likelyKey, false);
+    assert.deepEqual(column(res.body.data, "Item").examples, ["Rent", "Power"]);
+  });
+
+  it("describes every sheet in workbook mode", async () => {
+    const res = await describeBook({});
+    assert.equal(res.status, 200);
+    const sheets = res.body.data.sheets;
+    assert.deepEqual(sheets.map((s) => s.sheet), ["Summary", "Company", "Q1 Plan"]);
+    const plan = sheets.find((s) => s.sheet === "Q1 Plan");
+    assert.equal(plan.headerRow, 1);
+    assert.deepEqual(plan.columns.map((c) => [c.name, c.type, c.min, c.max]), [
+      ["Month", "text", undefined, undefined],
+      ["Target", "number", 10, 15],
+    ]);
+  });
+
+  it("takes the header of a table from its first row", async () => {
+    const res = await describeBook({ tableName: "Costs" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.table, "Costs");
+    assert.equal(res.body.data.headerRow, 1);
+    assert.equal(res.body.data.rowCount, 2);
+    assert.deepEqual(res.body.data.columns.map((c) => c.name), ["Item", "Amount", "Owner"]);
+  });
+
+  it("samples the top rows but counts the whole sheet", async () => {
+    const res = await describeBook({ sheetName: "Q1 Plan", sampleRows: 2 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.rowCount, 3);
+    assert.equal(res.body.data.sampledRows, 2);
+    assert.equal(column(res.body.data, "Target").max, 12);
+  });
+
+  it("describes a range without a header as lettered columns", async () => {
+    const res = await describeBook({ range: "'Q1 Plan'!A2:B4" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.headerRow, null);
+    assert.deepEqual(res.body.data.columns.map((c) => [c.name, c.column]), [["col_1", "A"], ["col_2", "B"]]);
+  });
+
+  it("answers 409 with candidates for an unknown sheet", async () => {
+    const res = await describeBook({ sheetName: "Nope" });
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.data.candidates, ["Summary", "Company", "Q1 Plan"]);
+  });
+});
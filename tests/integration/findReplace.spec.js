@@ -0,0 +1,156 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+const findReplaceService = require("../../src/services/findReplaceService");
+const graphClientFactory = require("../../src/services/graphClientFactory");
+
+describe("POST /api/excel/find-replace", () => {
+  const harness = new Harness();
+  const findReplace = (body) =>
+    harness.post("/api/excel/find-replace", { driveName: "Documents", itemName: "Budget.xlsx", ...body });
+  const cell = (sheet, address) => harness.graph.cell("drive-docs", "item-budget", sheet, address);
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => harness.reset());
+
+  describe("text strategy", () => {
+    it("previews matches without writing", async () => {
+      const res = await findReplace({ searchTerm: "ana", replaceTerm: "Anna", sheetScope: "ALL", mode: "preview" });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.status, "confirmation_required");
+      assert.equal(res.body.strategy, "text");
+      assert.deepEqual(
+        res.body.matches.map((m) => [m.sheet, m.address, m.currentValue]),
+        [["Summary", "C2", "Ana"]]
+      );
+      assert.equal(harness.graphCalls("PATCH").length, 0);
+    });
+
+    it("applies every match with selectAll", async () => {
+      const res = await harness.post("/api/excel/find-replace", {
+        driveName: "Documents",
+        itemName: "Alpha Plan.xlsx",
+        searchTerm: "Alpha",
+        replaceTerm: "Beta",
+        sheetScope: "ALL",
+        mode: "apply",
+        selectAll: true,
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.summary.successful, 2);
+      assert.equal(harness.graph.cell("drive-docs", "item-alpha-plan", "Plan", "A2"), "Beta kickoff");
+      assert.equal(harness.graph.cell("drive-docs", "item-alpha-plan", "Risks", "A2"), "Beta scope creep");
+    });
+
+    it("applies only the selected matches", async () => {
+      const body = {
+        driveName: "Documents",
+        itemName: "Alpha Plan.xlsx",
+        searchTerm: "Alpha",
+        replaceTerm: "Beta",
+        sheetScope: "ALL",
+      };
+      const preview = await harness.post("/api/excel/find-replace", { ...body, mode: "preview" });
+      const risk = preview.body.matches.find((m) => m.sheet === "Risks");
+      const res = await harness.post("/api/excel/find-replace", { ...body, mode: "apply", selection: [risk.matchId] });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.summary.successful, 1);
+      assert.equal(harness.graph.cell("drive-docs", "item-alpha-plan", "Plan", "A2"), "Alpha kickoff");
+      assert.equal(harness.graph.cell("drive-docs", "item-alpha-plan", "Risks", "A2"), "Beta scope creep");
+    });
+
+    it("reports a cell it could not read first as failed and still writes the rest", async () => {
+      harness.graph.fail({ method: "GET", path: /worksheets\('Plan'\)\/range\(address='A2'\)$/, status: 500, code: "generalException" });
+      const res = await harness.post("/api/excel/find-replace", {
+        driveName: "Documents",
+        itemName: "Alpha Plan.xlsx",
+        searchTerm: "Alpha",
+        replaceTerm: "Beta",
+        sheetScope: "ALL",
+        mode: "apply",
+        selectAll: true,
+      });
+      assert.deepEqual([res.body.data.summary.successful, res.body.data.summary.failed], [1, 1]);
+      assert.deepEqual(res.body.data.errors.map((e) => [e.sheet, e.cell]), [["Plan", "A2"]]);
+      assert.equal(harness.graph.cell("drive-docs", "item-alpha-plan", "Plan", "A2"), "Alpha kickoff");
+      assert.equal(harness.graph.cell("drive-docs", "item-alpha-plan", "Risks", "A2"), "Beta scope creep");
+    });
+
+    it("sends nothing to Graph when there are no cells to write", async () => {
+      const client = graphClientFactory.create("fake-graph-token");
+      const result = await findReplaceService.writeCells(client, "drive-docs", "item-budget", []);
+      assert.deepEqual(result, { changes: [], errors: [] });
+      assert.equal(harness.graphCalls().length, 0);
+    });
+
+    it("reports no matches with a 200", async () => {
+      const res = await findReplace({ searchTerm: "Nowhere", sheetScope: "ALL" });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, "no_matches");
+    });
+
+    it("requires a selection to apply", async () => {
+      const res = await findReplace({ searchTerm: "Ana", replaceTerm: "Anna", mode: "apply" });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe("entityName strategy", () => {
+    it("previews the value next to an 'Entity name' label", async () => {
+      const res = await findReplace({ searchTerm: "entity", strategy: "entityName", sheetScope: "Company", mode: "preview" });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.strategy, "labelNeighbor");
+      assert.equal(res.body.matches.length, 1);
+      assert.equal(res.body.matches[0].address, "A2");
+      assert.equal(res.body.matches[0].labelAddress, "A1");
+      assert.equal(res.body.matches[0].currentValue, "Acme Holdings Ltd");
+    });
+
+    it("replaces the entity value", async () => {
+      const res = await findReplace({
+        searchTerm: "entity",
+        replaceTerm: "Acme Holdings Limited",
+        strategy: "entityName",
+        mode: "apply",
+        selectAll: true,
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.summary.successful, 1);
+      assert.equal(cell("Company", "A2"), "Acme Holdings Limited");
+      assert.equal(cell("Company", "A1"), "Entity name");
+    });
+  });
+
+  describe("labelNeighbor strategy", () => {
+    it("finds the value to the right of a label with a colon", async () => {
+      const res = await findReplace({
+        searchTerm: "country",
+        strategy: "labelNeighbor",
+        label: "Country",
+        directions: ["right"],
+        mode: "preview",
+      });
+      assert.equal(res.status, 409);
+      assert.deepEqual(
+        res.body.matches.map((m) => [m.sheet, m.address, m.currentValue]),
+        [["Company", "D1", "Ireland"]]
+      );
+    });
+
+    it("filters by the current value", async () => {
+      const res = await findReplace({
+        searchTerm: "parent",
+        strategy: "labelNeighbor",
+        label: ["Parent", "Entity name"],
+        valueSearchTerm: "group",
+        replaceTerm: "Acme Group plc",
+        mode: "apply",
+        selectAll: true,
+      });
+      assert.equal(res.status, 200);
+      assert.equal(cell("Company", "B4"), "Acme Group plc");
+      assert.equal(cell("Company", "A2"), "Acme Holdings Ltd");
+    });
+  });
+});
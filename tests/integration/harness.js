@@ -0,0 +1,113 @@
+const os = require("os");
+const path = require("path");
+const fixture = require("../fixtures/workbooks.json");
+const { FakeGraphServer } = require("../fakes/graphServer");
+
+const ACCESS_TOKEN = "fake-graph-token";
+
+// Must be in place before anything under src/ is loaded
+const defaults = {
+  AZURE_CLIENT_ID: "test-client",
+  AZURE_CLIENT_SECRET: "test-secret",
+  AZURE_TENANT_ID: "test-tenant",
+  SHAREPOINT_SITE_ID: fixture.site.id,
+  AUDIT_STORE: "memory",
+  LOG_LEVEL: "error",
+  LOG_DIR: path.join(os.tmpdir(), "excel-middleware-test-logs"),
+  GRAPH_RETRY_BASE_MS: "1",
+};
+for (const [key, value] of Object.entries(defaults)) {
+  if (process.env[key] === undefined) process.env[key] = value;
+}
+
+const Server = require("../../src/server");
+const logger = require("../../src/config/logger");
+const azureAuth = require("../../src/auth/azureAuth");
+const graphClientFactory = require("../../src/services/graphClientFactory");
+const resolverService = require("../../src/services/resolverService");
+const nameResolverService = require("../../src/services/nameResolverService");
+const renameService = require("../../src/services/renameService");
+const findReplaceService = require("../../src/services/findReplaceService");
+const rangeProtectionService = require("../../src/services/rangeProtectionService");
+
+// Expected failures are logged at error level; TEST_LOGS=1 shows them
+if (!process.env.TEST_LOGS) logger.transports.forEach((t) => (t.silent = true));
+
+// In-process caches that would otherwise carry one test's workbook state into the next
+const CACHES = [
+  [resolverService, ["driveCache", "itemCache", "worksheetCache", "recursiveSearchCache"]],
+  [nameResolverService, ["driveCache", "folderCache", "fileCache", "sheetCache", "pathCache"]],
+  [renameService, ["suggestionCache"]],
+  [findReplaceService, ["searchCache"]],
+  [rangeProtectionService, ["nameCache"]],
+];
+
+/**
+ * Runs the real app against the fake Graph server. start() wires the Graph
+ * client factory to the fake and hands out a token, so no Azure AD call is
+ * made; reset() restores the fixture and empties the services' caches.
+ */
+class Harness {
+  constructor() {
+    this.graph = new FakeGraphServer(fixture, { accessToken: ACCESS_TOKEN });
+  }
+
+  async start() {
+    const baseUrl = await this.graph.start();
+    graphClientFactory.configure({ baseUrl });
+    azureAuth.accessToken = ACCESS_TOKEN;
+    azureAuth.tokenExpiry = Date.now() + 60 * 60 * 1000;
+
+    const app = new Server().app;
+    await new Promise((resolve) => {
+      this.server = app.listen(0, "127.0.0.1", resolve);
+    });
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    graphClientFactory.reset();
+    await new Promise((resolve) => this.server.close(resolve));
+    await this.graph.stop();
+  }
+
+  reset() {
+    this.graph.reset();
+    for (const [service, caches] of CACHES) {
+      caches.forEach((name) => service[name]?.clear());
+    }
+  }
+
+  // { status, headers, body } of a JSON call against the app
+  async request(method, url, body, headers = {}) {
+    const response = await fetch(`${this.baseUrl}${url}`, {
+      method,
+      headers: body === undefined ? headers : { "Content-Type": "application/json", ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    const json = /json/.test(response.headers.get("content-type") || "");
+    return {
+      status: response.status,
+      headers: response.headers,
+      // Non-JSON bodies (CSV) come back as text
+      body: !text ? null : json ? JSON.parse(text) : text,
+    };
+  }
+
+  post(url, body, headers) {
+    return this.request("POST", url, body, headers);
+  }
+
+  get(url) {
+    return this.request("GET", url);
+  }
+
+  // Graph calls the fake received since the last reset, optionally filtered by method
+  graphCalls(method) {
+    return this.graph.requests.filter((r) => !method || r.method === method);
+  }
+}
+
+module.exports = { Harness };
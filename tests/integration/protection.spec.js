@@ -0,0 +1,126 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+const rangeProtectionService = require("../../src/services/rangeProtectionService");
+
+describe("protected ranges", () => {
+  const harness = new Harness();
+  const budget = { driveName: "Documents", itemName: "Budget.xlsx" };
+  const format = (operations) => harness.post("/api/excel/format", { ...budget, sheetName: "Summary", operations });
+  const refused = (res) => {
+    assert.equal(res.status, 403);
+    assert.match(res.body.error.message, /overlaps locked range 'Summary'!B2:B3/);
+  };
+
+  before(async () => {
+    await harness.start();
+    process.env.PROTECTED_RANGES = JSON.stringify({
+      rules: [{ workbook: "Budget.xlsx", sheet: "Summary", deny: ["B2:B3"] }],
+    });
+    rangeProtectionService.loadRules();
+  });
+  after(async () => {
+    delete process.env.PROTECTED_RANGES;
+    rangeProtectionService.rules = [];
+    await harness.stop();
+  });
+  beforeEach(() => harness.reset());
+
+  describe("writes", () => {
+    it("lets a write outside the locked range through", async () => {
+      const res = await harness.post("/api/excel/write", { ...budget, sheetName: "Summary", range: "C2", values: [["Cy"]] });
+      assert.equal(res.status, 200);
+      assert.equal(harness.graph.cell("drive-docs", "item-budget", "Summary", "C2"), "Cy");
+    });
+
+    it("refuses a write into the locked range without touching the sheet", async () => {
+      const res = await harness.post("/api/excel/write", { ...budget, sheetName: "Summary", range: "A2", values: [["Rent", 1]] });
+      refused(res);
+      assert.equal(harness.graphCalls("PATCH").length, 0);
+      assert.equal(harness.graph.cell("drive-docs", "item-budget", "Summary", "B2"), 1200);
+    });
+
+    it("refuses a find/replace that would change a locked cell", async () => {
+      const res = await harness.post("/api/excel/find-replace", {
+        ...budget,
+        searchTerm: "300",
+        replaceTerm: "350",
+        sheetScope: "Summary",
+        mode: "apply",
+        selectAll: true,
+      });
+      refused(res);
+      assert.equal(harness.graph.cell("drive-docs", "item-budget", "Summary", "B3"), 300);
+    });
+
+    it("refuses an atomic batch before any step runs", async () => {
+      const res = await harness.post("/api/excel/batch", {
+        atomic: true,
+        operations: [
+          { type: "write_range", ...budget, sheetName: "Summary", range: "C2", values: [["Cy"]] },
+          { type: "write_range", ...budget, sheetName: "Summary", range: "B3", values: [[1]] },
+        ],
+      });
+      refused(res);
+      assert.equal(harness.graphCalls("PATCH").length, 0);
+    });
+  });
+
+  describe("table changes", () => {
+    const table = () => harness.graph.workbook("drive-docs", "item-budget").tables.find((t) => t.name === "Costs");
+    const columns = (body) => harness.post("/api/excel/table/columns", { ...budget, tableName: "Costs", ...body });
+
+    it("refuses deleting a table with its data over the locked range", async () => {
+      refused(await harness.request("DELETE", "/api/excel/table", { ...budget, tableName: "Costs" }));
+      assert.ok(table());
+    });
+
+    it("lets a table be converted to a range, which keeps its cells", async () => {
+      const res = await harness.request("DELETE", "/api/excel/table", { ...budget, tableName: "Costs", keepData: true });
+      assert.equal(res.status, 200);
+    });
+
+    it("refuses rows added to a table over the locked range", async () => {
+      refused(await harness.post("/api/excel/table/rows", { ...budget, tableName: "Costs", values: [["Rates", 80, "Cy"]] }));
+      const batch = await harness.post("/api/excel/batch", {
+        operations: [{ type: "addTableRows", ...budget, sheetName: "Summary", tableName: "Costs", values: [["Rates", 80, "Cy"]] }],
+      });
+      assert.match(batch.body.data.errors[0].error, /overlaps locked range 'Summary'!B2:B3/);
+      assert.equal(harness.graphCalls("POST").some((c) => /\/rows$/.test(c.path)), false);
+      assert.equal(table().address, "A1:C3");
+    });
+
+    it("refuses column changes that move or rewrite locked cells", async () => {
+      refused(await columns({ action: "delete", column: "Amount" }));
+      refused(await columns({ action: "add", name: "Due", values: [["Due"], [1], [2]] }));
+      refused(await format([{ type: "toggleTableTotals", tableName: "Costs", showTotals: true }]));
+      assert.equal(harness.graphCalls("DELETE").length, 0);
+    });
+
+    it("checks only the header cell a column rename rewrites", async () => {
+      const res = await columns({ action: "rename", column: "Amount", newName: "Cost" });
+      assert.notEqual(res.status, 403);
+    });
+  });
+
+  describe("format operations", () => {
+    it("checks a formula's target cell", async () => {
+      refused(await format([{ type: "formula", expression: "=1+1", targetCell: "B3", overwrite: true }]));
+    });
+
+    it("checks both ends of a pivot table", async () => {
+      refused(await format([{ type: "pivotTable", sourceRange: "A1:C3", destinationRange: "E1" }]));
+      refused(await format([{ type: "pivotTable", sourceRange: "E1:F3", destinationRange: "B2" }]));
+    });
+
+    it("checks the whole column or row a resize changes", async () => {
+      refused(await format([{ type: "resizeColumn", column: "B", width: 120 }]));
+      refused(await format([{ type: "resizeRow", row: 3, height: 30 }]));
+    });
+
+    it("lets a resize clear of the locked range through", async () => {
+      const res = await format([{ type: "resizeColumn", column: "D", width: 120 }]);
+      assert.notEqual(res.status, 403);
+    });
+  });
+});
@@ -0,0 +1,404 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+
+describe("POST /api/excel/read", () => {
+  const harness = new Harness();
+  const read = (body) => harness.post("/api/excel/read", { driveName: "Documents", itemName: "Budget.xlsx", ...body });
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => harness.reset());
+
+  describe("legacy sheet + range", () => {
+    it("returns values, formulas and dimensions", async () => {
+      const res = await read({ sheetName: "Summary", range: "A1:B4" });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.range, "Summary!A1:B4");
+      assert.deepEqual(res.body.data.values[3], ["Total", 1500]);
+      assert.equal(res.body.data.formulas[3][1], "=SUM(B2:B3)");
+      assert.deepEqual(res.body.data.dimensions, { rows: 4, columns: 2 });
+    });
+
+    it("takes the sheet from a qualified range", async () => {
+      const res = await read({ range: "'Q1 Plan'!A2:B3" });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.range, "'Q1 Plan'!A2:B3");
+      assert.deepEqual(res.body.data.values, [["Jan", 10], ["Feb", 12]]);
+    });
+  });
+
+  describe("mode=range", () => {
+    it("reads a range with formulas and text on request", async () => {
+      const res = await read({ mode: "range", sheetName: "summary", range: "A4:B4", includeFormulas: true, includeText: true });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.sheet, "Summary");
+      assert.deepEqual(res.body.data.values, [["Total", 1500]]);
+      assert.deepEqual(res.body.data.formulas, [["Total", "=SUM(B2:B3)"]]);
+      assert.deepEqual(res.body.data.text, [["Total", "1500"]]);
+    });
+
+    it("answers 409 with candidates for an unknown sheet", async () => {
+      const res = await read({ mode: "range", sheetName: "Missing", range: "A1:B2" });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.status, "multiple_matches");
+      assert.deepEqual(res.body.data.candidates.sort(), ["Company", "Q1 Plan", "Summary"]);
+    });
+
+    it("adds row and column counts when summary is set", async () => {
+      const res = await read({ mode: "range", sheetName: "Summary", range: "A1:C2", summary: true });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.rows, 2);
+      assert.equal(res.body.data.cols, 3);
+    });
+  });
+
+  describe("mode=sheet", () => {
+    it("reads the used range", async () => {
+      const res = await read({ mode: "sheet", sheetName: "Q1 Plan" });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.usedRange, "'Q1 Plan'!A1:B4");
+      assert.equal(res.body.data.values.length, 4);
+    });
+
+    it("is the default when only a sheet is named", async () => {
+      const res = await read({ sheetName: "Summary", projection: "records" });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.records[0], { Item: "Rent", Amount: 1200, Owner: "Ana" });
+      assert.equal(res.body.data.records.length, 3);
+    });
+  });
+
+  describe("mode=workbook", () => {
+    it("reads every sheet with a summary", async () => {
+      const res = await read({ mode: "workbook", summary: true });
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.data.sheets.map((s) => s.sheet),
+        ["Summary", "Company", "Q1 Plan"]
+      );
+      assert.deepEqual(res.body.data.workbookSummary[0], {
+        sheet: "Summary",
+        usedRange: "Summary!A1:C4",
+        rows: 4,
+        cols: 3,
+      });
+    });
+  });
+
+  describe("projections", () => {
+    it("cells lists addresses and paginates", async () => {
+      const first = await read({ mode: "range", sheetName: "Summary", range: "B2:C3", projection: "cells", paginate: { pageSize: 3 } });
+      assert.equal(first.status, 200);
+      assert.deepEqual(
+        first.body.data.cells.map((c) => [c.address, c.value]),
+        [["B2", 1200], ["C2", "Ana"], ["B3", 300]]
+      );
+      assert.deepEqual(first.body.data.page, { hasMore: true, nextPageToken: "3" });
+
+      const second = await read({
+        mode: "range",
+        sheetName: "Summary",
+        range: "B2:C3",
+        projection: "cells",
+        paginate: { pageSize: 3, pageToken: first.body.data.page.nextPageToken },
+      });
+      assert.deepEqual(second.body.data.cells.map((c) => c.address), ["C3"]);
+      assert.equal(second.body.data.page.hasMore, false);
+    });
+
+    it("markdown renders a table under the detected header row", async () => {
+      const res = await read({ mode: "range", sheetName: "Summary", range: "A1:C3", projection: "markdown" });
+      assert.equal(res.status, 200);
+      assert.equal(
+        res.body.data.markdown,
+        ["| Item | Amount | Owner |", "| --- | --- | --- |", "| Rent | 1200 | Ana |", "| Power | 300 | Ben |"].join("\n")
+      );
+    });
+
+    it("markdown heads headerless blocks with column letters", async () => {
+      const res = await read({ mode: "range", sheetName: "Q1 Plan", range: "A2:B3", projection: "markdown" });
+      assert.equal(res.body.data.markdown, ["| A | B |", "| --- | --- |", "| Jan | 10 |", "| Feb | 12 |"].join("\n"));
+    });
+
+    it("csv follows RFC 4180 and is sent as text/csv when accepted", async () => {
+      const body = { itemName: "Contacts.xlsx", mode: "sheet", sheetName: "People", projection: "csv" };
+      const expected = "Name,Email,Team\r\nAna,ana@example.com,Ops\r\nBen,ben@example.com,Finance\r\n";
+      const json = await read(body);
+      assert.equal(json.status, 200);
+      assert.equal(json.body.data.csv, expected);
+
+      const raw = await harness.post("/api/excel/read", { driveName: "Documents", ...body }, { Accept: "text/csv" });
+      assert.equal(raw.status, 200);
+      assert.match(raw.headers.get("content-type"), /^text\/csv/);
+      assert.equal(raw.body, expected);
+    });
+
+    it("columns maps each header to its values", async () => {
+      const res = await read({ itemName: "Contacts.xlsx", mode: "sheet", sheetName: "People", projection: "columns" });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.columns, {
+        Name: ["Ana", "Ben"],
+        Email: ["ana@example.com", "ben@example.com"],
+        Team: ["Ops", "Finance"],
+      });
+      assert.equal(res.body.data.rowCount, 2);
+    });
+
+    it("works per sheet in workbook mode", async () => {
+      const res = await harness.post("/api/excel/read", {
+        driveName: "Documents",
+        itemName: "Alpha Plan.xlsx",
+        mode: "workbook",
+        projection: "markdown",
+      });
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.data.sheets.map((s) => [s.sheet, s.markdown.split("\n")[2]]),
+        [
+          ["Plan", "| Alpha kickoff | Ana |"],
+          ["Risks", "| Alpha scope creep |"],
+        ]
+      );
+    });
+
+    it("kv pairs labels with the value below or to the right", async () => {
+      const res = await read({ mode: "sheet", sheetName: "Company", projection: "kv" });
+      assert.equal(res.status, 200);
+      const byLabel = Object.fromEntries(res.body.data.kv.map((p) => [p.label, p]));
+      assert.equal(byLabel["Entity name"].value, "Acme Holdings Ltd");
+      assert.equal(byLabel["Entity name"].valueAddress, "A2");
+      assert.equal(byLabel.Country.value, "Ireland");
+      assert.equal(byLabel.Parent.valueAddress, "B4");
+    });
+  });
+
+  describe("includeFormats", () => {
+    it("adds number formats, fonts, fills and alignment to the matrix", async () => {
+      const res = await read({ mode: "range", sheetName: "Summary", range: "A1:C4", includeFormats: true });
+      assert.equal(res.status, 200);
+      const { formats } = res.body.data;
+      assert.equal(formats.length, 4);
+      assert.deepEqual(formats[0][1], {
+        numberFormat: "General",
+        font: { bold: true, italic: false, color: "#FFFFFF", size: 11 },
+        fill: "#1F4E78",
+        alignment: { horizontal: "Center", vertical: "Bottom", wrapText: false },
+        mergedArea: null,
+      });
+      assert.deepEqual(formats.map((row) => row[1].numberFormat), ["General", "$#,##0.00", "$#,##0.00", "$#,##0.00"]);
+      assert.deepEqual(formats[3].map((f) => f.font.bold), [true, true, false]);
+      assert.equal(formats[2][0].fill, "#FFFFFF");
+      assert.deepEqual(res.body.data.mergedAreas, []);
+      assert.equal(res.body.data.formatsComplete, true);
+    });
+
+    it("reads formats per range and row through $batch, not per cell", async () => {
+      await read({ mode: "range", sheetName: "Summary", range: "A1:C4", includeFormats: true });
+      // Range (3 parts), its four rows (3 mixed parts each), then fonts of the mixed last row's cells
+      assert.equal(harness.graphCalls("POST").filter((r) => r.path === "/$batch").length, 3);
+      assert.equal(harness.graphCalls("GET").filter((r) => /\/format(\/|$)/.test(r.path)).length, 3 + 12 + 3);
+    });
+
+    it("counts row lookups against the lookup budget on tall mixed ranges", async () => {
+      const res = await read({ mode: "range", sheetName: "Summary", range: "A1:C700", includeFormats: true });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.formatsComplete, false);
+      // Range (3 parts) and the first 600 rows; the rest of the rows and every cell are over budget
+      assert.equal(harness.graphCalls("GET").filter((r) => /\/format(\/|$)/.test(r.path)).length, 3 + 600 * 3);
+    });
+
+    it("reads a sheet + range without a mode as mode=range", async () => {
+      const res = await read({ sheetName: "Summary", range: "B2", includeFormats: true });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.formats[0][0].numberFormat, "$#,##0.00");
+    });
+
+    it("marks merged cells in the cells projection", async () => {
+      const res = await read({ mode: "sheet", sheetName: "Company", projection: "cells", includeFormats: true });
+      assert.equal(res.status, 200);
+      const byAddress = Object.fromEntries(res.body.data.cells.map((c) => [c.address, c]));
+      assert.equal(byAddress.A1.mergedArea, "A1:B1");
+      assert.equal(byAddress.B1.mergedArea, "A1:B1");
+      assert.equal(byAddress.A2.mergedArea, null);
+      assert.equal(byAddress.A1.alignment.horizontal, "Center");
+      assert.equal(byAddress.A1.font.bold, true);
+      assert.equal(byAddress.D1.font.bold, false);
+      assert.deepEqual(res.body.data.mergedAreas, ["A1:B1"]);
+    });
+
+    it("leaves other projections and requests without it unchanged", async () => {
+      const plain = await read({ mode: "range", sheetName: "Summary", range: "A1:C2" });
+      assert.equal(plain.body.data.formats, undefined);
+      const records = await read({ mode: "range", sheetName: "Summary", range: "A1:C3", projection: "records", includeFormats: true });
+      assert.equal(records.body.data.formats, undefined);
+      assert.equal(harness.graphCalls("POST").filter((r) => r.path === "/$batch").length, 0);
+    });
+  });
+
+  describe("typed", () => {
+    const invoices = (body) => read({ itemName: "Invoices.xlsx", typed: true, ...body });
+
+    it("turns serials, percentages, currency and errors into structured values", async () => {
+      const res = await invoices({ mode: "range", sheetName: "Invoices", range: "A2:F3" });
+      assert.equal(res.status, 200);
+      const [first, second] = res.body.data.values;
+      assert.equal(first[0], "INV-1");
+      assert.deepEqual(first[1], { type: "date", value: "2024-01-01", text: "45292" });
+      assert.deepEqual(second[1], { type: "datetime", value: "2024-02-01T12:00:00", text: "45323.5" });
+      assert.equal(first[2].type, "currency");
+      assert.equal(first[2].value, 1200);
+      assert.equal(first[2].currency, "EUR");
+      assert.deepEqual([first[3].type, first[3].value], ["percent", 0.15]);
+      assert.equal(first[4], true);
+      assert.equal(second[4], false);
+      assert.deepEqual([first[5].type, first[5].value], ["error", "#N/A"]);
+      assert.equal(second[5], 42);
+    });
+
+    it("types record and kv values", async () => {
+      const records = await invoices({ mode: "sheet", sheetName: "Invoices", projection: "records" });
+      assert.equal(records.status, 200);
+      assert.equal(records.body.data.records[0].Date.value, "2024-01-01");
+      assert.equal(records.body.data.records[1].Amount.value, 980.5);
+
+      const kv = await invoices({ mode: "sheet", sheetName: "Terms", projection: "kv" });
+      assert.deepEqual(
+        kv.body.data.kv.map((p) => [p.label, p.value.type, p.value.value]),
+        [
+          ["Due date", "date", "2024-01-31"],
+          ["Late fee", "percent", 0.015],
+        ]
+      );
+    });
+
+    it("types cells and empties them to null", async () => {
+      const res = await read({ mode: "range", sheetName: "Company", range: "A1:B2", projection: "cells", typed: true });
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.data.cells.map((c) => [c.address, c.value]),
+        [["A1", "Entity name"], ["B1", null], ["A2", "Acme Holdings Ltd"], ["B2", null]]
+      );
+    });
+
+    it("leaves serial numbers alone unless asked", async () => {
+      const res = await read({ itemName: "Invoices.xlsx", mode: "range", sheetName: "Invoices", range: "B2:C2" });
+      assert.deepEqual(res.body.data.values, [[45292, 1200]]);
+    });
+  });
+
+  describe("budgets", () => {
+    // Follow continuation tokens to the end, returning every response's data
+    const readAll = async (body) => {
+      const pages = [];
+      let token;
+      do {
+        const res = await read({ ...body, continuationToken: token });
+        assert.equal(res.status, 200);
+        pages.push(res.body.data);
+        token = res.body.data.continuationToken;
+      } while (token && pages.length < 20);
+      return pages;
+    };
+
+    it("cuts a sheet after the rows that fit maxCells and resumes from the token", async () => {
+      const first = await read({ mode: "sheet", sheetName: "Q1 Plan", maxCells: 5 });
+      assert.equal(first.status, 200);
+      assert.deepEqual(first.body.data.values, [["Month", "Target"], ["Jan", 10]]);
+      assert.equal(first.body.data.truncated, true);
+      assert.equal(first.body.data.totalRows, 4);
+      assert.equal(first.body.data.totalColumns, 2);
+
+      const next = await read({ maxCells: 5, continuationToken: first.body.data.continuationToken });
+      assert.equal(next.status, 200);
+      assert.equal(next.body.data.sheet, "Q1 Plan");
+      assert.equal(next.body.data.usedRange, "'Q1 Plan'!A3:B4");
+      assert.deepEqual(next.body.data.values, [["Feb", 12], ["Mar", 15]]);
+      assert.equal(next.body.data.truncated, false);
+      assert.equal(next.body.data.continuationToken, null);
+    });
+
+    it("reads and formats only the rows the budget can hold, not the rest of the sheet", async () => {
+      const res = await read({ mode: "range", sheetName: "Summary", range: "A1:C700", maxCells: 6, includeFormats: true });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.values.length, 2);
+      assert.equal(res.body.data.formats.length, 2);
+      const valueReads = harness.graphCalls("GET").filter((r) => /range\(address='[^']+'\)$/.test(r.path));
+      assert.deepEqual(valueReads.map((r) => /address='([^']+)'/.exec(r.path)[1]), ["A1:C700", "A1:C3"]);
+      assert.equal(valueReads[0].query, "$select=address");
+      assert.equal(harness.graphCalls("GET").some((r) => /A1:C700'\)\/format/.test(r.path)), false);
+    });
+
+    it("repeats the header row in later blocks of header-keyed projections", async () => {
+      const pages = await readAll({ mode: "sheet", sheetName: "Q1 Plan", projection: "records", maxCells: 4 });
+      assert.equal(pages.length, 3);
+      assert.deepEqual(
+        pages.flatMap((p) => p.records),
+        [
+          { Month: "Jan", Target: 10 },
+          { Month: "Feb", Target: 12 },
+          { Month: "Mar", Target: 15 },
+        ]
+      );
+    });
+
+    it("keeps each block under maxBytes", async () => {
+      const body = {
+        itemName: "Contacts.xlsx",
+        mode: "range",
+        sheetName: "People",
+        range: "A1:C3",
+        includeFormulas: true,
+        includeText: true,
+        maxBytes: 300,
+      };
+      const pages = await readAll(body);
+      assert.ok(pages.length > 1);
+      pages.forEach((p) => {
+        const { totalRows, totalColumns, truncated, continuationToken, ...block } = p;
+        assert.ok(Buffer.byteLength(JSON.stringify(block)) <= 300);
+      });
+      assert.deepEqual(pages.flatMap((p) => p.values).map((row) => row[0]), ["Name", "Ana", "Ben"]);
+    });
+
+    it("shares the budget across sheets in workbook mode", async () => {
+      const pages = await readAll({ mode: "workbook", maxCells: 14 });
+      assert.deepEqual(pages[0].sheets.map((s) => s.sheet), ["Summary"]);
+      assert.equal(pages[0].truncated, true);
+      const rowsBySheet = {};
+      pages.flatMap((p) => p.sheets).forEach((s) => {
+        rowsBySheet[s.sheet] = (rowsBySheet[s.sheet] || 0) + s.values.length;
+        assert.equal(s.totalRows >= s.values.length, true);
+      });
+      assert.deepEqual(rowsBySheet, { Summary: 4, Company: 4, "Q1 Plan": 4 });
+      assert.equal(pages[pages.length - 1].truncated, false);
+    });
+
+    it("rejects a malformed token or one from another mode", async () => {
+      const bad = await read({ mode: "sheet", sheetName: "Q1 Plan", continuationToken: "not-a-token" });
+      assert.equal(bad.status, 400);
+      const first = await read({ mode: "sheet", sheetName: "Q1 Plan", maxCells: 2 });
+      const other = await read({ mode: "workbook", maxCells: 2, continuationToken: first.body.data.continuationToken });
+      assert.equal(other.status, 400);
+    });
+  });
+
+  describe("file resolution", () => {
+    it("answers 409 listing the paths of duplicate file names", async () => {
+      const res = await read({ itemName: "Report.xlsx", sheetName: "Sheet1", range: "A1:B1" });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.status, "multiple_matches");
+    });
+
+    it("reads a duplicate file by its path", async () => {
+      const res = await read({ itemName: "Report.xlsx", itemPath: "/Reports/Archive/Report.xlsx", sheetName: "Sheet1", range: "A1:B1" });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.values, [["Year", 2023]]);
+    });
+
+    it("answers 404 for an unknown file", async () => {
+      const res = await read({ itemName: "Nope.xlsx", sheetName: "Sheet1", range: "A1" });
+      assert.equal(res.status, 404);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+
+describe("rename endpoints", () => {
+  const harness = new Harness();
+  const nameOf = (id) => harness.graph.items.get(id)?.name;
+  const sheetNames = (itemId) =>
+    harness.graph.workbook("drive-docs", itemId).worksheets.map((ws) => ws.name);
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => harness.reset());
+
+  describe("POST /api/excel/rename-file", () => {
+    it("renames a file found by name", async () => {
+      const res = await harness.post("/api/excel/rename-file", {
+        driveName: "Documents",
+        itemName: "Contacts.xlsx",
+        newName: "People.xlsx",
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.pathBefore, "Documents/Contacts.xlsx");
+      assert.equal(res.body.data.pathAfter, "Documents/People.xlsx");
+      assert.equal(nameOf("item-contacts"), "People.xlsx");
+    });
+
+    it("lists duplicates, then renames the one picked", async () => {
+      const first = await harness.post("/api/excel/rename-file", {
+        driveName: "Documents",
+        itemName: "Report.xlsx",
+        newName: "Report 2023.xlsx",
+      });
+      assert.equal(first.status, 409);
+      assert.equal(first.body.status, "multiple_matches");
+      const archived = first.body.matches.find((m) => m.path === "/Reports/Archive/Report.xlsx");
+      assert.equal(archived.fullPath, "Documents/Reports/Archive/Report.xlsx");
+
+      const second = await harness.post("/api/excel/rename-file", {
+        selectedItemId: archived.id,
+        itemName: "Report.xlsx",
+        newName: "Report 2023.xlsx",
+      });
+      assert.equal(second.status, 200);
+      assert.equal(nameOf("item-report-2023"), "Report 2023.xlsx");
+      assert.equal(nameOf("item-report-2024"), "Report.xlsx");
+    });
+
+    it("answers 409 when the new name is taken", async () => {
+      const res = await harness.post("/api/excel/rename-file", {
+        driveName: "Documents",
+        itemName: "Contacts.xlsx",
+        newName: "Budget.xlsx",
+      });
+      assert.equal(res.status, 409);
+      assert.equal(nameOf("item-contacts"), "Contacts.xlsx");
+    });
+  });
+
+  describe("POST /api/excel/rename-folder", () => {
+    it("renames a folder found by name", async () => {
+      const res = await harness.post("/api/excel/rename-folder", {
+        driveName: "Documents",
+        folderName: "Project Alpha",
+        newName: "Project Beta",
+      });
+      assert.equal(res.status, 200);
+      assert.equal(nameOf("folder-alpha"), "Project Beta");
+    });
+
+    it("requires folderName or folderPath", async () => {
+      const res = await harness.post("/api/excel/rename-folder", { driveName: "Documents", newName: "X" });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe("POST /api/excel/rename-sheet", () => {
+    it("renames a worksheet", async () => {
+      const res = await harness.post("/api/excel/rename-sheet", {
+        driveName: "Documents",
+        itemName: "Budget.xlsx",
+        oldSheetName: "Q1 Plan",
+        newSheetName: "Q2 Plan",
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.worksheet.newSheetName, "Q2 Plan");
+      assert.deepEqual(sheetNames("item-budget"), ["Summary", "Company", "Q2 Plan"]);
+    });
+
+    it("answers 404 for an unknown worksheet", async () => {
+      const res = await harness.post("/api/excel/rename-sheet", {
+        driveName: "Documents",
+        itemName: "Budget.xlsx",
+        oldSheetName: "Missing",
+        newSheetName: "Other",
+      });
+      assert.equal(res.status, 404);
+    });
+
+    it("rejects a request without the new name", async () => {
+      const res = await harness.post("/api/excel/rename-sheet", {
+        driveName: "Documents",
+        itemName: "Budget.xlsx",
+        oldSheetName: "Summary",
+      });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe("POST /api/excel/rename-suggestions", () => {
+    it("suggests new names for items containing the old term", async () => {
+      const res = await harness.post("/api/excel/rename-suggestions", {
+        driveName: "Documents",
+        oldTerm: "alpha",
+        newTerm: "Beta",
+      });
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.data.suggestions.map((s) => [s.type, s.currentName, s.suggestedName]),
+        [
+          ["folder", "Project Alpha", "Project Beta"],
+          ["file", "Alpha Plan.xlsx", "Beta Plan.xlsx"],
+        ]
+      );
+      assert.equal(nameOf("folder-alpha"), "Project Alpha");
+    });
+  });
+
+  describe("POST /api/excel/batch-rename", () => {
+    it("applies file, folder and sheet renames", async () => {
+      const res = await harness.post("/api/excel/batch-rename", {
+        driveName: "Documents",
+        operations: [
+          { type: "file", itemId: "item-contacts", newName: "People.xlsx" },
+          { type: "folder", itemId: "folder-alpha", newName: "Project Beta" },
+          { type: "sheet", fileId: "item-budget", oldName: "Summary", newName: "Overview" },
+        ],
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.summary.successful, 3);
+      assert.equal(nameOf("item-contacts"), "People.xlsx");
+      assert.equal(nameOf("folder-alpha"), "Project Beta");
+      assert.equal(sheetNames("item-budget")[0], "Overview");
+    });
+
+    it("reports partial success with 207", async () => {
+      const res = await harness.post("/api/excel/batch-rename", {
+        driveName: "Documents",
+        operations: [
+          { type: "file", itemId: "item-contacts", newName: "People.xlsx" },
+          { type: "sheet", fileId: "item-budget", oldName: "Missing", newName: "Other" },
+        ],
+      });
+      assert.equal(res.status, 207);
+      assert.equal(res.body.status, "partial_success");
+      assert.equal(res.body.data.errors[0].index, 1);
+      assert.equal(nameOf("item-contacts"), "People.xlsx");
+    });
+
+    it("rejects operations without the id their type needs", async () => {
+      const res = await harness.post("/api/excel/batch-rename", {
+        driveName: "Documents",
+        operations: [{ type: "sheet", itemId: "item-budget", oldName: "Summary", newName: "Overview" }],
+      });
+      assert.equal(res.status, 400);
+    });
+  });
+});
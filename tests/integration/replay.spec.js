@@ -0,0 +1,123 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+const graphRecorderService = require("../../src/services/graphRecorderService");
+
+// Recordings made with GRAPH_RECORD_DIR; drop a new one here to turn a bug into a test
+const RECORDINGS = path.join(__dirname, "..", "fixtures", "recordings");
+
+// Fields that differ on every run
+const VOLATILE = ["timestamp", "requestId", "previewId", "resolvedAt"];
+const stable = (value) =>
+  JSON.parse(JSON.stringify(value), (key, v) => (VOLATILE.includes(key) ? undefined : v));
+
+describe("replayed Graph recordings", () => {
+  const harness = new Harness();
+  const recordings = fs
+    .readdirSync(RECORDINGS)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => JSON.parse(fs.readFileSync(path.join(RECORDINGS, file), "utf8")));
+
+  before(async () => {
+    await harness.start();
+    graphRecorderService.configure({ replayDir: RECORDINGS });
+  });
+  after(async () => {
+    graphRecorderService.configure({ replayDir: null });
+    await harness.stop();
+  });
+  beforeEach(() => harness.reset());
+
+  for (const recording of recordings) {
+    const { method, url, body } = recording.request;
+    it(`${method} ${url} (${recording.requestId}) answers as recorded`, async () => {
+      const res = await harness.request(method, url, body, { "X-Request-ID": recording.requestId });
+      assert.equal(res.headers.get("x-request-id"), recording.requestId);
+      assert.equal(res.status, recording.response.status);
+      assert.deepEqual(stable(res.body), stable(recording.response.body));
+      assert.equal(harness.graphCalls().length, 0, "replay must not reach Graph");
+    });
+  }
+
+  it("fails rather than call Graph when a call is missing from the recording", async () => {
+    const [recording] = recordings;
+    const res = await harness.post(
+      "/api/excel/read",
+      { driveName: "Documents", itemName: "Contacts.xlsx", sheetName: "People", range: "A1:C3" },
+      { "X-Request-ID": recording.requestId }
+    );
+    assert.notEqual(res.status, 200);
+    assert.equal(harness.graphCalls().length, 0);
+  });
+});
+
+describe("recording Graph traffic", () => {
+  const harness = new Harness();
+  const read = { driveName: "Documents", itemName: "Contacts.xlsx", sheetName: "People", range: "A1:C3" };
+  let dir;
+
+  // Recordings are written after the response has finished
+  const recorded = async (requestId) => {
+    const file = path.join(dir, `${requestId}.json`);
+    for (let i = 0; i < 50 && !fs.existsSync(file); i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+  };
+
+  before(async () => {
+    await harness.start();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "graph-recordings-"));
+    graphRecorderService.configure({ recordDir: dir, recordIds: ["listed-request"] });
+  });
+  after(async () => {
+    graphRecorderService.configure({ recordDir: null, recordIds: [] });
+    fs.rmSync(dir, { recursive: true, force: true });
+    await harness.stop();
+  });
+  beforeEach(() => harness.reset());
+
+  it("records a request that opts in, under the caller's X-Request-ID", async () => {
+    const res = await harness.post("/api/excel/read", read, { "X-Request-ID": "opted-in", "X-Graph-Record": "1" });
+    assert.equal(res.headers.get("x-request-id"), "opted-in");
+    const recording = await recorded("opted-in");
+    assert.equal(recording.request.url, "/api/excel/read");
+    assert.ok(recording.graph.length > 0);
+  });
+
+  it("records a request whose X-Request-ID is listed", async () => {
+    await harness.post("/api/excel/read", read, { "X-Request-ID": "listed-request" });
+    assert.ok(await recorded("listed-request"));
+  });
+
+  it("leaves every other request unrecorded", async () => {
+    const res = await harness.post("/api/excel/read", read, { "X-Request-ID": "not-opted-in" });
+    assert.equal(res.status, 200);
+    await harness.post("/api/excel/read", read);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.deepEqual(fs.readdirSync(dir).filter((f) => !/^(opted-in|listed-request)\.json$/.test(f)), []);
+  });
+
+  it("replaces a malformed X-Request-ID with a generated one", async () => {
+    const res = await harness.post("/api/excel/read", read, { "X-Request-ID": "../../etc/passwd" });
+    assert.match(res.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+  });
+
+  it("keeps the caller's X-Request-ID on the serverless entry point too", async () => {
+    const server = await new Promise((resolve) => {
+      const s = require("../../api/index.js").listen(0, "127.0.0.1", () => resolve(s));
+    });
+    try {
+      const url = `http://127.0.0.1:${server.address().port}/`;
+      const kept = await fetch(url, { headers: { "X-Request-ID": "opted-in" } });
+      assert.equal(kept.headers.get("x-request-id"), "opted-in");
+      const replaced = await fetch(url, { headers: { "X-Request-ID": "../../etc/passwd" } });
+      assert.match(replaced.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
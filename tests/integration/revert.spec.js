@@ -0,0 +1,65 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+const auditStore = require("../../src/services/auditStore");
+
+describe("POST /api/excel/revert", () => {
+  const harness = new Harness();
+  const budget = { driveName: "Documents", itemName: "Budget.xlsx" };
+  const cell = (sheet, address, options) => harness.graph.cell("drive-docs", "item-budget", sheet, address, options);
+
+  // The audit entry is stored once the response has finished; wait for it before reverting
+  const audited = async (res) => {
+    const requestId = res.headers.get("x-request-id");
+    for (let i = 0; i < 50; i++) {
+      const entries = await auditStore.query({});
+      if (entries.some((e) => e.requestId === requestId)) return requestId;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    throw new Error(`No audit entry for request ${requestId}`);
+  };
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => harness.reset());
+
+  it("puts back the values and formulas a write replaced", async () => {
+    const write = await harness.post("/api/excel/write", {
+      ...budget,
+      sheetName: "Summary",
+      range: "B3:B4",
+      values: [[350], [9999]],
+    });
+    assert.equal(write.status, 200);
+    assert.equal(cell("Summary", "B4", { formula: true }), 9999);
+
+    const res = await harness.post("/api/excel/revert", { requestId: await audited(write) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.operation, "WRITE_RANGE");
+    assert.equal(cell("Summary", "B3"), 300);
+    assert.equal(cell("Summary", "B4", { formula: true }), "=SUM(B2:B3)");
+  });
+
+  it("refuses with 409 and writes nothing when a cell changed since", async () => {
+    const write = await harness.post("/api/excel/write", {
+      ...budget,
+      sheetName: "Q1 Plan",
+      range: "B2:B3",
+      values: [[20], [24]],
+    });
+    assert.equal(write.status, 200);
+    const requestId = await audited(write);
+    await harness.post("/api/excel/write", { ...budget, sheetName: "Q1 Plan", range: "B3", values: [[30]] });
+    const patches = harness.graphCalls("PATCH").length;
+
+    const res = await harness.post("/api/excel/revert", { requestId });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.status, "conflict");
+    assert.deepEqual(
+      res.body.data.drifted.map(({ cell, expected, actual }) => ({ cell, expected, actual })),
+      [{ cell: "B3", expected: 24, actual: 30 }]
+    );
+    assert.equal(harness.graphCalls("PATCH").length, patches);
+    assert.equal(cell("Q1 Plan", "B2"), 20);
+  });
+});
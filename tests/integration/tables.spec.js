@@ -0,0 +1,150 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+
+describe("table lifecycle", () => {
+  const harness = new Harness();
+  const budget = { driveName: "Documents", itemName: "Budget.xlsx" };
+  const tables = () => harness.graph.workbook("drive-docs", "item-budget").tables;
+  const table = (name) => tables().find((t) => t.name === name);
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => harness.reset());
+
+  it("creates a named table over a range", async () => {
+    const res = await harness.post("/api/excel/table/create", {
+      ...budget,
+      sheetName: "Q1 Plan",
+      range: "A1:B4",
+      tableName: "Plan",
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.tableName, "Plan");
+    assert.equal(table("Plan").address, "A1:B4");
+  });
+
+  it("renames a table and turns on its totals row", async () => {
+    const res = await harness.post("/api/excel/table/update", {
+      ...budget,
+      tableName: "Costs",
+      newName: "Spend",
+      showTotals: true,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(table("Spend").showTotals, true);
+    assert.equal(table("Costs"), undefined);
+  });
+
+  describe("columns", () => {
+    const columns = (body) => harness.post("/api/excel/table/columns", { ...budget, tableName: "Costs", ...body });
+    const cell = (address) => harness.graph.cell("drive-docs", "item-budget", "Summary", address);
+
+    it("adds a named column at the end of the table", async () => {
+      const res = await columns({ action: "add", name: "Due" });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.column, "Due");
+      assert.equal(table("Costs").address, "A1:D3");
+      assert.equal(cell("D1"), "Due");
+    });
+
+    it("inserts a column with values at an index, moving the columns right of it", async () => {
+      const res = await columns({ action: "add", index: 1, values: [["Code"], ["R"], ["P"]] });
+      assert.equal(res.status, 200);
+      assert.deepEqual([cell("B1"), cell("B2"), cell("C1"), cell("C2")], ["Code", "R", "Amount", 1200]);
+    });
+
+    it("renames a column by rewriting its header cell", async () => {
+      const res = await columns({ action: "rename", column: "Owner", newName: "Lead" });
+      assert.equal(res.status, 200);
+      assert.equal(cell("C1"), "Lead");
+    });
+
+    it("deletes a column by name or by index", async () => {
+      assert.equal((await columns({ action: "delete", column: "Amount" })).status, 200);
+      assert.deepEqual([cell("B1"), table("Costs").address], ["Owner", "A1:B3"]);
+      assert.equal((await columns({ action: "delete", column: 1 })).status, 200);
+      assert.equal(table("Costs").address, "A1:A3");
+      assert.ok(harness.graphCalls("DELETE").some((c) => /columns\/itemAt\(index=1\)$/.test(c.path)));
+    });
+
+    it("answers 404 for an unknown column", async () => {
+      const res = await columns({ action: "delete", column: "Nope" });
+      assert.equal(res.status, 404);
+      assert.equal(table("Costs").address, "A1:C3");
+    });
+  });
+
+  it("flips the totals row when showTotals is not given", async () => {
+    const toggle = () =>
+      harness.post("/api/excel/format", {
+        ...budget,
+        sheetName: "Summary",
+        operations: [{ type: "toggleTableTotals", tableName: "Costs" }],
+      });
+    assert.equal((await toggle()).body.data.results[0].showTotals, true);
+    assert.equal(table("Costs").showTotals, true);
+    assert.equal((await toggle()).body.data.results[0].showTotals, false);
+  });
+
+  describe("resize", () => {
+    it("resizes the table in place", async () => {
+      const id = table("Costs").id;
+      const res = await harness.post("/api/excel/table/update", { ...budget, tableName: "Costs", range: "A1:C4" });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.results[0].previousRange, "A1:C3");
+      assert.deepEqual([table("Costs").id, table("Costs").address], [id, "A1:C4"]);
+      assert.equal(harness.graphCalls("POST").some((c) => /convertToRange/.test(c.path)), false);
+    });
+
+    for (const [status, code] of [[501, "notImplemented"], [405, "MethodNotAllowed"], [404, "ItemNotFound"]]) {
+      it(`re-creates the table with its name and style when resize answers ${status}`, async () => {
+        harness.graph.fail({ method: "POST", path: /\/resize$/, status, code });
+        table("Costs").style = "TableStyleLight9";
+        const res = await harness.post("/api/excel/table/update", { ...budget, tableName: "Costs", range: "A1:C4" });
+        assert.equal(res.status, 200);
+        assert.equal(tables().length, 1);
+        assert.equal(table("Costs").address, "A1:C4");
+        assert.equal(table("Costs").style, "TableStyleLight9");
+      });
+    }
+
+    it("fails without re-creating the table when resize is refused for another reason", async () => {
+      harness.graph.fail({ method: "POST", path: /\/resize$/, status: 409, code: "Conflict" });
+      const res = await harness.post("/api/excel/table/update", { ...budget, tableName: "Costs", range: "A1:C4" });
+      assert.equal(res.status, 409);
+      assert.equal(table("Costs").address, "A1:C3");
+      assert.equal(harness.graphCalls("POST").some((c) => /convertToRange/.test(c.path)), false);
+    });
+
+    it("puts the table back over its original range when re-creating fails", async () => {
+      harness.graph.fail({ method: "POST", path: /\/resize$/, status: 501, code: "notImplemented" });
+      harness.graph.fail({ method: "POST", path: /\/tables\/add$/, status: 409, code: "Conflict" });
+      const res = await harness.post("/api/excel/table/update", { ...budget, tableName: "Costs", range: "A1:C4" });
+      assert.equal(res.status, 502);
+      assert.match(res.body.error.message, /the table was restored at A1:C3/);
+      assert.equal(tables().length, 1);
+      assert.equal(table("Costs").address, "A1:C3");
+    });
+
+    it("rejects a range that moves the header row, without touching the table", async () => {
+      const res = await harness.post("/api/excel/table/update", { ...budget, tableName: "Costs", range: "A2:C4" });
+      assert.equal(res.status, 400);
+      assert.match(res.body.error.message, /header row at row 1/);
+      assert.equal(table("Costs").address, "A1:C3");
+      assert.equal(harness.graphCalls("POST").length, 0);
+    });
+  });
+
+  it("keeps the cells when a table is deleted with keepData", async () => {
+    const res = await harness.request("DELETE", "/api/excel/table", { ...budget, tableName: "Costs", keepData: true });
+    assert.equal(res.status, 200);
+    assert.equal(tables().length, 0);
+    assert.equal(harness.graph.cell("drive-docs", "item-budget", "Summary", "A2"), "Rent");
+  });
+
+  it("answers 404 for an unknown table", async () => {
+    const res = await harness.post("/api/excel/table/update", { ...budget, tableName: "Nope", newName: "Other" });
+    assert.equal(res.status, 404);
+  });
+});
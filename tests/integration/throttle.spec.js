@@ -0,0 +1,93 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+const graphClientFactory = require("../../src/services/graphClientFactory");
+const graphThrottleService = require("../../src/services/graphThrottleService");
+
+describe("Graph throttling", () => {
+  const harness = new Harness();
+  const contacts = { driveName: "Documents", itemName: "Contacts.xlsx" };
+  const read = () => harness.post("/api/excel/read", { ...contacts, sheetName: "People", range: "A1:C3" });
+  const addRow = () =>
+    harness.post("/api/excel/table/rows", { ...contacts, tableName: "Costs", itemName: "Budget.xlsx", values: [["Rates", 80, "Cy"]] });
+  const rowPosts = () => harness.graphCalls("POST").filter((c) => /\/tables\/Costs\/rows$/.test(c.path));
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => harness.reset());
+
+  it("waits for Retry-After on a 429 and reports the retry", async () => {
+    harness.graph.fail({
+      method: "GET",
+      path: /range\(address='A1:C3'\)$/,
+      status: 429,
+      code: "TooManyRequests",
+      headers: { "Retry-After": "1" },
+    });
+    const res = await read();
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.values[1], ["Ana", "ana@example.com", "Ops"]);
+    assert.equal(res.headers.get("x-graph-retries"), "1");
+    assert.equal(res.headers.get("x-graph-retry-wait-ms"), "1000");
+  });
+
+  it("reports no retries when Graph did not throttle", async () => {
+    const res = await read();
+    assert.equal(res.headers.get("x-graph-retries"), "0");
+  });
+
+  it("resends a throttled POST after a 429", async () => {
+    harness.graph.fail({ method: "POST", path: /\/rows$/, status: 429, code: "TooManyRequests" });
+    const res = await addRow();
+    assert.equal(res.status, 200);
+    assert.equal(rowPosts().length, 2);
+    assert.equal(res.headers.get("x-graph-retries"), "1");
+  });
+
+  it("does not resend a POST that failed with 503, which Graph may have applied", async () => {
+    harness.graph.fail({ method: "POST", path: /\/rows$/, status: 503, code: "serviceNotAvailable" });
+    const res = await addRow();
+    assert.notEqual(res.status, 200);
+    assert.equal(rowPosts().length, 1);
+    assert.equal(res.headers.get("x-graph-retries"), "0");
+  });
+
+  it("does not resend a DELETE that failed with 503, but does after a 429", async () => {
+    const dropTable = () =>
+      harness.request("DELETE", "/api/excel/table", { driveName: "Documents", itemName: "Budget.xlsx", tableName: "Costs" });
+    const deletes = () => harness.graphCalls("DELETE").filter((c) => /\/tables\/Costs$/.test(c.path));
+
+    harness.graph.fail({ method: "DELETE", path: /\/tables\/Costs$/, status: 503, code: "serviceNotAvailable" });
+    const refused = await dropTable();
+    assert.notEqual(refused.status, 200);
+    assert.equal(deletes().length, 1);
+
+    harness.graph.fail({ method: "DELETE", path: /\/tables\/Costs$/, status: 429, code: "TooManyRequests" });
+    const res = await dropTable();
+    assert.equal(res.status, 200);
+    assert.equal(deletes().length, 3);
+  });
+
+  describe("concurrency cap", () => {
+    const cap = graphThrottleService.maxConcurrentPerDrive;
+    before(() => {
+      graphThrottleService.maxConcurrentPerDrive = 2;
+    });
+    after(() => {
+      graphThrottleService.maxConcurrentPerDrive = cap;
+    });
+
+    it("holds calls and $batch posts against one drive to the cap", async () => {
+      harness.graph.latencyMs = 20;
+      const client = graphClientFactory.create("fake-graph-token");
+      const workbook = "/drives/drive-docs/items/item-budget/workbook";
+      await Promise.all([
+        ...Array.from({ length: 4 }, () => client.api(`${workbook}/worksheets`).get()),
+        ...Array.from({ length: 4 }, () =>
+          client.api("/$batch").post({ requests: [{ id: "1", method: "GET", url: `${workbook}/names` }] })
+        ),
+      ]);
+      assert.equal(harness.graph.peakInFlight, 2);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+
+describe("workbook endpoints", () => {
+  const harness = new Harness();
+  const target = { driveName: "Documents", itemName: "Budget.xlsx" };
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => harness.reset());
+
+  it("GET /worksheets lists the sheets in order", async () => {
+    const res = await harness.get("/api/excel/worksheets?driveName=Documents&itemName=Budget.xlsx");
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.map((ws) => ws.name),
+      ["Summary", "Company", "Q1 Plan"]
+    );
+  });
+
+  it("GET /worksheets answers 404 for a missing file and lists what is there", async () => {
+    const res = await harness.get("/api/excel/worksheets?driveName=Documents&itemName=Missing.xlsx");
+    assert.equal(res.status, 404);
+    assert.match(res.body.error.message, /File 'Missing.xlsx' not found.*Budget\.xlsx/);
+  });
+
+  it("GET /search finds files by part of their name", async () => {
+    const res = await harness.get("/api/excel/search?driveName=Documents&fileName=report&matchMode=contains");
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.matches.map((m) => m.path),
+      ["/Reports/Report.xlsx", "/Reports/Archive/Report.xlsx"]
+    );
+  });
+
+  describe("tables", () => {
+    it("lists and reads a table as records", async () => {
+      const list = await harness.get("/api/excel/tables?driveName=Documents&itemName=Budget.xlsx");
+      assert.equal(list.status, 200);
+      assert.deepEqual(list.body.data.tables.map((t) => t.name), ["Costs"]);
+
+      const res = await harness.post("/api/excel/table/read", { ...target, tableName: "Costs" });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.headers, ["Item", "Amount", "Owner"]);
+      assert.deepEqual(res.body.data.records[1], { Item: "Power", Amount: 300, Owner: "Ben" });
+    });
+
+    it("appends records as table rows", async () => {
+      const res = await harness.post("/api/excel/table/rows", {
+        ...target,
+        tableName: "Costs",
+        records: [{ Item: "Water", Amount: 80 }],
+      });
+      assert.equal(res.status, 200);
+      assert.equal(harness.graph.cell("drive-docs", "item-budget", "Summary", "A4"), "Water");
+      assert.equal(harness.graph.cell("drive-docs", "item-budget", "Summary", "B4"), 80);
+      assert.equal(harness.graph.cell("drive-docs", "item-budget", "Summary", "A5"), "Total");
+    });
+
+    it("rejects records with columns the table does not have, adding nothing", async () => {
+      const res = await harness.post("/api/excel/table/rows", {
+        ...target,
+        tableName: "Costs",
+        records: [{ Item: "Water", Colour: "blue" }],
+      });
+      assert.equal(res.status, 400);
+      assert.match(res.body.error.message, /Unknown column\(s\): Colour/);
+      assert.equal(harness.graphCalls("POST").some((c) => /\/rows$/.test(c.path)), false);
+    });
+  });
+
+  describe("what-if", () => {
+    const whatIf = () =>
+      harness.post("/api/excel/what-if", {
+        ...target,
+        sheetName: "Summary",
+        changes: [{ range: "B2", values: [[5000]] }],
+        read: ["B2:B3"],
+      });
+
+    it("returns the changed cells without saving them to the workbook", async () => {
+      const res = await whatIf();
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.persisted, false);
+      assert.deepEqual(res.body.data.results[0].values, [[5000], [300]]);
+      assert.equal(harness.graph.cell("drive-docs", "item-budget", "Summary", "B2"), 1200);
+      const created = harness.graphCalls("POST").filter((r) => /\/createSession$/.test(r.path));
+      assert.deepEqual(created.map((r) => r.body.persistChanges), [false]);
+      assert.ok(harness.graphCalls("PATCH").every((r) => r.sessionId));
+    });
+
+    it("answers 503 without touching the workbook when no session can be opened", async () => {
+      harness.graph.fail({ method: "POST", path: /\/createSession$/, status: 500, code: "generalException" });
+      const res = await whatIf();
+      assert.equal(res.status, 503);
+      assert.equal(harness.graphCalls("PATCH").length, 0);
+      assert.equal(harness.graph.cell("drive-docs", "item-budget", "Summary", "B2"), 1200);
+    });
+  });
+
+  it("POST /format sends fills through $batch", async () => {
+    const res = await harness.post("/api/excel/format", {
+      ...target,
+      sheetName: "Summary",
+      operations: [
+        { type: "highlight", range: "A1:C1", color: "yellow" },
+        { type: "highlight", range: "A4:B4", color: "#FFCC00" },
+      ],
+    });
+    assert.equal(res.status, 200);
+    const batched = harness.graphCalls().filter((r) => /\/format\/fill$/.test(r.path));
+    assert.equal(batched.length, 2);
+    assert.ok(harness.graphCalls("POST").some((r) => r.path === "/$batch"));
+  });
+});
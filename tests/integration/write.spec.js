@@ -0,0 +1,135 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+
+describe("POST /api/excel/write", () => {
+  const harness = new Harness();
+  const write = (body) => harness.post("/api/excel/write", { driveName: "Documents", itemName: "Budget.xlsx", ...body });
+  const cell = (sheet, address, options) => harness.graph.cell("drive-docs", "item-budget", sheet, address, options);
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => harness.reset());
+
+  it("writes values into a sheet-qualified range", async () => {
+    const res = await write({ range: "Summary!B2:C2", values: [[1250, "Cleo"]] });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.range, "Summary!B2:C2");
+    assert.equal(cell("Summary", "B2"), 1250);
+    assert.equal(cell("Summary", "C2"), "Cleo");
+  });
+
+  it("keeps formulas written as values", async () => {
+    const res = await write({ sheetName: "Summary", range: "B5", values: [["=B4*2"]] });
+    assert.equal(res.status, 200);
+    assert.equal(cell("Summary", "B5", { formula: true }), "=B4*2");
+  });
+
+  it("rejects values that do not fit the range", async () => {
+    const res = await write({ sheetName: "Summary", range: "A1:B2", values: [[1, 2, 3]] });
+    assert.equal(res.status, 400);
+    assert.equal(harness.graphCalls("PATCH").length, 0);
+  });
+
+  it("runs its workbook calls in one session", async () => {
+    const res = await write({ sheetName: "Summary", range: "A5", values: [["Extra"]] });
+    assert.equal(res.status, 200);
+    const workbookCalls = harness.graphCalls().filter((r) => /\/workbook\/(?!createSession|closeSession)/.test(r.path));
+    assert.ok(workbookCalls.length > 0);
+    const sessions = new Set(workbookCalls.map((r) => r.sessionId));
+    assert.equal(sessions.size, 1);
+    assert.ok([...sessions][0]);
+  });
+
+  describe("records", () => {
+    it("appends records under the header row", async () => {
+      const res = await harness.post("/api/excel/write", {
+        driveName: "Documents",
+        itemName: "Contacts.xlsx",
+        sheetName: "People",
+        records: [{ Name: "Cleo", Team: "Ops" }],
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.mode, "append");
+      assert.equal(harness.graph.cell("drive-docs", "item-contacts", "People", "A4"), "Cleo");
+      assert.equal(harness.graph.cell("drive-docs", "item-contacts", "People", "B4"), "");
+      assert.equal(harness.graph.cell("drive-docs", "item-contacts", "People", "C4"), "Ops");
+    });
+
+    it("upserts by key column", async () => {
+      const res = await harness.post("/api/excel/write", {
+        driveName: "Documents",
+        itemName: "Contacts.xlsx",
+        sheetName: "People",
+        records: [
+          { Name: "Ben", Team: "Ops" },
+          { Name: "Dan", Email: "dan@example.com", Team: "Legal" },
+        ],
+        mode: "upsert",
+        keyColumn: "Name",
+      });
+      assert.equal(res.status, 200);
+      assert.equal(harness.graph.cell("drive-docs", "item-contacts", "People", "C3"), "Ops");
+      assert.equal(harness.graph.cell("drive-docs", "item-contacts", "People", "B3"), "ben@example.com");
+      assert.equal(harness.graph.cell("drive-docs", "item-contacts", "People", "A4"), "Dan");
+    });
+
+    describe("unknownColumns", () => {
+      const people = (body) =>
+        harness.post("/api/excel/write", { driveName: "Documents", itemName: "Contacts.xlsx", sheetName: "People", ...body });
+      const contact = (address) => harness.graph.cell("drive-docs", "item-contacts", "People", address);
+
+      it("rejects unknown keys by default", async () => {
+        const res = await people({ records: [{ Name: "Cleo", Shoe: 42 }] });
+        assert.equal(res.status, 400);
+        assert.match(res.body.error.message, /Unknown column\(s\): Shoe/);
+        assert.equal(contact("A4"), "");
+      });
+
+      it("drops unknown keys with ignore", async () => {
+        const res = await people({ records: [{ Name: "Cleo", Shoe: 42 }], unknownColumns: "ignore" });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data.ignoredColumns, ["Shoe"]);
+        assert.equal(contact("A4"), "Cleo");
+        assert.equal(contact("D1"), "");
+        assert.equal(contact("D4"), "");
+      });
+
+      it("adds a header column on a sheet with create", async () => {
+        const res = await people({ records: [{ Name: "Cleo", Shoe: 42 }], unknownColumns: "create" });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data.createdColumns, ["Shoe"]);
+        assert.equal(contact("D1"), "Shoe");
+        assert.equal(contact("D4"), 42);
+      });
+
+      it("adds a table column with create", async () => {
+        const res = await write({
+          tableName: "Costs",
+          records: [{ Item: "Rates", Amount: 80, Due: "May" }],
+          unknownColumns: "create",
+        });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data.createdColumns, ["Due"]);
+        const costs = harness.graph.workbook("drive-docs", "item-budget").tables.find((t) => t.name === "Costs");
+        assert.equal(costs.address, "A1:D4");
+        assert.equal(cell("Summary", "D1"), "Due");
+        assert.equal(cell("Summary", "A4"), "Rates");
+        assert.equal(cell("Summary", "D4"), "May");
+      });
+    });
+
+    it("keeps the formulas of cells an upsert does not change", async () => {
+      const res = await write({
+        sheetName: "Summary",
+        records: [{ Item: "Total", Owner: "Zed" }],
+        mode: "upsert",
+        keyColumn: "Item",
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.updated, 1);
+      assert.equal(cell("Summary", "C4"), "Zed");
+      assert.equal(cell("Summary", "B4", { formula: true }), "=SUM(B2:B3)");
+    });
+  });
+});